@@ -94,7 +94,8 @@
 // src/MQTT/mqttSubscriber.js
 import mqtt from 'mqtt';
 import dotenv from 'dotenv';
-import { ingestWaste } from '../services/wasteService.js';
+import { ingestWaste, parseWasteMessage } from '../services/wasteService.js';
+import { recordDeadLetter } from '../services/deadLetterService.js';
 
 dotenv.config({ path: './.env' });
 
@@ -142,45 +143,22 @@ export function startMqttSubscriber() {
   client.on('error', (err) => console.error('[MQTT] Error:', err));
 
   client.on('message', async (topic, raw) => {
-    let msg;
-    try {
-      msg = JSON.parse(raw.toString());
-    } catch (e) {
-      console.warn('⚠️ [MQTT] Invalid JSON:', raw.toString());
+    // parse + sanity checks; anything rejected goes to the dead-letter store
+    const { reading, error } = parseWasteMessage(raw);
+    if (error) {
+      console.warn(`⚠️ [MQTT] Rejected message (${error.reason}):`, raw.toString());
+      await recordDeadLetter({ topic, raw, reason: error.reason, error: error.detail });
       return;
     }
 
-    const {
-      associateBin,
-      currentWeight,
-      eventType = 'disposal',
-      isCleaned = false,
-      cleanedBy = null,
-    } = msg;
-
-    // sanity checks
-    if (
-      typeof associateBin !== 'string' ||
-      typeof currentWeight !== 'number' ||
-      typeof eventType !== 'string'
-    ) {
-      console.warn('⚠️ [MQTT] Missing/invalid fields:', msg);
-      return;
-    }
-
-    console.log('📥 [MQTT] Received:', {
-      associateBin,
-      currentWeight,
-      eventType,
-      isCleaned,
-      cleanedBy,
-    });
+    console.log('📥 [MQTT] Received:', reading);
 
     try {
-      // <-- PASS EACH ARG SEPARATELY, not as one big object
-      await ingestWaste(associateBin, currentWeight, eventType, Boolean(isCleaned), cleanedBy);
+      // same pipeline as the HTTP routes (tare, cleaning, cleaner validation, dedupe, publish)
+      await ingestWaste(reading);
     } catch (err) {
       console.error('[MQTT] ingestWaste() failed:', err);
+      await recordDeadLetter({ topic, raw, reason: 'ingest_failed', error: err.message });
     }
   });
 }
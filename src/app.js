@@ -12,6 +12,12 @@ import OrgUnitRouter from './routes/orgUnit.routes.js';
 import BinDashboardAnalyticsRouter from './routes/binDashboardAnalytics.routes.js';
 import LocalAdminAnalyticsRouter from './routes/LocalAdminAnalytics.routes.js';
 import CleanerRouter from './routes/cleaner.routes.js';
+import DeviceRouter from './routes/device.routes.js';
+import DeadLetterRouter from './routes/deadLetter.routes.js';
+import WasteStreamRouter from './routes/wasteStream.routes.js';
+import BinAlertRouter from './routes/binAlert.routes.js';
+import RoleRouter from './routes/role.routes.js';
+import EmissionFactorRouter from './routes/emissionFactor.routes.js';
 
 const app = express();
 app.use(cors({ origin: process.env.CORS_ORIGIN || true, credentials: true }));
@@ -29,5 +35,11 @@ app.use('/NetNada/api/v1/orgUnits', OrgUnitRouter);
 app.use('/NetNada/api/v1/binDashboardAnalytics', BinDashboardAnalyticsRouter);
 app.use('/NetNada/api/v1/localAdminAnalytics', LocalAdminAnalyticsRouter);
 app.use('/NetNada/api/v1/cleaners', CleanerRouter);
+app.use('/NetNada/api/v1/devices', DeviceRouter);
+app.use('/NetNada/api/v1/deadLetters', DeadLetterRouter);
+app.use('/NetNada/api/v1/wasteStreams', WasteStreamRouter);
+app.use('/NetNada/api/v1/binAlerts', BinAlertRouter);
+app.use('/NetNada/api/v1/roles', RoleRouter);
+app.use('/NetNada/api/v1/emissionFactors', EmissionFactorRouter);
 
 export { app };
@@ -2,92 +2,60 @@ import mongoose from 'mongoose';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { Waste } from '../models/waste.models.js';
-import { BranchAddress } from '../models/branchAddress.models.js';
+import { DailyRollup } from '../models/wasteRollup.models.js';
 import { OrgUnit } from '../models/orgUnit.model.js';
-import { getUTCDayRange } from './SuperAdminAnalytics.controllers.js';
-import { getDateRangeFromFilterUTC } from './SuperAdminAnalytics.controllers.js';
-import { getPreviousDateRange } from './SuperAdminAnalytics.controllers.js';
-import { Dustbin } from '../models/dustbin.models.js';
+import { getPeriodDays, getPreviousPeriodDays } from '../utils/dateRange.js';
+import { Dustbin, ACTIVE_BINS } from '../models/dustbin.models.js';
+import { streamDiversionStages } from '../services/wasteStreamService.js';
+import { scopeBranchIds } from '../services/accessScopeService.js';
+import { periodFromQuery } from '../services/reportingPeriodService.js';
+import { rollupBucketExpr, rollupMatch, rollupModel } from '../services/rollupService.js';
+import { factorSetFromQuery, rollupEmissions, sumEmissions } from '../services/emissionsService.js';
+
 /**
- * buildBranchIdsForLocalAdmin
- * Given the logged-in user's OrgUnit and company, returns an array of branch IDs
- * (from the BranchAddress collection) that the user is permitted to access.
+ * requestPeriod
+ * The reporting period of an analytics request (see utils/dateRange.js parsePeriod).
  */
-const buildBranchIdsForLocalAdmin = async (userOrgUnit, companyId) => {
-  // Base query: restrict to the user's company.
-  const query = { associatedCompany: companyId, isdeleted: false };
+const requestPeriod = async (query, context) => {
+  const { period, error } = await periodFromQuery(query, context);
+  if (error) throw new ApiError(400, error);
+  return period;
+};
 
-  if (userOrgUnit && userOrgUnit.type) {
-    switch (userOrgUnit.type) {
-      case 'Branch':
-        if (userOrgUnit.branchAddress) {
-          // For a Branch admin, we restrict to that branch only.
-          query._id = userOrgUnit.branchAddress;
-        }
-        break;
-      case 'City':
-        // City admin: filter branches by city (exact match).
-        query.city = userOrgUnit.name;
-        break;
-      case 'Country':
-        // Country admin: filter branches by country.
-        query.country = userOrgUnit.name;
-        break;
-      case 'Region':
-      case 'State':
-        // Region/State admin: filter branches by subdivision.
-        query.subdivision = userOrgUnit.name;
-        break;
-      default:
-        break;
-    }
-  }
-  const branches = await BranchAddress.find(query).select('_id').lean();
-  return branches.map((b) => b._id);
+/**
+ * requestFactorSet
+ * The emission factor set of an analytics request (see services/emissionsService.js).
+ */
+const requestFactorSet = async (query, period, now) => {
+  const { factorSet, error } = await factorSetFromQuery(query, period, now);
+  if (error) throw new ApiError(400, error);
+  return factorSet;
 };
 
 /**
- * commonLatestWastePerBin
- * Aggregates latest waste readings per bin (per day) for the given branch IDs and date range.
+ * scopeRollups
+ * The rollups covering the local admin's access scope (see services/rollupService.js): their
+ * OrgUnit's own totals, or the branches' totals for company-level users (and none for users
+ * without an OrgUnit, whose scope has no branches).
  */
-const commonLatestWastePerBin = async (rangeStart, rangeEnd, branchIds) => {
+const scopeRollups = (accessScope, branchIds) =>
+  accessScope.orgUnitIds?.length
+    ? { scope: 'orgUnit', scopeId: accessScope.orgUnitIds[0] }
+    : { scope: 'branch', scopeId: { $in: branchIds } };
+
+/**
+ * commonDisposedWastePerStream
+ * Aggregates the waste disposed per waste stream from the given rollups (see scopeRollups)
+ * over local days resolved per time zone.
+ */
+const commonDisposedWastePerStream = async (rollups, resolveDays) => {
   const pipeline = [
-    { $match: { createdAt: { $gte: rangeStart, $lte: rangeEnd } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
-    {
-      $group: {
-        _id: {
-          bin: '$associateBin',
-          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
-        },
-        latestWeight: { $first: '$currentWeight' },
-      },
-    },
-    {
-      $lookup: {
-        from: 'dustbins',
-        localField: '_id.bin',
-        foreignField: '_id',
-        as: 'binDetails',
-      },
-    },
-    { $unwind: '$binDetails' },
-    { $match: { 'binDetails.branchAddress': { $in: branchIds } } },
-    {
-      $addFields: { dustbinType: '$binDetails.dustbinType' },
-    },
-    {
-      $project: {
-        _id: 0,
-        associateBin: '$_id.bin',
-        day: '$_id.day',
-        latestWeight: 1,
-        dustbinType: 1,
-      },
-    },
+    { $match: await rollupMatch(rollups, resolveDays) },
+    { $group: { _id: '$wasteStream', weight: { $sum: '$weight' } } },
+    ...streamDiversionStages('_id'),
+    { $project: { _id: 0, wasteStream: '$_id', weight: 1, isDiverted: 1 } },
   ];
-  return await Waste.aggregate(pipeline, { allowDiskUse: true });
+  return await DailyRollup.aggregate(pipeline);
 };
 
 /* ================================================================
@@ -100,31 +68,30 @@ const commonLatestWastePerBin = async (rangeStart, rangeEnd, branchIds) => {
  * GET /api/v1/analytics/adminOverview
  *
  * Returns an overview of key metrics for the branches that the local admin is allowed to see.
- * Uses today's data (latest reading per bin) to compute:
+ * Uses the requested period's data (today by default; filter, from/to or fy/quarter — see
+ * utils/dateRange.js parsePeriod) and the waste disposed into each waste stream to compute:
  *   - totalBins (from Dustbin)
- *   - totalWaste (summed from latest readings per bin)
+ *   - totalWaste (summed from the disposals per stream)
  *   - landfillDiversionPercentage computed as:
- *         (Sum of latest readings from bins that are not "General Waste") / totalWaste * 100
- *   - Plus trend metrics comparing to a previous period.
+ *         (Waste disposed into diverted waste streams) / totalWaste * 100
+ *   - totalEmissions / avoidedEmissions (kg CO2e) under the factor set in effect at the end
+ *     of the period (or factorVersion), with the version used
+ *   - Plus trend metrics comparing to the matching previous period.
  */
 const getAdminOverview = asyncHandler(async (req, res) => {
   // Logged-in user details (set by verifyJWT)
   const loggedInUser = req.user;
   if (!loggedInUser) throw new ApiError(401, 'User not authenticated');
 
-  const { orgUnitId, filter } = req.query;
   const now = new Date();
-  // Use the provided filter for current period; default to "today" if not provided.
-  const currentFilter = filter || 'today';
-  const { startDate, endDate } = getDateRangeFromFilterUTC(currentFilter, now);
-  // For previous period, use yesterday for "today" filter or a similar fallback.
-  const { startDate: prevStart, endDate: prevEnd } =
-    currentFilter === 'today'
-      ? getUTCDayRange(new Date(now.getTime() - 24 * 60 * 60 * 1000))
-      : getUTCDayRange(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  const period = await requestPeriod(req.query, { companyId: loggedInUser.company });
+  const factorSet = await requestFactorSet(req.query, period, now);
+  // Periods are resolved on each branch's local calendar (see services/rollupService.js)
+  const currentDays = (timeZone) => getPeriodDays(period, now, timeZone);
+  const previousDays = (timeZone) => getPreviousPeriodDays(period, now, timeZone);
 
-  // Build branch IDs for the local admin
-  const branchIds = await buildBranchIdsForLocalAdmin(loggedInUser.OrgUnit, loggedInUser.company);
+  // Branches under the local admin's OrgUnit (resolved by authorizeScope)
+  const branchIds = await scopeBranchIds(req.accessScope);
   if (!branchIds.length) {
     const overviewData = {
       totalBins: 0,
@@ -132,6 +99,10 @@ const getAdminOverview = asyncHandler(async (req, res) => {
       landfillDiversionPercentage: 0,
       totalWasteTrend: 0,
       landfillDiversionTrend: 0,
+      totalEmissions: 0,
+      avoidedEmissions: 0,
+      emissionsTrend: 0,
+      emissionFactorVersion: factorSet.version,
     };
     return res
       .status(200)
@@ -139,25 +110,27 @@ const getAdminOverview = asyncHandler(async (req, res) => {
   }
 
   // Compute total bins for branches accessible to the local admin.
-  const totalBins = await Dustbin.countDocuments({ branchAddress: { $in: branchIds } });
+  const totalBins = await Dustbin.countDocuments({
+    branchAddress: { $in: branchIds },
+    ...ACTIVE_BINS,
+  });
+
+  const rollups = scopeRollups(req.accessScope, branchIds);
 
-  // Retrieve today's latest readings per bin.
-  const latestRecords = await commonLatestWastePerBin(startDate, endDate, branchIds);
-  const totalWaste = latestRecords.reduce((sum, r) => sum + r.latestWeight, 0);
-  const divertedTotal = latestRecords.reduce(
-    (sum, r) => (r.dustbinType !== 'General Waste' ? sum + r.latestWeight : sum),
+  // Retrieve the period's disposals per stream.
+  const disposedRecords = await commonDisposedWastePerStream(rollups, currentDays);
+  const totalWaste = disposedRecords.reduce((sum, r) => sum + r.weight, 0);
+  const divertedTotal = disposedRecords.reduce(
+    (sum, r) => (r.isDiverted ? sum + r.weight : sum),
     0,
   );
   const currentDiversionPercentage =
     totalWaste > 0 ? Number(((divertedTotal / totalWaste) * 100).toFixed(2)) : 0;
 
   // Get previous period total similarly.
-  const prevRecords = await commonLatestWastePerBin(prevStart, prevEnd, branchIds);
-  const prevTotalWaste = prevRecords.reduce((sum, r) => sum + r.latestWeight, 0);
-  const prevDiverted = prevRecords.reduce(
-    (sum, r) => (r.dustbinType !== 'General Waste' ? sum + r.latestWeight : sum),
-    0,
-  );
+  const prevRecords = await commonDisposedWastePerStream(rollups, previousDays);
+  const prevTotalWaste = prevRecords.reduce((sum, r) => sum + r.weight, 0);
+  const prevDiverted = prevRecords.reduce((sum, r) => (r.isDiverted ? sum + r.weight : sum), 0);
   const totalWasteTrend =
     prevTotalWaste > 0
       ? Number((((totalWaste - prevTotalWaste) / prevTotalWaste) * 100).toFixed(2))
@@ -167,12 +140,37 @@ const getAdminOverview = asyncHandler(async (req, res) => {
       ? Number((((divertedTotal - prevDiverted) / prevDiverted) * 100).toFixed(2))
       : 0;
 
+  // CO2e depends on where the waste was disposed, so it is read from the branches' rollups
+  const branchEmissions = async (resolveDays) =>
+    sumEmissions(
+      await rollupEmissions(
+        DailyRollup,
+        await rollupMatch({ scope: 'branch', scopeId: { $in: branchIds } }, resolveDays),
+        factorSet,
+      ),
+    );
+  const emissions = await branchEmissions(currentDays);
+  const prevEmissions = await branchEmissions(previousDays);
+  const emissionsTrend =
+    prevEmissions.emissions > 0
+      ? Number(
+          (
+            ((emissions.emissions - prevEmissions.emissions) / prevEmissions.emissions) *
+            100
+          ).toFixed(2),
+        )
+      : 0;
+
   const overviewData = {
     totalBins,
     totalWaste,
     landfillDiversionPercentage: currentDiversionPercentage,
     totalWasteTrend,
     landfillDiversionTrend,
+    totalEmissions: emissions.emissions,
+    avoidedEmissions: emissions.avoidedEmissions,
+    emissionsTrend,
+    emissionFactorVersion: factorSet.version,
   };
   return res
     .status(200)
@@ -184,137 +182,93 @@ const getAdminOverview = asyncHandler(async (req, res) => {
  * GET /api/v1/analytics/wasteTrendChart
  *
  * Returns time-series data for waste collection visible to the local admin.
- * Aggregates by hour if filter is "today" and by day for other filters.
- * Data is pivoted by bin type.
+ * Aggregates by hour for a single day and by day, week or month for longer periods
+ * (or the requested granularity). Data is pivoted by waste stream (bin type); each point also
+ * has its emissions and avoidedEmissions (kg CO2e) and the factor set version used.
  */
 const getWasteTrendChart = asyncHandler(async (req, res) => {
-  const { filter, zoomDate } = req.query;
-  const currentFilter = filter || 'today';
+  const { zoomDate } = req.query;
   const loggedInUser = req.user;
   if (!loggedInUser) throw new ApiError(401, 'User not authenticated');
 
-  // Build branch IDs based on local admin's OrgUnit.
-  const branchIds = await buildBranchIdsForLocalAdmin(loggedInUser.OrgUnit, loggedInUser.company);
+  // Branches under the local admin's OrgUnit (resolved by authorizeScope)
+  const branchIds = await scopeBranchIds(req.accessScope);
   if (!branchIds.length) {
     return res
       .status(200)
       .json(new ApiResponse(200, [], 'No branches found for your access level'));
   }
+  // Determine the period and bucket granularity (see utils/dateRange.js parsePeriod);
+  // a zoomDate narrows the chart to that single day.
+  const period = await requestPeriod(
+    zoomDate ? { from: zoomDate, to: zoomDate, granularity: req.query.granularity } : req.query,
+    { companyId: loggedInUser.company },
+  );
   const now = new Date();
-  let startDateVal, endDateVal;
-  let isHourly = false;
-  if (currentFilter === 'today' || zoomDate) {
-    if (zoomDate) {
-      const zDate = new Date(zoomDate);
-      if (isNaN(zDate)) throw new ApiError(400, 'Invalid zoomDate format');
-      ({ startDate: startDateVal, endDate: endDateVal } = getUTCDayRange(zDate));
-    } else {
-      ({ startDate: startDateVal, endDate: endDateVal } = getUTCDayRange(now));
-    }
-    isHourly = true;
-  } else {
-    ({ startDate: startDateVal, endDate: endDateVal } = getDateRangeFromFilterUTC(
-      currentFilter,
-      now,
-    ));
-  }
+  const factorSet = await requestFactorSet(req.query, period, now);
+  const periodDays = (timeZone) => getPeriodDays(period, now, timeZone);
 
   // Build aggregation pipeline.
   const pipeline = [
-    { $match: { createdAt: { $gte: startDateVal, $lte: endDateVal } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
     {
-      $lookup: {
-        from: 'dustbins',
-        let: { binId: '$associateBin' },
-        pipeline: [
-          {
-            $match: {
-              $expr: {
-                $and: [{ $eq: ['$_id', '$$binId'] }, { $in: ['$branchAddress', branchIds] }],
-              },
-            },
-          },
-          { $project: { dustbinType: 1 } },
-        ],
-        as: 'binDetails',
-      },
+      $match: await rollupMatch(scopeRollups(req.accessScope, branchIds), periodDays),
     },
-    { $match: { binDetails: { $ne: [] } } },
-  ];
-
-  if (isHourly) {
-    pipeline.push({ $addFields: { hour: { $hour: '$createdAt' } } });
-    pipeline.push({
-      $group: {
-        _id: {
-          bin: '$associateBin',
-          hour: '$hour',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
-      },
-    });
-    pipeline.push({
-      $group: {
-        _id: { hour: '$_id.hour', binType: '$_id.binType' },
-        totalWeight: { $sum: '$latestWeight' },
-      },
-    });
-    pipeline.push({
+    // Waste disposed, summed into the period's buckets per waste stream
+    {
       $group: {
-        _id: '$_id.hour',
-        bins: { $push: { k: '$_id.binType', v: '$totalWeight' } },
+        _id: { bucket: rollupBucketExpr(period.granularity), stream: '$wasteStream' },
+        totalWeight: { $sum: '$weight' },
       },
-    });
-    pipeline.push({
-      $project: {
-        time: '$_id',
-        _id: 0,
-        data: { $arrayToObject: '$bins' },
+    },
+    {
+      $lookup: {
+        from: 'wastestreams',
+        localField: '_id.stream',
+        foreignField: '_id',
+        as: 'streamDetails',
       },
-    });
-    pipeline.push({ $sort: { time: 1 } });
-  } else {
-    pipeline.push({
+    },
+    {
       $addFields: {
-        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
-      },
-    });
-    pipeline.push({ $sort: { associateBin: 1, createdAt: -1 } });
-    pipeline.push({
-      $group: {
-        _id: {
-          bin: '$associateBin',
-          day: '$day',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
+        '_id.binType': { $ifNull: [{ $arrayElemAt: ['$streamDetails.name', 0] }, 'Unassigned'] },
       },
-    });
-    pipeline.push({
-      $group: {
-        _id: { day: '$_id.day', binType: '$_id.binType' },
-        totalWeight: { $sum: '$latestWeight' },
-      },
-    });
-    pipeline.push({
+    },
+    {
       $group: {
-        _id: '$_id.day',
+        _id: '$_id.bucket',
         bins: { $push: { k: '$_id.binType', v: '$totalWeight' } },
       },
-    });
-    pipeline.push({
+    },
+    {
       $project: {
         time: '$_id',
         _id: 0,
         data: { $arrayToObject: '$bins' },
       },
-    });
-    pipeline.push({ $sort: { time: 1 } });
+    },
+    { $sort: { time: 1 } },
+  ];
+
+  const Rollup = rollupModel(period.granularity);
+  const result = await Rollup.aggregate(pipeline, { allowDiskUse: true });
+
+  // CO2e (kg) of each point's waste, from the branches' rollups
+  const emissions = sumEmissions(
+    await rollupEmissions(
+      Rollup,
+      await rollupMatch({ scope: 'branch', scopeId: { $in: branchIds } }, periodDays),
+      factorSet,
+      rollupBucketExpr(period.granularity),
+    ),
+    (row) => row.bucket,
+  );
+  for (const point of result) {
+    const total = emissions.get(String(point.time));
+    point.emissions = total?.emissions ?? 0;
+    point.avoidedEmissions = total?.avoidedEmissions ?? 0;
+    point.emissionFactorVersion = factorSet.version;
   }
 
-  const result = await Waste.aggregate(pipeline, { allowDiskUse: true });
   return res
     .status(200)
     .json(new ApiResponse(200, result, 'Waste trend chart data retrieved successfully'));
@@ -325,139 +279,71 @@ const getWasteTrendChart = asyncHandler(async (req, res) => {
  * GET /api/v1/analytics/wasteDispositionRates
  *
  * Returns time-series data for an area chart comparing:
- *  - Landfill Waste: Sum of latest readings for bins of type "General Waste"
- *  - Diverted Waste: Sum of latest readings for bins of other types
- * Uses hourly aggregation for "today" and daily aggregation for other filters.
+ *  - Landfill Waste: Waste disposed into waste streams that are not diverted
+ *  - Diverted Waste: Waste disposed into diverted waste streams
+ * Uses hourly aggregation for a single day and daily, weekly or monthly aggregation for
+ * longer periods (or the requested granularity).
  */
 const getWasteDispositionRates = asyncHandler(async (req, res) => {
-  const { filter } = req.query;
   const loggedInUser = req.user;
   if (!loggedInUser) throw new ApiError(401, 'User not authenticated');
 
-  // Build branch IDs.
-  const branchIds = await buildBranchIdsForLocalAdmin(loggedInUser.OrgUnit, loggedInUser.company);
+  // Branches under the local admin's OrgUnit (resolved by authorizeScope)
+  const branchIds = await scopeBranchIds(req.accessScope);
   if (!branchIds.length) {
     return res
       .status(200)
       .json(new ApiResponse(200, [], 'No branches found for your access level'));
   }
+  // Determine the period and bucket granularity (see utils/dateRange.js parsePeriod).
+  // A single day is aggregated hourly; longer periods by day, week or month.
+  const period = await requestPeriod(req.query, { companyId: loggedInUser.company });
   const now = new Date();
-  let startDateVal, endDateVal;
-  let isHourly = false;
-  if (filter === 'today') {
-    ({ startDate: startDateVal, endDate: endDateVal } = getUTCDayRange(now));
-    isHourly = true;
-  } else {
-    ({ startDate: startDateVal, endDate: endDateVal } = getDateRangeFromFilterUTC(filter, now));
-  }
 
+  // Build pipeline.
   const pipeline = [
-    { $match: { createdAt: { $gte: startDateVal, $lte: endDateVal } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
     {
-      $lookup: {
-        from: 'dustbins',
-        let: { binId: '$associateBin' },
-        pipeline: [
-          {
-            $match: {
-              $expr: {
-                $and: [{ $eq: ['$_id', '$$binId'] }, { $in: ['$branchAddress', branchIds] }],
-              },
-            },
-          },
-          { $project: { dustbinType: 1 } },
-        ],
-        as: 'binDetails',
-      },
+      $match: await rollupMatch(scopeRollups(req.accessScope, branchIds), (timeZone) =>
+        getPeriodDays(period, now, timeZone),
+      ),
     },
-    { $match: { binDetails: { $ne: [] } } },
-  ];
-
-  if (isHourly) {
-    pipeline.push({ $addFields: { hour: { $hour: '$createdAt' } } });
-    pipeline.push({
-      $group: {
-        _id: {
-          bin: '$associateBin',
-          hour: '$hour',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
-      },
-    });
-    pipeline.push({
-      $addFields: {
-        landfillWaste: {
-          $cond: [{ $eq: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
-        },
-        divertedWaste: {
-          $cond: [{ $ne: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
-        },
-      },
-    });
-    pipeline.push({
-      $group: {
-        _id: '$_id.hour',
-        totalLandfill: { $sum: '$landfillWaste' },
-        totalDiverted: { $sum: '$divertedWaste' },
-      },
-    });
-    pipeline.push({
-      $project: {
-        time: '$_id',
-        _id: 0,
-        landfillWaste: '$totalLandfill',
-        divertedWaste: '$totalDiverted',
-      },
-    });
-    pipeline.push({ $sort: { time: 1 } });
-  } else {
-    pipeline.push({
-      $addFields: {
-        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
-      },
-    });
-    pipeline.push({ $sort: { associateBin: 1, createdAt: -1 } });
-    pipeline.push({
+    // Waste disposed, summed into the period's buckets per waste stream
+    {
       $group: {
-        _id: {
-          bin: '$associateBin',
-          day: '$day',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
+        _id: { bucket: rollupBucketExpr(period.granularity), stream: '$wasteStream' },
+        weight: { $sum: '$weight' },
       },
-    });
-    pipeline.push({
+    },
+    ...streamDiversionStages('_id.stream'),
+    {
       $addFields: {
         landfillWaste: {
-          $cond: [{ $eq: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
+          $cond: ['$isDiverted', 0, '$weight'],
         },
         divertedWaste: {
-          $cond: [{ $ne: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
+          $cond: ['$isDiverted', '$weight', 0],
         },
       },
-    });
-    pipeline.push({
+    },
+    {
       $group: {
-        _id: '$_id.day',
+        _id: '$_id.bucket',
         totalLandfill: { $sum: '$landfillWaste' },
         totalDiverted: { $sum: '$divertedWaste' },
       },
-    });
-    pipeline.push({
+    },
+    {
       $project: {
         time: '$_id',
         _id: 0,
         landfillWaste: '$totalLandfill',
         divertedWaste: '$totalDiverted',
       },
-    });
-    pipeline.push({ $sort: { time: 1 } });
-  }
+    },
+    { $sort: { time: 1 } },
+  ];
 
-  const result = await Waste.aggregate(pipeline, { allowDiskUse: true });
+  const result = await rollupModel(period.granularity).aggregate(pipeline, { allowDiskUse: true });
   return res
     .status(200)
     .json(new ApiResponse(200, result, 'Waste disposition rates retrieved successfully'));
@@ -2,191 +2,107 @@ import mongoose from 'mongoose';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { Waste } from '../models/waste.models.js';
-import { Dustbin } from '../models/dustbin.models.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+import { DailyRollup } from '../models/wasteRollup.models.js';
+import { Dustbin, ACTIVE_BINS } from '../models/dustbin.models.js';
 import { BranchAddress } from '../models/branchAddress.models.js';
 import { OrgUnit } from '../models/orgUnit.model.js';
+import { streamDiversionStages } from '../services/wasteStreamService.js';
+import { scopeBranchFilter } from '../services/accessScopeService.js';
+import { branchZones, localRangeMatch } from '../services/branchTimeService.js';
+import { periodFromQuery } from '../services/reportingPeriodService.js';
+import { settledReadingsStage } from '../services/readingRetentionService.js';
 import {
-  startOfDay,
-  endOfDay,
-  startOfWeek,
-  endOfWeek,
-  startOfMonth,
-  endOfMonth,
-  subDays,
-  subWeeks,
-  subMonths,
-} from 'date-fns';
+  factorSetFromQuery,
+  rollupEmissions,
+  sumEmissions,
+  addEmissions,
+} from '../services/emissionsService.js';
+import {
+  rebuildRollups,
+  rollupBucketExpr,
+  rollupMatch,
+  rollupModel,
+} from '../services/rollupService.js';
+import { getPeriodRange, getPeriodDays, getPreviousPeriodDays } from '../utils/dateRange.js';
 
 /**
- * Helper: Returns start and end of the day in UTC.
+ * requestPeriod
+ * The reporting period of an analytics request (see utils/dateRange.js parsePeriod).
  */
-export const getUTCDayRange = (date) => {
-  const year = date.getUTCFullYear();
-  const month = date.getUTCMonth();
-  const day = date.getUTCDate();
-  const startDate = new Date(Date.UTC(year, month, day, 0, 0, 0));
-  const endDate = new Date(Date.UTC(year, month, day, 23, 59, 59, 999));
-  return { startDate, endDate };
+const requestPeriod = async (query, context) => {
+  const { period, error } = await periodFromQuery(query, context);
+  if (error) throw new ApiError(400, error);
+  return period;
 };
 
 /**
- * getDateRangeFromFilterUTC:
- * Returns start and end dates based on filter ("today", "thisWeek", "thisMonth", "lastMonth")
+ * requestFactorSet
+ * The emission factor set of an analytics request (see services/emissionsService.js).
  */
-export const getDateRangeFromFilterUTC = (filter, now = new Date()) => {
-  let startDate, endDate;
-  switch (filter) {
-    case 'today': {
-      ({ startDate, endDate } = getUTCDayRange(now));
-      break;
-    }
-    case 'thisWeek': {
-      const dayOfWeek = now.getUTCDay();
-      const diffToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-      const monday = new Date(now);
-      monday.setUTCDate(now.getUTCDate() + diffToMonday);
-      startDate = new Date(
-        Date.UTC(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate(), 0, 0, 0),
-      );
-      endDate = now;
-      break;
-    }
-    case 'thisMonth': {
-      startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
-      endDate = now;
-      break;
-    }
-    case 'lastMonth': {
-      const lastMonthDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
-      startDate = new Date(
-        Date.UTC(lastMonthDate.getUTCFullYear(), lastMonthDate.getUTCMonth(), 1, 0, 0, 0),
-      );
-      endDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0, 23, 59, 59, 999));
-      break;
-    }
-    default: {
-      ({ startDate, endDate } = getUTCDayRange(now));
-      break;
-    }
-  }
-  return { startDate, endDate };
+const requestFactorSet = async (query, period, now) => {
+  const { factorSet, error } = await factorSetFromQuery(query, period, now);
+  if (error) throw new ApiError(400, error);
+  return factorSet;
 };
 
-/**
- * getPreviousDateRange:
- * Returns the previous period's date range based on the current filter.
- */
-export const getPreviousDateRange = (filter, now = new Date()) => {
-  let previousStartDate, previousEndDate;
-  switch (filter) {
-    case 'today': {
-      const prev = new Date(now);
-      prev.setUTCDate(now.getUTCDate() - 1);
-      ({ startDate: previousStartDate, endDate: previousEndDate } = getUTCDayRange(prev));
-      break;
-    }
-    case 'thisWeek': {
-      const prev = new Date(now);
-      prev.setUTCDate(now.getUTCDate() - 7);
-      ({ startDate: previousStartDate, endDate: previousEndDate } = getUTCDayRange(prev));
-      break;
-    }
-    case 'thisMonth': {
-      const prev = new Date(now);
-      prev.setUTCMonth(now.getUTCMonth() - 1);
-      previousStartDate = new Date(Date.UTC(prev.getUTCFullYear(), prev.getUTCMonth(), 1, 0, 0, 0));
-      const dayOfNow = now.getUTCDate();
-      const lastDayOfPrevMonth = new Date(
-        Date.UTC(prev.getUTCFullYear(), prev.getUTCMonth() + 1, 0, 23, 59, 59, 999),
-      ).getUTCDate();
-      const effectiveDay = Math.min(dayOfNow, lastDayOfPrevMonth);
-      previousEndDate = new Date(
-        Date.UTC(prev.getUTCFullYear(), prev.getUTCMonth(), effectiveDay, 23, 59, 59, 999),
-      );
-      break;
-    }
-    case 'lastMonth': {
-      const prev = new Date(now);
-      prev.setUTCMonth(now.getUTCMonth() - 2);
-      previousStartDate = new Date(Date.UTC(prev.getUTCFullYear(), prev.getUTCMonth(), 1, 0, 0, 0));
-      previousEndDate = new Date(
-        Date.UTC(prev.getUTCFullYear(), prev.getUTCMonth() + 1, 0, 23, 59, 59, 999),
-      );
-      break;
-    }
-    default: {
-      const prev = new Date(now);
-      prev.setUTCDate(now.getUTCDate() - 1);
-      ({ startDate: previousStartDate, endDate: previousEndDate } = getUTCDayRange(prev));
-      break;
-    }
-  }
-  return { previousStartDate, previousEndDate };
-};
+// Rollups of the given branches (see services/rollupService.js)
+const branchRollups = (branchIds) => ({ scope: 'branch', scopeId: { $in: branchIds } });
 
 /**
- * getLatestWastePerBin:
- * Returns an array of objects with the latest waste reading per bin per day.
- * Updated to sort first using the indexed fields, then group.
+ * getDisposedWastePerStream:
+ * Returns an array of objects with the waste disposed into each waste stream at each branch
+ * (and the material and treatment it was disposed under) over a period, read from the
+ * branches' daily rollups.
+ * @param branchIds  – branches to include
+ * @param resolveDays – (timeZone) => { startDay, endDay }, resolved per zone
  */
-const getLatestWastePerBin = async (rangeStart, rangeEnd, branchIds) => {
+const getDisposedWastePerStream = async (branchIds, resolveDays) => {
   const pipeline = [
-    { $match: { createdAt: { $gte: rangeStart, $lte: rangeEnd } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
+    { $match: await rollupMatch(branchRollups(branchIds), resolveDays) },
     {
       $group: {
         _id: {
-          associateBin: '$associateBin',
-          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+          branch: '$scopeId',
+          stream: '$wasteStream',
+          material: '$material',
+          treatment: '$treatment',
         },
-        latestWeight: { $first: '$currentWeight' },
+        weight: { $sum: '$weight' },
       },
     },
-    {
-      $lookup: {
-        from: 'dustbins',
-        localField: '_id.associateBin',
-        foreignField: '_id',
-        as: 'binDetails',
-      },
-    },
-    { $unwind: '$binDetails' },
-    { $match: { 'binDetails.branchAddress': { $in: branchIds } } },
-    { $addFields: { dustbinType: '$binDetails.dustbinType' } },
+    ...streamDiversionStages('_id.stream'),
     {
       $project: {
         _id: 0,
-        associateBin: '$_id.associateBin',
-        day: '$_id.day',
-        latestWeight: 1,
-        dustbinType: 1,
+        branch: '$_id.branch',
+        wasteStream: '$_id.stream',
+        material: '$_id.material',
+        treatment: '$_id.treatment',
+        weight: 1,
+        isDiverted: 1,
       },
     },
   ];
-  const results = await Waste.aggregate(pipeline, { allowDiskUse: true });
-  return results;
+  return DailyRollup.aggregate(pipeline);
 };
 
 /**
  * getAdminOverview:
- * Computes admin-level metrics.
+ * Computes admin-level metrics for the branches matching companyId / orgUnitId,
+ * limited to the caller's access scope, over the requested period (today by default;
+ * filter, from/to or fy/quarter) with trends against the matching previous period.
+ * Emissions (kg CO2e) use one factor set for both periods: factorVersion, or the set in
+ * effect at the end of the requested period.
  */
 const getAdminOverview = asyncHandler(async (req, res) => {
-  const { companyId, orgUnitId, filter } = req.query;
+  const { companyId, orgUnitId } = req.query;
   const now = new Date();
-  const { startDate, endDate } = getDateRangeFromFilterUTC(filter, now);
-  let { previousStartDate, previousEndDate } = getPreviousDateRange(filter, now);
-
-  // For the "lastMonth" filter, override the previous period to use the current month's range.
-  // This makes the comparison "last month" (current period) compared to "this month" (previous period).
-  if (filter === 'lastMonth') {
-    previousStartDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
-    previousEndDate = now;
-    console.log(
-      `Overriding previous period for 'lastMonth': ${previousStartDate.toISOString()} to ${previousEndDate.toISOString()}`,
-    );
-  }
+  const period = await requestPeriod(req.query, { companyId });
+  const factorSet = await requestFactorSet(req.query, period, now);
+  // Periods are resolved on each branch's local calendar (see services/rollupService.js)
+  const currentDays = (timeZone) => getPeriodDays(period, now, timeZone);
+  const previousDays = (timeZone) => getPreviousPeriodDays(period, now, timeZone);
 
   let branchFilter = { isdeleted: false };
   if (companyId) branchFilter.associatedCompany = new mongoose.Types.ObjectId(companyId);
@@ -218,7 +134,10 @@ const getAdminOverview = asyncHandler(async (req, res) => {
     }
   }
 
-  const branches = await BranchAddress.find(branchFilter).select('_id').lean();
+  // Limit to the caller's branches (set by authorizeScope)
+  const branches = await BranchAddress.find(scopeBranchFilter(req.accessScope, branchFilter))
+    .select('_id')
+    .lean();
   const branchIds = branches.map((b) => b._id);
 
   if (branchIds.length === 0) {
@@ -228,6 +147,10 @@ const getAdminOverview = asyncHandler(async (req, res) => {
       landfillDiversionPercentage: 0,
       totalWasteTrend: 0,
       landfillDiversionTrend: 0,
+      totalEmissions: 0,
+      avoidedEmissions: 0,
+      emissionsTrend: 0,
+      emissionFactorVersion: factorSet.version,
     };
     return res
       .status(200)
@@ -235,23 +158,26 @@ const getAdminOverview = asyncHandler(async (req, res) => {
   }
 
   // Compute total bins.
-  const totalBins = await Dustbin.countDocuments({ branchAddress: { $in: branchIds } });
-
-  // Get latest waste per bin for current period.
-  const latestRecords = await getLatestWastePerBin(startDate, endDate, branchIds);
-  const totalWaste = latestRecords.reduce((sum, record) => sum + record.latestWeight, 0);
-  const landfillDiversion = latestRecords.reduce(
-    (sum, record) => (record.dustbinType !== 'General Waste' ? sum + record.latestWeight : sum),
+  const totalBins = await Dustbin.countDocuments({
+    branchAddress: { $in: branchIds },
+    ...ACTIVE_BINS,
+  });
+
+  // Get waste disposed per stream over the current period.
+  const disposedRecords = await getDisposedWastePerStream(branchIds, currentDays);
+  const totalWaste = disposedRecords.reduce((sum, record) => sum + record.weight, 0);
+  const landfillDiversion = disposedRecords.reduce(
+    (sum, record) => (record.isDiverted ? sum + record.weight : sum),
     0,
   );
   const currentDiversionPercentage =
     totalWaste > 0 ? Number(((landfillDiversion / totalWaste) * 100).toFixed(2)) : 0;
 
   // Get previous period records.
-  const prevRecords = await getLatestWastePerBin(previousStartDate, previousEndDate, branchIds);
-  const prevTotalWaste = prevRecords.reduce((sum, record) => sum + record.latestWeight, 0);
+  const prevRecords = await getDisposedWastePerStream(branchIds, previousDays);
+  const prevTotalWaste = prevRecords.reduce((sum, record) => sum + record.weight, 0);
   const prevLandfillDiversion = prevRecords.reduce(
-    (sum, record) => (record.dustbinType !== 'General Waste' ? sum + record.latestWeight : sum),
+    (sum, record) => (record.isDiverted ? sum + record.weight : sum),
     0,
   );
   const totalWasteTrend =
@@ -265,12 +191,29 @@ const getAdminOverview = asyncHandler(async (req, res) => {
         )
       : 0;
 
+  // CO2e of the waste disposed in each period.
+  const emissions = sumEmissions(await addEmissions(disposedRecords, factorSet));
+  const prevEmissions = sumEmissions(await addEmissions(prevRecords, factorSet));
+  const emissionsTrend =
+    prevEmissions.emissions > 0
+      ? Number(
+          (
+            ((emissions.emissions - prevEmissions.emissions) / prevEmissions.emissions) *
+            100
+          ).toFixed(2),
+        )
+      : 0;
+
   const overviewData = {
     totalBins,
     totalWaste,
     landfillDiversionPercentage: currentDiversionPercentage,
     totalWasteTrend,
     landfillDiversionTrend,
+    totalEmissions: emissions.emissions,
+    avoidedEmissions: emissions.avoidedEmissions,
+    emissionsTrend,
+    emissionFactorVersion: factorSet.version,
   };
 
   return res
@@ -304,10 +247,22 @@ const getActivityFeed = asyncHandler(async (req, res) => {
     branchIds = branches.map((b) => b._id);
     if (branchIds.length === 0) throw new ApiError(404, 'No branches found for the given company');
   }
-  const endDate = endOfDay(new Date());
-  const startDate = subDays(endDate, 6);
+  // The requested period; by default the last seven local days at each branch
+  const period = await requestPeriod(req.query, {
+    companyId,
+    branchId,
+    defaultFilter: 'last7Days',
+  });
+  const now = new Date();
+  const zones = await branchZones(branchIds);
+  const readingMatch = {
+    ...COUNTED_READINGS,
+    ...localRangeMatch(zones, (timeZone) => getPeriodRange(period, now, timeZone)),
+  };
   const pipeline = [
-    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    { $match: readingMatch },
+    // Readings older than the hot window live in the time-series collection
+    settledReadingsStage(readingMatch),
     {
       $lookup: {
         from: 'dustbins',
@@ -317,8 +272,7 @@ const getActivityFeed = asyncHandler(async (req, res) => {
       },
     },
     { $unwind: '$binData' },
-    { $match: { 'binData.branchAddress': { $in: branchIds } } },
-    { $sort: { createdAt: 1 } },
+    { $sort: { measuredAt: 1 } },
   ];
   try {
     const activities = await Waste.aggregate(pipeline, { allowDiskUse: true });
@@ -332,13 +286,15 @@ const getActivityFeed = asyncHandler(async (req, res) => {
 //--------------------------------------------------------------------------------------leader board data outdated code
 // /**
 //  * getLeaderboardData:
-//  * Aggregates cumulative waste per branch for the leaderboard using the latest reading per bin per day.
+//  * Aggregates cumulative waste per branch for the leaderboard from the waste disposed into each bin.
 //  */
 const getLeaderboardData = asyncHandler(async (req, res) => {
   const { companyId, orgUnitId } = req.query;
   const now = new Date();
-  // Use the same period logic as before.
-  const { startDate, endDate, periodLabel } = getDateRangeForLeaderboard(now);
+  // Without a requested period, use the same period logic as before.
+  const { periodFilter, periodLabel } = getLeaderboardPeriod(now, req.query);
+  const period = await requestPeriod(req.query, { companyId, defaultFilter: periodFilter });
+  const factorSet = await requestFactorSet(req.query, period, now);
 
   // Build branch filter based on companyId and optionally orgUnitId.
   let branchFilter = { isdeleted: false };
@@ -361,57 +317,34 @@ const getLeaderboardData = asyncHandler(async (req, res) => {
       .json(
         new ApiResponse(
           200,
-          { leaderboard: [], period: periodLabel },
+          { leaderboard: [], period: periodLabel, emissionFactorVersion: factorSet.version },
           'No branches found for the given filter',
         ),
       );
   }
 
+  // Branch rollups over the leaderboard period (each branch's local month).
+  const rollupFilter = await rollupMatch(branchRollups(branchIds), (timeZone) =>
+    getPeriodDays(period, now, timeZone),
+  );
+
   // Build the aggregation pipeline.
   let pipeline = [
-    // Filter waste records over the leaderboard period.
-    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
-    // Add a 'day' field in UTC (formatted as YYYY-MM-DD).
-    {
-      $addFields: {
-        day: {
-          $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' },
-        },
-      },
-    },
-    // Sort so that the latest record per bin appears first.
-    { $sort: { associateBin: 1, createdAt: -1 } },
-    // Group by bin and day, picking the latest reading per bin per day.
+    { $match: rollupFilter },
+    // Sum the waste disposed per branch and waste stream.
     {
       $group: {
-        _id: { bin: '$associateBin', day: '$day' },
-        latestWaste: { $first: '$currentWeight' },
-      },
-    },
-    // Sum the daily latest readings per bin.
-    {
-      $group: {
-        _id: '$_id.bin',
-        cumulativeWaste: { $sum: '$latestWaste' },
-      },
-    },
-    // Look up bin details.
-    {
-      $lookup: {
-        from: 'dustbins',
-        localField: '_id',
-        foreignField: '_id',
-        as: 'binDetails',
+        _id: { branch: '$scopeId', stream: '$wasteStream' },
+        cumulativeWaste: { $sum: '$weight' },
       },
     },
-    { $unwind: '$binDetails' },
-    // Only include bins from the branches we care about.
-    { $match: { 'binDetails.branchAddress': { $in: branchIds } } },
+    // Diversion classification comes from the waste stream.
+    ...streamDiversionStages('_id.stream'),
     // Lookup branch details for grouping.
     {
       $lookup: {
         from: 'branchaddresses',
-        localField: 'binDetails.branchAddress',
+        localField: '_id.branch',
         foreignField: '_id',
         as: 'branchDetails',
       },
@@ -429,7 +362,7 @@ const getLeaderboardData = asyncHandler(async (req, res) => {
           totalWaste: { $sum: '$cumulativeWaste' },
           landfillDiversion: {
             $sum: {
-              $cond: [{ $ne: ['$binDetails.dustbinType', 'General Waste'] }, '$cumulativeWaste', 0],
+              $cond: ['$isDiverted', '$cumulativeWaste', 0],
             },
           },
         },
@@ -457,7 +390,7 @@ const getLeaderboardData = asyncHandler(async (req, res) => {
           totalWaste: { $sum: '$cumulativeWaste' },
           landfillDiversion: {
             $sum: {
-              $cond: [{ $ne: ['$binDetails.dustbinType', 'General Waste'] }, '$cumulativeWaste', 0],
+              $cond: ['$isDiverted', '$cumulativeWaste', 0],
             },
           },
         },
@@ -491,39 +424,53 @@ const getLeaderboardData = asyncHandler(async (req, res) => {
   // Sort the results in descending order by diversion percentage.
   pipeline.push({ $sort: { diversionPercentage: -1 } });
 
-  const leaderboard = await Waste.aggregate(pipeline).allowDiskUse(true);
+  const leaderboard = await DailyRollup.aggregate(pipeline).allowDiskUse(true);
+
+  // CO2e per entry, from the same rollups (entries are branches or companies)
+  const companyOf = new Map(branches.map((b) => [b._id.toString(), b.associatedCompany]));
+  const emissions = sumEmissions(
+    await rollupEmissions(DailyRollup, rollupFilter, factorSet),
+    (row) => (orgUnitId ? row.branch : companyOf.get(row.branch.toString())),
+  );
+  for (const entry of leaderboard) {
+    const total = emissions.get(entry._id.toString());
+    entry.totalEmissions = total?.emissions ?? 0;
+    entry.avoidedEmissions = total?.avoidedEmissions ?? 0;
+  }
+
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        { leaderboard, period: periodLabel },
+        { leaderboard, period: periodLabel, emissionFactorVersion: factorSet.version },
         'Leaderboard data fetched successfully',
       ),
     );
 });
 
-const getDateRangeForLeaderboard = (now = new Date()) => {
-  let periodLabel = 'This Month';
-  let startDate, endDate;
+/**
+ * getLeaderboardPeriod:
+ * By default the leaderboard covers this month, or last month during the first week (to ensure
+ * sufficient data). The choice is made on the UTC date so every branch uses the same month,
+ * which is then resolved on each branch's local calendar. A requested period (filter, from/to
+ * or fy) replaces it.
+ */
+const getLeaderboardPeriod = (now = new Date(), query = {}) => {
+  if (query.filter || query.from || query.to || query.fy) {
+    return { periodFilter: undefined, periodLabel: query.filter || 'Custom' };
+  }
   if (now.getUTCDate() <= 7) {
-    // Use last month's period to ensure sufficient data.
-    const lastMonth = subMonths(now, 1);
-    startDate = startOfMonth(lastMonth);
-    endDate = endOfMonth(lastMonth);
-    periodLabel = 'Last Month';
-  } else {
-    startDate = startOfMonth(now);
-    endDate = endOfMonth(now);
+    return { periodFilter: 'lastMonth', periodLabel: 'Last Month' };
   }
-  return { startDate, endDate, periodLabel };
+  return { periodFilter: 'thisMonth', periodLabel: 'This Month' };
 };
 
 // --------------------
 // Waste Trend Chart
 // --------------------
 const getWasteTrendChart = asyncHandler(async (req, res) => {
-  const { branchId, companyId, orgUnitId, filter, zoomDate } = req.query;
+  const { branchId, companyId, orgUnitId, zoomDate } = req.query;
 
   // Build branchIds using branch, company or org unit filters.
   let branchIds = [];
@@ -607,119 +554,77 @@ const getWasteTrendChart = asyncHandler(async (req, res) => {
     return res.status(200).json(new ApiResponse(200, [], 'No branches found for the given filter'));
   }
 
-  // Determine date range and aggregation granularity.
+  // Determine the period and bucket granularity (see utils/dateRange.js parsePeriod);
+  // a zoomDate narrows the chart to that single day.
+  const period = await requestPeriod(
+    zoomDate ? { from: zoomDate, to: zoomDate, granularity: req.query.granularity } : req.query,
+    { companyId, branchId },
+  );
   const now = new Date();
-  let startDateVal, endDateVal;
-  let isHourly = false;
-  if (filter === 'today' || zoomDate) {
-    if (zoomDate) {
-      const zDate = new Date(zoomDate);
-      if (isNaN(zDate)) throw new ApiError(400, 'Invalid zoomDate format');
-      ({ startDate: startDateVal, endDate: endDateVal } = getUTCDayRange(zDate));
-    } else {
-      ({ startDate: startDateVal, endDate: endDateVal } = getUTCDayRange(now));
-    }
-    isHourly = true;
-  } else {
-    ({ startDate: startDateVal, endDate: endDateVal } = getDateRangeFromFilterUTC(filter, now));
-  }
+  const factorSet = await requestFactorSet(req.query, period, now);
+  const rollupFilter = await rollupMatch(branchRollups(branchIds), (timeZone) =>
+    getPeriodDays(period, now, timeZone),
+  );
 
   // Build aggregation pipeline.
   const pipeline = [
-    { $match: { createdAt: { $gte: startDateVal, $lte: endDateVal } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
+    { $match: rollupFilter },
+    // Waste disposed, summed into the period's buckets per waste stream
     {
-      $lookup: {
-        from: 'dustbins',
-        let: { binId: '$associateBin' },
-        pipeline: [
-          {
-            $match: {
-              $expr: {
-                $and: [{ $eq: ['$_id', '$$binId'] }, { $in: ['$branchAddress', branchIds] }],
-              },
-            },
-          },
-          { $project: { dustbinType: 1 } },
-        ],
-        as: 'binDetails',
-      },
-    },
-    { $match: { binDetails: { $ne: [] } } },
-  ];
-
-  if (isHourly) {
-    pipeline.push({ $addFields: { hour: { $hour: '$createdAt' } } });
-    pipeline.push({
       $group: {
-        _id: {
-          bin: '$associateBin',
-          hour: '$hour',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
+        _id: { bucket: rollupBucketExpr(period.granularity), stream: '$wasteStream' },
+        totalWeight: { $sum: '$weight' },
       },
-    });
-    pipeline.push({
-      $group: {
-        _id: { hour: '$_id.hour', binType: '$_id.binType' },
-        totalWeight: { $sum: '$latestWeight' },
-      },
-    });
-    pipeline.push({
-      $group: {
-        _id: '$_id.hour',
-        bins: { $push: { k: '$_id.binType', v: '$totalWeight' } },
-      },
-    });
-    pipeline.push({
-      $project: {
-        time: '$_id',
-        _id: 0,
-        data: { $arrayToObject: '$bins' },
-      },
-    });
-    pipeline.push({ $sort: { time: 1 } });
-  } else {
-    pipeline.push({
-      $addFields: {
-        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+    },
+    {
+      $lookup: {
+        from: 'wastestreams',
+        localField: '_id.stream',
+        foreignField: '_id',
+        as: 'streamDetails',
       },
-    });
-    pipeline.push({ $sort: { associateBin: 1, createdAt: -1 } });
-    pipeline.push({
+    },
+    // Streams of different companies share a name (and a bin type), so sum by name
+    {
       $group: {
         _id: {
-          bin: '$associateBin',
-          day: '$day',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
+          bucket: '$_id.bucket',
+          binType: { $ifNull: [{ $arrayElemAt: ['$streamDetails.name', 0] }, 'Unassigned'] },
         },
-        latestWeight: { $first: '$currentWeight' },
+        totalWeight: { $sum: '$totalWeight' },
       },
-    });
-    pipeline.push({
-      $group: {
-        _id: { day: '$_id.day', binType: '$_id.binType' },
-        totalWeight: { $sum: '$latestWeight' },
-      },
-    });
-    pipeline.push({
+    },
+    {
       $group: {
-        _id: '$_id.day',
+        _id: '$_id.bucket',
         bins: { $push: { k: '$_id.binType', v: '$totalWeight' } },
       },
-    });
-    pipeline.push({
+    },
+    {
       $project: {
         time: '$_id',
         _id: 0,
         data: { $arrayToObject: '$bins' },
       },
-    });
-    pipeline.push({ $sort: { time: 1 } });
+    },
+    { $sort: { time: 1 } },
+  ];
+
+  const Rollup = rollupModel(period.granularity);
+  const result = await Rollup.aggregate(pipeline, { allowDiskUse: true });
+
+  // CO2e (kg) of each point's waste
+  const emissions = sumEmissions(
+    await rollupEmissions(Rollup, rollupFilter, factorSet, rollupBucketExpr(period.granularity)),
+    (row) => row.bucket,
+  );
+  for (const point of result) {
+    const total = emissions.get(String(point.time));
+    point.emissions = total?.emissions ?? 0;
+    point.avoidedEmissions = total?.avoidedEmissions ?? 0;
+    point.emissionFactorVersion = factorSet.version;
   }
 
-  const result = await Waste.aggregate(pipeline, { allowDiskUse: true });
   return res
     .status(200)
     .json(new ApiResponse(200, result, 'Waste trend chart data retrieved successfully'));
@@ -729,7 +634,7 @@ const getWasteTrendChart = asyncHandler(async (req, res) => {
 // Waste Disposition Rates
 // --------------------
 const getWasteDispositionRates = asyncHandler(async (req, res) => {
-  const { branchId, companyId, orgUnitId, filter } = req.query;
+  const { branchId, companyId, orgUnitId } = req.query;
 
   // Build branchIds using branch, company, or org unit filters.
   let branchIds = [];
@@ -811,131 +716,70 @@ const getWasteDispositionRates = asyncHandler(async (req, res) => {
     return res.status(200).json(new ApiResponse(200, [], 'No branches found for the given filter'));
   }
 
-  // Determine date range and aggregation granularity.
-  // When filter is "today", aggregate hourly; otherwise, daily.
+  // Determine the period and bucket granularity (see utils/dateRange.js parsePeriod).
+  // A single day is aggregated hourly; longer periods by day, week or month.
+  const period = await requestPeriod(req.query, { companyId, branchId });
   const now = new Date();
-  let startDateVal, endDateVal;
-  let isHourly = false;
-  if (filter === 'today') {
-    ({ startDate: startDateVal, endDate: endDateVal } = getUTCDayRange(now));
-    isHourly = true;
-  } else {
-    ({ startDate: startDateVal, endDate: endDateVal } = getDateRangeFromFilterUTC(filter, now));
-  }
 
   // Build pipeline.
   const pipeline = [
-    { $match: { createdAt: { $gte: startDateVal, $lte: endDateVal } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
     {
-      $lookup: {
-        from: 'dustbins',
-        let: { binId: '$associateBin' },
-        pipeline: [
-          {
-            $match: {
-              $expr: {
-                $and: [{ $eq: ['$_id', '$$binId'] }, { $in: ['$branchAddress', branchIds] }],
-              },
-            },
-          },
-          { $project: { dustbinType: 1 } },
-        ],
-        as: 'binDetails',
-      },
+      $match: await rollupMatch(branchRollups(branchIds), (timeZone) =>
+        getPeriodDays(period, now, timeZone),
+      ),
     },
-    { $match: { binDetails: { $ne: [] } } },
-  ];
-
-  if (isHourly) {
-    pipeline.push({ $addFields: { hour: { $hour: '$createdAt' } } });
-    pipeline.push({
-      $group: {
-        _id: {
-          bin: '$associateBin',
-          hour: '$hour',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
-      },
-    });
-    pipeline.push({
-      $addFields: {
-        landfillWaste: {
-          $cond: [{ $eq: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
-        },
-        divertedWaste: {
-          $cond: [{ $ne: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
-        },
-      },
-    });
-    pipeline.push({
-      $group: {
-        _id: '$_id.hour',
-        totalLandfill: { $sum: '$landfillWaste' },
-        totalDiverted: { $sum: '$divertedWaste' },
-      },
-    });
-    pipeline.push({
-      $project: {
-        time: '$_id',
-        _id: 0,
-        landfillWaste: '$totalLandfill',
-        divertedWaste: '$totalDiverted',
-      },
-    });
-    pipeline.push({ $sort: { time: 1 } });
-  } else {
-    pipeline.push({
-      $addFields: {
-        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
-      },
-    });
-    pipeline.push({ $sort: { associateBin: 1, createdAt: -1 } });
-    pipeline.push({
+    // Waste disposed, summed into the period's buckets per waste stream
+    {
       $group: {
-        _id: {
-          bin: '$associateBin',
-          day: '$day',
-          binType: { $arrayElemAt: ['$binDetails.dustbinType', 0] },
-        },
-        latestWeight: { $first: '$currentWeight' },
+        _id: { bucket: rollupBucketExpr(period.granularity), stream: '$wasteStream' },
+        weight: { $sum: '$weight' },
       },
-    });
-    pipeline.push({
+    },
+    ...streamDiversionStages('_id.stream'),
+    {
       $addFields: {
         landfillWaste: {
-          $cond: [{ $eq: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
+          $cond: ['$isDiverted', 0, '$weight'],
         },
         divertedWaste: {
-          $cond: [{ $ne: ['$_id.binType', 'General Waste'] }, '$latestWeight', 0],
+          $cond: ['$isDiverted', '$weight', 0],
         },
       },
-    });
-    pipeline.push({
+    },
+    {
       $group: {
-        _id: '$_id.day',
+        _id: '$_id.bucket',
         totalLandfill: { $sum: '$landfillWaste' },
         totalDiverted: { $sum: '$divertedWaste' },
       },
-    });
-    pipeline.push({
+    },
+    {
       $project: {
         time: '$_id',
         _id: 0,
         landfillWaste: '$totalLandfill',
         divertedWaste: '$totalDiverted',
       },
-    });
-    pipeline.push({ $sort: { time: 1 } });
-  }
+    },
+    { $sort: { time: 1 } },
+  ];
 
-  const result = await Waste.aggregate(pipeline, { allowDiskUse: true });
+  const result = await rollupModel(period.granularity).aggregate(pipeline, { allowDiskUse: true });
   return res
     .status(200)
     .json(new ApiResponse(200, result, 'Waste disposition rates retrieved successfully'));
 });
 
+/**
+ * rebuildAnalyticsRollups:
+ * Recomputes the analytics rollups from the disposal records (e.g. after a bulk data fix).
+ * The rebuild runs in the background; its progress is logged.
+ */
+const rebuildAnalyticsRollups = asyncHandler(async (req, res) => {
+  rebuildRollups().catch((err) => console.error('❌ Rollup rebuild failed:', err));
+  return res.status(202).json(new ApiResponse(202, null, 'Analytics rollup rebuild started'));
+});
+
 // --------------------
 // Export functions
 // --------------------
@@ -945,4 +789,5 @@ export {
   getLeaderboardData,
   getWasteTrendChart,
   getWasteDispositionRates,
+  rebuildAnalyticsRollups,
 };
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { BinAlert } from '../models/binAlert.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { isInScope } from '../services/accessScopeService.js';
+
+/**
+ * assertBranchAccess
+ * Checks a branch exists and is in the caller's access scope.
+ */
+const assertBranchAccess = async (branchId, accessScope) => {
+  if (!(await BranchAddress.exists({ _id: branchId }))) {
+    throw new ApiError(404, 'Branch not found');
+  }
+  if (!(await isInScope(accessScope, 'branch', branchId))) {
+    throw new ApiError(403, 'You do not have access to this branch');
+  }
+};
+
+/**
+ * listBinAlerts
+ * Lists a branch's bin alerts, newest first.
+ * Optional filters: status ("open" by default, "resolved", or "all") and
+ * type ("fillLevel" or "missedCollection").
+ *
+ * @route GET /api/v1/binAlerts?branchId=&status=&type=&page=&limit=
+ */
+const listBinAlerts = asyncHandler(async (req, res) => {
+  const { branchId, status = 'open', type } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+    throw new ApiError(400, 'A valid branchId is required');
+  }
+  await assertBranchAccess(branchId, req.accessScope);
+
+  const filter = { branchAddress: branchId };
+  if (status !== 'all') filter.status = status;
+  if (type) filter.type = type;
+
+  const [items, total] = await Promise.all([
+    BinAlert.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('bin', 'name dustbinType binCapacity')
+      .lean(),
+    BinAlert.countDocuments(filter),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { items, total, page, limit }, 'Bin alerts fetched successfully'));
+});
+
+/**
+ * acknowledgeBinAlert
+ * Records that someone has seen an alert and is dealing with it.
+ * The alert stays open until the bin's fill level drops back below the threshold
+ * (fillLevel) or the bin is cleaned (missedCollection).
+ *
+ * @route POST /api/v1/binAlerts/:id/acknowledge
+ */
+const acknowledgeBinAlert = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid alert ID');
+  }
+  const alert = await BinAlert.findById(id);
+  if (!alert) {
+    throw new ApiError(404, 'Alert not found');
+  }
+  await assertBranchAccess(alert.branchAddress, req.accessScope);
+
+  alert.acknowledgedBy = req.user._id;
+  alert.acknowledgedAt = new Date();
+  await alert.save();
+
+  return res.status(200).json(new ApiResponse(200, alert, 'Alert acknowledged successfully'));
+});
+
+export { listBinAlerts, acknowledgeBinAlert };
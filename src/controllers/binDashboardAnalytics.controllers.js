@@ -2,27 +2,67 @@ import mongoose from 'mongoose';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { Waste } from '../models/waste.models.js';
-import { Dustbin } from '../models/dustbin.models.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+import { DailyRollup } from '../models/wasteRollup.models.js';
+import { Dustbin, ACTIVE_BINS } from '../models/dustbin.models.js';
 import { BranchAddress } from '../models/branchAddress.models.js';
-import { getUTCDayRange } from './SuperAdminAnalytics.controllers.js';
-import { subDays } from 'date-fns';
+import { streamDiversionStages } from '../services/wasteStreamService.js';
+import { withFillPercent } from '../services/binFillService.js';
+import { resolveSubscription } from '../services/realtimeService.js';
+import { openEventStream } from '../socket/sse.js';
+import { binTimeZone } from '../services/branchTimeService.js';
+import { periodFromQuery } from '../services/reportingPeriodService.js';
+import { rollupBucketExpr, rollupMatch, rollupModel } from '../services/rollupService.js';
+import { getDayRange, getPeriodDays, getPreviousPeriodDays } from '../utils/dateRange.js';
+
+/**
+ * requestPeriod
+ * The reporting period of a dashboard request (see utils/dateRange.js parsePeriod), using the
+ * financial year of the branch's company.
+ */
+const requestPeriod = async (req, defaultFilter) => {
+  const { period, error } = await periodFromQuery(req.query, {
+    branchId: req.query.branchId,
+    defaultFilter,
+  });
+  if (error) throw new ApiError(400, error);
+  return period;
+};
+
+// Rollups of the given branches (see services/rollupService.js)
+const branchRollups = (branchIds) => ({ scope: 'branch', scopeId: { $in: branchIds } });
+
+/**
+ * disposedTotal
+ * Total waste disposed (kg) at the given branches over local days resolved per time zone.
+ */
+const disposedTotal = async (branchIds, resolveDays) => {
+  const [total] = await DailyRollup.aggregate([
+    { $match: await rollupMatch(branchRollups(branchIds), resolveDays) },
+    { $group: { _id: null, weight: { $sum: '$weight' } } },
+  ]);
+  return total?.weight || 0;
+};
 
 /**
  * getLatestBinWeight:
- * Retrieves the latest waste record for a specific bin (today's data).
+ * Retrieves the latest waste record for a specific bin (today's data, in its branch's time zone).
  */
 const getLatestBinWeight = asyncHandler(async (req, res) => {
   const { binId } = req.query;
   if (!binId) throw new ApiError(400, 'binId is required');
   if (!mongoose.Types.ObjectId.isValid(binId)) throw new ApiError(400, 'Invalid binId format');
 
-  const { startDate: todayStart, endDate: todayEnd } = getUTCDayRange(new Date());
+  const { startDate: todayStart, endDate: todayEnd } = getDayRange(
+    new Date(),
+    await binTimeZone(binId),
+  );
   const latestWasteRecord = await Waste.findOne({
     associateBin: binId,
-    createdAt: { $gte: todayStart, $lte: todayEnd },
+    ...COUNTED_READINGS,
+    measuredAt: { $gte: todayStart, $lte: todayEnd },
   })
-    .sort({ createdAt: -1 })
+    .sort({ measuredAt: -1 })
     .lean();
 
   if (!latestWasteRecord)
@@ -35,17 +75,18 @@ const getLatestBinWeight = asyncHandler(async (req, res) => {
 
 /**
  * getBinStatus:
- * Retrieves real-time status for all bins in a branch.
+ * Retrieves real-time status for all bins in a branch, including estimated fill level.
  */
 const getBinStatus = asyncHandler(async (req, res) => {
   const { branchId } = req.query;
   if (!branchId) throw new ApiError(400, 'branchId is required');
-  const bins = await Dustbin.find({ branchAddress: branchId }).lean();
-  const binStatus = bins.map((bin) => ({
+  const bins = await Dustbin.find({ branchAddress: branchId, ...ACTIVE_BINS }).lean();
+  const binStatus = (await withFillPercent(bins, 'currentWeight')).map((bin) => ({
     _id: bin._id,
     binName: bin.dustbinType,
     currentWeight: bin.currentWeight,
     binCapacity: bin.binCapacity,
+    fillPercent: bin.fillPercent,
     isActive: !bin.isCleaned,
   }));
   return res
@@ -55,37 +96,21 @@ const getBinStatus = asyncHandler(async (req, res) => {
 /**
  * getMinimalOverview:
  * Computes branch-level metrics for the employee dashboard.
- * Updated to use consistent aggregation (latest per bin per day) for trend and today's waste.
+ * Waste is what was disposed into the bins, read from the branch rollups (see
+ * services/rollupService.js).
+ * Covers today by default, or the requested period (filter, from/to or fy/quarter); `todayWaste`
+ * is the branch's waste over that period. Periods are each branch's local days, for the branch
+ * and for the company total alike.
  */
 const getMinimalOverview = asyncHandler(async (req, res) => {
   const { branchId } = req.query;
   if (!branchId) throw new ApiError(400, 'branchId is required');
   const now = new Date();
-  const { startDate, endDate } = getUTCDayRange(now);
+  const period = await requestPeriod(req, 'today');
+  const resolveDays = (timeZone) => getPeriodDays(period, now, timeZone);
 
-  // Pipeline for computing today's waste for the branch (using only the latest reading per bin)
-  const branchWasteAgg = await Waste.aggregate([
-    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
-    {
-      $lookup: {
-        from: 'dustbins',
-        localField: 'associateBin',
-        foreignField: '_id',
-        as: 'binData',
-      },
-    },
-    { $unwind: '$binData' },
-    { $match: { 'binData.branchAddress': new mongoose.Types.ObjectId(branchId) } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
-    {
-      $group: {
-        _id: '$associateBin',
-        latestWeight: { $first: '$currentWeight' },
-      },
-    },
-    { $group: { _id: null, totalBranchWaste: { $sum: '$latestWeight' } } },
-  ]).option({ allowDiskUse: true });
-  const todayWaste = branchWasteAgg[0]?.totalBranchWaste || 0;
+  // The period's waste for the branch
+  const todayWaste = await disposedTotal([new mongoose.Types.ObjectId(branchId)], resolveDays);
 
   // Retrieve the branch's company from the BranchAddress record.
   const branchRecord = await BranchAddress.findById(branchId).lean();
@@ -100,29 +125,8 @@ const getMinimalOverview = asyncHandler(async (req, res) => {
     .lean();
   const branchIds = companyBranches.map((b) => b._id);
 
-  // Pipeline for computing total company waste (using only the latest reading per bin)
-  const companyWasteAgg = await Waste.aggregate([
-    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
-    {
-      $lookup: {
-        from: 'dustbins',
-        localField: 'associateBin',
-        foreignField: '_id',
-        as: 'binData',
-      },
-    },
-    { $unwind: '$binData' },
-    { $match: { 'binData.branchAddress': { $in: branchIds } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
-    {
-      $group: {
-        _id: '$associateBin',
-        latestWeight: { $first: '$currentWeight' },
-      },
-    },
-    { $group: { _id: null, totalCompanyWaste: { $sum: '$latestWeight' } } },
-  ]).option({ allowDiskUse: true });
-  const totalCompanyWaste = companyWasteAgg[0]?.totalCompanyWaste || 0;
+  // Total company waste
+  const totalCompanyWaste = await disposedTotal(branchIds, resolveDays);
 
   // Calculate branch contribution as percentage.
   const branchContribution = totalCompanyWaste
@@ -139,24 +143,24 @@ const getMinimalOverview = asyncHandler(async (req, res) => {
 
 /**
  * getWasteLast7Days:
- * Retrieves waste data for the last 7 days using the latest reading per bin per day.
+ * Retrieves the waste disposed into each bin per day over the last 7 days.
+ * Days are the branch's local days. A requested period (filter, from/to or fy/quarter) replaces
+ * the last 7 days; each point's `date` is then its bucket (see rollupBucketExpr), e.g. a week
+ * ('YYYY-Www') for a quarter.
  */
 const getWasteLast7Days = asyncHandler(async (req, res) => {
   const { branchId } = req.query;
   if (!branchId) throw new ApiError(400, 'branchId is required');
-  const today = new Date();
-  const startDate = getUTCDayRange(new Date(subDays(today, 6))).startDate;
-  const endDate = getUTCDayRange(today).endDate;
+  const now = new Date();
+  const period = await requestPeriod(req, 'last7Days');
+  // Bin rollups of the branch
+  const binRollups = { scope: 'bin', branchAddress: new mongoose.Types.ObjectId(branchId) };
   const pipeline = [
-    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
-    { $sort: { associateBin: 1, createdAt: -1 } },
+    { $match: await rollupMatch(binRollups, (timeZone) => getPeriodDays(period, now, timeZone)) },
     {
       $group: {
-        _id: {
-          bin: '$associateBin',
-          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
-        },
-        weight: { $first: '$currentWeight' },
+        _id: { bin: '$scopeId', date: rollupBucketExpr(period.granularity) },
+        weight: { $sum: '$weight' },
       },
     },
     {
@@ -168,7 +172,6 @@ const getWasteLast7Days = asyncHandler(async (req, res) => {
       },
     },
     { $unwind: '$binData' },
-    { $match: { 'binData.branchAddress': new mongoose.Types.ObjectId(branchId) } },
     {
       $group: {
         _id: '$_id.bin',
@@ -176,9 +179,12 @@ const getWasteLast7Days = asyncHandler(async (req, res) => {
         data: { $push: { date: '$_id.date', weight: '$weight' } },
       },
     },
+    { $addFields: { data: { $sortArray: { input: '$data', sortBy: { date: 1 } } } } },
     { $sort: { binName: 1 } },
   ];
-  const wasteData = await Waste.aggregate(pipeline, { allowDiskUse: true });
+  const wasteData = await rollupModel(period.granularity).aggregate(pipeline, {
+    allowDiskUse: true,
+  });
   return res
     .status(200)
     .json(new ApiResponse(200, wasteData, 'Waste data for last 7 days retrieved successfully'));
@@ -186,7 +192,8 @@ const getWasteLast7Days = asyncHandler(async (req, res) => {
 
 /**
  * getWasteTrendComparison:
- * Compares total waste of this week vs last week for a branch,
+ * Compares total waste of this week (the last 7 local days) vs last week for a branch, or of a
+ * requested period (filter, from/to or fy/quarter) vs the matching previous period,
  * logs debug information to console.
  */
 const getWasteTrendComparison = asyncHandler(async (req, res) => {
@@ -196,40 +203,20 @@ const getWasteTrendComparison = asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(branchId))
     throw new ApiError(400, 'Invalid branchId format');
 
+  // By default the last 7 local days at the branch vs the 7 before them
   const today = new Date();
-  const { startDate: thisWeekStart } = getUTCDayRange(subDays(today, 6));
-  const { endDate: thisWeekEnd } = getUTCDayRange(today);
-  const { startDate: lastWeekStart } = getUTCDayRange(subDays(today, 13));
-  const { endDate: lastWeekEnd } = getUTCDayRange(subDays(today, 7));
-  console.log('📆 Date Ranges:', { thisWeekStart, thisWeekEnd, lastWeekStart, lastWeekEnd });
-
-  const getPeriodTotal = async (startDate, endDate) => {
-    const agg = await Waste.aggregate([
-      { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
-      {
-        $lookup: {
-          from: 'dustbins',
-          localField: 'associateBin',
-          foreignField: '_id',
-          as: 'binData',
-        },
-      },
-      { $unwind: '$binData' },
-      { $match: { 'binData.branchAddress': new mongoose.Types.ObjectId(branchId) } },
-      { $sort: { associateBin: 1, createdAt: -1 } },
-      {
-        $group: {
-          _id: '$associateBin',
-          latestWeight: { $first: '$currentWeight' },
-        },
-      },
-      { $group: { _id: null, total: { $sum: '$latestWeight' } } },
-    ]).option({ allowDiskUse: true });
-    return agg[0]?.total || 0;
-  };
+  const period = await requestPeriod(req, 'last7Days');
+  const branchIds = [new mongoose.Types.ObjectId(branchId)];
+  const isWeek = period.days === 7;
+  console.log('📆 Period:', period);
 
-  const thisWeekTotal = await getPeriodTotal(thisWeekStart, thisWeekEnd);
-  const lastWeekTotal = await getPeriodTotal(lastWeekStart, lastWeekEnd);
+  // Totals keep their week-based names for existing clients, whatever the period
+  const thisWeekTotal = await disposedTotal(branchIds, (timeZone) =>
+    getPeriodDays(period, today, timeZone),
+  );
+  const lastWeekTotal = await disposedTotal(branchIds, (timeZone) =>
+    getPreviousPeriodDays(period, today, timeZone),
+  );
   console.log('🔢 Totals:', { thisWeekTotal, lastWeekTotal });
 
   let percentChange = 0;
@@ -240,11 +227,14 @@ const getWasteTrendComparison = asyncHandler(async (req, res) => {
   console.log('📈 percentChange:', percentChange);
 
   const trend = percentChange > 0 ? 'higher' : percentChange < 0 ? 'lower' : 'equal';
-  const message = `This week total waste collection (${Math.abs(thisWeekTotal).toFixed(
+  const [thisLabel, lastLabel] = isWeek
+    ? ['This week', 'last week']
+    : ['This period', 'the previous period'];
+  const message = `${thisLabel} total waste collection (${Math.abs(thisWeekTotal).toFixed(
     2,
   )} KG) is ${Math.abs(percentChange).toFixed(
     2,
-  )}% ${trend} compared to last week (${lastWeekTotal} KG)`;
+  )}% ${trend} compared to ${lastLabel} (${lastWeekTotal} KG)`;
   console.log('📣 message:', message);
 
   return res
@@ -260,7 +250,8 @@ const getWasteTrendComparison = asyncHandler(async (req, res) => {
 
 /**
  * getDiversionRate:
- * Retrieves today’s diversion % and the change vs. yesterday for a branch.
+ * Retrieves today’s diversion % and the change vs. yesterday for a branch, or those of a
+ * requested period (filter, from/to or fy/quarter) vs the matching previous period.
  */
 const getDiversionRate = asyncHandler(async (req, res) => {
   const { branchId } = req.query;
@@ -268,49 +259,33 @@ const getDiversionRate = asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(branchId))
     throw new ApiError(400, 'Invalid branchId format');
 
-  // helper to run one-day pipeline
-  const oneDay = async (startDate, endDate) => {
-    const recs = await Waste.aggregate([
-      { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
-      {
-        $lookup: {
-          from: 'dustbins',
-          localField: 'associateBin',
-          foreignField: '_id',
-          as: 'binData',
-        },
-      },
-      { $unwind: '$binData' },
-      { $match: { 'binData.branchAddress': new mongoose.Types.ObjectId(branchId) } },
-      { $sort: { associateBin: 1, createdAt: -1 } },
-      {
-        $group: {
-          _id: '$associateBin',
-          latestWeight: { $first: '$currentWeight' },
-          binType: { $first: '$binData.dustbinType' },
-        },
-      },
-    ]).option({ allowDiskUse: true });
+  const now = new Date();
+  const period = await requestPeriod(req, 'today');
+  const rollups = branchRollups([new mongoose.Types.ObjectId(branchId)]);
+
+  // helper to run the pipeline over one period (waste disposed per waste stream)
+  const periodRate = async (resolveDays) => {
+    const recs = await DailyRollup.aggregate([
+      { $match: await rollupMatch(rollups, resolveDays) },
+      { $group: { _id: '$wasteStream', weight: { $sum: '$weight' } } },
+      ...streamDiversionStages('_id'),
+    ]);
 
     let total = 0,
       diverted = 0;
-    for (const { latestWeight, binType } of recs) {
-      total += latestWeight;
-      if (binType !== 'General Waste') diverted += latestWeight;
+    for (const { weight, isDiverted } of recs) {
+      total += weight;
+      if (isDiverted) diverted += weight;
     }
     const pct = total > 0 ? Number(((diverted / total) * 100).toFixed(2)) : 0;
     return pct;
   };
 
-  // today
-  const now = new Date();
-  const { startDate: todayStart, endDate: todayEnd } = getUTCDayRange(now);
-  const todayPct = await oneDay(todayStart, todayEnd);
+  // today (or the requested period), in the branch's time zone
+  const todayPct = await periodRate((timeZone) => getPeriodDays(period, now, timeZone));
 
-  // yesterday
-  const yesterday = subDays(now, 1);
-  const { startDate: yStart, endDate: yEnd } = getUTCDayRange(yesterday);
-  const yesterdayPct = await oneDay(yStart, yEnd);
+  // yesterday (or the matching previous period)
+  const yesterdayPct = await periodRate((timeZone) => getPreviousPeriodDays(period, now, timeZone));
 
   const trendValue = Number((todayPct - yesterdayPct).toFixed(2));
 
@@ -325,6 +300,30 @@ const getDiversionRate = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * streamLiveUpdates:
+ * Server-Sent Events alternative to Socket.io for clients that cannot use WebSockets
+ * (e.g., bin-display kiosks behind proxies). Streams the room's wasteUpdate, binAlert and
+ * rollingTotals events with heartbeat comments; browsers resume via Last-Event-ID.
+ * Exactly one of branchId, orgUnitId or companyId selects the room, with the same access
+ * rules as Socket.io subscriptions.
+ *
+ * @route GET /api/v1/binDashboardAnalytics/stream?branchId=|orgUnitId=|companyId=&lastEventId=
+ */
+const streamLiveUpdates = asyncHandler(async (req, res) => {
+  const { branchId, orgUnitId, companyId } = req.query;
+  const subscription = await resolveSubscription(req.user, { branchId, orgUnitId, companyId });
+  if (!subscription) {
+    throw new ApiError(400, 'branchId, orgUnitId or companyId is required');
+  }
+  if (!subscription.allowed) {
+    throw new ApiError(403, 'You do not have access to this room');
+  }
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  await openEventStream(req, res, subscription.room, lastEventId);
+});
+
 export {
   getLatestBinWeight,
   getBinStatus,
@@ -332,4 +331,5 @@ export {
   getWasteLast7Days,
   getWasteTrendComparison,
   getDiversionRate,
+  streamLiveUpdates,
 };
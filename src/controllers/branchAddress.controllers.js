@@ -1,8 +1,40 @@
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
+import mongoose from 'mongoose';
 import { BranchAddress } from '../models/branchAddress.models.js';
+import { Company } from '../models/company.models.js';
 import { createOrgUnitsForBranchAddressService } from './orgUnit.controllers.js';
+import {
+  validateCollectionSchedule,
+  validateTimeZone,
+} from '../services/collectionMonitorService.js';
+import { invalidateOrgUnitSubtrees } from '../services/accessScopeService.js';
+import {
+  importBranches,
+  parseBranchSheet,
+  validateBranchRows,
+} from '../services/branchImportService.js';
+
+/**
+ * collectionSettingsFrom
+ * Validates the optional `timezone` and `collectionSchedule` request fields.
+ * @returns {Object} – the fields to save; omitted fields are left out
+ */
+const collectionSettingsFrom = ({ timezone, collectionSchedule }) => {
+  const settings = {};
+  if (timezone !== undefined) {
+    const result = validateTimeZone(timezone);
+    if (result.error) throw new ApiError(400, result.error);
+    settings.timezone = result.timezone;
+  }
+  if (collectionSchedule !== undefined) {
+    const result = validateCollectionSchedule(collectionSchedule);
+    if (result.error) throw new ApiError(400, result.error);
+    settings.collectionSchedule = result.schedule;
+  }
+  return settings;
+};
 
 /**
  * createNewAddress
@@ -12,6 +44,7 @@ import { createOrgUnitsForBranchAddressService } from './orgUnit.controllers.js'
  *
  * Expected fields in req.body:
  *   - officeName, address, city, subdivision, subdivisionType, postalCode, country, associatedCompany, companyName
+ *   - optional: timezone (IANA, default 'UTC'), collectionSchedule ({ days: [0-6], deadline: 'HH:mm' })
  *
  * Edge Cases:
  *   - Validates required fields.
@@ -50,6 +83,7 @@ const createNewAddress = asyncHandler(async (req, res) => {
     ) {
       throw new ApiError(400, 'All the fields are required!');
     }
+    const collectionSettings = collectionSettingsFrom(req.body);
 
     // Check if a branch with the same officeName already exists.
     const existedBranch = await BranchAddress.findOne({ officeName });
@@ -67,6 +101,7 @@ const createNewAddress = asyncHandler(async (req, res) => {
       postalCode,
       country,
       associatedCompany,
+      ...collectionSettings,
     });
 
     // Automatically create the OrgUnit hierarchy for the new branch.
@@ -170,6 +205,51 @@ const updateBranchDetails = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, updatedBranch, 'Company branch updated successfully'));
 });
 
+/**
+ * updateCollectionSchedule
+ * --------------------------------------------
+ * Sets a branch's time zone and/or bin collection schedule. Bins not cleaned by a
+ * scheduled deadline raise a 'missedCollection' alert (see services/collectionMonitorService.js).
+ *
+ * Expected fields in req.body:
+ *   - addressId
+ *   - timezone: IANA time zone, e.g. 'Australia/Sydney'
+ *   - collectionSchedule: { days: [0-6, 0 = Sunday], deadline: 'HH:mm' }, or null to clear it
+ *
+ * @route POST /api/v1/address/updateCollectionSchedule
+ */
+const updateCollectionSchedule = asyncHandler(async (req, res) => {
+  const { addressId } = req.body;
+  if (!addressId) {
+    throw new ApiError(400, 'Address id is required for update.');
+  }
+
+  const settings = collectionSettingsFrom(req.body);
+  if (Object.keys(settings).length === 0) {
+    throw new ApiError(400, 'timezone or collectionSchedule is required');
+  }
+
+  // null clears the schedule
+  const { collectionSchedule, ...rest } = settings;
+  const update =
+    collectionSchedule === null
+      ? { $set: rest, $unset: { collectionSchedule: 1 } }
+      : { $set: settings };
+
+  const updatedBranch = await BranchAddress.findOneAndUpdate(
+    { _id: addressId, isdeleted: { $ne: true } },
+    update,
+    { new: true, runValidators: true },
+  );
+  if (!updatedBranch) {
+    throw new ApiError(404, 'Company branch not found');
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedBranch, 'Collection schedule updated successfully'));
+});
+
 /**
  * deleteBranch
  * --------------------------------------------
@@ -200,10 +280,91 @@ const deleteBranch = asyncHandler(async (req, res) => {
     { isdeleted: true },
     { new: true },
   );
+  // The branch drops out of every cached access scope
+  await invalidateOrgUnitSubtrees();
 
   return res
     .status(200)
     .json(new ApiResponse(200, deletedBranch, 'Company branch deleted successfully'));
 });
 
-export { createNewAddress, updateBranchDetails, deleteBranch };
+/**
+ * bulkUploadBranches
+ * --------------------------------------------
+ * Onboards many branches from a spreadsheet (.csv or .xlsx, multipart field `file`).
+ * Columns: officeName, address, city, subdivision, postalCode, country; optional
+ * subdivisionType (default 'State'), timezone, bins (waste stream names separated by ";")
+ * and binCapacity (25, 50 or 75; required when bins are given).
+ *
+ * Every row is validated and returned as a preview with its errors. Nothing is saved
+ * unless `commit` is "true" and every row is valid; the branches, their OrgUnit hierarchy
+ * and bins are then created in a single transaction.
+ *
+ * Expected fields in the form body: associatedCompany, optional commit.
+ *
+ * @route POST /api/v1/address/bulkUpload
+ */
+const bulkUploadBranches = asyncHandler(async (req, res) => {
+  const { associatedCompany } = req.body;
+  const commit = req.body.commit === 'true' || req.body.commit === true;
+
+  if (!associatedCompany || !mongoose.Types.ObjectId.isValid(associatedCompany)) {
+    throw new ApiError(400, 'A valid associatedCompany is required');
+  }
+  const company = await Company.findOne({ _id: associatedCompany, isdeleted: false })
+    .select('CompanyName')
+    .lean();
+  if (!company) {
+    throw new ApiError(404, 'Company not found');
+  }
+
+  const parsed = await parseBranchSheet(req.file.buffer, req.file.originalname);
+  if (parsed.error) {
+    throw new ApiError(400, parsed.error);
+  }
+
+  const rows = await validateBranchRows(company._id, parsed.rows);
+  const invalid = rows.filter((row) => row.errors.length > 0).length;
+  const preview = {
+    total: rows.length,
+    valid: rows.length - invalid,
+    invalid,
+    rows: rows.map(({ row, branch, bins, errors }) => ({
+      row,
+      ...branch,
+      bins: bins.map((bin) => ({ dustbinType: bin.dustbinType, binCapacity: bin.binCapacity })),
+      errors,
+    })),
+  };
+
+  if (!commit) {
+    return res.status(200).json(new ApiResponse(200, preview, 'Upload validated (dry run)'));
+  }
+  if (invalid > 0) {
+    return res
+      .status(422)
+      .json(new ApiResponse(422, preview, `${invalid} row(s) have errors; nothing was imported`));
+  }
+
+  const result = await importBranches(
+    { companyId: company._id, companyName: company.CompanyName },
+    rows,
+  );
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...preview, branches: result.branches, binsCreated: result.bins },
+        'Branches imported successfully',
+      ),
+    );
+});
+
+export {
+  createNewAddress,
+  updateBranchDetails,
+  updateCollectionSchedule,
+  deleteBranch,
+  bulkUploadBranches,
+};
@@ -5,6 +5,8 @@ import { Company } from '../models/company.models.js';
 import { BranchAddress } from '../models/branchAddress.models.js';
 import { User } from '../models/user.models.js';
 import { Dustbin } from '../models/dustbin.models.js';
+import { ensureDefaultStreams } from '../services/wasteStreamService.js';
+import { scopeBranchFilter } from '../services/accessScopeService.js';
 
 /**
  * createNewCompany
@@ -13,7 +15,7 @@ import { Dustbin } from '../models/dustbin.models.js';
  *   1. Extract company details from the frontend (CompanyName, domain, noofEmployees).
  *   2. Validate that required fields (CompanyName and domain) are provided and not empty.
  *   3. Check if a company with the given domain already exists.
- *   4. Create a new company record in the database.
+ *   4. Create a new company record in the database and seed its default waste streams.
  *   5. Emit a Socket.io event with the new company record.
  *   6. Return a success response along with the created company details.
  *
@@ -45,6 +47,9 @@ const createNewCompany = asyncHandler(async (req, res) => {
   });
   console.log(companyRecord);
 
+  // Seed the default waste stream catalog for the new company.
+  await ensureDefaultStreams(companyRecord._id);
+
   // Step 5: Retrieve the Socket.io instance from app.locals and emit the newCompany event.
   const io = req.app.locals.io;
   io.emit('newCompany', companyRecord);
@@ -59,7 +64,9 @@ const createNewCompany = asyncHandler(async (req, res) => {
  * updateCompanyDetails
  * --------------------------------------------
  * Steps to update company details:
- *   1. Extract updated company details (CompanyName, domain, noofEmployees) from the frontend.
+ *   1. Extract updated company details (CompanyName, domain, noofEmployees, and optionally
+ *      fillAlertThresholds – the bin fill % levels that raise alerts – and
+ *      financialYearStartMonth – 1–12, used for quarter and financial-year analytics) from the frontend.
  *   2. Validate that required fields (CompanyName and domain) are provided and not empty.
  *   3. Check if a company with the given domain exists.
  *   4. Update the company record in the database.
@@ -69,12 +76,34 @@ const createNewCompany = asyncHandler(async (req, res) => {
  */
 const updateCompanyDetails = asyncHandler(async (req, res) => {
   // Step 1: Extract updated company details from the request body.
-  const { CompanyName, domain, noofEmployees, industry } = req.body;
+  const {
+    CompanyName,
+    domain,
+    noofEmployees,
+    industry,
+    fillAlertThresholds,
+    financialYearStartMonth,
+  } = req.body;
 
   // Step 2: Validate required fields.
   if ([CompanyName, domain, industry].some((field) => !field || field.trim() === '')) {
     throw new ApiError(400, 'All fields are required!');
   }
+  if (
+    fillAlertThresholds !== undefined &&
+    (!Array.isArray(fillAlertThresholds) ||
+      fillAlertThresholds.some((t) => typeof t !== 'number' || t < 1 || t > 200))
+  ) {
+    throw new ApiError(400, 'fillAlertThresholds must be an array of percentages (1–200)');
+  }
+  if (
+    financialYearStartMonth !== undefined &&
+    (!Number.isInteger(financialYearStartMonth) ||
+      financialYearStartMonth < 1 ||
+      financialYearStartMonth > 12)
+  ) {
+    throw new ApiError(400, 'financialYearStartMonth must be a month number (1–12)');
+  }
 
   // Step 3: Check if the company exists using the provided domain.
   const existedCompany = await Company.findOne({ domain });
@@ -85,7 +114,7 @@ const updateCompanyDetails = asyncHandler(async (req, res) => {
   // Step 4: Update the company record in the database.
   const updatedCompany = await Company.findOneAndUpdate(
     { domain },
-    { CompanyName, domain, noofEmployees, industry },
+    { CompanyName, domain, noofEmployees, industry, fillAlertThresholds, financialYearStartMonth },
     { new: true },
   );
 
@@ -134,13 +163,16 @@ const deleteCompany = asyncHandler(async (req, res) => {
  * --------------------------------------------
  * Steps to get all active (non-deleted) companies:
  *   1. Fetch all companies from the database where isdeleted is false.
+ *      Users other than SuperAdmins only get their own company.
  *   2. Return the list of active companies.
  *
  * @route GET /api/v1/companies
  */
 const getCompany = asyncHandler(async (req, res) => {
-  // Step 1: Find all companies where isdeleted is false.
-  const companyDetails = await Company.find({ isdeleted: false });
+  // Step 1: Find all companies where isdeleted is false (only the user's own unless SuperAdmin).
+  const filter = { isdeleted: false };
+  if (!req.accessScope.unrestricted) filter._id = req.accessScope.companyId;
+  const companyDetails = await Company.find(filter);
 
   // Step 2: Return the company details in the response.
   return res
@@ -155,8 +187,9 @@ const getCompany = asyncHandler(async (req, res) => {
  *   1. Extract the company ID from the request parameters.
  *   2. Fetch the company details from the database using the ID.
  *   3. If the company is not found, throw a 404 error.
- *   4. Fetch all branch addresses associated with the company.
- *   5. Fetch all users associated with the company.
+ *   4. Fetch the branch addresses associated with the company that the user may access.
+ *   5. Fetch the company's users the user may see: all of them for company-level users,
+ *      otherwise those assigned to an OrgUnit in the user's subtree.
  *   6. For each branch address, fetch its associated dustbins.
  *   7. Construct a comprehensive response object containing the company details,
  *      branch addresses (with dustbins), and users.
@@ -175,11 +208,18 @@ const getCompanyById = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Company not found');
   }
 
-  // Step 4: Fetch branch addresses associated with this company.
-  const branchAddresses = await BranchAddress.find({ associatedCompany: id });
+  // Step 4: Fetch branch addresses associated with this company, limited to the caller's scope.
+  const branchAddresses = await BranchAddress.find(
+    scopeBranchFilter(req.accessScope, { associatedCompany: id }),
+  );
 
-  // Step 5: Fetch users associated with this company.
-  const users = await User.find({ company: id }).populate({
+  // Step 5: Fetch users associated with this company, limited to the caller's OrgUnit subtree.
+  const userFilter = { company: id };
+  const { unrestricted, orgUnitIds } = req.accessScope;
+  if (!unrestricted && orgUnitIds !== null) {
+    userFilter.OrgUnit = { $in: orgUnitIds };
+  }
+  const users = await User.find(userFilter).populate({
     path: 'OrgUnit',
     select: 'name type branchAddress',
   });
@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { DeadLetter } from '../models/deadLetter.models.js';
+import { claimDeadLetter, replayDeadLetter } from '../services/deadLetterService.js';
+
+/**
+ * listDeadLetters
+ * Lists stored MQTT messages, newest first.
+ * Optional filters: status (default "pending"; "all" for every status), reason, topic.
+ * Pagination via page (1-based) and limit (max 200).
+ *
+ * @route GET /api/v1/deadLetters?status=&reason=&topic=&page=&limit=
+ */
+const listDeadLetters = asyncHandler(async (req, res) => {
+  const { status = 'pending', reason, topic } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = {};
+  if (status !== 'all') filter.status = status;
+  if (reason) filter.reason = reason;
+  if (topic) filter.topic = topic;
+
+  const [items, total] = await Promise.all([
+    DeadLetter.find(filter)
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    DeadLetter.countDocuments(filter),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { items, total, page, limit }, 'Dead letters fetched successfully'));
+});
+
+/**
+ * getDeadLetter
+ * Retrieves one stored message by ID.
+ *
+ * @route GET /api/v1/deadLetters/:id
+ */
+const getDeadLetter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid dead letter ID');
+  }
+  const deadLetter = await DeadLetter.findById(id).lean();
+  if (!deadLetter) {
+    throw new ApiError(404, 'Dead letter not found');
+  }
+  return res.status(200).json(new ApiResponse(200, deadLetter, 'Dead letter fetched successfully'));
+});
+
+/**
+ * updateDeadLetter
+ * Replaces the payload of a pending message (e.g., to fix a bin ID) before replaying it.
+ * `payload` may be sent as a JSON string or as an object.
+ *
+ * @route PATCH /api/v1/deadLetters/:id
+ */
+const updateDeadLetter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { payload } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid dead letter ID');
+  }
+  if (payload == null || payload === '') {
+    throw new ApiError(400, 'payload is required');
+  }
+
+  const deadLetter = await DeadLetter.findById(id);
+  if (!deadLetter) {
+    throw new ApiError(404, 'Dead letter not found');
+  }
+  if (deadLetter.status !== 'pending') {
+    throw new ApiError(409, `Dead letter is already ${deadLetter.status}`);
+  }
+
+  deadLetter.payload = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  deadLetter.editedBy = req.user._id;
+  deadLetter.editedAt = new Date();
+  await deadLetter.save();
+
+  return res.status(200).json(new ApiResponse(200, deadLetter, 'Dead letter updated successfully'));
+});
+
+/**
+ * replayDeadLetterById
+ * Replays one pending message through the normal ingest path.
+ * Responds 201 with the created Waste record, or 422 with the replay error.
+ *
+ * @route POST /api/v1/deadLetters/:id/replay
+ */
+const replayDeadLetterById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid dead letter ID');
+  }
+
+  // Claimed atomically, so a concurrent replay of the same message gets a 409
+  const deadLetter = await claimDeadLetter(id);
+  if (!deadLetter) {
+    const existing = await DeadLetter.findById(id).select('status').lean();
+    if (!existing) {
+      throw new ApiError(404, 'Dead letter not found');
+    }
+    throw new ApiError(409, `Dead letter is already ${existing.status}`);
+  }
+
+  const { record, error } = await replayDeadLetter(deadLetter);
+  if (error) {
+    throw new ApiError(422, `Replay failed: ${error}`);
+  }
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { deadLetter, record }, 'Dead letter replayed successfully'));
+});
+
+/**
+ * replayDeadLetters
+ * Replays several pending messages, either the given `ids` or every pending message
+ * matching the optional `reason` / `topic` filters (capped by `limit`, default 100).
+ * Each message is replayed independently; the response summarises successes and failures.
+ *
+ * @route POST /api/v1/deadLetters/replay
+ */
+const replayDeadLetters = asyncHandler(async (req, res) => {
+  const { ids, reason, topic } = req.body;
+  const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 100, 1), 1000);
+
+  const filter = { status: 'pending' };
+  if (Array.isArray(ids) && ids.length > 0) {
+    const invalidIds = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      throw new ApiError(400, `Invalid dead letter ID(s): ${invalidIds.join(', ')}`);
+    }
+    filter._id = { $in: ids };
+  } else {
+    if (reason) filter.reason = reason;
+    if (topic) filter.topic = topic;
+  }
+
+  // Oldest first so readings are replayed in the order they were received.
+  const deadLetters = await DeadLetter.find(filter)
+    .sort({ receivedAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  const replayed = [];
+  const failed = [];
+  for (const { _id } of deadLetters) {
+    // Skip messages another replay took since they were listed
+    const deadLetter = await claimDeadLetter(_id);
+    if (!deadLetter) {
+      failed.push({ _id, error: 'Dead letter is no longer pending' });
+      continue;
+    }
+    const { record, error } = await replayDeadLetter(deadLetter);
+    if (error) failed.push({ _id: deadLetter._id, error });
+    else replayed.push({ _id: deadLetter._id, record: record._id });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { replayed, failed },
+        `Replayed ${replayed.length} of ${deadLetters.length} dead letter(s)`,
+      ),
+    );
+});
+
+/**
+ * discardDeadLetter
+ * Marks a pending message as discarded so it no longer shows up for replay.
+ * The message itself is retained for audit.
+ *
+ * @route POST /api/v1/deadLetters/:id/discard
+ */
+const discardDeadLetter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid dead letter ID');
+  }
+
+  const deadLetter = await DeadLetter.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'discarded', editedBy: req.user._id, editedAt: new Date() } },
+    { new: true },
+  ).lean();
+  if (!deadLetter) {
+    throw new ApiError(404, 'Pending dead letter not found');
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, deadLetter, 'Dead letter discarded successfully'));
+});
+
+export {
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+  replayDeadLetterById,
+  replayDeadLetters,
+  discardDeadLetter,
+};
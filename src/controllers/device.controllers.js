@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Device } from '../models/device.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+
+/**
+ * validateAllowedBins
+ * Ensures every bin ID is valid and belongs to the given branch.
+ * Returns the de-duplicated list of bin IDs.
+ */
+const validateAllowedBins = async (allowedBins, branchAddress) => {
+  if (allowedBins == null) return [];
+  if (!Array.isArray(allowedBins)) {
+    throw new ApiError(400, 'allowedBins must be an array of Dustbin IDs');
+  }
+
+  const binIds = [...new Set(allowedBins.map((id) => String(id)))];
+  const invalidIds = binIds.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    throw new ApiError(400, `Invalid Dustbin ID(s): ${invalidIds.join(', ')}`);
+  }
+
+  const bins = await Dustbin.find({ _id: { $in: binIds }, branchAddress })
+    .select('_id')
+    .lean();
+  if (bins.length !== binIds.length) {
+    const found = bins.map((bin) => bin._id.toString());
+    const outside = binIds.filter((id) => !found.includes(id));
+    throw new ApiError(400, `Dustbin(s) not found in this branch: ${outside.join(', ')}`);
+  }
+  return binIds;
+};
+
+/**
+ * registerDevice
+ * -------------------------------------------
+ * Registers a new scale/gateway and issues its API key.
+ *
+ * Expected input (in req.body):
+ *   - name: Label for the device.
+ *   - branchAddress: The branch the device reports for.
+ *   - allowedBins: (Optional) Bins in that branch the device may report for. Empty = all bins.
+ *
+ * The plain API key is returned once in the response; only its hash is stored.
+ *
+ * @route POST /api/v1/devices
+ */
+const registerDevice = asyncHandler(async (req, res) => {
+  const { name, branchAddress, allowedBins } = req.body;
+
+  if (!name || !name.trim() || !branchAddress) {
+    throw new ApiError(400, 'Device name and branchAddress are required.');
+  }
+  if (!mongoose.Types.ObjectId.isValid(branchAddress)) {
+    throw new ApiError(400, 'Invalid branchAddress');
+  }
+
+  const branch = await BranchAddress.findOne({ _id: branchAddress, isdeleted: false }).lean();
+  if (!branch) {
+    throw new ApiError(404, 'Branch not found');
+  }
+
+  const binIds = await validateAllowedBins(allowedBins, branchAddress);
+
+  const apiKey = Device.generateKey();
+  const device = await Device.create({
+    name: name.trim(),
+    branchAddress,
+    allowedBins: binIds,
+    keyHash: Device.hashKey(apiKey),
+    keyPrefix: apiKey.slice(0, 12),
+    createdby: req.user?._id,
+  });
+
+  const deviceData = device.toObject();
+  delete deviceData.keyHash;
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { device: deviceData, apiKey },
+        'Device registered successfully. Store the API key now; it cannot be retrieved again.',
+      ),
+    );
+});
+
+/**
+ * listDevices
+ * Lists registered devices, optionally filtered by branch.
+ *
+ * @route GET /api/v1/devices?branchId=<branchId>&includeRevoked=true
+ */
+const listDevices = asyncHandler(async (req, res) => {
+  const { branchId, includeRevoked } = req.query;
+
+  const filter = {};
+  if (branchId) {
+    if (!mongoose.Types.ObjectId.isValid(branchId)) {
+      throw new ApiError(400, 'Invalid branchId format');
+    }
+    filter.branchAddress = branchId;
+  }
+  if (includeRevoked !== 'true') filter.isRevoked = false;
+
+  const devices = await Device.find(filter).sort({ createdAt: -1 }).lean();
+  return res.status(200).json(new ApiResponse(200, devices, 'Devices fetched successfully'));
+});
+
+/**
+ * getDevice
+ * Retrieves a single device by ID.
+ *
+ * @route GET /api/v1/devices/:id
+ */
+const getDevice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid device ID');
+  }
+
+  const device = await Device.findById(id)
+    .populate('allowedBins', 'dustbinType binCapacity')
+    .lean();
+  if (!device) {
+    throw new ApiError(404, 'Device not found');
+  }
+  return res.status(200).json(new ApiResponse(200, device, 'Device fetched successfully'));
+});
+
+/**
+ * updateDevice
+ * Updates a device's name and/or scope (branchAddress, allowedBins).
+ * When the branch changes, allowedBins is re-validated against the new branch.
+ *
+ * @route PATCH /api/v1/devices/:id
+ */
+const updateDevice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, branchAddress, allowedBins } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid device ID');
+  }
+
+  const device = await Device.findById(id);
+  if (!device) {
+    throw new ApiError(404, 'Device not found');
+  }
+
+  if (name != null) {
+    if (!name.trim()) throw new ApiError(400, 'Device name cannot be empty');
+    device.name = name.trim();
+  }
+
+  if (branchAddress != null && branchAddress.toString() !== device.branchAddress.toString()) {
+    if (!mongoose.Types.ObjectId.isValid(branchAddress)) {
+      throw new ApiError(400, 'Invalid branchAddress');
+    }
+    const branch = await BranchAddress.findOne({ _id: branchAddress, isdeleted: false }).lean();
+    if (!branch) {
+      throw new ApiError(404, 'Branch not found');
+    }
+    device.branchAddress = branchAddress;
+    // Bins from the old branch can never be in scope, so reset unless new ones are given.
+    device.allowedBins = await validateAllowedBins(allowedBins, branchAddress);
+  } else if (allowedBins !== undefined) {
+    device.allowedBins = await validateAllowedBins(allowedBins, device.branchAddress);
+  }
+
+  await device.save();
+  return res.status(200).json(new ApiResponse(200, device, 'Device updated successfully'));
+});
+
+/**
+ * rotateDeviceKey
+ * Issues a new API key for a device. The old key stops working immediately unless
+ * `graceMinutes` is provided, in which case it keeps working for that many minutes
+ * so the gateway can be reconfigured without dropping readings.
+ *
+ * @route POST /api/v1/devices/:id/rotateKey
+ */
+const rotateDeviceKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const graceMinutes = Number(req.body?.graceMinutes) || 0;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid device ID');
+  }
+  if (graceMinutes < 0) {
+    throw new ApiError(400, 'graceMinutes cannot be negative');
+  }
+
+  const device = await Device.findById(id).select('+keyHash');
+  if (!device) {
+    throw new ApiError(404, 'Device not found');
+  }
+  if (device.isRevoked) {
+    throw new ApiError(409, 'Cannot rotate the key of a revoked device');
+  }
+
+  const now = new Date();
+  const apiKey = Device.generateKey();
+
+  if (graceMinutes > 0) {
+    device.previousKeyHash = device.keyHash;
+    device.previousKeyExpiresAt = new Date(now.getTime() + graceMinutes * 60 * 1000);
+  } else {
+    device.previousKeyHash = undefined;
+    device.previousKeyExpiresAt = undefined;
+  }
+  device.keyHash = Device.hashKey(apiKey);
+  device.keyPrefix = apiKey.slice(0, 12);
+  device.keyRotatedAt = now;
+  await device.save();
+
+  const deviceData = device.toObject();
+  delete deviceData.keyHash;
+  delete deviceData.previousKeyHash;
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { device: deviceData, apiKey },
+        'Device key rotated successfully. Store the new API key now; it cannot be retrieved again.',
+      ),
+    );
+});
+
+/**
+ * revokeDevice
+ * Revokes a device so its key (and any key still in its grace period) is rejected.
+ *
+ * @route POST /api/v1/devices/:id/revoke
+ */
+const revokeDevice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid device ID');
+  }
+
+  const device = await Device.findByIdAndUpdate(
+    id,
+    {
+      $set: { isRevoked: true, revokedAt: new Date() },
+      $unset: { previousKeyHash: 1, previousKeyExpiresAt: 1 },
+    },
+    { new: true },
+  ).lean();
+  if (!device) {
+    throw new ApiError(404, 'Device not found');
+  }
+  return res.status(200).json(new ApiResponse(200, device, 'Device revoked successfully'));
+});
+
+export { registerDevice, listDevices, getDevice, updateDevice, rotateDeviceKey, revokeDevice };
@@ -1,44 +1,42 @@
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { Dustbin } from '../models/dustbin.models.js';
-import { Waste } from '../models/waste.models.js';
+import { Dustbin, ACTIVE_BINS } from '../models/dustbin.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { resolveStreams } from '../services/wasteStreamService.js';
+import { withFillPercent } from '../services/binFillService.js';
+import { removeFromRollingTotals, updateRollingTotals } from '../services/realtimeService.js';
+import { BinAlert } from '../models/binAlert.models.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+import { branchTimeZone } from '../services/branchTimeService.js';
+import { isInScope } from '../services/accessScopeService.js';
+import { getDayRange } from '../utils/dateRange.js';
 import mongoose from 'mongoose';
-import {
-  startOfDay,
-  endOfDay,
-  startOfWeek,
-  endOfWeek,
-  startOfMonth,
-  endOfMonth,
-  subWeeks,
-  subMonths,
-  subDays,
-} from 'date-fns';
 
 /**
  * addDustbin
  * -------------------------------------------
- * Adds dustbins for a given branch based on user-selected bin types.
+ * Adds dustbins for a given branch, one per selected waste stream.
  *
  * Expected input (in req.body):
- *   - binTypes: An array of strings representing the selected bin types.
- *               Valid values: 'General Waste', 'Commingled', 'Organic', 'Paper & Cardboard', 'Glass'
+ *   - binTypes: An array of waste streams from the branch company's catalog,
+ *               given as WasteStream IDs or names (e.g., 'General Waste', 'Soft Plastics').
  *   - binCapacity: The capacity for the bins (e.g., 25, 50, or 75).
  *   - branchAddress: The ObjectId (as string) of the branch to which the bins will be added.
  *
  * Process:
  *   1. Validate that branchAddress, binCapacity, and a non-empty array of binTypes are provided.
- *   2. Ensure that each provided bin type is valid.
- *   3. Check the database to ensure none of the selected bin types already exist for the given branch.
+ *   2. Resolve each bin type against the company's waste streams.
+ *   3. Check the database to ensure none of the selected streams already has a bin at the branch.
  *   4. Prepare an array of bin objects for bulk insertion.
  *   5. Insert the bins into the database.
  *   6. Return a success response with the inserted bins.
  *
  * Error Handling:
  *   - If required fields are missing, throws a 400 error.
- *   - If any bin type is invalid, throws a 400 error with details.
- *   - If any of the selected bin types already exist for the branch, throws a 409 error.
+ *   - If the branch does not exist, throws a 404 error.
+ *   - If any bin type is not in the company's catalog, throws a 400 error with details.
+ *   - If any of the selected streams already has a bin at the branch, throws a 409 error.
  *   - Uses try/catch blocks to handle database errors gracefully.
  *
  * @route POST /api/v1/dustbin/adddustbin
@@ -54,24 +52,27 @@ const addDustbin = asyncHandler(async (req, res) => {
     );
   }
 
-  // Define the allowed bin types.
-  const allowedBinTypes = ['General Waste', 'Commingled', 'Organic', 'Paper & Cardboard', 'Glass'];
+  const branch = await BranchAddress.findById(branchAddress).select('associatedCompany').lean();
+  if (!branch) {
+    throw new ApiError(404, 'Branch not found');
+  }
 
-  // Validate each selected bin type.
-  const invalidTypes = binTypes.filter((type) => !allowedBinTypes.includes(type));
-  if (invalidTypes.length > 0) {
+  // Resolve each selected bin type against the company's waste streams.
+  const { streams, invalid, catalog } = await resolveStreams(branch.associatedCompany, binTypes);
+  if (invalid.length > 0) {
     throw new ApiError(
       400,
-      `Invalid bin type(s): ${invalidTypes.join(', ')}. Allowed types are: ${allowedBinTypes.join(
-        ', ',
-      )}`,
+      `Invalid bin type(s): ${invalid.join(', ')}. Allowed types are: ${catalog
+        .map((stream) => stream.name)
+        .join(', ')}`,
     );
   }
 
-  // Check if any of the selected bin types already exist for the branch.
+  // Check if any of the selected streams already has a bin (in service) at the branch.
   const existingBins = await Dustbin.find({
     branchAddress,
-    dustbinType: { $in: binTypes },
+    wasteStream: { $in: streams.map((stream) => stream._id) },
+    ...ACTIVE_BINS,
   });
   if (existingBins.length > 0) {
     const existingTypes = existingBins.map((bin) => bin.dustbinType).join(', ');
@@ -79,8 +80,9 @@ const addDustbin = asyncHandler(async (req, res) => {
   }
 
   // Prepare the dustbin data for bulk insertion.
-  const dustbinsData = binTypes.map((type) => ({
-    dustbinType: type,
+  const dustbinsData = streams.map((stream) => ({
+    wasteStream: stream._id,
+    dustbinType: stream.name,
     binCapacity,
     branchAddress,
   }));
@@ -125,7 +127,7 @@ const getCurrentWeight = asyncHandler(async (req, res) => {
  * Steps:
  * 1. Extract branchId and filter from query parameters (default: "today").
  * 2. Calculate the date range based on the filter:
- *    - "today": from startOfDay to endOfDay.
+ *    - "today": the branch's local day (BranchAddress.timezone).
  *    - "thisWeek": current week.
  *    - "lastWeek": previous week.
  *    - "lastMonth": previous month.
@@ -133,14 +135,14 @@ const getCurrentWeight = asyncHandler(async (req, res) => {
  *    - Conditionally filter waste records by the calculated date range.
  *    - Lookup and join waste records with dustbin details.
  *    - Filter records by branch.
- *    - Sort records by createdAt descending.
+ *    - Sort records by measuredAt descending.
  *    - Group records by bin to obtain the latest waste weight.
- *    - Lookup dustbin details and project bin type and capacity.
+ *    - Lookup dustbin details and project bin type, capacity and waste stream.
  * 4. If filter is "today" and no records are found, return default data (latestWeight = 0) for each bin in the branch.
- * 5. Additionally, if the filter is "today" and current time is between 10:00 and 10:59 AM,
- *    retrieve yesterday's latest waste data and compare. If a bin's weight today equals yesterday's,
- *    add a field 'notEmptied: true' to indicate that the bin has not been emptied.
- * 6. Emit the aggregated data via Socket.io for real-time updates.
+ * 5. Flag each bin with 'notEmptied: true' if it has an open missed-collection alert, i.e. it
+ *    was not cleaned by its branch's last collection deadline and has not been cleaned since.
+ * 6. Add each bin's estimated fill level (fillPercent) from its waste stream's density.
+ *    Emit the aggregated data via Socket.io for real-time updates.
  * 7. Return the aggregated data in the response.
  *
  * @route GET /api/v1/dustbin/aggregated?branchId=<branchId>&filter=<filter>
@@ -152,16 +154,20 @@ const aggregatedWasteData = asyncHandler(async (req, res) => {
   }
 
   const now = new Date();
-  // Define today's date range
-  const todayStart = startOfDay(now);
-  const todayEnd = endOfDay(now);
+  // Define today's date range in the branch's time zone
+  const { startDate: todayStart, endDate: todayEnd } = getDayRange(
+    now,
+    await branchTimeZone(branchId),
+  );
 
   // Build the aggregation pipeline to fetch the latest waste data for each dustbin in the branch for today.
   const pipeline = [
     {
-      // Filter records to include only today's waste entries.
+      // Filter records to include only today's waste entries from the specified branch.
       $match: {
-        createdAt: { $gte: todayStart, $lte: todayEnd },
+        ...COUNTED_READINGS,
+        branchAddress: new mongoose.Types.ObjectId(branchId),
+        measuredAt: { $gte: todayStart, $lte: todayEnd },
       },
     },
     {
@@ -174,20 +180,16 @@ const aggregatedWasteData = asyncHandler(async (req, res) => {
       },
     },
     { $unwind: '$binData' },
-    {
-      // Filter records to include only those from the specified branch.
-      $match: {
-        'binData.branchAddress': new mongoose.Types.ObjectId(branchId),
-      },
-    },
+    // Current-state view: leave out decommissioned bins.
+    { $match: { 'binData.isDecommissioned': { $ne: true } } },
     // Sort by creation time in descending order to ensure the latest record is at the top.
-    { $sort: { createdAt: -1 } },
+    { $sort: { measuredAt: -1 } },
     {
       // Group by the dustbin to obtain its most recent waste weight from today.
       $group: {
         _id: '$associateBin',
         latestWeight: { $first: '$currentWeight' },
-        latestCreatedAt: { $first: '$createdAt' },
+        latestMeasuredAt: { $first: '$measuredAt' },
       },
     },
     {
@@ -207,6 +209,7 @@ const aggregatedWasteData = asyncHandler(async (req, res) => {
         latestWeight: 1,
         binName: '$binDetails.dustbinType',
         binCapacity: '$binDetails.binCapacity',
+        wasteStream: '$binDetails.wasteStream',
       },
     },
   ];
@@ -222,12 +225,13 @@ const aggregatedWasteData = asyncHandler(async (req, res) => {
   // If no records are found for today, return default data with weight 0 for each dustbin in the branch.
   if (!result || result.length === 0) {
     try {
-      const bins = await Dustbin.find({ branchAddress: branchId });
+      const bins = await Dustbin.find({ branchAddress: branchId, ...ACTIVE_BINS });
       result = bins.map((bin) => ({
         _id: bin._id,
         latestWeight: 0,
         binName: bin.dustbinType,
         binCapacity: bin.binCapacity,
+        wasteStream: bin.wasteStream,
       }));
     } catch (error) {
       console.error('Error fetching default bin data:', error);
@@ -235,67 +239,28 @@ const aggregatedWasteData = asyncHandler(async (req, res) => {
     }
   }
 
-  // Check for the "Not Emptied" condition if current time is between 10:00 and 10:59 AM.
-  // This logic compares today's latest weight with yesterday's.
-  if (now.getHours() === 10) {
-    try {
-      // Define yesterday's date range.
-      const yesterday = subDays(now, 1);
-      const yesterdayStart = startOfDay(yesterday);
-      const yesterdayEnd = endOfDay(yesterday);
-
-      // Build aggregation pipeline to fetch yesterday's latest waste data for the same branch.
-      const yesterdayPipeline = [
-        {
-          $match: {
-            createdAt: { $gte: yesterdayStart, $lte: yesterdayEnd },
-          },
-        },
-        {
-          $lookup: {
-            from: 'dustbins',
-            localField: 'associateBin',
-            foreignField: '_id',
-            as: 'binData',
-          },
-        },
-        { $unwind: '$binData' },
-        {
-          $match: {
-            'binData.branchAddress': new mongoose.Types.ObjectId(branchId),
-          },
-        },
-        { $sort: { createdAt: -1 } },
-        {
-          $group: {
-            _id: '$associateBin',
-            latestWeight: { $first: '$currentWeight' },
-          },
-        },
-      ];
-
-      const yesterdayResult = await Waste.aggregate(yesterdayPipeline);
-      const yesterdayMap = {};
-      yesterdayResult.forEach((item) => {
-        yesterdayMap[item._id.toString()] = item.latestWeight;
-      });
-
-      // Add a 'notEmptied' flag if today's weight equals yesterday's weight.
-      result = result.map((bin) => {
-        const binIdStr = bin._id.toString();
-        const yesterdayWeight = yesterdayMap[binIdStr] || 0;
-        return { ...bin, notEmptied: bin.latestWeight === yesterdayWeight };
-      });
-    } catch (error) {
-      console.error('Error in notEmptied check for aggregatedWasteData:', error);
-      // If an error occurs during the check, proceed without the notEmptied flag.
-    }
+  // Flag bins that missed their last collection deadline and have not been cleaned since
+  // (open 'missedCollection' alerts, raised by services/collectionMonitorService.js).
+  try {
+    const missedBins = await BinAlert.distinct('bin', {
+      bin: { $in: result.map((bin) => bin._id) },
+      type: 'missedCollection',
+      status: 'open',
+    });
+    const missed = new Set(missedBins.map((id) => id.toString()));
+    result = result.map((bin) => ({ ...bin, notEmptied: missed.has(bin._id.toString()) }));
+  } catch (error) {
+    console.error('Error in notEmptied check for aggregatedWasteData:', error);
+    // If an error occurs during the check, proceed without the notEmptied flag.
   }
 
-  // Emit real-time update via Socket.io if available.
+  // Estimated fill level per bin from its stream's density.
+  result = await withFillPercent(result, 'latestWeight');
+
+  // Emit real-time update via Socket.io if available, to the branch's subscribers only.
   const io = req.app.locals.io;
   if (io) {
-    io.emit('binWeightUpdated', result);
+    io.to(branchId).emit('binWeightUpdated', result);
   }
 
   return res
@@ -303,4 +268,239 @@ const aggregatedWasteData = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, result, 'Aggregated waste data fetched successfully'));
 });
 
-export { addDustbin, getCurrentWeight, aggregatedWasteData };
+/**
+ * assertBranchAccess
+ * Checks a branch is in the caller's access scope.
+ */
+const assertBranchAccess = async (branchId, accessScope) => {
+  if (!(await isInScope(accessScope, 'branch', branchId))) {
+    throw new ApiError(403, 'You do not have access to this branch');
+  }
+};
+
+/**
+ * findDustbinOr404
+ * Loads a dustbin (as a document) after validating the ID.
+ */
+const findDustbinOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid dustbin ID');
+  }
+  const dustbin = await Dustbin.findById(id);
+  if (!dustbin) {
+    throw new ApiError(404, 'Dustbin not found.');
+  }
+  return dustbin;
+};
+
+/**
+ * assertStreamFreeAtBranch
+ * A branch has at most one in-service bin per waste stream (as enforced by addDustbin).
+ */
+const assertStreamFreeAtBranch = async (stream, branchAddress, excludeId) => {
+  const clash = await Dustbin.exists({
+    _id: { $ne: excludeId },
+    branchAddress,
+    wasteStream: stream._id,
+    ...ACTIVE_BINS,
+  });
+  if (clash) {
+    throw new ApiError(409, `A ${stream.name} bin already exists for this branch`);
+  }
+};
+
+/**
+ * resolveStreamForBranch
+ * Resolves a WasteStream ID or name within the catalog of the branch's company.
+ */
+const resolveStreamForBranch = async (streamRef, branchAddress) => {
+  const branch = await BranchAddress.findById(branchAddress).select('associatedCompany').lean();
+  const {
+    streams: [stream],
+  } = await resolveStreams(branch.associatedCompany, [streamRef]);
+  if (!stream) {
+    throw new ApiError(400, `Waste stream "${streamRef}" is not in this company's catalog`);
+  }
+  return stream;
+};
+
+/**
+ * listDustbins
+ * -------------------------------------------
+ * Lists dustbins, optionally for one branch. Decommissioned bins are left out
+ * unless includeDecommissioned=true.
+ * Non-SuperAdmins only see bins at the branches in their access scope.
+ *
+ * @route GET /api/v1/dustbin?branchId=&includeDecommissioned=
+ */
+const listDustbins = asyncHandler(async (req, res) => {
+  const { branchId, includeDecommissioned } = req.query;
+
+  const filter = includeDecommissioned === 'true' ? {} : { ...ACTIVE_BINS };
+  if (branchId) {
+    if (!mongoose.Types.ObjectId.isValid(branchId)) {
+      throw new ApiError(400, 'Invalid branchId');
+    }
+    if (!(await BranchAddress.exists({ _id: branchId }))) {
+      throw new ApiError(404, 'Branch not found');
+    }
+    await assertBranchAccess(branchId, req.accessScope);
+    filter.branchAddress = branchId;
+  } else if (!req.accessScope.unrestricted) {
+    filter.branchAddress = { $in: req.accessScope.branchIds };
+  }
+
+  const dustbins = await Dustbin.find(filter)
+    .sort({ branchAddress: 1, dustbinType: 1 })
+    .populate('branchAddress', 'officeName city country')
+    .lean();
+
+  return res.status(200).json(new ApiResponse(200, dustbins, 'Dustbins fetched successfully'));
+});
+
+/**
+ * getDustbin
+ * -------------------------------------------
+ * Retrieves one dustbin, including decommissioned ones and their location history.
+ *
+ * @route GET /api/v1/dustbin/:id
+ */
+const getDustbin = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid dustbin ID');
+  }
+  const dustbin = await Dustbin.findById(id)
+    .populate('branchAddress', 'officeName city country')
+    .populate('locationHistory.branchAddress', 'officeName city country')
+    .lean();
+  if (!dustbin) {
+    throw new ApiError(404, 'Dustbin not found.');
+  }
+  await assertBranchAccess(dustbin.branchAddress?._id, req.accessScope);
+
+  return res.status(200).json(new ApiResponse(200, dustbin, 'Dustbin fetched successfully'));
+});
+
+/**
+ * updateDustbin
+ * -------------------------------------------
+ * Updates a dustbin's name, waste stream and/or binCapacity.
+ * The stream may be given as `wasteStream` (ID or name) or, as before, `dustbinType` (name).
+ * Changing the stream is rejected if the branch already has an in-service bin for it.
+ *
+ * @route PATCH /api/v1/dustbin/:id
+ */
+const updateDustbin = asyncHandler(async (req, res) => {
+  const { name, binCapacity } = req.body;
+  const streamRef = req.body.wasteStream ?? req.body.dustbinType;
+  if (name === undefined && streamRef === undefined && binCapacity === undefined) {
+    throw new ApiError(400, 'Provide at least one of: name, wasteStream, binCapacity');
+  }
+
+  const dustbin = await findDustbinOr404(req.params.id);
+  if (dustbin.isDecommissioned) {
+    throw new ApiError(409, 'Decommissioned dustbins cannot be updated');
+  }
+
+  if (streamRef !== undefined) {
+    const stream = await resolveStreamForBranch(streamRef, dustbin.branchAddress);
+    if (stream._id.toString() !== dustbin.wasteStream?.toString()) {
+      await assertStreamFreeAtBranch(stream, dustbin.branchAddress, dustbin._id);
+      dustbin.wasteStream = stream._id;
+      dustbin.dustbinType = stream.name;
+    }
+  }
+  if (binCapacity !== undefined) dustbin.binCapacity = binCapacity;
+  if (name !== undefined) dustbin.name = name;
+
+  try {
+    await dustbin.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+
+  return res.status(200).json(new ApiResponse(200, dustbin, 'Dustbin updated successfully'));
+});
+
+/**
+ * relocateDustbin
+ * -------------------------------------------
+ * Moves a dustbin to another branch. The previous branch is recorded in locationHistory;
+ * Waste records keep the branch they were measured at, so past analytics do not move.
+ *
+ * @route POST /api/v1/dustbin/:id/relocate
+ */
+const relocateDustbin = asyncHandler(async (req, res) => {
+  const { branchAddress } = req.body;
+  if (!branchAddress || !mongoose.Types.ObjectId.isValid(branchAddress)) {
+    throw new ApiError(400, 'A valid branchAddress is required');
+  }
+
+  const dustbin = await findDustbinOr404(req.params.id);
+  if (dustbin.isDecommissioned) {
+    throw new ApiError(409, 'Decommissioned dustbins cannot be relocated');
+  }
+  if (dustbin.branchAddress.toString() === branchAddress) {
+    throw new ApiError(400, 'Dustbin is already at this branch');
+  }
+
+  const branch = await BranchAddress.findOne({ _id: branchAddress, isdeleted: false }).lean();
+  if (!branch) {
+    throw new ApiError(404, 'Branch not found');
+  }
+  // Streams are per company; moving to another company's branch maps onto its same-named stream
+  const stream = await resolveStreamForBranch(dustbin.dustbinType, branchAddress);
+  await assertStreamFreeAtBranch(stream, branchAddress, dustbin._id);
+  dustbin.wasteStream = stream._id;
+  dustbin.dustbinType = stream.name;
+
+  dustbin.locationHistory.push({
+    branchAddress: dustbin.branchAddress,
+    movedAt: new Date(),
+    movedBy: req.user._id,
+  });
+  dustbin.branchAddress = branchAddress;
+  await dustbin.save();
+  // Move the bin's weight to the new branch's live totals
+  await updateRollingTotals(dustbin, dustbin.currentWeight);
+
+  return res.status(200).json(new ApiResponse(200, dustbin, 'Dustbin relocated successfully'));
+});
+
+/**
+ * decommissionDustbin
+ * -------------------------------------------
+ * Retires a dustbin without deleting it: it stops accepting readings and drops out of
+ * current-state views, while its Waste history still counts for historical ranges.
+ *
+ * @route POST /api/v1/dustbin/:id/decommission
+ */
+const decommissionDustbin = asyncHandler(async (req, res) => {
+  const dustbin = await findDustbinOr404(req.params.id);
+  if (dustbin.isDecommissioned) {
+    throw new ApiError(409, 'Dustbin is already decommissioned');
+  }
+
+  dustbin.isDecommissioned = true;
+  dustbin.decommissionedAt = new Date();
+  dustbin.decommissionedBy = req.user._id;
+  await dustbin.save();
+  await removeFromRollingTotals(dustbin._id);
+
+  return res.status(200).json(new ApiResponse(200, dustbin, 'Dustbin decommissioned successfully'));
+});
+
+export {
+  addDustbin,
+  getCurrentWeight,
+  aggregatedWasteData,
+  listDustbins,
+  getDustbin,
+  updateDustbin,
+  relocateDustbin,
+  decommissionDustbin,
+};
@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { DailyRollup } from '../models/wasteRollup.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { OrgUnit } from '../models/orgUnit.model.js';
+import { WasteStream } from '../models/wasteStream.models.js';
+import { EmissionFactorSet } from '../models/emissionFactorSet.models.js';
+import { orgUnitSubtreeIds, scopeBranchFilter } from '../services/accessScopeService.js';
+import { periodFromQuery } from '../services/reportingPeriodService.js';
+import { rollupMatch } from '../services/rollupService.js';
+import {
+  factorSetFromQuery,
+  factorSetSummary,
+  publishFactorSet,
+  rollupEmissions,
+  sumEmissions,
+  validateFactorSet,
+} from '../services/emissionsService.js';
+import { getPeriodDays } from '../utils/dateRange.js';
+
+/**
+ * requestPeriod
+ * The reporting period of an analytics request (see utils/dateRange.js parsePeriod).
+ */
+const requestPeriod = async (query, context) => {
+  const { period, error } = await periodFromQuery(query, context);
+  if (error) throw new ApiError(400, error);
+  return period;
+};
+
+/**
+ * reportBranchIds
+ * The branches an emissions report covers: those of branchId, orgUnitId (its subtree) or
+ * companyId, limited to the caller's access scope.
+ */
+const reportBranchIds = async (accessScope, { companyId, orgUnitId, branchId }) => {
+  const branchFilter = { isdeleted: false };
+  for (const [name, value] of Object.entries({ companyId, orgUnitId, branchId })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      throw new ApiError(400, `Invalid ${name} format`);
+    }
+  }
+  if (companyId) branchFilter.associatedCompany = new mongoose.Types.ObjectId(companyId);
+  if (branchId) branchFilter._id = new mongoose.Types.ObjectId(branchId);
+  if (orgUnitId) {
+    const unitIds = await orgUnitSubtreeIds(orgUnitId);
+    const underUnit = await OrgUnit.find({ _id: { $in: unitIds }, type: 'Branch' }).distinct(
+      'branchAddress',
+    );
+    // The analytics endpoints accept a branch ID as orgUnitId too
+    branchFilter.$or = [
+      { _id: { $in: underUnit } },
+      { _id: new mongoose.Types.ObjectId(orgUnitId) },
+    ];
+  }
+  return BranchAddress.find(scopeBranchFilter(accessScope, branchFilter)).distinct('_id');
+};
+
+/**
+ * getEmissionsReport
+ * -------------------------------------------
+ * The carbon emissions (kg CO2e) of the waste disposed over a period (this month by default;
+ * filter, from/to or fy/quarter) at the branches matching companyId / orgUnitId / branchId in
+ * the caller's scope, with the emissions diversion avoided: what the same waste would have
+ * emitted in landfill (landfillEmissions), less its actual emissions.
+ *
+ * Factors come from the set in effect at the end of the period, or the set numbered
+ * factorVersion; the set used is returned so the report can be reproduced.
+ *
+ * @route GET /api/v1/analytics/emissions
+ */
+const getEmissionsReport = asyncHandler(async (req, res) => {
+  const { companyId, branchId } = req.query;
+  const now = new Date();
+  const period = await requestPeriod(req.query, {
+    companyId,
+    branchId,
+    defaultFilter: 'thisMonth',
+  });
+  const { factorSet, error } = await factorSetFromQuery(req.query, period, now);
+  if (error) throw new ApiError(400, error);
+
+  const branchIds = await reportBranchIds(req.accessScope, req.query);
+  const rows = branchIds.length
+    ? await rollupEmissions(
+        DailyRollup,
+        await rollupMatch({ scope: 'branch', scopeId: { $in: branchIds } }, (timeZone) =>
+          getPeriodDays(period, now, timeZone),
+        ),
+        factorSet,
+      )
+    : [];
+
+  const streamTotals = sumEmissions(rows, (row) => row.wasteStream);
+  const branchTotals = sumEmissions(rows, (row) => row.branch);
+  const [streams, branches] = await Promise.all([
+    WasteStream.find({ _id: { $in: rows.map((row) => row.wasteStream).filter(Boolean) } })
+      .select('name treatment isDiverted')
+      .lean(),
+    BranchAddress.find({ _id: { $in: rows.map((row) => row.branch) } })
+      .select('officeName')
+      .lean(),
+  ]);
+  const streamById = new Map(streams.map((stream) => [stream._id.toString(), stream]));
+  const branchById = new Map(branches.map((branch) => [branch._id.toString(), branch]));
+
+  const report = {
+    factorSet: factorSetSummary(factorSet),
+    totals: sumEmissions(rows),
+    byStream: [...streamTotals].map(([id, totals]) => {
+      const stream = streamById.get(id);
+      return {
+        wasteStream: stream?._id ?? null,
+        name: stream?.name ?? 'Unassigned',
+        treatment: stream?.treatment ?? 'landfill',
+        ...totals,
+      };
+    }),
+    byBranch: [...branchTotals].map(([id, totals]) => ({
+      branch: id,
+      name: branchById.get(id)?.officeName,
+      ...totals,
+    })),
+  };
+  report.byStream.sort((a, b) => b.emissions - a.emissions);
+  report.byBranch.sort((a, b) => b.emissions - a.emissions);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, 'Emissions report fetched successfully'));
+});
+
+/**
+ * listEmissionFactorSets
+ * -------------------------------------------
+ * Every published emission factor set, newest version first.
+ *
+ * @route GET /api/v1/emissionFactors
+ */
+const listEmissionFactorSets = asyncHandler(async (req, res) => {
+  const factorSets = await EmissionFactorSet.find().sort({ version: -1 }).lean();
+  return res
+    .status(200)
+    .json(new ApiResponse(200, factorSets, 'Emission factor sets fetched successfully'));
+});
+
+/**
+ * getEmissionFactorSet
+ * -------------------------------------------
+ * One emission factor set, by version.
+ *
+ * @route GET /api/v1/emissionFactors/:version
+ */
+const getEmissionFactorSet = asyncHandler(async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ApiError(400, 'version must be a positive integer');
+  }
+  const factorSet = await EmissionFactorSet.findOne({ version }).lean();
+  if (!factorSet) throw new ApiError(404, 'Emission factor set not found');
+  return res
+    .status(200)
+    .json(new ApiResponse(200, factorSet, 'Emission factor set fetched successfully'));
+});
+
+/**
+ * createEmissionFactorSet
+ * -------------------------------------------
+ * Publishes a new emission factor set as the next version. Sets cannot be edited: revise
+ * factors by publishing another set.
+ * Required: label, factors ([{ material, treatment, country, region, kgCO2ePerKg }], including
+ * a '*' factor for every treatment). Optional: source, effectiveFrom (default now).
+ *
+ * @route POST /api/v1/emissionFactors
+ */
+const createEmissionFactorSet = asyncHandler(async (req, res) => {
+  const { factorSet, error } = validateFactorSet(req.body);
+  if (error) throw new ApiError(400, error);
+  const published = await publishFactorSet(factorSet, req.user._id);
+  return res
+    .status(201)
+    .json(new ApiResponse(201, published, 'Emission factor set published successfully'));
+});
+
+export {
+  getEmissionsReport,
+  listEmissionFactorSets,
+  getEmissionFactorSet,
+  createEmissionFactorSet,
+};
@@ -133,6 +133,11 @@ import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { BranchAddress } from '../models/branchAddress.models.js';
+import { OrgUnit } from '../models/orgUnit.model.js';
+import { ACTIVE_BINS } from '../models/dustbin.models.js';
+import { COUNTED_READINGS } from '../models/waste.models.js';
+import { streamDiversionStages } from '../services/wasteStreamService.js';
+import { scopeBranchFilter } from '../services/accessScopeService.js';
 
 export const getOffices = asyncHandler(async (req, res) => {
   const { companyId, orgUnitId } = req.query;
@@ -141,7 +146,7 @@ export const getOffices = asyncHandler(async (req, res) => {
   let branchFilter = { isdeleted: false };
 
   if (orgUnitId) {
-    const orgUnit = await require('../models/orgUnit.model.js').OrgUnit.findById(orgUnitId).lean();
+    const orgUnit = await OrgUnit.findById(orgUnitId).lean();
     if (!orgUnit) throw new ApiError(404, 'OrgUnit not found');
     switch (orgUnit.type) {
       case 'Branch':
@@ -167,19 +172,22 @@ export const getOffices = asyncHandler(async (req, res) => {
 
   try {
     // Optimized pipeline:
-    // 1. Match BranchAddress using our branchFilter.
+    // 1. Match BranchAddress using our branchFilter, narrowed to the caller's access scope.
     // 2. Lookup all dustbins for each branch.
     // 3. Lookup, in one call per branch, the latest waste for each bin in that branch.
     // 4. Use $map to merge the latest waste values into each bin.
     // 5. Compute branch-level totals.
     const offices = await BranchAddress.aggregate([
-      { $match: branchFilter },
-      // Join dustbins belonging to each branch.
+      { $match: scopeBranchFilter(req.accessScope, branchFilter) },
+      // Join dustbins in service at each branch.
       {
         $lookup: {
           from: 'dustbins',
-          localField: '_id',
-          foreignField: 'branchAddress',
+          let: { branchId: '$_id' },
+          pipeline: [
+            { $match: { ...ACTIVE_BINS, $expr: { $eq: ['$branchAddress', '$$branchId'] } } },
+            ...streamDiversionStages('wasteStream'),
+          ],
           as: 'bins',
         },
       },
@@ -191,10 +199,11 @@ export const getOffices = asyncHandler(async (req, res) => {
           pipeline: [
             {
               $match: {
+                ...COUNTED_READINGS,
                 $expr: { $in: ['$associateBin', '$$binIds'] },
               },
             },
-            { $sort: { createdAt: -1 } },
+            { $sort: { measuredAt: -1 } },
             // Group by associateBin to choose the latest waste record.
             {
               $group: {
@@ -216,6 +225,7 @@ export const getOffices = asyncHandler(async (req, res) => {
               in: {
                 _id: '$$bin._id',
                 dustbinType: '$$bin.dustbinType',
+                isDiverted: '$$bin.isDiverted',
                 binCapacity: '$$bin.binCapacity',
                 // Find matching waste record from wasteInfo array.
                 binWaste: {
@@ -229,7 +239,14 @@ export const getOffices = asyncHandler(async (req, res) => {
                         },
                       },
                     },
-                    in: { $ifNull: [{ $arrayElemAt: ['$$match.latestWeight', 0] }, 0] },
+                    // Bins without recent readings keep their last known weight
+                    in: {
+                      $ifNull: [
+                        { $arrayElemAt: ['$$match.latestWeight', 0] },
+                        '$$bin.currentWeight',
+                        0,
+                      ],
+                    },
                   },
                 },
               },
@@ -247,7 +264,7 @@ export const getOffices = asyncHandler(async (req, res) => {
                 input: '$bins',
                 as: 'b',
                 in: {
-                  $cond: [{ $ne: ['$$b.dustbinType', 'General Waste'] }, '$$b.binWaste', 0],
+                  $cond: ['$$b.isDiverted', '$$b.binWaste', 0],
                 },
               },
             },
@@ -4,12 +4,29 @@ import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { OrgUnit } from '../models/orgUnit.model.js';
 import { Company } from '../models/company.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { User } from '../models/user.models.js';
+import {
+  invalidateOrgUnitSubtrees,
+  orgUnitSubtreeIds,
+  scopeOrgUnitFilter,
+} from '../services/accessScopeService.js';
+import {
+  findSibling,
+  inTransaction,
+  mergeOrgUnits,
+  reassignMembers,
+  syncBranchAddresses,
+  validateParent,
+} from '../services/orgUnitService.js';
+import { rebuildRollups } from '../services/rollupService.js';
 
 /**
  * createOrgUnit
  * -------------------------------------------
  * Creates a new organizational unit.
  * Expects: name, type, company, and optionally parent and branchAddress.
+ * The parent must belong to the same company and sit higher in the hierarchy.
  */
 export const createOrgUnit = asyncHandler(async (req, res) => {
   const { name, type, parent, branchAddress, company } = req.body;
@@ -17,6 +34,8 @@ export const createOrgUnit = asyncHandler(async (req, res) => {
   if (!name || !type || !company) {
     throw new ApiError(400, 'Name, type, and company are required');
   }
+  const placement = await validateParent({ type: type.trim(), company }, parent);
+  if (placement.error) throw new ApiError(placement.status, placement.error);
 
   const newOrgUnit = new OrgUnit({
     name: name.trim(),
@@ -31,6 +50,7 @@ export const createOrgUnit = asyncHandler(async (req, res) => {
   } catch (error) {
     throw new ApiError(500, 'Error creating OrgUnit: ' + error.message);
   }
+  await invalidateOrgUnitSubtrees();
 
   return res
     .status(201)
@@ -62,13 +82,16 @@ export const getOrgUnit = asyncHandler(async (req, res) => {
 /**
  * getOrgUnitTree
  * -------------------------------------------
- * Retrieves all OrgUnits and organizes them into a hierarchical tree.
+ * Retrieves all OrgUnits the user may access and organizes them into a hierarchical tree.
+ * Units whose parent is out of scope become roots.
  */
 export const getOrgUnitTree = asyncHandler(async (req, res) => {
   let allUnits;
   try {
     // Populate branchAddress for branch OrgUnits for more details.
-    allUnits = await OrgUnit.find().populate('branchAddress').lean();
+    allUnits = await OrgUnit.find(scopeOrgUnitFilter(req.accessScope, {}))
+      .populate('branchAddress')
+      .lean();
   } catch (error) {
     throw new ApiError(500, 'Error retrieving OrgUnits: ' + error.message);
   }
@@ -81,10 +104,8 @@ export const getOrgUnitTree = asyncHandler(async (req, res) => {
 
   const tree = [];
   allUnits.forEach((unit) => {
-    if (unit.parent) {
-      if (unitMap[unit.parent]) {
-        unitMap[unit.parent].children.push(unit);
-      }
+    if (unit.parent && unitMap[unit.parent]) {
+      unitMap[unit.parent].children.push(unit);
     } else {
       tree.push(unit);
     }
@@ -110,6 +131,8 @@ export const getOrgUnitTree = asyncHandler(async (req, res) => {
  *   - subdivision: The region/state (if available).
  *   - country: The branch's country.
  *   - branchAddressId: The ObjectId of the created branch address.
+ *   - session: Optional Mongoose session to run inside a caller's transaction. The caller
+ *     then invalidates cached subtrees once the transaction has committed.
  *
  * Returns:
  *   An object with the created/found OrgUnits: { countryUnit, regionUnit, cityUnit, branchUnit }.
@@ -122,6 +145,7 @@ export const createOrgUnitsForBranchAddressService = async ({
   subdivision,
   country,
   branchAddressId,
+  session = null,
 }) => {
   // Validate input parameters.
   if (!companyId || !companyName || !officeName || !city || !country || !branchAddressId) {
@@ -129,14 +153,16 @@ export const createOrgUnitsForBranchAddressService = async ({
   }
 
   let countryUnit, regionUnit, cityUnit, branchUnit;
+  const findUnit = (filter) => OrgUnit.findOne(filter).session(session);
+  const createUnit = async (doc) => (await OrgUnit.create([doc], { session }))[0];
 
   try {
     // --- Country Level ---
 
     const countryName = country.trim();
-    countryUnit = await OrgUnit.findOne({ name: countryName, type: 'Country', company: companyId });
+    countryUnit = await findUnit({ name: countryName, type: 'Country', company: companyId });
     if (!countryUnit) {
-      countryUnit = await OrgUnit.create({
+      countryUnit = await createUnit({
         name: countryName,
         type: 'Country',
         parent: null,
@@ -147,14 +173,14 @@ export const createOrgUnitsForBranchAddressService = async ({
     // --- Region Level (Optional) ---
     let regionName = subdivision && subdivision.trim() !== '' ? subdivision.trim() : null;
     if (regionName) {
-      regionUnit = await OrgUnit.findOne({
+      regionUnit = await findUnit({
         name: regionName,
         type: 'Region',
         parent: countryUnit._id,
         company: companyId,
       });
       if (!regionUnit) {
-        regionUnit = await OrgUnit.create({
+        regionUnit = await createUnit({
           name: regionName,
           type: 'Region',
           parent: countryUnit._id,
@@ -166,14 +192,14 @@ export const createOrgUnitsForBranchAddressService = async ({
     // --- City Level ---
     const cityName = city.trim();
     const parentForCity = regionUnit ? regionUnit._id : countryUnit._id;
-    cityUnit = await OrgUnit.findOne({
+    cityUnit = await findUnit({
       name: cityName,
       type: 'City',
       parent: parentForCity,
       company: companyId,
     });
     if (!cityUnit) {
-      cityUnit = await OrgUnit.create({
+      cityUnit = await createUnit({
         name: cityName,
         type: 'City',
         parent: parentForCity,
@@ -184,14 +210,14 @@ export const createOrgUnitsForBranchAddressService = async ({
     // --- Branch Level ---
     // For branch, we store the branchAddress reference as well.
     const branchUnitName = officeName.trim();
-    branchUnit = await OrgUnit.findOne({
+    branchUnit = await findUnit({
       name: branchUnitName,
       type: 'Branch',
       parent: cityUnit._id,
       company: companyId,
     });
     if (!branchUnit) {
-      branchUnit = await OrgUnit.create({
+      branchUnit = await createUnit({
         name: branchUnitName,
         type: 'Branch',
         parent: cityUnit._id,
@@ -200,8 +226,11 @@ export const createOrgUnitsForBranchAddressService = async ({
       });
     }
   } catch (error) {
+    // Keep the driver's error labels so the caller's transaction can retry
+    if (session) throw error;
     throw new ApiError(500, 'Error processing OrgUnits: ' + error.message);
   }
+  if (!session) await invalidateOrgUnitSubtrees();
 
   return { countryUnit, regionUnit, cityUnit, branchUnit };
 };
@@ -243,6 +272,7 @@ export const createOrgUnitsForBranchAddress = asyncHandler(async (req, res) => {
  * Retrieves OrgUnits filtered by type and (optionally) by company.
  * For Branch type, it will also populate branchAddress and filter based on associated company.
  * For hierarchical types (Country, Region, City), it uses the company field to filter.
+ * Only units in the user's access scope are returned.
  */
 export const getOrgUnitsByType = asyncHandler(async (req, res) => {
   const { type, companyId } = req.query;
@@ -254,7 +284,9 @@ export const getOrgUnitsByType = asyncHandler(async (req, res) => {
   try {
     // If type is Branch and companyId is provided, we can filter directly by the company field.
     if (type.trim() === 'Branch' && companyId) {
-      units = await OrgUnit.find({ type: 'Branch', company: companyId })
+      units = await OrgUnit.find(
+        scopeOrgUnitFilter(req.accessScope, { type: 'Branch', company: companyId }),
+      )
         .populate({
           path: 'branchAddress',
           // Ensure the branchAddress matches the company (if needed)
@@ -265,12 +297,16 @@ export const getOrgUnitsByType = asyncHandler(async (req, res) => {
       units = units.filter((unit) => unit.branchAddress);
     } else if (companyId && ['Country', 'Region', 'City'].includes(type.trim())) {
       // For hierarchical types, filter directly by type and company.
-      units = await OrgUnit.find({ type: type.trim(), company: companyId })
+      units = await OrgUnit.find(
+        scopeOrgUnitFilter(req.accessScope, { type: type.trim(), company: companyId }),
+      )
         .populate('parent')
         .lean();
     } else {
       // For other cases, fetch by type regardless of company.
-      units = await OrgUnit.find({ type: type.trim() }).populate('branchAddress').lean();
+      units = await OrgUnit.find(scopeOrgUnitFilter(req.accessScope, { type: type.trim() }))
+        .populate('branchAddress')
+        .lean();
     }
   } catch (error) {
     throw new ApiError(500, 'Error retrieving OrgUnits: ' + error.message);
@@ -286,6 +322,7 @@ export const getOrgUnitsByType = asyncHandler(async (req, res) => {
  * Returns distinct OrgUnits grouped by their type.
  * For OrgUnits of type "Branch", only returns those where the associated BranchAddress (via lookup)
  * has an associatedCompany matching the provided companyId.
+ * Only OrgUnits in the user's access scope are included.
  * Logs inputs and outputs for debugging.
  */
 export const getGroupedOrgUnits = asyncHandler(async (req, res) => {
@@ -299,6 +336,7 @@ export const getGroupedOrgUnits = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Invalid companyId format');
       }
       groupedData = await OrgUnit.aggregate([
+        { $match: scopeOrgUnitFilter(req.accessScope, {}) },
         {
           $lookup: {
             from: 'branchaddresses', // Ensure this matches your actual collection name
@@ -336,6 +374,7 @@ export const getGroupedOrgUnits = asyncHandler(async (req, res) => {
       // );
     } else {
       groupedData = await OrgUnit.aggregate([
+        { $match: scopeOrgUnitFilter(req.accessScope, {}) },
         {
           $group: {
             _id: { type: '$type', name: '$name' },
@@ -363,3 +402,188 @@ export const getGroupedOrgUnits = asyncHandler(async (req, res) => {
     throw new ApiError(500, 'Error retrieving grouped OrgUnits: ' + error.message);
   }
 });
+
+/**
+ * findOrgUnitOr404
+ * Loads an OrgUnit by ID for the management endpoints.
+ */
+const findOrgUnitOr404 = async (id) => {
+  const orgUnit = await OrgUnit.findById(id).lean();
+  if (!orgUnit) {
+    throw new ApiError(404, 'Organizational Unit not found');
+  }
+  return orgUnit;
+};
+
+/**
+ * renameOrgUnit
+ * -------------------------------------------
+ * Renames an OrgUnit. The new name is copied onto the address fields of the branches below
+ * it (e.g. renaming a City updates their `city`). Fails with 409 if a sibling of the same
+ * type already has the name; merge the two units instead.
+ *
+ * @route PATCH /api/v1/orgUnits/:id
+ */
+export const renameOrgUnit = asyncHandler(async (req, res) => {
+  const orgUnit = await findOrgUnitOr404(req.params.id);
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    throw new ApiError(400, 'name is required');
+  }
+  if (await findSibling(orgUnit, name, orgUnit.parent)) {
+    throw new ApiError(
+      409,
+      `A ${orgUnit.type} named "${name}" already exists here; merge them instead`,
+    );
+  }
+
+  const { updated, branchesUpdated } = await inTransaction(async (session) => ({
+    updated: await OrgUnit.findByIdAndUpdate(
+      orgUnit._id,
+      { $set: { name } },
+      { new: true, session },
+    ),
+    branchesUpdated: await syncBranchAddresses(orgUnit._id, session),
+  }));
+  await invalidateOrgUnitSubtrees();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { orgUnit: updated, branchesUpdated }, 'OrgUnit renamed successfully'),
+    );
+});
+
+/**
+ * moveOrgUnit
+ * -------------------------------------------
+ * Re-parents an OrgUnit (with its whole subtree). The new parent must be in the same
+ * company, higher in the hierarchy (Company > Country > Region > City > Branch) and not
+ * inside the unit's own subtree. Users keep their units; branch address fields below the
+ * unit follow the new ancestors, and OrgUnit analytics rollups are rebuilt in the background.
+ * Expects: parent (null to make a Country or Company unit a root).
+ *
+ * @route POST /api/v1/orgUnits/:id/move
+ */
+export const moveOrgUnit = asyncHandler(async (req, res) => {
+  const orgUnit = await findOrgUnitOr404(req.params.id);
+  if (req.body.parent === undefined) {
+    throw new ApiError(400, 'parent is required (null for a top-level unit)');
+  }
+
+  const placement = await validateParent(orgUnit, req.body.parent);
+  if (placement.error) throw new ApiError(placement.status, placement.error);
+  const parentId = placement.parent?._id ?? null;
+  if (await findSibling(orgUnit, orgUnit.name, parentId)) {
+    throw new ApiError(
+      409,
+      `A ${orgUnit.type} named "${orgUnit.name}" already exists there; merge them instead`,
+    );
+  }
+
+  const { updated, branchesUpdated } = await inTransaction(async (session) => ({
+    updated: await OrgUnit.findByIdAndUpdate(
+      orgUnit._id,
+      { $set: { parent: parentId } },
+      { new: true, session },
+    ),
+    branchesUpdated: await syncBranchAddresses(orgUnit._id, session),
+  }));
+  await invalidateOrgUnitSubtrees();
+  rebuildRollups({ scopes: ['orgUnit'] }).catch((err) =>
+    console.error('❌ Rollup rebuild failed:', err),
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { orgUnit: updated, branchesUpdated }, 'OrgUnit moved successfully'),
+    );
+});
+
+/**
+ * mergeOrgUnit
+ * -------------------------------------------
+ * Merges a duplicate OrgUnit (e.g. two "Australia" Country units created by branch
+ * provisioning) into another unit of the same type and company. Matching children are
+ * merged recursively, the rest move under the target; users and pending invitations move
+ * to the target and the duplicate is deleted, all in one transaction.
+ * Expects: into (ID of the unit to keep).
+ *
+ * @route POST /api/v1/orgUnits/:id/merge
+ */
+export const mergeOrgUnit = asyncHandler(async (req, res) => {
+  const { into } = req.body;
+  if (!into || !mongoose.Types.ObjectId.isValid(into)) {
+    throw new ApiError(400, 'A valid "into" OrgUnit ID is required');
+  }
+  const source = await findOrgUnitOr404(req.params.id);
+  const target = await findOrgUnitOr404(into);
+
+  if (source._id.equals(target._id)) {
+    throw new ApiError(400, 'Cannot merge a unit into itself');
+  }
+  if (source.type !== target.type || !source.company.equals(target.company)) {
+    throw new ApiError(400, 'Only units of the same type and company can be merged');
+  }
+  if (source.type === 'Branch') {
+    throw new ApiError(400, 'Branch units stand for different branches and cannot be merged');
+  }
+  const sourceSubtree = await orgUnitSubtreeIds(source._id);
+  if (sourceSubtree.some((id) => id.equals(target._id))) {
+    throw new ApiError(400, 'Cannot merge a unit into one of its descendants');
+  }
+
+  const result = await mergeOrgUnits(source, target);
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { into: target._id, ...result }, 'OrgUnits merged successfully'));
+});
+
+/**
+ * deleteOrgUnit
+ * -------------------------------------------
+ * Deletes an empty OrgUnit: one with no child units and, for a Branch unit, no active
+ * branch. Users and pending invitations assigned to it move to `reassignTo` (body), or to
+ * its parent by default.
+ *
+ * @route DELETE /api/v1/orgUnits/:id
+ */
+export const deleteOrgUnit = asyncHandler(async (req, res) => {
+  const orgUnit = await findOrgUnitOr404(req.params.id);
+
+  if (await OrgUnit.exists({ parent: orgUnit._id })) {
+    throw new ApiError(409, 'OrgUnit still has child units; move or delete them first');
+  }
+  if (
+    orgUnit.branchAddress &&
+    (await BranchAddress.exists({ _id: orgUnit.branchAddress, isdeleted: { $ne: true } }))
+  ) {
+    throw new ApiError(409, 'OrgUnit still represents an active branch; delete the branch first');
+  }
+
+  const reassignTo = req.body?.reassignTo || orgUnit.parent;
+  if (reassignTo) {
+    const destination = await OrgUnit.findById(reassignTo).select('company').lean();
+    if (
+      !destination ||
+      destination._id.equals(orgUnit._id) ||
+      !destination.company.equals(orgUnit.company)
+    ) {
+      throw new ApiError(400, 'reassignTo must be an OrgUnit of the same company');
+    }
+  } else if (await User.exists({ OrgUnit: orgUnit._id })) {
+    throw new ApiError(409, 'Users are assigned to this top-level unit; provide reassignTo');
+  }
+
+  const usersReassigned = await inTransaction(async (session) => {
+    const reassigned = reassignTo ? await reassignMembers(orgUnit._id, reassignTo, session) : 0;
+    await OrgUnit.deleteOne({ _id: orgUnit._id }, { session });
+    return reassigned;
+  });
+  await invalidateOrgUnitSubtrees();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { usersReassigned }, 'OrgUnit deleted successfully'));
+});
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Role } from '../models/role.models.js';
+import { User } from '../models/user.models.js';
+import {
+  PERMISSIONS,
+  ROLE_PRESETS,
+  resolvePermissions,
+  validatePermissions,
+} from '../services/permissionService.js';
+
+/**
+ * resolveCompanyId
+ * SuperAdmins may act on any company (via companyId); everyone else on their own.
+ */
+const resolveCompanyId = (user, companyId) => {
+  if (user.role !== 'SuperAdmin') return user.company;
+  if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+    throw new ApiError(400, 'A valid companyId is required');
+  }
+  return companyId;
+};
+
+/**
+ * findRoleOr404
+ * Loads a custom role, checking non-SuperAdmins only reach their own company's roles.
+ */
+const findRoleOr404 = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid role ID');
+  }
+  const role = await Role.findOne({ _id: id, isdeleted: false });
+  if (!role || (user.role !== 'SuperAdmin' && !role.company.equals(user.company))) {
+    throw new ApiError(404, 'Role not found');
+  }
+  return role;
+};
+
+/**
+ * checkedPermissions
+ * Validates a permission list and makes sure the caller holds every permission in it,
+ * so a role can never grant more than its author has.
+ */
+const checkedPermissions = async (input, user) => {
+  const { permissions, error } = validatePermissions(input);
+  if (error) throw new ApiError(400, error);
+
+  const own = await resolvePermissions(user);
+  const missing = permissions.filter((permission) => !own.has(permission));
+  if (missing.length > 0) {
+    throw new ApiError(403, `You cannot grant permissions you do not have: ${missing.join(', ')}`);
+  }
+  return permissions;
+};
+
+/**
+ * rethrowValidation
+ * Maps Mongoose validation and duplicate-name errors to 400 / 409.
+ */
+const rethrowValidation = (error) => {
+  if (error.name === 'ValidationError') throw new ApiError(400, error.message);
+  if (error.code === 11000) {
+    throw new ApiError(409, 'A role with this name already exists for the company');
+  }
+  throw error;
+};
+
+/**
+ * listPermissions
+ * -------------------------------------------
+ * Returns the permission catalog and the permissions of each built-in role preset.
+ *
+ * @route GET /api/v1/roles/permissions
+ */
+const listPermissions = asyncHandler(async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([name, { description, platform }]) => ({
+    name,
+    description,
+    platform: Boolean(platform),
+  }));
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { permissions, presets: ROLE_PRESETS },
+        'Permissions fetched successfully',
+      ),
+    );
+});
+
+/**
+ * listRoles
+ * -------------------------------------------
+ * Lists a company's custom roles.
+ *
+ * @route GET /api/v1/roles?companyId=
+ */
+const listRoles = asyncHandler(async (req, res) => {
+  const companyId = resolveCompanyId(req.user, req.query.companyId);
+  const roles = await Role.find({ company: companyId, isdeleted: false }).sort({ name: 1 }).lean();
+  return res.status(200).json(new ApiResponse(200, roles, 'Roles fetched successfully'));
+});
+
+/**
+ * createRole
+ * -------------------------------------------
+ * Defines a custom role for a company.
+ * Required: name, permissions. Optional: description; companyId (SuperAdmins only).
+ *
+ * @route POST /api/v1/roles
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+  const companyId = resolveCompanyId(req.user, req.body.companyId);
+  if (!name || !name.trim()) {
+    throw new ApiError(400, 'name is required');
+  }
+
+  const role = await Role.create({
+    company: companyId,
+    name,
+    description,
+    permissions: await checkedPermissions(permissions, req.user),
+    createdby: req.user._id,
+  }).catch(rethrowValidation);
+
+  return res.status(201).json(new ApiResponse(201, role, 'Role created successfully'));
+});
+
+/**
+ * updateRole
+ * -------------------------------------------
+ * Updates a custom role's name, description and/or permissions.
+ * Permission changes apply to its users from their next request.
+ *
+ * @route PATCH /api/v1/roles/:id
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await findRoleOr404(req.params.id, req.user);
+  const { name, description, permissions } = req.body;
+
+  if (name !== undefined) role.name = name;
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) {
+    role.permissions = await checkedPermissions(permissions, req.user);
+  }
+
+  await role.save().catch(rethrowValidation);
+  return res.status(200).json(new ApiResponse(200, role, 'Role updated successfully'));
+});
+
+/**
+ * deleteRole
+ * -------------------------------------------
+ * Soft-deletes a custom role. Roles still assigned to a user cannot be deleted.
+ *
+ * @route DELETE /api/v1/roles/:id
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await findRoleOr404(req.params.id, req.user);
+  const inUse = await User.exists({ customRole: role._id, isdeleted: { $ne: true } });
+  if (inUse) {
+    throw new ApiError(409, 'Role is assigned to one or more users');
+  }
+  role.isdeleted = true;
+  await role.save();
+  return res.status(200).json(new ApiResponse(200, {}, 'Role deleted successfully'));
+});
+
+export { listPermissions, listRoles, createRole, updateRole, deleteRole };
@@ -7,6 +7,8 @@ import { sendInvitationEmail, sendCompleteRegistrationEmail } from '../utils/Ema
 import { Company } from '../models/company.models.js';
 import { Invitation } from '../models/invitation.models.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
+import { checkGrant, resolvePermissions } from '../services/permissionService.js';
+import { isInScope } from '../services/accessScopeService.js';
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
@@ -61,6 +63,7 @@ const generateAccessandRefreshToken = async (userID) => {
  *
  * Required fields:
  *   - email, role, OrgUnit, company.
+ * Optional: customRole (a company-defined role whose permissions replace the role preset's).
  *
  * The inviting admin's ID is saved in the 'createdby' field.
  *
@@ -68,12 +71,14 @@ const generateAccessandRefreshToken = async (userID) => {
  */
 const registerUser = asyncHandler(async (req, res) => {
   // Extract fields from the request body.
-  const { fullName, role, phone, email, password, OrgUnit, company } = req.body;
+  const { fullName, role, customRole, phone, email, password, OrgUnit, company } = req.body;
 
   // Validate minimal required fields.
   if (!email || !OrgUnit || !company || !role) {
     throw new ApiError(400, 'Email, role, OrgUnit, and company are required');
   }
+  const grant = await checkGrant(req.user, { role, customRoleId: customRole, companyId: company });
+  if (grant.error) throw new ApiError(grant.status, grant.error);
 
   // Use defaults for fullName and password if not provided.
   const effectiveFullName = fullName && fullName.trim() ? fullName.trim() : 'Invited User';
@@ -93,6 +98,7 @@ const registerUser = asyncHandler(async (req, res) => {
   const user = await User.create({
     fullName: effectiveFullName,
     role,
+    customRole: customRole || null,
     phone,
     email,
     password: effectivePassword,
@@ -339,6 +345,8 @@ const getCurrentUser = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'User not found');
   }
   const userObj = user.toObject();
+  // Effective permissions, so the frontend can show or hide features
+  userObj.permissions = [...(await resolvePermissions(req.user))];
   return res.status(200).json(new ApiResponse(200, userObj, 'User fetched successfully'));
 });
 
@@ -380,11 +388,13 @@ const getUserByEmail = asyncHandler(async (req, res) => {
  * Updates the details of a user.
  * Steps:
  *   1. Determine the target user (from req.body.userId or req.user._id).
- *   2. Build an updates object from allowed fields (fullName, phone, role, OrgUnit).
+ *   2. Build an updates object from allowed fields (fullName, phone, role, customRole, OrgUnit).
+ *      An empty customRole clears it.
  *   3. Remove fields that have not changed.
- *   4. Preserve the existing company field.
- *   5. Update the user document and save.
- *   6. Return the updated user details.
+ *   4. Check the caller may grant a changed role / customRole.
+ *   5. Preserve the existing company field.
+ *   6. Update the user document and save.
+ *   7. Return the updated user details.
  *
  * @route POST /api/v1/users/updateuser
  */
@@ -395,7 +405,7 @@ const updateUserDetails = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'User not found');
   }
   // Allowed fields updated to include OrgUnit.
-  const allowedUpdates = ['fullName', 'phone', 'role', 'OrgUnit'];
+  const allowedUpdates = ['fullName', 'phone', 'role', 'customRole', 'OrgUnit'];
   const updates = {};
   allowedUpdates.forEach((field) => {
     const value = req.body[field];
@@ -403,20 +413,29 @@ const updateUserDetails = asyncHandler(async (req, res) => {
       updates[field] = typeof value === 'string' ? value.trim() : value;
     }
   });
+  if (updates.customRole === '') updates.customRole = null;
   // Remove fields from updates if the value has not changed.
   Object.keys(updates).forEach((field) => {
     const currentValue =
-      typeof user[field] === 'object' && user[field].toString
+      user[field] && typeof user[field] === 'object' && user[field].toString
         ? user[field].toString()
         : user[field];
     const newValue =
-      typeof updates[field] === 'object' && updates[field].toString
+      updates[field] && typeof updates[field] === 'object' && updates[field].toString
         ? updates[field].toString()
         : updates[field];
     if (currentValue === newValue) {
       delete updates[field];
     }
   });
+  if ('role' in updates || 'customRole' in updates) {
+    const grant = await checkGrant(req.user, {
+      role: updates.role ?? user.role,
+      customRoleId: 'customRole' in updates ? updates.customRole : user.customRole,
+      companyId: user.company,
+    });
+    if (grant.error) throw new ApiError(grant.status, grant.error);
+  }
   // Preserve the existing company field.
   const preservedCompany = user.company;
   if (Object.keys(updates).length === 0) {
@@ -627,11 +646,14 @@ const resetPassword = asyncHandler(async (req, res) => {
  * Expected request body:
  *   - email, role, OrgUnit, company
  *     • The 'company' field should be either a valid company ID string or an object with an _id property.
+ *   - customRole (optional): a company-defined role for the new user.
+ *
+ * Admins can only invite into their own scope, and only with permissions they hold themselves.
  *
  * @route POST /api/v1/users/invite
  */
 const inviteUser = asyncHandler(async (req, res) => {
-  const { email, role, OrgUnit, company } = req.body;
+  const { email, role, customRole, OrgUnit, company } = req.body;
   if (!email || !role || !OrgUnit || !company) {
     throw new ApiError(400, 'Email, role, OrgUnit, and company are required.');
   }
@@ -659,6 +681,15 @@ const inviteUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Invalid company value provided.');
   }
 
+  if (
+    !(await isInScope(req.accessScope, 'company', companyId)) ||
+    !(await isInScope(req.accessScope, 'orgUnit', OrgUnit))
+  ) {
+    throw new ApiError(403, 'You cannot invite users outside your organization.');
+  }
+  const grant = await checkGrant(req.user, { role, customRoleId: customRole, companyId });
+  if (grant.error) throw new ApiError(grant.status, grant.error);
+
   // Generate a unique invitation token and set an expiration (24 hours)
   const token = crypto.randomBytes(20).toString('hex');
   const expires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
@@ -667,6 +698,7 @@ const inviteUser = asyncHandler(async (req, res) => {
   const invitation = await Invitation.create({
     email,
     role,
+    customRole: customRole || null,
     OrgUnit,
     company: companyId,
     token,
@@ -715,7 +747,7 @@ const inviteUser = asyncHandler(async (req, res) => {
  * This function:
  *  - Validates that token, fullName, and password are provided.
  *  - Finds the corresponding invitation record that is not used and not expired.
- *  - Creates the new user record using invitation details (role, OrgUnit, company)
+ *  - Creates the new user record using invitation details (role, customRole, OrgUnit, company)
  *    and the invited user’s provided details.
  *  - Marks the invitation as used.
  *
@@ -745,6 +777,7 @@ const completeRegistration = asyncHandler(async (req, res) => {
     password: password.trim(),
     phone, // optional field
     role: invitation.role,
+    customRole: invitation.customRole,
     OrgUnit: invitation.OrgUnit,
     company: invitation.company,
   });
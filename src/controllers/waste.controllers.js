@@ -1,106 +1,49 @@
+import mongoose from 'mongoose';
+import fs from 'node:fs';
+import path from 'node:path';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { Waste } from '../models/waste.models.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
 import { Dustbin } from '../models/dustbin.models.js';
-import { Cleaner } from '../models/cleaner.models.js';
-import redisClient from '../utils/redisClient.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { ingestWaste, resolveCleaner, validateReading } from '../services/wasteService.js';
+import { resolveMissedCollections } from '../services/collectionMonitorService.js';
+import { deriveDisposals } from '../services/disposalService.js';
+import { ReadingArchive } from '../models/readingArchive.models.js';
+import { ARCHIVE_DIR, HOT_DAYS, hotWindowStart } from '../services/readingRetentionService.js';
+import { isInScope } from '../services/accessScopeService.js';
 
 /**
  * addWaste:
- * 1. Extract & validate payload
- * 2. Load the Dustbin (to get its tareWeight & branchId)
- * 3. If eventType==='cleaning', ensure cleaner info and update bin.tareWeight
- * 4. Lookup Cleaner by ID if provided
- * 5. Compute net waste = rawWeight − tareWeight (clamped ≥ 0)
- * 6. Create a Waste record (including cleanedBy )
- * 7. Publish to Redis for real-time updates
- * 8. Return the new Waste in the HTTP response
+ * 1. Validate the payload (measuredAt, if sent, is the device-side reading time)
+ * 2. Run it through the shared ingestion pipeline (services/wasteService.js#ingestWaste),
+ *    the same one MQTT readings use: device scope check, dedupe on messageId/seq,
+ *    cleaning/tare handling, cleaner validation, net weight, persist and publish
+ * 3. Return the new Waste in the HTTP response (or the original record for a repeat; a
+ *    repeat whose first delivery is still being ingested gets 409, so the caller retries)
  */
 const addWaste = asyncHandler(async (req, res) => {
-  // 1) Extract & basic validation
-  const { associateBin, currentWeight: rawWeight, eventType, isCleaned, cleanedBy } = req.body;
-
-  if (!associateBin || rawWeight == null || !eventType) {
-    throw new ApiError(
-      400,
-      'Required fields: associateBin (ObjectId), currentWeight (Number), eventType (String)',
-    );
+  // 1) Validate
+  const { reading, error } = validateReading(req.body);
+  if (error) {
+    throw new ApiError(400, error);
   }
 
-  // 2) Load the Dustbin (to read/update tareWeight and get branchAddress)
-  const bin = await Dustbin.findById(associateBin);
-  if (!bin) {
-    throw new ApiError(404, `Dustbin ${associateBin} not found.`);
-  }
+  // 2) Ingest
+  const { record, duplicate, inFlight } = await ingestWaste(reading, { device: req.device });
 
-  // 3) If this is a cleaning event, we must record who cleaned and update tareWeight
-  let cleanerDoc = null;
-  if (eventType === 'cleaning') {
-    if (!isCleaned) {
-      throw new ApiError(400, "'isCleaned' must be true for cleaning events.");
-    }
-    // require either a known Cleaner ID or a free-text name
-    if (!cleanedBy) {
-      throw new ApiError(400, "Cleaning events require 'cleanedBy' (Cleaner ID)");
-    }
-    // update the bin’s tareWeight to this raw reading
-    bin.tareWeight = rawWeight;
-    await bin.save();
-
-    // 4) If they provided a Cleaner ID, verify it
-    if (cleanedBy) {
-      cleanerDoc = await Cleaner.findById(cleanedBy);
-      if (!cleanerDoc) {
-        throw new ApiError(404, `Cleaner ${cleanedBy} not found.`);
-      }
-    }
+  if (inFlight) {
+    throw new ApiError(409, 'This message is still being ingested; retry shortly');
+  }
+  if (duplicate) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, record, 'Duplicate reading ignored; original record returned'));
   }
 
-  // 5) Compute net waste weight (never go below zero)
-  const tare = bin.tareWeight;
-  const netWeight = Math.max(0, rawWeight - tare);
-
-  // 6) Persist the Waste record
-  const wastePayload = {
-    associateBin,
-    currentWeight: netWeight,
-    eventType,
-    isCleaned: Boolean(isCleaned),
-  };
-  if (eventType === 'cleaning') {
-    // store both the reference (if any) and the snapshot name
-    wastePayload.cleanedBy = cleanerDoc?._id;
-  }
-
-  const wasteRecord = await Waste.create(wastePayload);
-  console.log(`✅ [addWaste] Waste _id=${wasteRecord._id} recorded (netWeight=${netWeight}kg)`);
-
-  // 7) Publish to Redis → Socket.io for immediate dashboard update
-  const pubMessage = JSON.stringify({
-    branchId: bin.branchAddress.toString(),
-    payload: {
-      _id: wasteRecord._id,
-      associateBin,
-      currentWeight: netWeight,
-      eventType,
-      isCleaned: Boolean(isCleaned),
-      cleanedBy: wastePayload.cleanedBy,
-      createdAt: wasteRecord.createdAt,
-    },
-  });
-
-  redisClient
-    .publish('waste-updates', pubMessage)
-    .then(() => {
-      console.log(`✔️ [addWaste] Published to 'waste-updates' for branch ${bin.branchAddress}`);
-    })
-    .catch((err) => {
-      console.error(`❌ [addWaste] Redis publish failed:`, err);
-    });
-
-  // 8) Return the new record
-  return res.status(201).json(new ApiResponse(201, wasteRecord, 'Waste record added successfully'));
+  // 3) Return the new record
+  return res.status(201).json(new ApiResponse(201, record, 'Waste record added successfully'));
 });
 
 /**
@@ -109,16 +52,20 @@ const addWaste = asyncHandler(async (req, res) => {
  * Marks one or more bins as “cleaned” in one request.
  * Steps:
  *  1. Validate payload: must include an array of bins plus at least one identifier for the cleaner.
- *  2. For each bin:
- *     a. Load the Dustbin to ensure it exists and retrieve its branchAddress.
- *     b. Update its tareWeight to the raw scale reading (so future disposals subtract correctly).
- *     c. Save the bin.
- *     d. Insert a Waste document with eventType='cleaning', currentWeight=0, isCleaned=true.
- *     e. Publish the new Waste payload to Redis so any socket clients get the update in real time.
+ *     For device calls, reject the whole request if any bin is outside the device's scope.
+ *     The cleaner (`cleanedBy` ID or `cleanerName`) must exist.
+ *  2. For each bin (entries may carry a device-side `measuredAt`), run a cleaning reading through
+ *     the shared ingestion pipeline, which:
+ *     a. Loads the Dustbin to ensure it exists and retrieve its branchAddress.
+ *     b. Updates its tareWeight to the raw scale reading (so future disposals subtract correctly).
+ *     c. Inserts a Waste document with eventType='cleaning', currentWeight=0, isCleaned=true.
+ *     d. Publishes the new Waste payload to Redis so any socket clients get the update in real time.
+ *     Invalid entries and unknown bins are skipped. Entries carrying a messageId/seq that was
+ *     already ingested for the bin contribute the original cleaning record instead.
  *  3. Return the array of created Waste records.
  *
  * @route POST /api/v1/waste/clean
- * @access Service clients (via verifyServiceKey)
+ * @access Registered devices (via verifyServiceKey)
  */
 const cleanBinsBulk = asyncHandler(async (req, res) => {
   const { bins, cleanedBy, cleanerName } = req.body;
@@ -131,73 +78,282 @@ const cleanBinsBulk = asyncHandler(async (req, res) => {
     );
   }
 
+  // 1.b) Devices may only clean bins within their scope; check all bins before writing anything
+  if (req.device) {
+    const binIds = bins
+      .map((item) => item?.associateBin)
+      .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+    const requestedBins = await Dustbin.find({ _id: { $in: binIds } })
+      .select('branchAddress')
+      .lean();
+    const outOfScope = requestedBins
+      .filter((bin) => !req.device.canReportFor(bin))
+      .map((bin) => bin._id.toString());
+    if (outOfScope.length > 0) {
+      throw new ApiError(
+        403,
+        `Device is not authorised to report for dustbin(s): ${outOfScope.join(', ')}`,
+      );
+    }
+  }
+
+  // 1.c) Resolve the cleaner once for the whole batch
+  const cleaner = await resolveCleaner({ cleanedBy, cleanerName });
+
   const createdEvents = [];
 
   // 2) Process each bin
   for (const item of bins) {
-    const { associateBin, rawWeight } = item;
-
     // 2.a) Validate each entry
-    if (!associateBin || typeof rawWeight !== 'number') {
+    const { reading, error } = validateReading({
+      associateBin: item?.associateBin,
+      currentWeight: item?.rawWeight,
+      eventType: 'cleaning',
+      isCleaned: true,
+      cleanedBy: cleaner._id,
+      messageId: item?.messageId,
+      seq: item?.seq,
+      measuredAt: item?.measuredAt,
+    });
+    if (error) {
       // skip invalid entries rather than completely fail
-      console.warn(`[cleanBinsBulk] skipping invalid entry:`, item);
+      console.warn(`[cleanBinsBulk] skipping invalid entry (${error}):`, item);
       continue;
     }
 
-    // 2.b) Load the Dustbin document
-    const bin = await Dustbin.findById(associateBin).lean();
-    if (!bin) {
-      console.warn(`[cleanBinsBulk] dustbin not found: ${associateBin}`);
-      continue;
+    // 2.b–d) Shared ingestion pipeline
+    let result;
+    try {
+      result = await ingestWaste(reading, { device: req.device });
+    } catch (err) {
+      if (err instanceof ApiError && err.statusCode === 404) {
+        console.warn(`[cleanBinsBulk] dustbin not found: ${reading.associateBin}`);
+        continue;
+      }
+      throw err;
     }
 
-    // 2.c) Update its tareWeight
-    // (we assume you have added `tareWeight` to the Dustbin schema)
-    await Dustbin.updateOne({ _id: associateBin }, { $set: { tareWeight: rawWeight } });
+    // Repeats return the original cleaning record
+    if (result.record) createdEvents.push(result.record);
+    if (result.duplicate) {
+      console.log(
+        `[cleanBinsBulk] duplicate message ${reading.messageId} for bin ${reading.associateBin} ignored`,
+      );
+    }
+  }
 
-    // 2.d) Create a cleaning Waste record
-    const wasteRecord = await Waste.create({
-      associateBin,
-      currentWeight: 0, // cleaned → net waste is zero
-      eventType: 'cleaning',
-      isCleaned: true,
-      cleanedBy: cleanedBy || null,
-      cleanerName: cleanerName || null,
-    });
+  // 3) Return all successfully created events
+  return res.status(201).json(new ApiResponse(201, createdEvents, 'Bins cleaned successfully'));
+});
+
+/**
+ * loadReviewableReading
+ * Loads a Waste record for review, checking its branch is in the reviewer's access scope.
+ */
+const loadReviewableReading = async (id, accessScope) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid waste record ID');
+  }
+  const wasteRecord = await Waste.findById(id);
+  if (!wasteRecord) {
+    throw new ApiError(404, 'Waste record not found');
+  }
+  const bin = await Dustbin.findById(wasteRecord.associateBin).select('branchAddress').lean();
+  if (!bin || !(await isInScope(accessScope, 'branch', bin.branchAddress))) {
+    throw new ApiError(403, 'You do not have access to this waste record');
+  }
+  return { wasteRecord, bin };
+};
+
+/**
+ * listQuarantinedReadings
+ * Lists readings held back by the plausibility checks for one branch, newest first.
+ * Optional status filter: "quarantined" (default), "rejected", or "accepted" (approved ones).
+ *
+ * @route GET /api/v1/waste/quarantine?branchId=&status=&page=&limit=
+ */
+const listQuarantinedReadings = asyncHandler(async (req, res) => {
+  const { branchId, status = 'quarantined' } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+    throw new ApiError(400, 'A valid branchId is required');
+  }
+  if (!['quarantined', 'rejected', 'accepted'].includes(status)) {
+    throw new ApiError(400, 'status must be one of: quarantined, rejected, accepted');
+  }
+  if (!(await BranchAddress.exists({ _id: branchId }))) {
+    throw new ApiError(404, 'Branch not found');
+  }
+  if (!(await isInScope(req.accessScope, 'branch', branchId))) {
+    throw new ApiError(403, 'You do not have access to this branch');
+  }
 
-    createdEvents.push(wasteRecord);
+  const binIds = await Dustbin.find({ branchAddress: branchId }).distinct('_id');
+  const filter = { associateBin: { $in: binIds }, qualityStatus: status };
+  // Approved readings are the accepted ones that went through review
+  if (status === 'accepted') filter.reviewedAt = { $exists: true };
 
-    // 2.e) Publish to Redis for socket.io
-    const payload = {
-      _id: wasteRecord._id,
-      associateBin,
-      currentWeight: 0,
+  const [items, total] = await Promise.all([
+    Waste.find(filter)
+      .sort({ measuredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('associateBin', 'dustbinType binCapacity tareWeight')
+      .lean(),
+    Waste.countDocuments(filter),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { items, total, page, limit },
+        'Quarantined readings fetched successfully',
+      ),
+    );
+});
+
+/**
+ * approveReading
+ * Accepts a quarantined reading after review so it counts towards analytics: the bin's
+ * disposals are re-derived from it (see services/disposalService.js). Approving a cleaning
+ * reading also applies its tare to the bin, unless a later cleaning has already set one, and
+ * closes missed-collection alerts it satisfies. Readings measured before the hot window
+ * (WASTE_HOT_DAYS) can only be rejected.
+ *
+ * @route POST /api/v1/waste/:id/approve
+ */
+const approveReading = asyncHandler(async (req, res) => {
+  const { wasteRecord } = await loadReviewableReading(req.params.id, req.accessScope);
+  if (wasteRecord.qualityStatus !== 'quarantined') {
+    throw new ApiError(409, `Reading is not quarantined (status: ${wasteRecord.qualityStatus})`);
+  }
+  // The settled readings after it could not be re-derived (see readingRetentionService.js)
+  if (wasteRecord.measuredAt < hotWindowStart()) {
+    throw new ApiError(
+      409,
+      `Readings measured more than ${HOT_DAYS} days ago can no longer be approved; reject it instead`,
+    );
+  }
+
+  wasteRecord.qualityStatus = 'accepted';
+  wasteRecord.reviewedBy = req.user._id;
+  wasteRecord.reviewedAt = new Date();
+  await wasteRecord.save();
+  await deriveDisposals(wasteRecord);
+
+  if (wasteRecord.eventType === 'cleaning' && wasteRecord.rawWeight != null) {
+    const laterCleaning = await Waste.exists({
+      associateBin: wasteRecord.associateBin,
       eventType: 'cleaning',
-      isCleaned: true,
-      cleanedBy: wasteRecord.cleanedBy,
-      cleanerName: wasteRecord.cleanerName,
-      createdAt: wasteRecord.createdAt,
-    };
-    const message = JSON.stringify({
-      branchId: bin.branchAddress.toString(),
-      payload,
+      measuredAt: { $gt: wasteRecord.measuredAt },
+      ...COUNTED_READINGS,
     });
+    if (!laterCleaning) {
+      await Dustbin.updateOne(
+        { _id: wasteRecord.associateBin },
+        { $set: { tareWeight: wasteRecord.rawWeight } },
+      );
+    }
+    await resolveMissedCollections(wasteRecord.associateBin, wasteRecord.measuredAt);
+  }
 
-    redisClient
-      .publish('waste-updates', message)
-      .then(() => {
-        console.log(`[cleanBinsBulk] published cleaning event for bin ${associateBin}`);
-      })
-      .catch((err) => {
-        console.error(
-          `[cleanBinsBulk] failed to publish cleaning event for bin ${associateBin}:`,
-          err,
-        );
-      });
+  return res.status(200).json(new ApiResponse(200, wasteRecord, 'Reading approved successfully'));
+});
+
+/**
+ * rejectReading
+ * Confirms a quarantined reading as a sensor fault. It is kept for audit but never counted.
+ *
+ * @route POST /api/v1/waste/:id/reject
+ */
+const rejectReading = asyncHandler(async (req, res) => {
+  const { wasteRecord } = await loadReviewableReading(req.params.id, req.accessScope);
+  if (wasteRecord.qualityStatus !== 'quarantined') {
+    throw new ApiError(409, `Reading is not quarantined (status: ${wasteRecord.qualityStatus})`);
   }
 
-  // 3) Return all successfully created events
-  return res.status(201).json(new ApiResponse(201, createdEvents, 'Bins cleaned successfully'));
+  wasteRecord.qualityStatus = 'rejected';
+  wasteRecord.reviewedBy = req.user._id;
+  wasteRecord.reviewedAt = new Date();
+  await wasteRecord.save();
+
+  return res.status(200).json(new ApiResponse(200, wasteRecord, 'Reading rejected successfully'));
+});
+
+/**
+ * listReadingArchives
+ * Lists the days of raw readings expired by the retention job (see
+ * services/readingRetentionService.js), newest first. Each archive holds one company's
+ * readings; companyId lists a single company's. Optional from/to ('YYYY-MM-DD', UTC days,
+ * inclusive).
+ *
+ * @route GET /api/v1/waste/archives?companyId=&from=&to=&page=&limit=
+ */
+const listReadingArchives = asyncHandler(async (req, res) => {
+  const { companyId, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = { status: 'complete' };
+  if (companyId) filter.company = companyId;
+  if (from || to) {
+    filter.day = {};
+    if (from) filter.day.$gte = String(from);
+    if (to) filter.day.$lte = String(to);
+  }
+
+  const [items, total] = await Promise.all([
+    ReadingArchive.find(filter)
+      .sort({ day: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReadingArchive.countDocuments(filter),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { items, total, page, limit }, 'Reading archives fetched successfully'),
+    );
+});
+
+/**
+ * downloadReadingArchive
+ * Downloads one archive: gzipped NDJSON, one raw reading per line.
+ *
+ * @route GET /api/v1/waste/archives/:id/download
+ */
+const downloadReadingArchive = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid archive ID');
+  }
+  const archive = await ReadingArchive.findOne({ _id: id, status: 'complete' }).lean();
+  if (!archive) {
+    throw new ApiError(404, 'Reading archive not found');
+  }
+  if (!archive.file) {
+    throw new ApiError(410, 'Readings of this day were deleted without an export');
+  }
+
+  const file = path.join(ARCHIVE_DIR, archive.file);
+  if (!fs.existsSync(file)) {
+    throw new ApiError(404, 'Reading archive file not found');
+  }
+  return res.download(file, archive.file);
 });
 
-export { addWaste, cleanBinsBulk };
+export {
+  addWaste,
+  cleanBinsBulk,
+  listQuarantinedReadings,
+  approveReading,
+  rejectReading,
+  listReadingArchives,
+  downloadReadingArchive,
+};
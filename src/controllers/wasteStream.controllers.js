@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { WasteStream } from '../models/wasteStream.models.js';
+import { Company } from '../models/company.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { ensureDefaultStreams } from '../services/wasteStreamService.js';
+
+/**
+ * resolveCompanyId
+ * SuperAdmins may act on any company (via companyId); everyone else on their own.
+ */
+const resolveCompanyId = (user, companyId) => {
+  if (user.role !== 'SuperAdmin') return user.company;
+  if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+    throw new ApiError(400, 'A valid companyId is required');
+  }
+  return companyId;
+};
+
+/**
+ * findStreamOr404
+ * Loads a stream, checking non-SuperAdmins only reach their own company's catalog.
+ */
+const findStreamOr404 = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid waste stream ID');
+  }
+  const stream = await WasteStream.findById(id);
+  if (!stream || (user.role !== 'SuperAdmin' && !stream.company.equals(user.company))) {
+    throw new ApiError(404, 'Waste stream not found');
+  }
+  return stream;
+};
+
+/**
+ * rethrowValidation
+ * Maps Mongoose validation and duplicate-name errors to 400 / 409.
+ */
+const rethrowValidation = (error) => {
+  if (error.name === 'ValidationError') throw new ApiError(400, error.message);
+  if (error.code === 11000) {
+    throw new ApiError(409, 'A waste stream with this name already exists for the company');
+  }
+  throw error;
+};
+
+/**
+ * listWasteStreams
+ * -------------------------------------------
+ * Lists a company's waste stream catalog (seeding the defaults if it has none).
+ *
+ * @route GET /api/v1/wasteStreams?companyId=
+ */
+const listWasteStreams = asyncHandler(async (req, res) => {
+  const companyId = resolveCompanyId(req.user, req.query.companyId);
+  const streams = await ensureDefaultStreams(companyId);
+  streams.sort((a, b) => a.name.localeCompare(b.name));
+  return res.status(200).json(new ApiResponse(200, streams, 'Waste streams fetched successfully'));
+});
+
+/**
+ * createWasteStream
+ * -------------------------------------------
+ * Adds a stream to a company's catalog.
+ * Required: companyId, name, isDiverted. Optional: colour, treatment (landfill, recycling or
+ * composting; by default recycling if diverted, landfill if not), densityKgPerLitre.
+ *
+ * @route POST /api/v1/wasteStreams
+ */
+const createWasteStream = asyncHandler(async (req, res) => {
+  const { companyId, name, colour, isDiverted, treatment, densityKgPerLitre } = req.body;
+  if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+    throw new ApiError(400, 'A valid companyId is required');
+  }
+  if (!name || typeof isDiverted !== 'boolean') {
+    throw new ApiError(400, 'name and isDiverted (Boolean) are required');
+  }
+  const company = await Company.exists({ _id: companyId });
+  if (!company) {
+    throw new ApiError(404, 'Company not found');
+  }
+
+  // Make sure the defaults exist first so they are not seeded on top of a custom catalog later
+  await ensureDefaultStreams(companyId);
+
+  const stream = await WasteStream.create({
+    company: companyId,
+    name,
+    colour,
+    isDiverted,
+    treatment,
+    densityKgPerLitre,
+  }).catch(rethrowValidation);
+
+  return res.status(201).json(new ApiResponse(201, stream, 'Waste stream created successfully'));
+});
+
+/**
+ * updateWasteStream
+ * -------------------------------------------
+ * Updates a stream's name, colour, isDiverted, treatment and/or densityKgPerLitre. A rename is
+ * copied onto the dustbinType of every bin using the stream; changing isDiverted without a
+ * treatment resets the treatment to the default for it.
+ *
+ * @route PATCH /api/v1/wasteStreams/:id
+ */
+const updateWasteStream = asyncHandler(async (req, res) => {
+  const stream = await findStreamOr404(req.params.id, req.user);
+  const { name, colour, isDiverted, treatment, densityKgPerLitre } = req.body;
+
+  if (isDiverted !== undefined && typeof isDiverted !== 'boolean') {
+    throw new ApiError(400, 'isDiverted must be a Boolean');
+  }
+  const renamed = name !== undefined && name.trim() !== stream.name;
+  if (name !== undefined) stream.name = name;
+  if (colour !== undefined) stream.colour = colour;
+  if (isDiverted !== undefined && isDiverted !== stream.isDiverted && treatment === undefined) {
+    stream.treatment = isDiverted ? 'recycling' : 'landfill';
+  }
+  if (isDiverted !== undefined) stream.isDiverted = isDiverted;
+  if (treatment !== undefined) stream.treatment = treatment;
+  if (densityKgPerLitre !== undefined) stream.densityKgPerLitre = densityKgPerLitre;
+
+  await stream.save().catch(rethrowValidation);
+  if (renamed) {
+    await Dustbin.updateMany({ wasteStream: stream._id }, { $set: { dustbinType: stream.name } });
+  }
+
+  return res.status(200).json(new ApiResponse(200, stream, 'Waste stream updated successfully'));
+});
+
+/**
+ * deleteWasteStream
+ * -------------------------------------------
+ * Removes a stream from the catalog. Streams still referenced by a bin
+ * (including decommissioned ones, whose history depends on it) cannot be deleted.
+ *
+ * @route DELETE /api/v1/wasteStreams/:id
+ */
+const deleteWasteStream = asyncHandler(async (req, res) => {
+  const stream = await findStreamOr404(req.params.id, req.user);
+  const inUse = await Dustbin.exists({ wasteStream: stream._id });
+  if (inUse) {
+    throw new ApiError(409, 'Waste stream is used by one or more dustbins');
+  }
+  await stream.deleteOne();
+  return res.status(200).json(new ApiResponse(200, {}, 'Waste stream deleted successfully'));
+});
+
+export { listWasteStreams, createWasteStream, updateWasteStream, deleteWasteStream };
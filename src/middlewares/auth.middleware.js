@@ -2,38 +2,36 @@ import { ApiError } from '../utils/ApiError.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import jwt from 'jsonwebtoken';
 import { User } from '../models/user.models.js';
+import { resolvePermissions } from '../services/permissionService.js';
 
 /**
- * verifyJWT middleware:
- *  - Reads the token from cookies or the Authorization header.
- *  - Verifies the token using the secret.
- *  - Fetches the corresponding user from the database (excluding sensitive fields).
- *  - If the token or user is invalid, throws an Unauthorized error.
- *  - Otherwise, attaches the user object to the request and calls next().
+ * extractAccessToken:
+ *  - Reads the access token from the accessToken cookie or a "Bearer <token>" Authorization header.
+ *  - Works on Express requests and on the Socket.io handshake request.
+ *  - Returns undefined if neither is present.
  */
-export const verifyJWT = asyncHandler(async (req, res, next) => {
-  const unprotectedPaths = [
-    '/resetPassword',
-    '/forgotPassword',
-    '/api/v1/users/completeRegistration',
-  ];
-  if (unprotectedPaths.some((path) => req.path === path)) {
-    return next();
-  }
-
-  let token;
-
+export const extractAccessToken = (req) => {
   // First, try to retrieve the token from cookies
   if (req.cookies && req.cookies.accessToken) {
-    token = req.cookies.accessToken;
-  } else if (req.headers && req.headers.authorization) {
+    return req.cookies.accessToken;
+  }
+  if (req.headers && req.headers.authorization) {
     // Extract token from the "Bearer <token>" header
     const parts = req.headers.authorization.split(' ');
     if (parts.length === 2 && parts[0] === 'Bearer') {
-      token = parts[1];
+      return parts[1];
     }
   }
+  return undefined;
+};
 
+/**
+ * findUserByAccessToken:
+ *  - Verifies the token using the secret.
+ *  - Fetches the corresponding user from the database (excluding sensitive fields).
+ *  - Throws an Unauthorized error if the token or user is invalid.
+ */
+export const findUserByAccessToken = async (token) => {
   if (!token) {
     throw new ApiError(401, 'Unauthorized request. No token provided.');
   }
@@ -47,15 +45,33 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
     if (!user) {
       throw new ApiError(401, 'Invalid Access Token.');
     }
-
-    // Attach the user object to the request for later middleware or controllers
-    req.user = user;
-    next();
+    return user;
   } catch (error) {
     // Log the error for debugging purposes (remove or sanitize for production)
     console.error('Token verification error:', error.message);
     throw new ApiError(401, 'Invalid Access Token.');
   }
+};
+
+/**
+ * verifyJWT middleware:
+ *  - Reads the token from cookies or the Authorization header.
+ *  - Resolves the user via findUserByAccessToken (throws Unauthorized if invalid).
+ *  - Otherwise, attaches the user object to the request and calls next().
+ */
+export const verifyJWT = asyncHandler(async (req, res, next) => {
+  const unprotectedPaths = [
+    '/resetPassword',
+    '/forgotPassword',
+    '/api/v1/users/completeRegistration',
+  ];
+  if (unprotectedPaths.some((path) => req.path === path)) {
+    return next();
+  }
+
+  // Attach the user object to the request for later middleware or controllers
+  req.user = await findUserByAccessToken(extractAccessToken(req));
+  next();
 });
 
 /**
@@ -64,6 +80,7 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
  *  - Checks if the authenticated user's role is included in the allowed roles.
  *  - If not, throws a Forbidden error.
  *  - Otherwise, calls next().
+ *  - Routes now use requirePermission; kept for role-specific checks.
  */
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
@@ -76,3 +93,21 @@ export const authorizeRoles = (...roles) => {
     next();
   };
 };
+
+/**
+ * requirePermission middleware:
+ *  - Accepts one or more permission names from the catalog in services/permissionService.js.
+ *  - Checks the authenticated user holds all of them, through their built-in role preset or
+ *    their company-defined custom role.
+ *  - If not, throws a Forbidden error.
+ */
+export const requirePermission = (...permissions) =>
+  asyncHandler(async (req, res, next) => {
+    const granted = await resolvePermissions(req.user);
+    const missing = permissions.filter((permission) => !granted.has(permission));
+    if (missing.length > 0) {
+      console.log(`[requirePermission] user=${req.user._id} missing ${missing.join(', ')}`);
+      throw new ApiError(403, 'You do not have permission to perform this action.');
+    }
+    next();
+  });
@@ -0,0 +1,51 @@
+import { ApiError } from '../utils/ApiError.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { isInScope, resolveAccessScope } from '../services/accessScopeService.js';
+
+// Request fields (query or body) that identify a tenant resource, and what they refer to.
+const SCOPED_FIELDS = {
+  companyId: 'company',
+  associatedCompany: 'company',
+  orgUnitId: 'orgUnit',
+  branchId: 'branch',
+  branchAddress: 'branch',
+  addressId: 'branch',
+  binId: 'bin',
+  associateBin: 'bin',
+};
+
+/**
+ * authorizeScope middleware:
+ *  - Must run after verifyJWT.
+ *  - Resolves which company, OrgUnits and branches the user may access and attaches it as
+ *    req.accessScope (for controllers that list data without an explicit ID).
+ *  - Rejects the request with 403 if any of the SCOPED_FIELDS in the query or body (e.g.
+ *    companyId, branchId, addressId, binId) is outside that scope.
+ *  - `params` maps route params to what they identify, e.g. authorizeScope({ id: 'bin' }).
+ */
+export const authorizeScope = (params = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const scope = await resolveAccessScope(req.user);
+    req.accessScope = scope;
+    if (scope.unrestricted) return next();
+
+    const checks = [];
+    for (const source of [req.query, req.body]) {
+      for (const [field, kind] of Object.entries(SCOPED_FIELDS)) {
+        const value = source?.[field];
+        if (value == null || value === '') continue;
+        for (const id of Array.isArray(value) ? value : [value]) checks.push({ kind, id });
+      }
+    }
+    for (const [param, kind] of Object.entries(params)) {
+      if (req.params[param]) checks.push({ kind, id: req.params[param] });
+    }
+
+    for (const { kind, id } of checks) {
+      if (!(await isInScope(scope, kind, id))) {
+        console.warn(`[authorizeScope] user=${req.user._id} denied ${kind} ${id}`);
+        throw new ApiError(403, `You do not have access to this ${kind}.`);
+      }
+    }
+    next();
+  });
@@ -0,0 +1,31 @@
+/**
+ * Middleware to accept a single spreadsheet upload (.csv or .xlsx) in the `file` form field.
+ *
+ * The file is kept in memory as `req.file.buffer`; uploads over the size limit, of another
+ * type or in another field are rejected with a 400.
+ */
+import multer from 'multer';
+import dotenv from 'dotenv';
+import { ApiError } from '../utils/ApiError.js';
+
+dotenv.config({ path: './.env' });
+
+const MAX_UPLOAD_BYTES = Number(process.env.SPREADSHEET_UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+const spreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) return cb(null, true);
+    cb(new ApiError(400, 'Only .csv and .xlsx files are accepted'));
+  },
+}).single('file');
+
+export const uploadSpreadsheet = (req, res, next) => {
+  spreadsheet(req, res, (err) => {
+    if (err instanceof multer.MulterError) return next(new ApiError(400, err.message));
+    if (err) return next(err);
+    if (!req.file) return next(new ApiError(400, 'A .csv or .xlsx file is required'));
+    next();
+  });
+};
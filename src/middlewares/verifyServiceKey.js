@@ -1,25 +1,90 @@
 /**
- * Middleware to authenticate service‐to‐service requests
- * using a shared API key in the `Authorization: ApiKey <key>` header.
+ * Middleware to authenticate scale/gateway requests using a per-device API key
+ * in the `Authorization: ApiKey <key>` header.
+ *
+ * The key is hashed and looked up in the Device registry. Revoked devices and
+ * unknown keys are rejected; on success the device is attached as `req.device`
+ * so controllers can restrict writes to the bins it is allowed to report for.
+ *
+ * Transition: until every gateway has a registered device key, the old shared
+ * WASTE_INGEST_API_KEY can still be accepted, but only on behalf of a registered device and
+ * only until a cut-off date. Both must be configured or the shared key is refused:
+ *   WASTE_INGEST_LEGACY_DEVICE_ID    – the Device the shared key acts as; its branch and
+ *                                      allowed bins restrict what the key may write
+ *   WASTE_INGEST_API_KEY_EXPIRES_AT  – date (ISO-8601) after which the shared key is refused
+ * Each use is logged as deprecated. Unset WASTE_INGEST_API_KEY once the logs show no more uses.
  */
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { Device } from '../models/device.models.js';
 
 dotenv.config({
   path: './.env',
 });
 
-export function verifyServiceKey(req, res, next) {
-  // Expect header: Authorization: ApiKey <your_key>
+// Constant-time check of a key against the deprecated shared key (false when it is unset)
+const isLegacyKey = (providedKey) => {
+  const legacyKey = process.env.WASTE_INGEST_API_KEY;
+  if (!legacyKey) return false;
+  const expected = crypto.createHash('sha256').update(legacyKey).digest();
+  const provided = crypto.createHash('sha256').update(providedKey).digest();
+  return crypto.timingSafeEqual(expected, provided);
+};
+
+// The registered device the deprecated shared key acts as, or null when the shared key is
+// not bound to a device, has passed its cut-off date or its device has been revoked
+const findLegacyDevice = async () => {
+  const deviceId = process.env.WASTE_INGEST_LEGACY_DEVICE_ID;
+  const expiresAt = new Date(process.env.WASTE_INGEST_API_KEY_EXPIRES_AT);
+  if (!mongoose.Types.ObjectId.isValid(deviceId) || !(expiresAt > new Date())) {
+    console.warn(
+      '[verifyServiceKey] shared WASTE_INGEST_API_KEY refused: it needs ' +
+        'WASTE_INGEST_LEGACY_DEVICE_ID and a future WASTE_INGEST_API_KEY_EXPIRES_AT',
+    );
+    return null;
+  }
+  return Device.findOne({ _id: deviceId, isRevoked: false });
+};
+
+export const verifyServiceKey = asyncHandler(async (req, res, next) => {
+  // Expect header: Authorization: ApiKey <device_key>
   const authHeader = req.get('Authorization') || '';
   const [scheme, providedKey] = authHeader.split(' ');
 
-  // Compare to the key stored in environment
-  const expectedKey = process.env.WASTE_INGEST_API_KEY;
+  if (scheme !== 'ApiKey' || !providedKey) {
+    return res.status(401).json({ success: false, message: 'Invalid or missing service API key' });
+  }
+
+  const keyHash = Device.hashKey(providedKey);
+  let device = await Device.findOne({
+    isRevoked: false,
+    $or: [{ keyHash }, { previousKeyHash: keyHash, previousKeyExpiresAt: { $gt: new Date() } }],
+  });
+
+  if (!device && isLegacyKey(providedKey)) {
+    device = await findLegacyDevice();
+    if (device) {
+      console.warn(
+        `[verifyServiceKey] deprecated shared WASTE_INGEST_API_KEY used from ${req.ip} ` +
+          `as device ${device._id}; register the gateway as a device and switch it to its own key`,
+      );
+    }
+  }
 
-  if (scheme !== 'ApiKey' || !providedKey || providedKey !== expectedKey) {
+  if (!device) {
     return res.status(401).json({ success: false, message: 'Invalid or missing service API key' });
   }
 
-  // All good—proceed to the controller
+  // Track last-seen without holding up the request.
+  Device.updateOne({ _id: device._id }, { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip } })
+    .exec()
+    .catch((err) =>
+      console.error(`[verifyServiceKey] failed to update lastSeen for ${device._id}`, err),
+    );
+
+  // All good—attach the device and proceed to the controller
+  req.device = device;
   next();
-}
+});
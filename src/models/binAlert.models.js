@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * BinAlert Schema
+ * -------------------------------------------
+ * An alert raised for a bin that needs attention from the facilities team.
+ *
+ * Fields:
+ *   - bin: The Dustbin the alert is for.
+ *   - branchAddress: The bin's branch when the alert was raised.
+ *   - type: 'fillLevel' (the bin crossed a fill threshold) or
+ *           'missedCollection' (the bin was not cleaned by its branch's collection deadline).
+ *   - threshold: The threshold crossed (% full). fillLevel only.
+ *   - fillPercent: Estimated fill level when the alert was raised.
+ *   - windowStart / dueAt: The collection window the bin should have been cleaned in
+ *     (previous deadline, missed deadline]. missedCollection only.
+ *   - status: 'open' until the bin drops back below the threshold or is cleaned.
+ *   - acknowledgedBy / acknowledgedAt: Who acknowledged the alert, and when.
+ *   - resolvedAt: When the alert was closed.
+ */
+const binAlertSchema = new mongoose.Schema(
+  {
+    bin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dustbin',
+      required: true,
+    },
+    branchAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BranchAddress',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['fillLevel', 'missedCollection'],
+      required: true,
+    },
+    threshold: {
+      type: Number,
+    },
+    fillPercent: {
+      type: Number,
+    },
+    windowStart: {
+      type: Date,
+    },
+    dueAt: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+// At most one open fill alert per bin and threshold
+binAlertSchema.index(
+  { bin: 1, type: 1, threshold: 1 },
+  {
+    name: 'open_fill_alert_unique',
+    unique: true,
+    partialFilterExpression: { status: 'open', type: 'fillLevel' },
+  },
+);
+// At most one missed-collection alert per bin and deadline
+binAlertSchema.index(
+  { bin: 1, type: 1, dueAt: 1 },
+  {
+    name: 'missed_collection_unique',
+    unique: true,
+    partialFilterExpression: { type: 'missedCollection' },
+  },
+);
+binAlertSchema.index({ branchAddress: 1, status: 1, createdAt: -1 });
+
+export const BinAlert = mongoose.model('BinAlert', binAlertSchema);
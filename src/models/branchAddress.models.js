@@ -42,6 +42,23 @@ const branchAddressSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // IANA time zone the branch's schedules are written in and its analytics are bucketed by,
+    // e.g. 'Australia/Sydney'
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    // Bins must be cleaned by `deadline` (HH:mm, branch-local) on each of `days` (0 = Sunday)
+    collectionSchedule: {
+      days: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: undefined,
+      },
+      deadline: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+    },
   },
   { timestamps: true },
 );
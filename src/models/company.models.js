@@ -26,6 +26,19 @@ const companySchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Fill levels (% of estimated bin volume) that raise a bin-full alert
+    fillAlertThresholds: {
+      type: [{ type: Number, min: 1, max: 200 }],
+      default: [80, 100],
+    },
+    // Month (1–12) the company's financial year starts in; analytics quarters and financial-year
+    // periods follow it. Defaults to July (the Australian financial year).
+    financialYearStartMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: 7,
+    },
   },
   { timestamps: true },
 );
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * DeadLetter Schema
+ * -------------------------------------------
+ * Stores MQTT messages that could not be ingested so they can be inspected, edited and replayed.
+ *
+ * Fields:
+ *   - topic: The MQTT topic the message arrived on.
+ *   - payload: The raw message payload as received (or as last edited by an admin).
+ *   - reason: Why the message was rejected: 'invalid_json', 'invalid_fields' or 'ingest_failed'.
+ *   - error: Error details captured at the time of rejection.
+ *   - receivedAt: When the subscriber received the message.
+ *   - status: 'pending' until it is successfully replayed or discarded; 'replaying' while a
+ *     replay holds it (see services/deadLetterService.js claimDeadLetter).
+ *   - replayAttempts / lastReplayAt / lastReplayError: Replay bookkeeping.
+ *   - replayedRecord: The Waste record created by a successful replay.
+ */
+const deadLetterSchema = new mongoose.Schema(
+  {
+    topic: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['invalid_json', 'invalid_fields', 'ingest_failed'],
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'replaying', 'replayed', 'discarded'],
+      default: 'pending',
+    },
+    replayAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastReplayAt: {
+      type: Date,
+    },
+    lastReplayError: {
+      type: String,
+    },
+    replayedRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Waste',
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    editedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+deadLetterSchema.index({ status: 1, receivedAt: -1 });
+export const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * Device Schema
+ * -------------------------------------------
+ * Represents a scale or gateway that is allowed to push readings to the waste ingest endpoints.
+ *
+ * Fields:
+ *   - name: Human readable label (e.g., "Level 3 kitchen scale").
+ *   - branchAddress: The branch the device reports for.
+ *   - allowedBins: Bins the device may report for. Empty means every bin in the branch.
+ *   - keyHash: SHA-256 hash of the issued API key (the plain key is only shown once).
+ *   - keyPrefix: First characters of the key, used to identify it in listings and logs.
+ *   - previousKeyHash / previousKeyExpiresAt: Old key kept valid for a grace period after rotation.
+ *   - isRevoked / revokedAt: Revoked devices are rejected by verifyServiceKey.
+ *   - lastSeenAt / lastSeenIp: Updated on every authenticated request.
+ */
+const deviceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    branchAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BranchAddress',
+      required: true,
+    },
+    allowedBins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dustbin',
+      },
+    ],
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    keyRotatedAt: {
+      type: Date,
+    },
+    previousKeyHash: {
+      type: String,
+      select: false,
+    },
+    previousKeyExpiresAt: {
+      type: Date,
+    },
+    isRevoked: {
+      type: Boolean,
+      default: false,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    lastSeenIp: {
+      type: String,
+    },
+    createdby: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true },
+);
+
+deviceSchema.index({ branchAddress: 1 });
+deviceSchema.index({ previousKeyHash: 1 }, { sparse: true });
+
+// Generates a new random API key. Only its hash is ever persisted.
+deviceSchema.statics.generateKey = function () {
+  return `eco_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Keys are long random strings, so a fast hash is sufficient and allows lookup by hash.
+deviceSchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Returns true when the given bin (document or lean object) is within this device's scope.
+deviceSchema.methods.canReportFor = function (bin) {
+  if (!bin || !bin.branchAddress) return false;
+  if (bin.branchAddress.toString() !== this.branchAddress.toString()) return false;
+  if (!this.allowedBins || this.allowedBins.length === 0) return true;
+  return this.allowedBins.some((binId) => binId.toString() === bin._id.toString());
+};
+
+export const Device = mongoose.model('Device', deviceSchema);
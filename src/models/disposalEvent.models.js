@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * DisposalEvent Schema
+ * -------------------------------------------
+ * Waste put into a bin, derived from the rise in its net weight between consecutive counted
+ * readings (see services/disposalService.js). These records, not the raw readings, are what
+ * analytics sum: a bin emptied mid-day keeps the morning's waste, and waste left in a bin
+ * overnight is not counted again the next day.
+ *
+ * Fields:
+ *   - associateBin: The Dustbin the waste was put into.
+ *   - branchAddress: The bin's branch when the reading was taken.
+ *   - reading: The Waste reading that showed the rise (one event per reading at most).
+ *   - measuredAt: When that reading was taken.
+ *   - fromWeight / toWeight: Net weight (kg) before and after the disposal.
+ *   - weight: Mass disposed (kg), toWeight − fromWeight.
+ *   - wasteStream: The bin's waste stream when the disposal was first derived (null: none).
+ *   - material / treatment: That stream's name and treatment at the time; they pick the
+ *     emission factors (see services/emissionsService.js).
+ *   - timezone: The branch's time zone when the disposal was first derived.
+ *     Rollups are keyed by these, so they are kept when the disposal is re-derived.
+ *     Events derived before they were recorded lack them.
+ */
+const disposalEventSchema = new mongoose.Schema(
+  {
+    associateBin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dustbin',
+      required: true,
+    },
+    branchAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BranchAddress',
+    },
+    reading: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Waste',
+      required: true,
+    },
+    measuredAt: {
+      type: Date,
+      required: true,
+    },
+    fromWeight: {
+      type: Number,
+      required: true,
+    },
+    toWeight: {
+      type: Number,
+      required: true,
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    wasteStream: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WasteStream',
+    },
+    material: {
+      type: String,
+    },
+    treatment: {
+      type: String,
+    },
+    timezone: {
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+disposalEventSchema.index({ reading: 1 }, { unique: true });
+// Branch-scoped analytics
+disposalEventSchema.index({ branchAddress: 1, measuredAt: -1 });
+disposalEventSchema.index({ associateBin: 1, measuredAt: -1 });
+
+export const DisposalEvent = mongoose.model('DisposalEvent', disposalEventSchema);
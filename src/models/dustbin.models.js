@@ -3,9 +3,19 @@ import { BranchAddress } from './branchAddress.models.js';
 
 const dustbinSchema = new mongoose.Schema(
   {
+    // Optional display name (e.g., "Level 3 kitchen – organics")
+    name: {
+      type: String,
+      trim: true,
+    },
+    // The company's WasteStream this bin collects
+    wasteStream: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WasteStream',
+    },
+    // Name of the waste stream (kept in sync with wasteStream.name)
     dustbinType: {
       type: String,
-      enum: ['General Waste', 'Commingled', 'Organic', 'Paper & Cardboard', 'Glass'],
       required: true,
     },
     currentWeight: {
@@ -23,16 +33,48 @@ const dustbinSchema = new mongoose.Schema(
       enum: [25, 50, 75],
       required: true,
     },
+    // Estimated fill level (%) from the last accepted reading (see services/binFillService.js)
+    fillPercent: {
+      type: Number,
+      default: 0,
+    },
+    lastReadingAt: {
+      type: Date,
+    },
     branchAddress: {
       //asociated branch
       type: mongoose.Schema.Types.ObjectId,
       ref: BranchAddress,
       required: true,
     },
+    // Earlier branches this bin was moved from (Waste records keep their own branch snapshot)
+    locationHistory: [
+      {
+        branchAddress: { type: mongoose.Schema.Types.ObjectId, ref: BranchAddress },
+        movedAt: { type: Date },
+        movedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
+    // Retired bins are kept so their Waste history stays attributable
+    isDecommissioned: {
+      type: Boolean,
+      default: false,
+    },
+    decommissionedAt: {
+      type: Date,
+    },
+    decommissionedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
   },
   { timestamps: true },
 );
 
 //Creating a compound index for faster queries
 dustbinSchema.index({ branchAddress: 1 });
+
+// Filter for bins in service, for current-state views (legacy bins have no flag).
+export const ACTIVE_BINS = { isDecommissioned: { $ne: true } };
+
 export const Dustbin = mongoose.model('Dustbin', dustbinSchema);
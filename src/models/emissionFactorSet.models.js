@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import { WASTE_TREATMENTS } from './wasteStream.models.js';
+
+/**
+ * EmissionFactorSet Schema
+ * -------------------------------------------
+ * A published, numbered set of waste emissions factors (see services/emissionsService.js).
+ * Sets are never edited: a revision is published as a new version, so a report run against
+ * a version always gives the same figures.
+ *
+ * Fields:
+ *   - version: 1, 2, 3, ... in publishing order.
+ *   - label / source: Name of the set and where its factors come from.
+ *   - effectiveFrom: Reports of periods ending on or after this date use the set by default
+ *     (until a later set takes effect).
+ *   - factors: kg CO2e per kg of waste, for a material (a waste stream name, or '*' for any)
+ *     under a treatment, optionally only in a country and region (BranchAddress.country /
+ *     subdivision). The most specific matching factor applies.
+ *   - createdBy: The user who published the set (none for the built-in set).
+ */
+const emissionFactorSchema = new mongoose.Schema(
+  {
+    material: {
+      type: String,
+      trim: true,
+      default: '*',
+    },
+    treatment: {
+      type: String,
+      enum: WASTE_TREATMENTS,
+      required: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    region: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    kgCO2ePerKg: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+const emissionFactorSetSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    source: {
+      type: String,
+      trim: true,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    factors: {
+      type: [emissionFactorSchema],
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true },
+);
+
+emissionFactorSetSchema.index({ version: 1 }, { unique: true });
+emissionFactorSetSchema.index({ effectiveFrom: -1, version: -1 });
+
+export const EmissionFactorSet = mongoose.model('EmissionFactorSet', emissionFactorSetSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * IngestReceipt Schema
+ * -------------------------------------------
+ * Remembers which device message IDs have already been ingested for a bin so that
+ * redelivered messages (MQTT QoS 1, HTTP retries) do not create duplicate Waste records.
+ *
+ * Fields:
+ *   - associateBin: The Dustbin the message was for.
+ *   - messageId: Device message ID or sequence number (stored as a string).
+ *   - waste: The Waste record created for the message (null while it is being processed).
+ *   - leaseExpiresAt: While waste is null, when the ingest's claim lapses; a redelivery after
+ *     this retakes the message rather than being dropped as a repeat.
+ *   - expiresAt: End of the dedupe window; MongoDB removes the receipt after this time.
+ */
+const ingestReceiptSchema = new mongoose.Schema(
+  {
+    associateBin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dustbin',
+      required: true,
+    },
+    messageId: {
+      type: String,
+      required: true,
+    },
+    waste: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Waste',
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    leaseExpiresAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+// One receipt per bin + message ID; the TTL index expires receipts at the end of the window.
+ingestReceiptSchema.index({ associateBin: 1, messageId: 1 }, { unique: true });
+ingestReceiptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const IngestReceipt = mongoose.model('IngestReceipt', ingestReceiptSchema);
@@ -12,6 +12,11 @@ const invitationSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null,
+  },
   OrgUnit: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'OrgUnit',
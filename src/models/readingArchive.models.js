@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * ReadingArchive Schema
+ * -------------------------------------------
+ * One company's day of raw readings expired at the end of the raw retention period (see
+ * services/readingRetentionService.js): downsampled to HourlyReadings, exported, then
+ * deleted. The export is a gzipped NDJSON file, one WasteReading per line, downloadable from
+ * the readings archive endpoint. A company's day is normally expired once; readings that
+ * arrive later than the retention period get an archive of their own.
+ *
+ * Fields:
+ *   - company: The company whose readings were expired (null: branches without a company).
+ *   - day: The UTC day expired ('YYYY-MM-DD').
+ *   - status: "pending" until the raw readings are deleted, then "complete". A pending archive
+ *     left by an interrupted run is discarded (with its HourlyReadings) and redone.
+ *   - file: Path of the export, relative to READING_ARCHIVE_DIR: '<company>/readings-<day>-…'
+ *     (none when exports are off).
+ *   - readings: Number of readings expired.
+ *   - bytes: Size of the export.
+ */
+const readingArchiveSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null,
+    },
+    day: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'complete'],
+      default: 'pending',
+    },
+    file: {
+      type: String,
+    },
+    readings: {
+      type: Number,
+      default: 0,
+    },
+    bytes: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+readingArchiveSchema.index({ company: 1, day: -1 });
+readingArchiveSchema.index({ day: -1 });
+readingArchiveSchema.index({ status: 1 });
+
+export const ReadingArchive = mongoose.model('ReadingArchive', readingArchiveSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Role Schema
+ * -------------------------------------------
+ * A company-defined role composed from the permission catalog
+ * (see services/permissionService.js). Users reference it through User.customRole;
+ * the built-in roles are code presets and have no document here.
+ *
+ * Fields:
+ *   - company: The Company that defined the role.
+ *   - name: Display name (e.g., "Sustainability Analyst"), unique within the company.
+ *   - description: Optional free text shown when assigning the role.
+ *   - permissions: Permission names granted to users holding the role.
+ *   - createdby: The user who created the role.
+ *   - isdeleted: Soft-delete flag; deleted roles grant nothing.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    createdby: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isdeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true },
+);
+
+roleSchema.index(
+  { company: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isdeleted: false } },
+);
+
+export const Role = mongoose.model('Role', roleSchema);
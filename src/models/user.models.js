@@ -42,6 +42,12 @@ const userSchema = new mongoose.Schema(
       ],
       required: true,
     },
+    // Company-defined role; when set, its permissions replace those of the `role` preset.
+    customRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      default: null,
+    },
     refreshToken: {
       type: String,
     },
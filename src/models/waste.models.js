@@ -9,10 +9,19 @@ const wasteSchema = new mongoose.Schema(
       ref: Dustbin,
       required: true,
     },
+    // Branch the bin was in when the reading was taken (bins can be relocated).
+    branchAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BranchAddress',
+    },
     currentWeight: {
       type: Number,
       required: true,
     },
+    // Scale reading before tare subtraction (kg).
+    rawWeight: {
+      type: Number,
+    },
     eventType: {
       type: String,
       enum: ['disposal', 'cleaning'],
@@ -31,10 +40,70 @@ const wasteSchema = new mongoose.Schema(
         return this.eventType === 'cleaning';
       },
     },
+    // When the scale took the reading (device clock). createdAt remains the receipt time.
+    measuredAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    // Receipt time minus measuredAt, in milliseconds (positive = reading arrived late).
+    clockSkewMs: {
+      type: Number,
+      default: 0,
+    },
+    // True when |clockSkewMs| exceeded CLOCK_SKEW_TOLERANCE_SECONDS at ingestion.
+    clockSkewFlagged: {
+      type: Boolean,
+      default: false,
+    },
+    // Plausibility check result; quarantined and rejected readings are kept but not counted.
+    qualityStatus: {
+      type: String,
+      enum: ['accepted', 'quarantined', 'rejected'],
+      default: 'accepted',
+    },
+    // Why the reading was held back (see services/readingQualityService.js).
+    qualityFlags: {
+      type: [String],
+      enum: ['negative_weight', 'over_capacity', 'spike', 'flatline', 'late'],
+      default: undefined,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    // Device message ID / sequence number, used to drop redelivered readings.
+    messageId: {
+      type: String,
+    },
+    // Disposal accounting baseline (kg) after this reading (see services/disposalService.js).
+    disposalBaseline: {
+      type: Number,
+    },
   },
   { timestamps: true },
 );
 
 //Creating a compound index for faster queries
 wasteSchema.index({ createdAt: -1, associateBin: 1 });
+// Analytics bucket by device time
+wasteSchema.index({ measuredAt: -1, associateBin: 1 });
+// Branch-scoped analytics
+wasteSchema.index({ branchAddress: 1, measuredAt: -1 });
+// Quarantine review list
+wasteSchema.index({ qualityStatus: 1, measuredAt: -1 });
+// Per-bin history in reading order (disposal accounting)
+wasteSchema.index({ associateBin: 1, measuredAt: 1, _id: 1 });
+// Finding the reading a redelivered message stored (see services/ingestDedupeService.js)
+wasteSchema.index(
+  { associateBin: 1, messageId: 1 },
+  { partialFilterExpression: { messageId: { $exists: true } } },
+);
+
+// Match stage for readings that count towards analytics (legacy records have no qualityStatus).
+export const COUNTED_READINGS = { qualityStatus: { $nin: ['quarantined', 'rejected'] } };
+
 export const Waste = mongoose.model('Waste', wasteSchema);
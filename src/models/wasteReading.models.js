@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+
+/**
+ * Settled reading Schemas (WasteReading, HourlyReading)
+ * -------------------------------------------
+ * MongoDB time-series collections holding readings once they have left the Waste collection
+ * (see services/readingRetentionService.js). Waste keeps the recent readings that can still
+ * change (quarantine review, disposal accounting); older ones are moved here unchanged,
+ * keeping their _id so DisposalEvents still point at them. After the raw retention period a
+ * bin's readings are downsampled to one HourlyReading per UTC hour and the raw readings are
+ * archived and deleted.
+ *
+ * Metadata (the time-series metaField, `meta`):
+ *   - associateBin: The Dustbin the reading came from.
+ *   - branchAddress: The bin's branch when the reading was taken.
+ *   - company: That branch's company.
+ *   - wasteStream: The bin's waste stream when the reading was settled.
+ *
+ * WasteReading fields are those of Waste (currentWeight, rawWeight, eventType, cleanedBy,
+ * qualityStatus, disposalBaseline, ...), with measuredAt as the time field.
+ *
+ * HourlyReading fields (counted readings only):
+ *   - hour: Start of the UTC hour (the time field).
+ *   - readings / cleanings: Number of readings, and of cleaning readings, in the hour.
+ *   - minWeight / maxWeight / avgWeight: Net weight (kg) over the hour.
+ *   - lastWeight / lastBaseline: Net weight and disposal baseline after the hour's last reading.
+ *   - archive: The ReadingArchive whose expiry produced the entry.
+ */
+const readingMeta = {
+  associateBin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dustbin',
+    required: true,
+  },
+  branchAddress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BranchAddress',
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+  },
+  wasteStream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteStream',
+  },
+};
+
+const wasteReadingSchema = new mongoose.Schema(
+  {
+    meta: readingMeta,
+    measuredAt: {
+      type: Date,
+      required: true,
+    },
+    currentWeight: {
+      type: Number,
+      required: true,
+    },
+    rawWeight: {
+      type: Number,
+    },
+    eventType: {
+      type: String,
+      enum: ['disposal', 'cleaning'],
+      required: true,
+    },
+    isCleaned: {
+      type: Boolean,
+    },
+    cleanedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cleaner',
+    },
+    clockSkewMs: {
+      type: Number,
+    },
+    clockSkewFlagged: {
+      type: Boolean,
+    },
+    qualityStatus: {
+      type: String,
+      enum: ['accepted', 'quarantined', 'rejected'],
+    },
+    qualityFlags: {
+      type: [String],
+      default: undefined,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    messageId: {
+      type: String,
+    },
+    disposalBaseline: {
+      type: Number,
+    },
+    // When the reading was received (Waste.createdAt).
+    receivedAt: {
+      type: Date,
+    },
+  },
+  {
+    timeseries: { timeField: 'measuredAt', metaField: 'meta', granularity: 'minutes' },
+    versionKey: false,
+  },
+);
+
+const hourlyReadingSchema = new mongoose.Schema(
+  {
+    meta: readingMeta,
+    hour: {
+      type: Date,
+      required: true,
+    },
+    readings: {
+      type: Number,
+      default: 0,
+    },
+    cleanings: {
+      type: Number,
+      default: 0,
+    },
+    minWeight: {
+      type: Number,
+    },
+    maxWeight: {
+      type: Number,
+    },
+    avgWeight: {
+      type: Number,
+    },
+    lastWeight: {
+      type: Number,
+    },
+    lastBaseline: {
+      type: Number,
+    },
+    archive: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReadingArchive',
+    },
+  },
+  {
+    timeseries: { timeField: 'hour', metaField: 'meta', granularity: 'hours' },
+    versionKey: false,
+  },
+);
+
+// Per-bin history
+wasteReadingSchema.index({ 'meta.associateBin': 1, measuredAt: -1 });
+hourlyReadingSchema.index({ 'meta.associateBin': 1, hour: -1 });
+// Branch-scoped history
+wasteReadingSchema.index({ 'meta.branchAddress': 1, measuredAt: -1 });
+
+export const WasteReading = mongoose.model('WasteReading', wasteReadingSchema);
+export const HourlyReading = mongoose.model('HourlyReading', hourlyReadingSchema);
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+/**
+ * Rollup Schemas (DailyRollup, HourlyRollup)
+ * -------------------------------------------
+ * Waste disposed (summed DisposalEvents) per bin, per branch and per OrgUnit, for each
+ * branch-local day and hour. Maintained as disposals are derived and rebuildable from the
+ * DisposalEvents (see services/rollupService.js); the analytics endpoints read these instead
+ * of aggregating raw readings.
+ *
+ * Fields:
+ *   - scope / scopeId: What the totals are for – a bin, a branch or an OrgUnit (every unit
+ *     above the branch, up to the Company unit).
+ *   - branchAddress: The branch the waste was disposed at (bin and branch rollups only).
+ *   - wasteStream: The bin's waste stream when the waste was disposed.
+ *   - material / treatment: That stream's name and treatment at the time, which pick its
+ *     emission factors (null on totals rolled up before they were recorded).
+ *   - timezone: The branch's time zone when the waste was disposed; `day` and `hour` are
+ *     local to it.
+ *   - day: Local date, 'YYYY-MM-DD'.
+ *   - hour: Local hour of the day, 0–23 (HourlyRollup only).
+ *   - weight: Waste disposed (kg).
+ *   - disposals: Number of DisposalEvents summed.
+ */
+const rollupFields = {
+  scope: {
+    type: String,
+    enum: ['bin', 'branch', 'orgUnit'],
+    required: true,
+  },
+  scopeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  branchAddress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BranchAddress',
+    default: null,
+  },
+  wasteStream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WasteStream',
+    default: null,
+  },
+  material: {
+    type: String,
+    default: null,
+  },
+  treatment: {
+    type: String,
+    default: null,
+  },
+  timezone: {
+    type: String,
+    required: true,
+  },
+  day: {
+    type: String,
+    required: true,
+  },
+  weight: {
+    type: Number,
+    default: 0,
+  },
+  disposals: {
+    type: Number,
+    default: 0,
+  },
+};
+
+const dailyRollupSchema = new mongoose.Schema(rollupFields, { timestamps: true });
+const hourlyRollupSchema = new mongoose.Schema(
+  {
+    ...rollupFields,
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// One document per key; reads filter on scope, scopeId and day
+const rollupKey = {
+  wasteStream: 1,
+  material: 1,
+  treatment: 1,
+  branchAddress: 1,
+  timezone: 1,
+};
+dailyRollupSchema.index({ scope: 1, scopeId: 1, day: 1, ...rollupKey }, { unique: true });
+hourlyRollupSchema.index({ scope: 1, scopeId: 1, day: 1, hour: 1, ...rollupKey }, { unique: true });
+// Bin rollups of one branch
+dailyRollupSchema.index({ scope: 1, branchAddress: 1, day: 1 });
+hourlyRollupSchema.index({ scope: 1, branchAddress: 1, day: 1 });
+
+export const DailyRollup = mongoose.model('DailyRollup', dailyRollupSchema);
+export const HourlyRollup = mongoose.model('HourlyRollup', hourlyRollupSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * WasteStream Schema
+ * -------------------------------------------
+ * A company's catalog entry for one kind of waste (e.g., "Soft Plastics", "E-waste").
+ * Dustbins reference a stream; analytics read diversion classification from it.
+ *
+ * Fields:
+ *   - company: The Company this stream belongs to.
+ *   - name: Display name, unique within the company. Copied onto Dustbin.dustbinType.
+ *   - colour: Hex colour used for charts and bin labels (e.g., "#43A047").
+ *   - isDiverted: Whether waste in this stream counts as diverted from landfill.
+ *   - treatment: How the stream's waste is treated (landfill, recycling or composting); picks
+ *     the factor emissions reports use from the versioned EmissionFactorSets.
+ *   - densityKgPerLitre: Typical bulk density, used to estimate how full a bin is from its weight.
+ */
+export const WASTE_TREATMENTS = ['landfill', 'recycling', 'composting'];
+
+const wasteStreamSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    colour: {
+      type: String,
+      trim: true,
+      match: [/^#[0-9a-fA-F]{6}$/, 'colour must be a hex colour such as #43A047'],
+      default: '#9E9E9E',
+    },
+    isDiverted: {
+      type: Boolean,
+      required: true,
+    },
+    treatment: {
+      type: String,
+      enum: WASTE_TREATMENTS,
+      default: function () {
+        return this.isDiverted ? 'recycling' : 'landfill';
+      },
+    },
+    densityKgPerLitre: {
+      type: Number,
+      min: 0.001,
+      default: 0.15,
+    },
+  },
+  { timestamps: true },
+);
+
+wasteStreamSchema.index({ company: 1, name: 1 }, { unique: true });
+
+export const WasteStream = mongoose.model('WasteStream', wasteStreamSchema);
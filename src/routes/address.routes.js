@@ -1,14 +1,18 @@
 import {Router} from "express";
-import { verifyJWT, authorizeRoles } from "../middlewares/auth.middleware.js";
-import { createNewAddress, updateBranchDetails, deleteBranch } from "../controllers/branchAddress.controllers.js";
+import { verifyJWT, requirePermission } from "../middlewares/auth.middleware.js";
+import { authorizeScope } from "../middlewares/scope.middleware.js";
+import { uploadSpreadsheet } from "../middlewares/upload.middleware.js";
+import { createNewAddress, updateBranchDetails, updateCollectionSchedule, deleteBranch, bulkUploadBranches } from "../controllers/branchAddress.controllers.js";
 
 
 
 const router = Router()
 
-router.route("/addCompanyAddress").post(verifyJWT,authorizeRoles("SuperAdmin"), createNewAddress);
-router.route("/updateCompanyAddress").post(verifyJWT,authorizeRoles("SuperAdmin"), updateBranchDetails);
-router.route("/deleteCompanyAddress").post(verifyJWT,authorizeRoles("SuperAdmin"), deleteBranch);
+router.route("/addCompanyAddress").post(verifyJWT,requirePermission("branches:manage"), authorizeScope(), createNewAddress);
+router.route("/updateCompanyAddress").post(verifyJWT,requirePermission("branches:manage"), authorizeScope(), updateBranchDetails);
+router.route("/updateCollectionSchedule").post(verifyJWT,requirePermission("branches:manage"), authorizeScope(), updateCollectionSchedule);
+router.route("/deleteCompanyAddress").post(verifyJWT,requirePermission("branches:manage"), authorizeScope(), deleteBranch);
+router.route("/bulkUpload").post(verifyJWT,requirePermission("branches:manage"), uploadSpreadsheet, authorizeScope(), bulkUploadBranches);
 
 
 
@@ -1,26 +1,56 @@
 import { Router } from 'express';
-import { verifyJWT, authorizeRoles } from '../middlewares/auth.middleware.js';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import {
   getAdminOverview,
   getActivityFeed,
   getLeaderboardData,
   getWasteTrendChart,
   getWasteDispositionRates,
+  rebuildAnalyticsRollups,
 } from '../controllers/SuperAdminAnalytics.controllers.js';
 import { getOffices } from '../controllers/offices.controllers.js';
+import { getEmissionsReport } from '../controllers/emissions.controllers.js';
 
 // Create a new router instance
 const router = Router();
 // Admin Overview and Trend Chart Endpoints
-router.get('/adminOverview', verifyJWT, getAdminOverview);
-router.get('/wasteTrendChart', verifyJWT, authorizeRoles('SuperAdmin'), getWasteTrendChart);
-router.get('/wasteDisposition', verifyJWT, authorizeRoles('SuperAdmin'), getWasteDispositionRates);
+router.get('/adminOverview', verifyJWT, authorizeScope(), getAdminOverview);
+router.get(
+  '/wasteTrendChart',
+  verifyJWT,
+  requirePermission('analytics:platform'),
+  getWasteTrendChart,
+);
+router.get(
+  '/wasteDisposition',
+  verifyJWT,
+  requirePermission('analytics:platform'),
+  getWasteDispositionRates,
+);
 
 // Activity Feed and Leaderboard Endpoints
-router.get('/activityFeed', verifyJWT, authorizeRoles('SuperAdmin'), getActivityFeed);
-router.get('/leaderboard', verifyJWT, authorizeRoles('SuperAdmin'), getLeaderboardData);
+router.get('/activityFeed', verifyJWT, requirePermission('analytics:platform'), getActivityFeed);
+router.get('/leaderboard', verifyJWT, requirePermission('analytics:platform'), getLeaderboardData);
+
+// Carbon emissions of disposed waste, and the emissions avoided by diversion
+router.get(
+  '/emissions',
+  verifyJWT,
+  requirePermission('analytics:read'),
+  authorizeScope(),
+  getEmissionsReport,
+);
+
+// Recompute the analytics rollups from the disposal records
+router.post(
+  '/rollups/rebuild',
+  verifyJWT,
+  requirePermission('analytics:platform'),
+  rebuildAnalyticsRollups,
+);
 
 // Offices Endpoint for admin dashboard use
-router.get('/offices', verifyJWT, getOffices);
+router.get('/offices', verifyJWT, authorizeScope(), getOffices);
 
 export default router;
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
+import { listBinAlerts, acknowledgeBinAlert } from '../controllers/binAlert.controllers.js';
+
+const router = Router();
+
+router.use(verifyJWT, authorizeScope());
+
+router.get('/', listBinAlerts); // GET /api/v1/binAlerts?branchId=&status=
+router.post('/:id/acknowledge', acknowledgeBinAlert); // POST /api/v1/binAlerts/:id/acknowledge
+
+export default router;
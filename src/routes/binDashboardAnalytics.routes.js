@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import {
   getLatestBinWeight,
   getBinStatus,
@@ -7,14 +8,19 @@ import {
   getWasteLast7Days,
   getWasteTrendComparison,
   getDiversionRate,
+  streamLiveUpdates,
 } from '../controllers/binDashboardAnalytics.controllers.js';
 
 const router = Router();
+
+router.use(verifyJWT, authorizeScope());
 // Bin and Waste Endpoints
-router.get('/latestBinWeight', verifyJWT, getLatestBinWeight);
-router.get('/binStatus', verifyJWT, getBinStatus);
-router.get('/minimalOverview', verifyJWT, getMinimalOverview);
-router.get('/wasteLast7Days', verifyJWT, getWasteLast7Days);
-router.get('/wasteTrendComparison', verifyJWT, getWasteTrendComparison);
-router.get('/diversionRate', verifyJWT, getDiversionRate);
+router.get('/latestBinWeight', getLatestBinWeight);
+router.get('/binStatus', getBinStatus);
+router.get('/minimalOverview', getMinimalOverview);
+router.get('/wasteLast7Days', getWasteLast7Days);
+router.get('/wasteTrendComparison', getWasteTrendComparison);
+router.get('/diversionRate', getDiversionRate);
+// Live updates over Server-Sent Events
+router.get('/stream', streamLiveUpdates);
 export default router;
@@ -1,4 +1,6 @@
 import { Router } from 'express';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import {
   createCleaner,
   getCleaner,
@@ -9,15 +11,17 @@ import {
 
 const router = Router();
 
+router.use(verifyJWT, authorizeScope());
+
 router
   .route('/')
   .get(listCleaners) // GET /api/v1/cleaners
-  .post(createCleaner); // POST /api/v1/cleaners
+  .post(requirePermission('cleaners:manage'), createCleaner); // POST /api/v1/cleaners
 
 router
   .route('/:id')
   .get(getCleaner) // GET /api/v1/cleaners/:id
-  .patch(updateCleaner) // PATCH /api/v1/cleaners/:id
-  .delete(deleteCleaner);
+  .patch(requirePermission('cleaners:manage'), updateCleaner) // PATCH /api/v1/cleaners/:id
+  .delete(requirePermission('cleaners:manage'), deleteCleaner);
 
 export default router;
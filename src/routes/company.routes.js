@@ -1,15 +1,16 @@
 import {Router} from "express";
 import {createNewCompany, updateCompanyDetails, deleteCompany, getCompany, getCompanyById} from "../controllers/company.controllers.js"
-import { verifyJWT, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { verifyJWT, requirePermission } from "../middlewares/auth.middleware.js";
+import { authorizeScope } from "../middlewares/scope.middleware.js";
 const router = Router()
 
 
 //route starts with:   /api/v1/company
 
-router.route("/addCompany").post(verifyJWT, authorizeRoles("SuperAdmin"), createNewCompany );
-router.route("/updateCompany").post(verifyJWT, authorizeRoles("SuperAdmin"), updateCompanyDetails);
-router.route("/deleteCompany").post(verifyJWT, authorizeRoles("SuperAdmin"), deleteCompany);
-router.route("/getCompany").get(verifyJWT, getCompany)
+router.route("/addCompany").post(verifyJWT, requirePermission("companies:manage"), createNewCompany );
+router.route("/updateCompany").post(verifyJWT, requirePermission("companies:manage"), updateCompanyDetails);
+router.route("/deleteCompany").post(verifyJWT, requirePermission("companies:manage"), deleteCompany);
+router.route("/getCompany").get(verifyJWT, authorizeScope(), getCompany)
 
-router.route("/:id").get(verifyJWT, getCompanyById);
+router.route("/:id").get(verifyJWT, authorizeScope({ id: "company" }), getCompanyById);
 export default router
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import {
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+  replayDeadLetterById,
+  replayDeadLetters,
+  discardDeadLetter,
+} from '../controllers/deadLetter.controllers.js';
+
+const router = Router();
+
+router.use(verifyJWT, requirePermission('deadLetters:manage'));
+
+// Static routes first
+router.get('/', listDeadLetters); // GET /api/v1/deadLetters
+router.post('/replay', replayDeadLetters); // POST /api/v1/deadLetters/replay
+
+router
+  .route('/:id')
+  .get(getDeadLetter) // GET /api/v1/deadLetters/:id
+  .patch(updateDeadLetter); // PATCH /api/v1/deadLetters/:id
+
+router.post('/:id/replay', replayDeadLetterById);
+router.post('/:id/discard', discardDeadLetter);
+
+export default router;
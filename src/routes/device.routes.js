@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import {
+  registerDevice,
+  listDevices,
+  getDevice,
+  updateDevice,
+  rotateDeviceKey,
+  revokeDevice,
+} from '../controllers/device.controllers.js';
+
+const router = Router();
+
+router.use(verifyJWT, requirePermission('devices:manage'));
+
+router
+  .route('/')
+  .get(listDevices) // GET /api/v1/devices
+  .post(registerDevice); // POST /api/v1/devices
+
+router
+  .route('/:id')
+  .get(getDevice) // GET /api/v1/devices/:id
+  .patch(updateDevice); // PATCH /api/v1/devices/:id
+
+router.post('/:id/rotateKey', rotateDeviceKey);
+router.post('/:id/revoke', revokeDevice);
+
+export default router;
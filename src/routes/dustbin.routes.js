@@ -1,16 +1,45 @@
 import { Router } from 'express';
-import { verifyJWT, authorizeRoles } from '../middlewares/auth.middleware.js';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import {
   addDustbin,
   getCurrentWeight,
   aggregatedWasteData,
+  listDustbins,
+  getDustbin,
+  updateDustbin,
+  relocateDustbin,
+  decommissionDustbin,
 } from '../controllers/dustbin.controllers.js';
 
 const router = Router();
 
-router.route('/adddustbin').post(verifyJWT, authorizeRoles('SuperAdmin'), addDustbin);
-router.route('/currentweight/:id').get(verifyJWT, getCurrentWeight);
+router
+  .route('/adddustbin')
+  .post(verifyJWT, requirePermission('bins:manage'), authorizeScope(), addDustbin);
+router.route('/currentweight/:id').get(verifyJWT, authorizeScope({ id: 'bin' }), getCurrentWeight);
 //router.route("/bindetails").get(verifyJWT, getCompanyWithDustbins);
-router.get('/aggregated', aggregatedWasteData);
+router.get('/aggregated', verifyJWT, authorizeScope(), aggregatedWasteData);
+
+// Bin management
+router.get('/', verifyJWT, authorizeScope(), listDustbins);
+router
+  .route('/:id')
+  .get(verifyJWT, authorizeScope({ id: 'bin' }), getDustbin)
+  .patch(verifyJWT, requirePermission('bins:manage'), authorizeScope({ id: 'bin' }), updateDustbin);
+router.post(
+  '/:id/relocate',
+  verifyJWT,
+  requirePermission('bins:manage'),
+  authorizeScope({ id: 'bin' }),
+  relocateDustbin,
+);
+router.post(
+  '/:id/decommission',
+  verifyJWT,
+  requirePermission('bins:manage'),
+  authorizeScope({ id: 'bin' }),
+  decommissionDustbin,
+);
 
 export default router;
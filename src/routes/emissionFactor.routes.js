@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import {
+  listEmissionFactorSets,
+  getEmissionFactorSet,
+  createEmissionFactorSet,
+} from '../controllers/emissions.controllers.js';
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route('/')
+  .get(requirePermission('analytics:read'), listEmissionFactorSets) // GET /api/v1/emissionFactors
+  .post(requirePermission('emissionFactors:manage'), createEmissionFactorSet); // POST /api/v1/emissionFactors
+
+router.get('/:version', requirePermission('analytics:read'), getEmissionFactorSet); // GET /api/v1/emissionFactors/:version
+
+export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
-import { verifyJWT, authorizeRoles } from '../middlewares/auth.middleware.js';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import {
   getAdminOverview,
   getWasteTrendChart,
@@ -10,24 +11,12 @@ const router = Router();
 
 router
   .route('/adminOverview')
-  .get(
-    verifyJWT,
-    authorizeRoles('RegionalAdmin', 'CountryAdmin', 'CityAdmin', 'OfficeAdmin'),
-    getAdminOverview,
-  );
+  .get(verifyJWT, requirePermission('analytics:read'), authorizeScope(), getAdminOverview);
 router
   .route('/wasteTrendChart')
-  .get(
-    verifyJWT,
-    authorizeRoles('RegionalAdmin', 'CountryAdmin', 'CityAdmin', 'OfficeAdmin'),
-    getWasteTrendChart,
-  );
+  .get(verifyJWT, requirePermission('analytics:read'), authorizeScope(), getWasteTrendChart);
 router
   .route('/wasteDisposition')
-  .get(
-    verifyJWT,
-    authorizeRoles('RegionalAdmin', 'CountryAdmin', 'CityAdmin', 'OfficeAdmin'),
-    getWasteDispositionRates,
-  );
+  .get(verifyJWT, requirePermission('analytics:read'), authorizeScope(), getWasteDispositionRates);
 
 export default router;
@@ -1,6 +1,8 @@
 
 import { Router } from 'express';
 import { ApiError } from '../utils/ApiError.js';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import {
   createOrgUnit,
   getOrgUnit,
@@ -8,28 +10,37 @@ import {
   createOrgUnitsForBranchAddress,
   getOrgUnitsByType,
   getGroupedOrgUnits,
+  renameOrgUnit,
+  moveOrgUnit,
+  mergeOrgUnit,
+  deleteOrgUnit,
 } from '../controllers/orgUnit.controllers.js';
 
 const router = Router();
 
+router.use(verifyJWT, authorizeScope());
+
 // Static routes first
 router.get('/tree', getOrgUnitTree); // Retrieve the entire organizational structure as a tree.
-router.post('/', createOrgUnit); // Create a new organizational unit.
-router.post('/createBranchHierarchy', createOrgUnitsForBranchAddress); // Create OrgUnits for a branch address.
+router.post('/', requirePermission('orgUnits:manage'), createOrgUnit); // Create a new organizational unit.
+router.post('/createBranchHierarchy', requirePermission('orgUnits:manage'), createOrgUnitsForBranchAddress); // Create OrgUnits for a branch address.
 router.get('/byType', getOrgUnitsByType); // Retrieve all OrgUnits filtered by type.
 router.get('/grouped', getGroupedOrgUnits); // Retrieve distinct OrgUnits grouped by their type.
-// Dynamic route: validate the ID is a valid ObjectId before retrieving a single OrgUnit.
-router.get(
-  '/:id',
-  (req, res, next) => {
-    const id = req.params.id;
-    if (/^[0-9a-fA-F]{24}$/.test(id)) {
-      next();
-    } else {
-      return next(new ApiError(400, 'Invalid OrgUnit ID'));
-    }
-  },
-  getOrgUnit,
-);
+// Dynamic routes: validate the ID is a valid ObjectId before touching a single OrgUnit.
+const validateId = (req, res, next) => {
+  const id = req.params.id;
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    next();
+  } else {
+    return next(new ApiError(400, 'Invalid OrgUnit ID'));
+  }
+};
+const manageUnit = [validateId, requirePermission('orgUnits:manage'), authorizeScope({ id: 'orgUnit' })];
+
+router.get('/:id', validateId, authorizeScope({ id: 'orgUnit' }), getOrgUnit);
+router.patch('/:id', ...manageUnit, renameOrgUnit); // Rename a unit.
+router.post('/:id/move', ...manageUnit, moveOrgUnit); // Re-parent a unit and its subtree.
+router.post('/:id/merge', ...manageUnit, mergeOrgUnit); // Merge a duplicate unit into another.
+router.delete('/:id', ...manageUnit, deleteOrgUnit); // Delete an empty unit.
 
 export default router;
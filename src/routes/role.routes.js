@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
+import {
+  listPermissions,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/role.controllers.js';
+
+const router = Router();
+
+router.use(verifyJWT, authorizeScope());
+
+// Static routes first
+router.get('/permissions', listPermissions); // GET /api/v1/roles/permissions
+
+router
+  .route('/')
+  .get(listRoles) // GET /api/v1/roles?companyId=
+  .post(requirePermission('roles:manage'), createRole); // POST /api/v1/roles
+
+router
+  .route('/:id')
+  .patch(requirePermission('roles:manage'), updateRole) // PATCH /api/v1/roles/:id
+  .delete(requirePermission('roles:manage'), deleteRole); // DELETE /api/v1/roles/:id
+
+export default router;
@@ -14,7 +14,8 @@ import {
   inviteUser,
   completeRegistration,
 } from '../controllers/user.controllers.js';
-import { verifyJWT, authorizeRoles } from '../middlewares/auth.middleware.js';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 
 const router = Router();
 
@@ -23,17 +24,13 @@ router.route('/forgotPassword').post(forgotPassword);
 router.route('/resetPassword').post(resetPassword);
 
 //route starts with:   /api/v1/users
-router.route('/register').post(verifyJWT, authorizeRoles('SuperAdmin'), registerUser);
+router.route('/register').post(verifyJWT, requirePermission('users:manage'), registerUser);
 // router.route('/register').post(registerUser);
 router.route('/login').post(loginUser);
 
 router
   .route('/invite')
-  .post(
-    verifyJWT,
-    authorizeRoles('SuperAdmin', 'CountryAdmin', 'RegionalAdmin', 'CityAdmin'),
-    inviteUser,
-  );
+  .post(verifyJWT, requirePermission('users:invite'), authorizeScope(), inviteUser);
 router.route('/completeRegistration').post(completeRegistration);
 
 //secure routes
@@ -41,8 +38,8 @@ router.route('/logout').post(verifyJWT, logoutUser);
 router.route('/refresh-token').post(refreshAccessToken);
 router.route('/me').get(verifyJWT, getCurrentUser);
 router.route('/byEmail').get(getUserByEmail);
-router.route('/all-users').get(verifyJWT, authorizeRoles('SuperAdmin'), getAllUser);
-router.route('/updateuser').post(verifyJWT, authorizeRoles('SuperAdmin'), updateUserDetails);
-router.route('/deleteuser').post(verifyJWT, authorizeRoles('SuperAdmin'), deleteUser);
+router.route('/all-users').get(verifyJWT, requirePermission('users:manage'), getAllUser);
+router.route('/updateuser').post(verifyJWT, requirePermission('users:manage'), updateUserDetails);
+router.route('/deleteuser').post(verifyJWT, requirePermission('users:manage'), deleteUser);
 
 export default router;
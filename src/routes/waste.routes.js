@@ -1,11 +1,58 @@
 import { Router } from 'express';
-import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
 import { verifyServiceKey } from '../middlewares/verifyServiceKey.js';
-import { addWaste, cleanBinsBulk } from '../controllers/waste.controllers.js';
+import {
+  addWaste,
+  cleanBinsBulk,
+  listQuarantinedReadings,
+  approveReading,
+  rejectReading,
+  listReadingArchives,
+  downloadReadingArchive,
+} from '../controllers/waste.controllers.js';
 const router = Router();
 
 router.route('/ingest').post(verifyServiceKey, addWaste);
 router.post('/clean', verifyServiceKey, cleanBinsBulk);
-router.post('/', verifyJWT, addWaste); //just incase if required for testing or admin overrides
+router.post('/', verifyJWT, requirePermission('readings:write'), authorizeScope(), addWaste); //just incase if required for testing or admin overrides
+
+// Review of readings quarantined by the plausibility checks
+router.get(
+  '/quarantine',
+  verifyJWT,
+  requirePermission('readings:review'),
+  authorizeScope(),
+  listQuarantinedReadings,
+);
+router.post(
+  '/:id/approve',
+  verifyJWT,
+  requirePermission('readings:review'),
+  authorizeScope(),
+  approveReading,
+);
+router.post(
+  '/:id/reject',
+  verifyJWT,
+  requirePermission('readings:review'),
+  authorizeScope(),
+  rejectReading,
+);
+
+// Raw readings exported before deletion by the retention job
+router.get(
+  '/archives',
+  verifyJWT,
+  requirePermission('readings:archive'),
+  authorizeScope(),
+  listReadingArchives,
+);
+router.get(
+  '/archives/:id/download',
+  verifyJWT,
+  requirePermission('readings:archive'),
+  downloadReadingArchive,
+);
 
 export default router;
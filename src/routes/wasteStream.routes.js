@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { verifyJWT, requirePermission } from '../middlewares/auth.middleware.js';
+import { authorizeScope } from '../middlewares/scope.middleware.js';
+import {
+  listWasteStreams,
+  createWasteStream,
+  updateWasteStream,
+  deleteWasteStream,
+} from '../controllers/wasteStream.controllers.js';
+
+const router = Router();
+
+router.use(verifyJWT, authorizeScope());
+
+router
+  .route('/')
+  .get(listWasteStreams) // GET /api/v1/wasteStreams?companyId=
+  .post(requirePermission('wasteStreams:manage'), createWasteStream); // POST /api/v1/wasteStreams
+
+router
+  .route('/:id')
+  .patch(requirePermission('wasteStreams:manage'), updateWasteStream) // PATCH /api/v1/wasteStreams/:id
+  .delete(requirePermission('wasteStreams:manage'), deleteWasteStream); // DELETE /api/v1/wasteStreams/:id
+
+export default router;
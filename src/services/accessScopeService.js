@@ -0,0 +1,273 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import redisClient from '../utils/redisClient.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { OrgUnit } from '../models/orgUnit.model.js';
+
+dotenv.config({ path: './.env' });
+
+// How long a resolved OrgUnit subtree stays cached (default 5 minutes).
+const SUBTREE_CACHE_SECONDS = Number(process.env.ORGUNIT_SUBTREE_CACHE_SECONDS) || 300;
+const SUBTREE_VERSION_KEY = 'orgunit-subtree:version';
+const SUBTREE_KEY_PREFIX = 'orgunit-subtree:v';
+
+/**
+ * orgUnitSubtreeIds
+ * The given OrgUnit and every unit below it.
+ * @param {ObjectId|string} orgUnitId
+ * @param {ClientSession} [session] – to read inside a caller's transaction
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function orgUnitSubtreeIds(orgUnitId, session = null) {
+  const [root] = await OrgUnit.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(orgUnitId) } },
+    {
+      $graphLookup: {
+        from: 'orgunits',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+      },
+    },
+    { $project: { descendantIds: '$descendants._id' } },
+  ]).session(session);
+  return root ? [root._id, ...root.descendantIds] : [];
+}
+
+/**
+ * userOrgUnit
+ * The user's assigned OrgUnit (ID or populated on the user), or null.
+ */
+async function userOrgUnit(user) {
+  const orgUnitId = user.OrgUnit?._id ?? user.OrgUnit;
+  return orgUnitId ? OrgUnit.findById(orgUnitId).select('type company').lean() : null;
+}
+
+/**
+ * loadSubtree
+ * The OrgUnits and active branches a scope covers: the whole company when `orgUnitId` is
+ * null, otherwise the unit's subtree and the branches of the Branch units in it.
+ */
+async function loadSubtree(companyId, orgUnitId) {
+  const query = { associatedCompany: companyId, isdeleted: { $ne: true } };
+  let orgUnitIds = null;
+
+  if (orgUnitId) {
+    orgUnitIds = await orgUnitSubtreeIds(orgUnitId);
+    const branchUnits = await OrgUnit.find({
+      _id: { $in: orgUnitIds },
+      type: 'Branch',
+      branchAddress: { $ne: null },
+    })
+      .select('branchAddress')
+      .lean();
+    query._id = { $in: branchUnits.map((unit) => unit.branchAddress) };
+  }
+
+  const branches = await BranchAddress.find(query).select('_id').lean();
+  return { orgUnitIds, branchIds: branches.map((branch) => branch._id) };
+}
+
+/**
+ * cachedSubtree
+ * loadSubtree through a Redis cache. Keys carry the current tree version, so
+ * invalidateOrgUnitSubtrees retires every cached subtree at once; old keys expire after
+ * ORGUNIT_SUBTREE_CACHE_SECONDS. Falls back to MongoDB when Redis is unavailable.
+ */
+async function cachedSubtree(companyId, orgUnitId) {
+  let key = null;
+  try {
+    const version = await subtreeVersion();
+    key = `${SUBTREE_KEY_PREFIX}${version}:${companyId}:${orgUnitId || 'company'}`;
+    const cached = await redisClient.get(key);
+    if (cached) {
+      const { orgUnitIds, branchIds } = JSON.parse(cached);
+      return {
+        orgUnitIds: orgUnitIds && orgUnitIds.map((id) => new mongoose.Types.ObjectId(id)),
+        branchIds: branchIds.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+  } catch (err) {
+    console.warn('[cachedSubtree] subtree cache unavailable:', err.message);
+    key = null;
+  }
+
+  const subtree = await loadSubtree(companyId, orgUnitId);
+  if (key) {
+    redisClient
+      .set(key, JSON.stringify(subtree), 'EX', SUBTREE_CACHE_SECONDS)
+      .catch((err) => console.warn('[cachedSubtree] failed to cache subtree:', err.message));
+  }
+  return subtree;
+}
+
+/**
+ * subtreeVersion
+ * Current version of the OrgUnit tree; changes whenever invalidateOrgUnitSubtrees runs.
+ * @returns {Promise<string>}
+ */
+export async function subtreeVersion() {
+  return (await redisClient.get(SUBTREE_VERSION_KEY)) || '0';
+}
+
+/**
+ * invalidateOrgUnitSubtrees
+ * Call after any change to OrgUnits or to which branches exist (create, move, rename,
+ * delete). Bumps the tree version so every instance stops using its cached subtrees.
+ */
+export async function invalidateOrgUnitSubtrees() {
+  try {
+    await redisClient.incr(SUBTREE_VERSION_KEY);
+  } catch (err) {
+    console.error('❌ [invalidateOrgUnitSubtrees] Failed to bump subtree version:', err);
+  }
+}
+
+/**
+ * resolveAccessScope
+ * Works out what a user may see, from their role, company and OrgUnit:
+ *   - SuperAdmins are unrestricted.
+ *   - Everyone else is limited to their company, and within it to the branches under their
+ *     OrgUnit (following `parent` links). Only a user assigned to the company-level unit
+ *     sees the whole company; one with no unit, a deleted unit or another company's unit
+ *     sees no branches at all.
+ * The subtree is cached (see cachedSubtree).
+ *
+ * @param {User} user – needs role, company and OrgUnit (ID or populated)
+ * @returns {Promise<{ unrestricted: boolean, companyId?: ObjectId,
+ *                     orgUnitIds?: ObjectId[]|null, branchIds?: ObjectId[] }>}
+ *          – orgUnitIds is null for company-level users (every unit of the company)
+ */
+export async function resolveAccessScope(user) {
+  if (user.role === 'SuperAdmin') return { unrestricted: true };
+
+  const orgUnit = await userOrgUnit(user);
+  const companyId = user.company?._id ?? user.company;
+  if (!orgUnit || !companyId || String(orgUnit.company) !== String(companyId)) {
+    return { unrestricted: false, companyId: user.company, orgUnitIds: [], branchIds: [] };
+  }
+  const subtreeRoot = orgUnit.type !== 'Company' ? orgUnit._id : null;
+  const { orgUnitIds, branchIds } = await cachedSubtree(user.company, subtreeRoot);
+  return { unrestricted: false, companyId: user.company, orgUnitIds, branchIds };
+}
+
+/**
+ * isInScope
+ * Checks one company, OrgUnit, branch or bin ID against a resolved scope.
+ * IDs that do not exist are treated as out of scope for restricted users.
+ * An `orgUnit` ID that is not an OrgUnit is also tried as a branch ID, as the analytics
+ * endpoints accept either.
+ *
+ * @param {Object}          scope – from resolveAccessScope
+ * @param {'company'|'orgUnit'|'branch'|'bin'} kind
+ * @param {ObjectId|string} id
+ * @returns {Promise<boolean>}
+ */
+export async function isInScope(scope, kind, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return false;
+  if (scope.unrestricted) return true;
+
+  const inBranches = (branchId) => scope.branchIds.some((allowed) => allowed.equals(branchId));
+
+  switch (kind) {
+    case 'company':
+      return scope.companyId.equals(id);
+    case 'branch':
+      return inBranches(id);
+    case 'bin': {
+      const bin = await Dustbin.findById(id).select('branchAddress').lean();
+      return Boolean(bin) && inBranches(bin.branchAddress);
+    }
+    case 'orgUnit': {
+      const orgUnit = await OrgUnit.findById(id).select('company').lean();
+      if (!orgUnit) return inBranches(id);
+      if (!scope.companyId.equals(orgUnit.company)) return false;
+      return scope.orgUnitIds === null || scope.orgUnitIds.some((allowed) => allowed.equals(id));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * scopeBranchFilter
+ * Narrows a BranchAddress filter to the branches in scope (unchanged for SuperAdmins).
+ * @param {Object} scope  – from resolveAccessScope
+ * @param {Object} filter – BranchAddress query
+ * @returns {Object}
+ */
+export function scopeBranchFilter(scope, filter) {
+  if (scope.unrestricted) return filter;
+  return { $and: [filter, { _id: { $in: scope.branchIds } }] };
+}
+
+/**
+ * scopeBranchIds
+ * IDs of every active branch in scope (all of them for SuperAdmins).
+ * @param {Object} scope – from resolveAccessScope
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function scopeBranchIds(scope) {
+  if (!scope.unrestricted) return scope.branchIds;
+  return BranchAddress.find({ isdeleted: { $ne: true } }).distinct('_id');
+}
+
+/**
+ * scopeOrgUnitFilter
+ * Narrows an OrgUnit filter to the units in scope: the user's company, and within it their
+ * OrgUnit subtree (unchanged for SuperAdmins).
+ * @param {Object} scope  – from resolveAccessScope
+ * @param {Object} filter – OrgUnit query
+ * @returns {Object}
+ */
+export function scopeOrgUnitFilter(scope, filter) {
+  if (scope.unrestricted) return filter;
+  const inScope = { company: scope.companyId };
+  if (scope.orgUnitIds !== null) inScope._id = { $in: scope.orgUnitIds };
+  return { $and: [filter, inScope] };
+}
+
+/**
+ * canAccessBranch
+ * True if the branch exists, is not deleted and is inside the user's scope.
+ * @param {User}            user
+ * @param {ObjectId|string} branchId
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessBranch(user, branchId) {
+  if (!mongoose.Types.ObjectId.isValid(branchId)) return false;
+  const scope = await resolveAccessScope(user);
+  if (scope.unrestricted) {
+    return Boolean(await BranchAddress.exists({ _id: branchId, isdeleted: { $ne: true } }));
+  }
+  return isInScope(scope, 'branch', branchId);
+}
+
+/**
+ * canAccessOrgUnit
+ * True if the OrgUnit belongs to the user's company and sits inside their OrgUnit subtree
+ * (any unit of the company for company-level users; any unit at all for a SuperAdmin).
+ * @param {User}            user
+ * @param {ObjectId|string} orgUnitId
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessOrgUnit(user, orgUnitId) {
+  if (!mongoose.Types.ObjectId.isValid(orgUnitId)) return false;
+  if (!(await OrgUnit.exists({ _id: orgUnitId }))) return false;
+  return isInScope(await resolveAccessScope(user), 'orgUnit', orgUnitId);
+}
+
+/**
+ * canAccessCompany
+ * Company-wide views are limited to SuperAdmins and users assigned at company level.
+ * @param {User}            user
+ * @param {ObjectId|string} companyId
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessCompany(user, companyId) {
+  const scope = await resolveAccessScope(user);
+  if (!(await isInScope(scope, 'company', companyId))) return false;
+  return scope.unrestricted || scope.orgUnitIds === null;
+}
@@ -0,0 +1,126 @@
+import { BinAlert } from '../models/binAlert.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { Company } from '../models/company.models.js';
+import { WasteStream } from '../models/wasteStream.models.js';
+import { publishBranchEvent } from './realtimeService.js';
+
+// Used when a bin has no stream or its stream predates density settings.
+const FALLBACK_DENSITY_KG_PER_LITRE = 0.15;
+const DEFAULT_FILL_THRESHOLDS = [80, 100];
+
+/**
+ * fullWeightKg
+ * The net weight of a bin filled to its volume with its stream's waste.
+ * @param {number} binCapacity       – bin volume in litres
+ * @param {number} densityKgPerLitre – bulk density of the bin's waste stream
+ * @returns {number} – kg (0 when the bin has no capacity)
+ */
+export function fullWeightKg(binCapacity, densityKgPerLitre) {
+  return (binCapacity || 0) * (densityKgPerLitre || FALLBACK_DENSITY_KG_PER_LITRE);
+}
+
+/**
+ * estimateFillPercent
+ * Converts a net weight to an estimated fill level.
+ * @param {number} weightKg          – net waste weight
+ * @param {number} binCapacity       – bin volume in litres
+ * @param {number} densityKgPerLitre – bulk density of the bin's waste stream
+ * @returns {number} – % of the bin's volume, rounded to one decimal (may exceed 100)
+ */
+export function estimateFillPercent(weightKg, binCapacity, densityKgPerLitre) {
+  if (!binCapacity || !weightKg || weightKg < 0) return 0;
+  return Math.round((weightKg / fullWeightKg(binCapacity, densityKgPerLitre)) * 1000) / 10;
+}
+
+/**
+ * densityByStream
+ * Loads the density of each given WasteStream.
+ * @param {ObjectId[]} streamIds
+ * @returns {Promise<Map<string, number>>} – stream id → kg per litre
+ */
+export async function densityByStream(streamIds) {
+  const ids = streamIds.filter(Boolean);
+  if (ids.length === 0) return new Map();
+  const streams = await WasteStream.find({ _id: { $in: ids } })
+    .select('densityKgPerLitre')
+    .lean();
+  return new Map(streams.map((stream) => [stream._id.toString(), stream.densityKgPerLitre]));
+}
+
+/**
+ * withFillPercent
+ * Adds `fillPercent` to bin-shaped rows (binCapacity, wasteStream and a weight field).
+ * @param {Object[]} rows
+ * @param {string}   weightField – e.g. 'latestWeight' or 'currentWeight'
+ */
+export async function withFillPercent(rows, weightField) {
+  const densities = await densityByStream(rows.map((row) => row.wasteStream));
+  return rows.map((row) => ({
+    ...row,
+    fillPercent: estimateFillPercent(
+      row[weightField],
+      row.binCapacity,
+      densities.get(row.wasteStream?.toString()),
+    ),
+  }));
+}
+
+/**
+ * fillThresholdsForBranch
+ * The company's configured alert thresholds, lowest first.
+ */
+async function fillThresholdsForBranch(branchId) {
+  const branch = await BranchAddress.findById(branchId).select('associatedCompany').lean();
+  const company = branch
+    ? await Company.findById(branch.associatedCompany).select('fillAlertThresholds').lean()
+    : null;
+  const thresholds = company?.fillAlertThresholds?.length
+    ? company.fillAlertThresholds
+    : DEFAULT_FILL_THRESHOLDS;
+  return [...thresholds].sort((a, b) => a - b);
+}
+
+/**
+ * evaluateFillAlerts
+ * Opens a 'fillLevel' alert for each threshold the bin is now at or above (once per
+ * crossing) and resolves open ones it has dropped below, e.g. after being emptied.
+ * New alerts are published to Redis (event 'binAlert') for live dashboards.
+ *
+ * @param {Object} bin         – Dustbin (needs _id, branchAddress)
+ * @param {number} fillPercent – the bin's new estimated fill level
+ * @returns {Promise<BinAlert[]>} – alerts opened by this reading
+ */
+export async function evaluateFillAlerts(bin, fillPercent) {
+  const thresholds = await fillThresholdsForBranch(bin.branchAddress);
+
+  await BinAlert.updateMany(
+    { bin: bin._id, type: 'fillLevel', status: 'open', threshold: { $gt: fillPercent } },
+    { $set: { status: 'resolved', resolvedAt: new Date() } },
+  );
+
+  const opened = [];
+  for (const threshold of thresholds.filter((t) => fillPercent >= t)) {
+    try {
+      const alert = await BinAlert.create({
+        bin: bin._id,
+        branchAddress: bin.branchAddress,
+        type: 'fillLevel',
+        threshold,
+        fillPercent,
+      });
+      opened.push(alert);
+    } catch (err) {
+      // Already open for this threshold
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const branchId = bin.branchAddress.toString();
+  for (const alert of opened) {
+    console.warn(
+      `🚨 [evaluateFillAlerts] Bin ${bin._id} is ${fillPercent}% full (≥${alert.threshold}%)`,
+    );
+    publishBranchEvent(branchId, 'binAlert', alert.toObject());
+  }
+  return opened;
+}
@@ -0,0 +1,210 @@
+import { Readable } from 'stream';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { createOrgUnitsForBranchAddressService } from '../controllers/orgUnit.controllers.js';
+import { invalidateOrgUnitSubtrees } from './accessScopeService.js';
+import { validateTimeZone } from './collectionMonitorService.js';
+import { resolveStreams } from './wasteStreamService.js';
+
+dotenv.config({ path: './.env' });
+
+// Largest sheet accepted in one upload.
+export const MAX_ROWS = Number(process.env.BULK_BRANCH_MAX_ROWS) || 500;
+
+const REQUIRED_COLUMNS = ['officeName', 'address', 'city', 'subdivision', 'postalCode', 'country'];
+const OPTIONAL_COLUMNS = ['subdivisionType', 'timezone', 'bins', 'binCapacity'];
+const BIN_CAPACITIES = [25, 50, 75];
+
+/**
+ * readWorkbook
+ * Loads an uploaded .xlsx or .csv file. CSV values are kept as text, so postcodes such as
+ * "0800" keep their leading zero.
+ */
+async function readWorkbook(buffer, filename) {
+  const workbook = new ExcelJS.Workbook();
+  if (/\.csv$/i.test(filename)) {
+    await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+  return workbook;
+}
+
+/**
+ * parseBranchSheet
+ * Reads the first sheet of an upload into one object per row, keyed by the column names
+ * in the header row (matched case-insensitively).
+ * @param {Buffer} buffer
+ * @param {string} filename – used to tell CSV from XLSX
+ * @returns {Promise<{ rows: { rowNumber: number, values: Object }[] } | { error: string }>}
+ */
+export async function parseBranchSheet(buffer, filename) {
+  let workbook;
+  try {
+    workbook = await readWorkbook(buffer, filename);
+  } catch (err) {
+    console.warn('[parseBranchSheet] unreadable upload:', err.message);
+    return { error: 'The file could not be read as CSV or XLSX' };
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    return { error: 'The sheet needs a header row and at least one branch' };
+  }
+
+  const known = [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS];
+  const columns = {};
+  sheet.getRow(1).eachCell((cell, col) => {
+    const name = known.find((column) => column.toLowerCase() === cell.text.trim().toLowerCase());
+    if (name) columns[col] = name;
+  });
+  const missing = REQUIRED_COLUMNS.filter((column) => !Object.values(columns).includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing column(s): ${missing.join(', ')}` };
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    for (const [col, name] of Object.entries(columns)) {
+      values[name] = row.getCell(Number(col)).text.trim();
+    }
+    if (Object.values(values).some(Boolean)) rows.push({ rowNumber, values });
+  });
+  if (rows.length > MAX_ROWS) {
+    return { error: `At most ${MAX_ROWS} branches can be uploaded at once` };
+  }
+  return { rows };
+}
+
+/**
+ * validateBranchRows
+ * Checks every row and resolves its bins against the company's waste streams, so the
+ * preview lists all problems at once. Office names must be unique within the file and
+ * must not belong to an existing branch.
+ *
+ * @param {ObjectId|string} companyId
+ * @param {{ rowNumber: number, values: Object }[]} rows – from parseBranchSheet
+ * @returns {Promise<{ row: number, branch: Object, bins: Object[], errors: string[] }[]>}
+ */
+export async function validateBranchRows(companyId, rows) {
+  const officeNames = rows.map(({ values }) => values.officeName).filter(Boolean);
+  const existing = new Set(
+    await BranchAddress.distinct('officeName', { officeName: { $in: officeNames } }),
+  );
+  const seen = new Map();
+
+  const results = [];
+  for (const { rowNumber, values } of rows) {
+    const errors = [];
+    for (const column of REQUIRED_COLUMNS) {
+      if (!values[column]) errors.push(`${column} is required`);
+    }
+
+    if (values.officeName) {
+      if (existing.has(values.officeName))
+        errors.push('A branch with this officeName already exists');
+      if (seen.has(values.officeName)) {
+        errors.push(`officeName repeats row ${seen.get(values.officeName)}`);
+      } else {
+        seen.set(values.officeName, rowNumber);
+      }
+    }
+
+    const branch = {
+      officeName: values.officeName,
+      address: values.address,
+      city: values.city,
+      subdivision: values.subdivision,
+      subdivisionType: values.subdivisionType || 'State',
+      postalCode: values.postalCode,
+      country: values.country,
+      associatedCompany: companyId,
+    };
+    if (values.timezone) {
+      const { timezone, error } = validateTimeZone(values.timezone);
+      if (error) errors.push(error);
+      else branch.timezone = timezone;
+    }
+
+    // Bins: stream names separated by ";" or ",", all with the row's binCapacity
+    let bins = [];
+    const binTypes = (values.bins || '')
+      .split(/[;,]/)
+      .map((name) => name.trim())
+      .filter(Boolean);
+    if (binTypes.length > 0) {
+      const binCapacity = Number(values.binCapacity);
+      if (!BIN_CAPACITIES.includes(binCapacity)) {
+        errors.push(`binCapacity must be one of ${BIN_CAPACITIES.join(', ')} when bins are given`);
+      }
+      const { streams, invalid } = await resolveStreams(companyId, binTypes);
+      if (invalid.length > 0) errors.push(`Unknown bin type(s): ${invalid.join(', ')}`);
+      const streamIds = streams.map((stream) => stream._id.toString());
+      if (new Set(streamIds).size < streamIds.length) {
+        errors.push('Each bin type may only appear once per branch');
+      }
+      bins = streams.map((stream) => ({
+        wasteStream: stream._id,
+        dustbinType: stream.name,
+        binCapacity,
+      }));
+    }
+
+    results.push({ row: rowNumber, branch, bins, errors });
+  }
+  return results;
+}
+
+/**
+ * importBranches
+ * Creates the validated branches, their OrgUnit chains and bins in one transaction:
+ * either every row is imported or none is. Requires MongoDB to run as a replica set.
+ *
+ * @param {{ companyId: ObjectId|string, companyName: string }} company
+ * @param {Object[]} rows – from validateBranchRows, all without errors
+ * @returns {Promise<{ branches: BranchAddress[], bins: number }>}
+ */
+export async function importBranches({ companyId, companyName }, rows) {
+  const session = await mongoose.startSession();
+  let branches = [];
+  let binCount = 0;
+  try {
+    await session.withTransaction(async () => {
+      branches = [];
+      binCount = 0;
+      for (const { branch, bins } of rows) {
+        const [branchRecord] = await BranchAddress.create([branch], { session });
+        await createOrgUnitsForBranchAddressService({
+          companyId,
+          companyName,
+          officeName: branchRecord.officeName,
+          city: branchRecord.city,
+          subdivision: branchRecord.subdivision,
+          country: branchRecord.country,
+          branchAddressId: branchRecord._id,
+          session,
+        });
+        if (bins.length > 0) {
+          await Dustbin.insertMany(
+            bins.map((bin) => ({ ...bin, branchAddress: branchRecord._id })),
+            { session },
+          );
+          binCount += bins.length;
+        }
+        branches.push(branchRecord);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await invalidateOrgUnitSubtrees();
+  console.log(
+    `🏢 [importBranches] Imported ${branches.length} branch(es) and ${binCount} bin(s) for company ${companyId}`,
+  );
+  return { branches, bins: binCount };
+}
@@ -0,0 +1,71 @@
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+
+/**
+ * Branch-local time.
+ *
+ * Readings belong to the local calendar of the branch they were taken at (its
+ * BranchAddress.timezone). When several branches in different time zones are queried, a
+ * period such as "today" or "thisMonth" is resolved per time zone, so a company-wide "today"
+ * covers each branch's own local today. Analytics totals are kept per local day and hour in
+ * the rollups (see services/rollupService.js).
+ */
+
+const zoneOf = (branch) => (isValidTimeZone(branch?.timezone) ? branch.timezone : 'UTC');
+
+/**
+ * branchZones
+ * Groups branches by time zone.
+ * @param {ObjectId[]} branchIds
+ * @returns {Promise<{ timezone: string, branchIds: ObjectId[] }[]>}
+ */
+export async function branchZones(branchIds) {
+  const branches = await BranchAddress.find({ _id: { $in: branchIds } })
+    .select('timezone')
+    .lean();
+  const zones = new Map();
+  for (const branch of branches) {
+    const timezone = zoneOf(branch);
+    if (!zones.has(timezone)) zones.set(timezone, []);
+    zones.get(timezone).push(branch._id);
+  }
+  return [...zones].map(([timezone, ids]) => ({ timezone, branchIds: ids }));
+}
+
+/**
+ * branchTimeZone
+ * A single branch's time zone ('UTC' when unset or unknown).
+ */
+export async function branchTimeZone(branchId) {
+  return zoneOf(await BranchAddress.findById(branchId).select('timezone').lean());
+}
+
+/**
+ * binTimeZone
+ * The time zone of the branch a bin currently stands in.
+ */
+export async function binTimeZone(binId) {
+  const bin = await Dustbin.findById(binId).select('branchAddress').lean();
+  return bin ? branchTimeZone(bin.branchAddress) : 'UTC';
+}
+
+/**
+ * localRangeMatch
+ * A $match condition (Waste, DisposalEvent) selecting each zone's branches over that zone's
+ * local range.
+ * @param {{ timezone: string, branchIds: ObjectId[] }[]} zones – from branchZones
+ * @param {(timeZone: string) => { startDate: Date, endDate: Date }} resolveRange
+ *        – e.g. (tz) => getPeriodRange(period, now, tz)
+ */
+export function localRangeMatch(zones, resolveRange) {
+  const conditions = zones.map(({ timezone, branchIds }) => {
+    const { startDate, endDate } = resolveRange(timezone);
+    return { branchAddress: { $in: branchIds }, measuredAt: { $gte: startDate, $lte: endDate } };
+  });
+  // Keep the single-zone case a plain condition so it can use the branch/time index as before
+  if (conditions.length === 1) return conditions[0];
+  // No branches: match nothing
+  if (conditions.length === 0) return { branchAddress: { $in: [] } };
+  return { $or: conditions };
+}
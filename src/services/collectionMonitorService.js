@@ -0,0 +1,218 @@
+import dotenv from 'dotenv';
+import { isValidTimeZone, zonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+import { publishBranchEvent } from './realtimeService.js';
+import { BinAlert } from '../models/binAlert.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { Dustbin, ACTIVE_BINS } from '../models/dustbin.models.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+
+dotenv.config({ path: './.env' });
+
+// How often the missed-collection check runs (default every 5 minutes).
+const CHECK_INTERVAL_MINUTES = Number(process.env.COLLECTION_CHECK_INTERVAL_MINUTES) || 5;
+
+const DEADLINE_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * validateCollectionSchedule
+ * Checks a branch collection schedule from an API request.
+ * `null` clears the schedule.
+ * @param {{ days: number[], deadline: string }|null} input
+ * @returns {{ schedule: Object|null } | { error: string }}
+ */
+export function validateCollectionSchedule(input) {
+  if (input === null) return { schedule: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'collectionSchedule must be an object with days and deadline' };
+  }
+
+  const { days, deadline } = input;
+  if (
+    !Array.isArray(days) ||
+    days.length === 0 ||
+    days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    return { error: 'collectionSchedule.days must be a non-empty array of 0 (Sunday) to 6' };
+  }
+  if (typeof deadline !== 'string' || !DEADLINE_PATTERN.test(deadline)) {
+    return { error: 'collectionSchedule.deadline must be a 24-hour HH:mm time' };
+  }
+
+  return { schedule: { days: [...new Set(days)].sort((a, b) => a - b), deadline } };
+}
+
+/**
+ * validateTimeZone
+ * @returns {{ timezone: string } | { error: string }}
+ */
+export function validateTimeZone(input) {
+  if (!isValidTimeZone(input)) {
+    return { error: 'timezone must be an IANA time zone, e.g. "Australia/Sydney"' };
+  }
+  return { timezone: input };
+}
+
+/**
+ * lastCollectionWindow
+ * The most recent collection deadline that has passed, and the one before it.
+ * Bins should have been cleaned at some point in between.
+ *
+ * @param {{ days: number[], deadline: string }} schedule
+ * @param {string} timeZone – branch time zone the schedule is written in
+ * @param {Date}   now
+ * @returns {{ windowStart: Date, dueAt: Date } | null}
+ */
+export function lastCollectionWindow(schedule, timeZone, now) {
+  if (!schedule?.days?.length || !schedule.deadline) return null;
+
+  const [hour, minute] = schedule.deadline.split(':').map(Number);
+  const today = zonedParts(now, timeZone);
+
+  // Walk back day by day (in branch-local dates) until two deadlines have passed.
+  const deadlines = [];
+  for (let offset = 0; offset <= 14 && deadlines.length < 2; offset += 1) {
+    const localDate = new Date(Date.UTC(today.year, today.month - 1, today.day - offset));
+    if (!schedule.days.includes(localDate.getUTCDay())) continue;
+
+    const deadline = zonedTimeToUtc(
+      localDate.getUTCFullYear(),
+      localDate.getUTCMonth() + 1,
+      localDate.getUTCDate(),
+      hour,
+      minute,
+      timeZone,
+    );
+    if (deadline <= now) deadlines.push(deadline);
+  }
+
+  if (deadlines.length < 2) return null;
+  return { windowStart: deadlines[1], dueAt: deadlines[0] };
+}
+
+/**
+ * checkBranch
+ * Opens a 'missedCollection' alert for each active bin at the branch that has no counted
+ * cleaning reading in its last collection window. Already-recorded deadlines are skipped.
+ * @returns {Promise<BinAlert[]>} – alerts opened
+ */
+async function checkBranch(branch, now) {
+  const window = lastCollectionWindow(branch.collectionSchedule, branch.timezone || 'UTC', now);
+  if (!window) return [];
+  const { windowStart, dueAt } = window;
+
+  // Bins installed during the window were never due for this collection.
+  const bins = await Dustbin.find({
+    branchAddress: branch._id,
+    ...ACTIVE_BINS,
+    createdAt: { $lte: windowStart },
+  })
+    .select('_id')
+    .lean();
+  if (bins.length === 0) return [];
+
+  const binIds = bins.map((bin) => bin._id);
+  const [cleanedBins, recordedBins] = await Promise.all([
+    Waste.distinct('associateBin', {
+      ...COUNTED_READINGS,
+      associateBin: { $in: binIds },
+      eventType: 'cleaning',
+      measuredAt: { $gt: windowStart, $lte: dueAt },
+    }),
+    BinAlert.distinct('bin', { bin: { $in: binIds }, type: 'missedCollection', dueAt }),
+  ]);
+  const skip = new Set([...cleanedBins, ...recordedBins].map((id) => id.toString()));
+
+  const opened = [];
+  for (const binId of binIds.filter((id) => !skip.has(id.toString()))) {
+    try {
+      const alert = await BinAlert.create({
+        bin: binId,
+        branchAddress: branch._id,
+        type: 'missedCollection',
+        windowStart,
+        dueAt,
+      });
+      opened.push(alert);
+    } catch (err) {
+      // Recorded by another instance in the meantime
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const branchId = branch._id.toString();
+  for (const alert of opened) {
+    console.warn(
+      `🚨 [checkMissedCollections] Bin ${alert.bin} was not cleaned by ${dueAt.toISOString()}`,
+    );
+    publishBranchEvent(branchId, 'binAlert', alert.toObject());
+  }
+  return opened;
+}
+
+/**
+ * checkMissedCollections
+ * Runs the missed-collection check for every branch that has a collection schedule.
+ * A failure at one branch is logged and does not stop the others.
+ * @param {Date} [now]
+ * @returns {Promise<number>} – number of alerts opened
+ */
+export async function checkMissedCollections(now = new Date()) {
+  const branches = await BranchAddress.find({
+    isdeleted: { $ne: true },
+    'collectionSchedule.days.0': { $exists: true },
+  })
+    .select('timezone collectionSchedule')
+    .lean();
+
+  let opened = 0;
+  for (const branch of branches) {
+    try {
+      opened += (await checkBranch(branch, now)).length;
+    } catch (err) {
+      console.error(`❌ [checkMissedCollections] Check failed for branch ${branch._id}:`, err);
+    }
+  }
+  return opened;
+}
+
+/**
+ * resolveMissedCollections
+ * Closes a bin's open missed-collection alerts once it has been cleaned.
+ * Only alerts whose window started before the cleaning are closed, so a late-arriving
+ * old reading does not clear a newer miss.
+ * @param {ObjectId|string} binId
+ * @param {Date}            cleanedAt – measuredAt of the cleaning reading
+ */
+export async function resolveMissedCollections(binId, cleanedAt) {
+  await BinAlert.updateMany(
+    {
+      bin: binId,
+      type: 'missedCollection',
+      status: 'open',
+      windowStart: { $lt: cleanedAt },
+    },
+    { $set: { status: 'resolved', resolvedAt: new Date() } },
+  );
+}
+
+/**
+ * startCollectionMonitor
+ * Syncs BinAlert indexes, then runs checkMissedCollections every
+ * COLLECTION_CHECK_INTERVAL_MINUTES. Deadlines are recorded once per bin, so running
+ * this on several instances is safe.
+ */
+export function startCollectionMonitor() {
+  const run = () =>
+    checkMissedCollections()
+      .then((opened) => {
+        if (opened > 0) console.log(`📋 [checkMissedCollections] Opened ${opened} alert(s)`);
+      })
+      .catch((err) => console.error('❌ [checkMissedCollections] Check failed:', err));
+
+  // Drops the older fill-alert unique index, which allowed one open alert per bin and type.
+  BinAlert.syncIndexes()
+    .catch((err) => console.error('❌ [startCollectionMonitor] BinAlert index sync failed:', err))
+    .then(run);
+  setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`⏰ [startCollectionMonitor] Checking every ${CHECK_INTERVAL_MINUTES} minute(s)`);
+}
@@ -0,0 +1,91 @@
+import { DeadLetter } from '../models/deadLetter.models.js';
+import { ingestWaste, parseWasteMessage } from './wasteService.js';
+
+/**
+ * recordDeadLetter
+ * Persists a rejected or failed MQTT message. Never throws: a failure here is logged
+ * so the subscriber keeps processing other messages.
+ * @param {string}        topic   – MQTT topic the message arrived on
+ * @param {Buffer|string} raw     – raw payload
+ * @param {string}        reason  – 'invalid_json' | 'invalid_fields' | 'ingest_failed'
+ * @param {string}        [error] – error details
+ * @returns {Promise<DeadLetter|null>}
+ */
+export async function recordDeadLetter({ topic, raw, reason, error }) {
+  try {
+    const deadLetter = await DeadLetter.create({
+      topic,
+      payload: raw.toString(),
+      reason,
+      error,
+    });
+    console.warn(`📭 [DeadLetter] Stored message _id=${deadLetter._id} (${reason})`);
+    return deadLetter;
+  } catch (err) {
+    console.error('❌ [DeadLetter] Failed to store rejected message:', err, raw.toString());
+    return null;
+  }
+}
+
+// A replay claim older than this is taken to have died with its process, and can be retaken.
+const REPLAY_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * claimDeadLetter
+ * Atomically moves a pending message to 'replaying', so two concurrent replays cannot both
+ * ingest its payload. A claim left behind by a replay that never finished is retaken after
+ * REPLAY_LEASE_MS.
+ * @param {ObjectId|string} id
+ * @returns {Promise<DeadLetter|null>} – the claimed dead letter (not lean), or null when it is
+ *          not pending
+ */
+export function claimDeadLetter(id) {
+  const now = new Date();
+  return DeadLetter.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: 'pending' },
+        { status: 'replaying', lastReplayAt: { $lt: new Date(now - REPLAY_LEASE_MS) } },
+      ],
+    },
+    { $set: { status: 'replaying', lastReplayAt: now }, $inc: { replayAttempts: 1 } },
+    { new: true },
+  );
+}
+
+/**
+ * replayDeadLetter
+ * Runs a stored message through the same parse → ingestWaste pipeline the subscriber uses.
+ * Updates replay bookkeeping on the dead letter either way; a failed replay returns it to
+ * 'pending'.
+ * @param {DeadLetter} deadLetter – a dead letter claimed with claimDeadLetter
+ * @returns {Promise<{ deadLetter: DeadLetter, record?: Waste, error?: string }>}
+ */
+export async function replayDeadLetter(deadLetter) {
+  const { reading, error } = parseWasteMessage(deadLetter.payload);
+  if (error) {
+    deadLetter.status = 'pending';
+    deadLetter.lastReplayError = `${error.reason}: ${error.detail}`;
+    await deadLetter.save();
+    return { deadLetter, error: deadLetter.lastReplayError };
+  }
+
+  // A message without a device timestamp was measured when the subscriber received it,
+  // not when it is replayed
+  if (!reading.measuredAt) reading.measuredAt = deadLetter.receivedAt;
+
+  try {
+    const { record } = await ingestWaste(reading);
+    deadLetter.status = 'replayed';
+    deadLetter.replayedRecord = record?._id;
+    deadLetter.lastReplayError = undefined;
+    await deadLetter.save();
+    return { deadLetter, record };
+  } catch (err) {
+    deadLetter.status = 'pending';
+    deadLetter.lastReplayError = err.message;
+    await deadLetter.save();
+    return { deadLetter, error: err.message };
+  }
+}
@@ -0,0 +1,316 @@
+import dotenv from 'dotenv';
+import { randomUUID } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import redisClient from '../utils/redisClient.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+import { DisposalEvent } from '../models/disposalEvent.models.js';
+import { applyDisposalChanges, backfillRollups, binStreams } from './rollupService.js';
+import { branchTimeZone } from './branchTimeService.js';
+import { latestSettledReading } from './readingRetentionService.js';
+
+dotenv.config({ path: './.env' });
+
+/**
+ * Disposal accounting.
+ *
+ * A bin's net weight only tells how full it is; the waste put into it is the sum of the rises
+ * in that weight between emptyings. Each counted reading is compared with the accounting
+ * baseline left by the readings before it:
+ *   - a cleaning resets the baseline to the empty bin's weight and disposes nothing;
+ *   - a rise of more than DISPOSAL_NOISE_KG is a disposal of that rise (a DisposalEvent);
+ *   - a drop of more than DISPOSAL_NOISE_KG (the bin emptied without a cleaning event, or the
+ *     load settling) lowers the baseline, so later rises are counted from there;
+ *   - anything within the noise band leaves the baseline where it was, so sensor jitter around
+ *     a steady weight is never counted as waste.
+ * A bin's first reading is compared with an empty bin.
+ *
+ * The baseline after each reading is stored on it (Waste.disposalBaseline), so a late or newly
+ * approved reading only re-derives the readings after it until the baseline matches again.
+ * Whatever changes is passed on to the analytics rollups (see services/rollupService.js).
+ * A DisposalEvent records the bin's waste stream (with its material and treatment) and its
+ * branch's time zone when it is first derived and keeps them when re-derived, so a correction lands on the rollups the original
+ * disposal was added to even if the bin or branch has changed since.
+ * Derivations of the same bin run one at a time (across instances), as each rewrites the
+ * baselines the next one starts from. Only readings in the hot window are derived: older
+ * ones are rejected on arrival (see services/readingQualityService.js).
+ */
+
+// Weight changes (kg) within this band are treated as scale noise.
+const NOISE_KG = Number(process.env.DISPOSAL_NOISE_KG) || 0.05;
+// Writes are flushed in batches of this many readings.
+const WRITE_BATCH = 500;
+
+// Per-bin derivation lock: held for up to LOCK_MS (renewed on every flush); a derivation waits
+// up to LOCK_WAIT_MS for the one before it.
+const LOCK_MS = 60 * 1000;
+const LOCK_WAIT_MS = 30 * 1000;
+const LOCK_POLL_MS = 50;
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return 0
+`;
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
+// Startup backfills run on one instance at a time, the others waiting their turn. The lock is
+// renewed while a backfill runs, so it only expires if that instance dies.
+const BACKFILL_LOCK_KEY = 'disposals:backfill:lock';
+const BACKFILL_LOCK_MS = 5 * 60 * 1000;
+const BACKFILL_POLL_MS = 1000;
+
+/**
+ * withBinLock
+ * Runs `task` holding the bin's derivation lock, once any derivation already running for the
+ * bin has finished.
+ * @param {ObjectId} associateBin
+ * @param {(renew: () => Promise) => Promise<T>} task – calls `renew` to keep the lock
+ * @returns {Promise<T>}
+ */
+async function withBinLock(associateBin, task) {
+  const key = `disposals:lock:${associateBin}`;
+  const token = randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (!(await redisClient.set(key, token, 'PX', LOCK_MS, 'NX'))) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the disposal lock of bin ${associateBin}`);
+    }
+    await sleep(LOCK_POLL_MS);
+  }
+  try {
+    return await task(() => redisClient.eval(RENEW_LOCK_SCRIPT, 1, key, token, LOCK_MS));
+  } finally {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+  }
+}
+
+/**
+ * disposalStep
+ * Applies one reading to the accounting baseline.
+ * @param {number} baseline – baseline before the reading (kg)
+ * @param {{ currentWeight: number, eventType: string }} reading
+ * @returns {{ baseline: number, weight: number }} – the new baseline and the mass disposed
+ */
+export function disposalStep(baseline, { currentWeight, eventType }) {
+  if (eventType === 'cleaning') return { baseline: currentWeight, weight: 0 };
+  const change = currentWeight - baseline;
+  if (change > NOISE_KG) return { baseline: currentWeight, weight: Number(change.toFixed(3)) };
+  if (change < -NOISE_KG) return { baseline: currentWeight, weight: 0 };
+  return { baseline, weight: 0 };
+}
+
+// Counted readings of the bin before / from `reading`, in reading order (ties on _id).
+const readingsBefore = ({ _id, associateBin, measuredAt }) => ({
+  associateBin,
+  ...COUNTED_READINGS,
+  $or: [{ measuredAt: { $lt: measuredAt } }, { measuredAt, _id: { $lt: _id } }],
+});
+const readingsFrom = ({ _id, associateBin, measuredAt }) => ({
+  associateBin,
+  ...COUNTED_READINGS,
+  $or: [{ measuredAt: { $gt: measuredAt } }, { measuredAt, _id: { $gte: _id } }],
+});
+
+/**
+ * deriveDisposals
+ * (Re-)derives the DisposalEvents of a bin from `reading` onwards: call it when a reading
+ * starts to count (ingested as accepted, or approved after quarantine). Readings after it are
+ * re-derived only until the baseline comes back to what it was, so an in-order reading touches
+ * just itself. Waits for any derivation already running for the bin (see withBinLock).
+ *
+ * @param {{ _id, associateBin, measuredAt }} reading – a counted Waste reading
+ * @returns {Promise<{ readings: number, disposals: number }>} – readings re-derived and, of
+ *          those, how many disposed waste
+ */
+export async function deriveDisposals(reading) {
+  return withBinLock(reading.associateBin, (renew) => derive(reading, renew));
+}
+
+// The work of deriveDisposals, run under the bin's lock
+async function derive(reading, renewLock) {
+  // A bin idle for longer than the hot window has its previous reading in the settled tier
+  const previous =
+    (await Waste.findOne(readingsBefore(reading))
+      .sort({ measuredAt: -1, _id: -1 })
+      .select('currentWeight disposalBaseline')
+      .lean()) ?? (await latestSettledReading(reading.associateBin, reading.measuredAt));
+  // Readings stored before disposal accounting have no baseline; their weight is the best guess
+  let baseline = previous ? (previous.disposalBaseline ?? previous.currentWeight) : 0;
+
+  const cursor = Waste.find(readingsFrom(reading))
+    .sort({ measuredAt: 1, _id: 1 })
+    .select('branchAddress associateBin currentWeight eventType measuredAt disposalBaseline')
+    .lean()
+    .cursor();
+
+  // What new events are recorded under: the bin's stream and its branch's time zone now
+  let binStream;
+  const zones = new Map();
+  const recordedUnder = async ({ associateBin, branchAddress }) => {
+    if (binStream === undefined) {
+      binStream = (await binStreams([associateBin])).get(associateBin.toString());
+    }
+    const branch = String(branchAddress ?? '');
+    if (!zones.has(branch)) {
+      zones.set(branch, branchAddress ? await branchTimeZone(branchAddress) : 'UTC');
+    }
+    return { ...binStream, timezone: zones.get(branch) };
+  };
+
+  let readingOps = [];
+  let derived = [];
+  const flush = async () => {
+    if (readingOps.length === 0) return;
+    // Rollups take the difference from the events being replaced, under the events' own keys
+    const previousEvents = await DisposalEvent.find({
+      reading: { $in: derived.map(({ _id }) => _id) },
+    })
+      .select('reading weight wasteStream material treatment timezone')
+      .lean();
+    const previousEvent = new Map(previousEvents.map((event) => [event.reading.toString(), event]));
+
+    const eventOps = [];
+    const changes = [];
+    for (const current of derived) {
+      const previous = previousEvent.get(current._id.toString());
+      // Events derived before the stream and zone were recorded take the current ones
+      const key = previous?.timezone
+        ? {
+            wasteStream: previous.wasteStream ?? null,
+            material: previous.material ?? null,
+            treatment: previous.treatment ?? null,
+            timezone: previous.timezone,
+          }
+        : await recordedUnder(current);
+      if (current.weight > 0) {
+        eventOps.push({
+          updateOne: {
+            filter: { reading: current._id },
+            update: {
+              $set: {
+                associateBin: current.associateBin,
+                branchAddress: current.branchAddress,
+                measuredAt: current.measuredAt,
+                fromWeight: current.fromWeight,
+                toWeight: current.currentWeight,
+                weight: current.weight,
+                ...key,
+              },
+            },
+            upsert: true,
+          },
+        });
+      } else {
+        eventOps.push({ deleteOne: { filter: { reading: current._id } } });
+      }
+      const before = previous?.weight ?? 0;
+      changes.push({
+        associateBin: current.associateBin,
+        branchAddress: current.branchAddress,
+        measuredAt: current.measuredAt,
+        ...key,
+        weight: current.weight - before,
+        disposals: (current.weight > 0 ? 1 : 0) - (before > 0 ? 1 : 0),
+      });
+    }
+
+    await renewLock();
+    await Waste.bulkWrite(readingOps, { ordered: false });
+    await DisposalEvent.bulkWrite(eventOps, { ordered: false });
+    await applyDisposalChanges(changes);
+    readingOps = [];
+    derived = [];
+  };
+
+  let readings = 0;
+  let disposals = 0;
+  try {
+    for await (const current of cursor) {
+      const step = disposalStep(baseline, current);
+      readingOps.push({
+        updateOne: {
+          filter: { _id: current._id },
+          update: { $set: { disposalBaseline: step.baseline } },
+        },
+      });
+      if (step.weight > 0) disposals += 1;
+      derived.push({ ...current, fromWeight: baseline, weight: step.weight });
+      readings += 1;
+      if (readingOps.length >= WRITE_BATCH) await flush();
+
+      // Same baseline as before: every later reading derives exactly as it already has
+      const unchanged =
+        !current._id.equals(reading._id) && current.disposalBaseline === step.baseline;
+      baseline = step.baseline;
+      if (unchanged) break;
+    }
+  } finally {
+    await cursor.close();
+  }
+  await flush();
+  return { readings, disposals };
+}
+
+/**
+ * backfillDisposals
+ * One-off migration for readings stored before disposal accounting: derives the
+ * DisposalEvents of every bin from its first reading without a baseline. Safe to run on
+ * every startup.
+ */
+export async function backfillDisposals() {
+  const pending = await Waste.aggregate(
+    [
+      { $match: { ...COUNTED_READINGS, disposalBaseline: { $exists: false } } },
+      { $sort: { associateBin: 1, measuredAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$associateBin',
+          reading: { $first: { _id: '$_id', measuredAt: '$measuredAt' } },
+        },
+      },
+    ],
+    { allowDiskUse: true },
+  );
+  if (pending.length === 0) return;
+
+  let disposals = 0;
+  for (const { _id: associateBin, reading } of pending) {
+    const result = await deriveDisposals({ ...reading, associateBin });
+    disposals += result.disposals;
+  }
+  console.log(
+    `⚖️ [backfillDisposals] Derived ${disposals} disposal(s) for ${pending.length} bin(s)`,
+  );
+}
+
+/**
+ * backfillDisposalAccounting
+ * The startup migrations of disposal accounting, holding a lock shared by every instance:
+ * the rollups of existing DisposalEvents first (see backfillRollups), then the disposals of
+ * readings stored before disposal accounting, which add to them. An instance that finds
+ * another one backfilling waits for it, then runs the backfills itself (finding nothing left
+ * to do), so it resolves only once they are complete.
+ */
+export async function backfillDisposalAccounting() {
+  const token = randomUUID();
+  while (!(await redisClient.set(BACKFILL_LOCK_KEY, token, 'PX', BACKFILL_LOCK_MS, 'NX'))) {
+    await sleep(BACKFILL_POLL_MS);
+  }
+  const heartbeat = setInterval(() => {
+    redisClient
+      .eval(RENEW_LOCK_SCRIPT, 1, BACKFILL_LOCK_KEY, token, BACKFILL_LOCK_MS)
+      .then((renewed) => {
+        if (!renewed) console.warn('[backfillDisposalAccounting] lost the backfill lock');
+      })
+      .catch((err) =>
+        console.warn('[backfillDisposalAccounting] failed to renew the backfill lock:', err),
+      );
+  }, BACKFILL_LOCK_MS / 3);
+  try {
+    await backfillRollups();
+    await backfillDisposals();
+  } finally {
+    clearInterval(heartbeat);
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, BACKFILL_LOCK_KEY, token);
+  }
+}
@@ -0,0 +1,335 @@
+import { EmissionFactorSet } from '../models/emissionFactorSet.models.js';
+import { WasteStream, WASTE_TREATMENTS } from '../models/wasteStream.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { getPeriodRange } from '../utils/dateRange.js';
+
+/**
+ * Carbon emissions (CO2e) of disposed waste.
+ *
+ * The waste disposed into a stream at a branch is multiplied by the factor (kg CO2e per kg)
+ * for the stream's material and treatment in the branch's country and region, taken from an
+ * EmissionFactorSet. The most specific factor applies: one for the stream's material before
+ * one for any material ('*'), then one for the branch's country and region before one for its
+ * country, before one for anywhere.
+ *
+ * Avoided emissions are what diversion saved: the emissions the same waste would have had if
+ * landfilled (its landfill baseline), less its actual emissions.
+ *
+ * The material and treatment are those the waste was disposed under, recorded on its
+ * DisposalEvent and rollups, so editing a stream later does not change past reports. Waste
+ * rolled up before they were recorded uses the stream's current ones. The country and region
+ * are always the branch's current address.
+ *
+ * Factor sets are versioned and never edited. A report uses the latest set in effect at the
+ * end of its period unless it asks for a version, and returns the version it used, so a past
+ * report can be reproduced after later sets are published.
+ */
+
+/**
+ * Version 1, seeded on first startup. Indicative values after the UK DEFRA / DESNZ waste
+ * disposal conversion factors; publish a set for your reporting framework to replace it.
+ */
+export const DEFAULT_FACTOR_SET = {
+  version: 1,
+  label: 'Indicative defaults',
+  source: 'Approximated from the UK DEFRA / DESNZ waste disposal conversion factors',
+  effectiveFrom: new Date('2000-01-01T00:00:00Z'),
+  factors: [
+    { material: '*', treatment: 'landfill', kgCO2ePerKg: 0.467 },
+    { material: '*', treatment: 'recycling', kgCO2ePerKg: 0.021 },
+    { material: '*', treatment: 'composting', kgCO2ePerKg: 0.01 },
+    { material: 'Paper & Cardboard', treatment: 'landfill', kgCO2ePerKg: 1.042 },
+    { material: 'Organic', treatment: 'landfill', kgCO2ePerKg: 0.7 },
+    { material: 'Glass', treatment: 'landfill', kgCO2ePerKg: 0.009 },
+  ],
+};
+
+const round = (value) => Number(value.toFixed(3));
+const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * seedEmissionFactorSets
+ * Publishes the default factor set when none exists. Safe to run on every startup.
+ */
+export async function seedEmissionFactorSets() {
+  if (await EmissionFactorSet.exists({})) return;
+  try {
+    await EmissionFactorSet.create(DEFAULT_FACTOR_SET);
+    console.log('🌍 [seedEmissionFactorSets] Published the default emission factor set');
+  } catch (err) {
+    // Another instance seeded it concurrently
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/**
+ * resolveFactorSet
+ * The factor set a report uses: the requested version, or the latest set in effect at `asOf`
+ * (the first set when none is yet).
+ * @param {{ version?: number, asOf?: Date }} options
+ * @returns {Promise<{ factorSet: EmissionFactorSet } | { error: string }>}
+ */
+export async function resolveFactorSet({ version, asOf = new Date() } = {}) {
+  if (version !== undefined) {
+    const factorSet = await EmissionFactorSet.findOne({ version }).lean();
+    if (!factorSet) return { error: `Emission factor set version ${version} does not exist` };
+    return { factorSet };
+  }
+  const factorSet =
+    (await EmissionFactorSet.findOne({ effectiveFrom: { $lte: asOf } })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean()) ?? (await EmissionFactorSet.findOne().sort({ version: 1 }).lean());
+  if (!factorSet) return { error: 'No emission factor set has been published' };
+  return { factorSet };
+}
+
+/**
+ * factorSetFromQuery
+ * The factor set of an analytics request: `factorVersion`, or the set in effect at the end of
+ * the request's period (on the UTC calendar, so every branch shares it).
+ * @param {Object} query  – req.query
+ * @param {Object} period – from periodFromQuery
+ * @param {Date}   [now]
+ * @returns {Promise<{ factorSet: EmissionFactorSet } | { error: string }>}
+ */
+export async function factorSetFromQuery(query, period, now = new Date()) {
+  const { factorVersion } = query;
+  if (factorVersion !== undefined && factorVersion !== '') {
+    const version = Number(factorVersion);
+    if (!Number.isInteger(version) || version < 1) {
+      return { error: 'factorVersion must be a positive integer' };
+    }
+    return resolveFactorSet({ version });
+  }
+  return resolveFactorSet({ asOf: getPeriodRange(period, now, 'UTC').endDate });
+}
+
+/**
+ * validateFactorSet
+ * Checks a factor set to publish. Every treatment needs a factor for any material in any
+ * country, so every stream at every branch has a factor and a landfill baseline.
+ * @param {Object} input – { label, source?, effectiveFrom?, factors }
+ * @returns {{ factorSet: Object } | { error: string }}
+ */
+export function validateFactorSet({ label, source, effectiveFrom, factors } = {}) {
+  if (!label || typeof label !== 'string') return { error: 'label is required' };
+  let from = new Date();
+  if (effectiveFrom !== undefined) {
+    from = new Date(effectiveFrom);
+    if (isNaN(from)) return { error: 'effectiveFrom must be a date, e.g. 2025-07-01' };
+  }
+  if (!Array.isArray(factors) || factors.length === 0) {
+    return { error: 'factors must be a non-empty array' };
+  }
+
+  const checked = [];
+  for (const factor of factors) {
+    const { material = '*', treatment, country = null, region = null, kgCO2ePerKg } = factor ?? {};
+    if (!WASTE_TREATMENTS.includes(treatment)) {
+      return { error: `Each factor's treatment must be one of: ${WASTE_TREATMENTS.join(', ')}` };
+    }
+    if (typeof kgCO2ePerKg !== 'number' || !Number.isFinite(kgCO2ePerKg) || kgCO2ePerKg < 0) {
+      return { error: "Each factor's kgCO2ePerKg must be a number of at least 0" };
+    }
+    if (typeof material !== 'string' || !material.trim()) {
+      return { error: "Each factor's material must be a waste stream name or '*'" };
+    }
+    if ([country, region].some((value) => value !== null && typeof value !== 'string')) {
+      return { error: "Each factor's country and region must be names (or null for any)" };
+    }
+    checked.push({ material: material.trim(), treatment, country, region, kgCO2ePerKg });
+  }
+  const missing = WASTE_TREATMENTS.filter(
+    (treatment) =>
+      !checked.some(
+        (factor) =>
+          factor.treatment === treatment &&
+          factor.material === '*' &&
+          !factor.country &&
+          !factor.region,
+      ),
+  );
+  if (missing.length > 0) {
+    return {
+      error: `A factor for material '*' in any country is required for: ${missing.join(', ')}`,
+    };
+  }
+  return { factorSet: { label, source, effectiveFrom: from, factors: checked } };
+}
+
+/**
+ * publishFactorSet
+ * Publishes a validated factor set as the next version.
+ * @param {Object} factorSet – from validateFactorSet
+ * @param {ObjectId} userId
+ * @returns {Promise<EmissionFactorSet>}
+ */
+export async function publishFactorSet(factorSet, userId) {
+  for (;;) {
+    const latest = await EmissionFactorSet.findOne().sort({ version: -1 }).select('version');
+    try {
+      return await EmissionFactorSet.create({
+        ...factorSet,
+        version: (latest?.version ?? 0) + 1,
+        createdBy: userId,
+      });
+    } catch (err) {
+      // Another set took the version number: try the next one
+      if (err.code !== 11000) throw err;
+    }
+  }
+}
+
+/**
+ * factorFor
+ * The most specific factor of a set for a material and treatment in a country and region.
+ * @returns {number} – kg CO2e per kg (0 when the set has none)
+ */
+export function factorFor(factorSet, { material, treatment, country, region }) {
+  let best = null;
+  let bestScore = -1;
+  for (const factor of factorSet.factors) {
+    if (factor.treatment !== treatment) continue;
+    if (factor.material !== '*' && !(material && same(factor.material, material))) continue;
+    if (factor.country && !(country && same(factor.country, country))) continue;
+    if (factor.region && !(region && same(factor.region, region))) continue;
+    const score =
+      (factor.material !== '*' ? 4 : 0) + (factor.country ? 2 : 0) + (factor.region ? 1 : 0);
+    if (score > bestScore) {
+      best = factor;
+      bestScore = score;
+    }
+  }
+  return best?.kgCO2ePerKg ?? 0;
+}
+
+/**
+ * streamTreatment
+ * How a stream's waste is treated. Waste without a stream is counted as landfilled.
+ * @param {{ treatment?: string, isDiverted?: boolean }|null} stream
+ * @returns {string} – one of WASTE_TREATMENTS
+ */
+export const streamTreatment = (stream) =>
+  stream?.treatment ?? (stream?.isDiverted ? 'recycling' : 'landfill');
+
+/**
+ * addEmissions
+ * Adds the emissions of each row of disposed waste, under a factor set.
+ * @param {{ branch: ObjectId, wasteStream: ObjectId|null, material?: string|null,
+ *           treatment?: string|null, weight: number }[]} rows
+ *        – material and treatment as recorded when the waste was disposed; rows without a
+ *          treatment take the stream's current ones
+ * @param {EmissionFactorSet} factorSet
+ * @returns {Promise<Object[]>} – the rows with emissions, landfillEmissions and
+ *          avoidedEmissions (kg CO2e) added
+ */
+export async function addEmissions(rows, factorSet) {
+  const ids = (key, list = rows) => [
+    ...new Set(list.map((row) => row[key]?.toString()).filter(Boolean)),
+  ];
+  const unrecorded = rows.filter((row) => !row.treatment);
+  const [branches, streams] = await Promise.all([
+    BranchAddress.find({ _id: { $in: ids('branch') } })
+      .select('country subdivision')
+      .lean(),
+    WasteStream.find({ _id: { $in: ids('wasteStream', unrecorded) } })
+      .select('name isDiverted treatment')
+      .lean(),
+  ]);
+  const branchById = new Map(branches.map((branch) => [branch._id.toString(), branch]));
+  const streamById = new Map(streams.map((stream) => [stream._id.toString(), stream]));
+
+  return rows.map((row) => {
+    const branch = branchById.get(row.branch?.toString());
+    const stream = streamById.get(row.wasteStream?.toString());
+    const recorded = Boolean(row.treatment);
+    const where = {
+      material: recorded ? row.material : stream?.name,
+      country: branch?.country,
+      region: branch?.subdivision,
+    };
+    const treatment = recorded ? row.treatment : streamTreatment(stream);
+    const emissions = row.weight * factorFor(factorSet, { ...where, treatment });
+    const landfillEmissions =
+      row.weight * factorFor(factorSet, { ...where, treatment: 'landfill' });
+    return {
+      ...row,
+      emissions,
+      landfillEmissions,
+      avoidedEmissions: landfillEmissions - emissions,
+    };
+  });
+}
+
+/**
+ * rollupEmissions
+ * The waste disposed per branch, stream, material and treatment (and bucket) in branch
+ * rollups, with its emissions. Only branch rollups are used, as factors depend on where the
+ * waste was disposed.
+ * @param {Model}  Rollup – DailyRollup or HourlyRollup (see rollupService.js rollupModel)
+ * @param {Object} match  – a rollupMatch over branch rollups
+ * @param {EmissionFactorSet} factorSet
+ * @param {Object|string} [bucket] – a rollupBucketExpr to split the totals by
+ * @returns {Promise<Object[]>} – rows of { branch, wasteStream, material, treatment, bucket,
+ *          weight, ... } (see addEmissions)
+ */
+export async function rollupEmissions(Rollup, match, factorSet, bucket = null) {
+  const totals = await Rollup.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          branch: '$scopeId',
+          wasteStream: '$wasteStream',
+          material: '$material',
+          treatment: '$treatment',
+          bucket,
+        },
+        weight: { $sum: '$weight' },
+      },
+    },
+  ]).allowDiskUse(true);
+  return addEmissions(
+    totals.map(({ _id, weight }) => ({ ..._id, weight })),
+    factorSet,
+  );
+}
+
+/**
+ * sumEmissions
+ * Totals rows from addEmissions, overall or (with `keyOf`) per key.
+ * @param {Object[]} rows
+ * @param {(row) => string} [keyOf]
+ * @returns {Object|Map<string, Object>} – { weight, emissions, landfillEmissions,
+ *          avoidedEmissions }, rounded to the gram
+ */
+export function sumEmissions(rows, keyOf) {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = keyOf ? String(keyOf(row)) : '';
+    const total = totals.get(key) || {
+      weight: 0,
+      emissions: 0,
+      landfillEmissions: 0,
+      avoidedEmissions: 0,
+    };
+    for (const field of Object.keys(total)) total[field] += row[field];
+    totals.set(key, total);
+  }
+  for (const total of totals.values()) {
+    for (const field of Object.keys(total)) total[field] = round(total[field]);
+  }
+  if (keyOf) return totals;
+  return totals.get('') ?? { weight: 0, emissions: 0, landfillEmissions: 0, avoidedEmissions: 0 };
+}
+
+/**
+ * factorSetSummary
+ * The fields of a factor set a report returns alongside its figures.
+ */
+export const factorSetSummary = ({ version, label, source, effectiveFrom }) => ({
+  version,
+  label,
+  source,
+  effectiveFrom,
+});
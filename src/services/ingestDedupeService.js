@@ -0,0 +1,114 @@
+import dotenv from 'dotenv';
+import { IngestReceipt } from '../models/ingestReceipt.models.js';
+import { Waste } from '../models/waste.models.js';
+
+dotenv.config({ path: './.env' });
+
+// How long a message ID is remembered per bin (default 24h).
+const DEDUPE_WINDOW_SECONDS = Number(process.env.INGEST_DEDUPE_WINDOW_SECONDS) || 24 * 60 * 60;
+// How long an unfinished ingest holds its message ID; after this a redelivery may retake it
+// (the first attempt is taken to have died with its process).
+const CLAIM_LEASE_SECONDS = Number(process.env.INGEST_CLAIM_LEASE_SECONDS) || 60;
+
+/**
+ * normaliseMessageId
+ * Accepts a device message ID (string) or sequence number (number) and returns it as a
+ * trimmed string, or null when none was supplied.
+ */
+export function normaliseMessageId(messageId) {
+  if (typeof messageId === 'number' && Number.isFinite(messageId)) return String(messageId);
+  if (typeof messageId === 'string' && messageId.trim() !== '') return messageId.trim();
+  return null;
+}
+
+/**
+ * claimMessageId
+ * Atomically records that a message is being ingested for a bin. A claim whose ingest never
+ * finished is retaken once its lease runs out, unless the reading was in fact stored (the
+ * process died after storing it), in which case the receipt is completed instead.
+ * @returns {Promise<{ claimed: boolean, original: Waste|null }>}
+ *          – claimed=false means the message is a repeat; `original` is the record
+ *            created for the first delivery (null if it is still being processed)
+ */
+async function claimMessageId(associateBin, messageId) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + DEDUPE_WINDOW_SECONDS * 1000);
+  const leaseExpiresAt = new Date(now.getTime() + CLAIM_LEASE_SECONDS * 1000);
+  try {
+    await IngestReceipt.create({ associateBin, messageId, expiresAt, leaseExpiresAt });
+    return { claimed: true, original: null };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // Retake an abandoned claim (receipts from before leases count as abandoned)
+  const retaken = await IngestReceipt.findOneAndUpdate(
+    {
+      associateBin,
+      messageId,
+      waste: null,
+      expiresAt: { $gt: now },
+      $or: [{ leaseExpiresAt: { $lte: now } }, { leaseExpiresAt: { $exists: false } }],
+    },
+    { $set: { leaseExpiresAt } },
+    { new: true },
+  ).lean();
+  if (retaken) {
+    const stored = await Waste.findOne({ associateBin, messageId });
+    if (!stored) return { claimed: true, original: null };
+    await IngestReceipt.updateOne({ _id: retaken._id }, { $set: { waste: stored._id } });
+    return { claimed: false, original: stored };
+  }
+
+  const receipt = await IngestReceipt.findOne({ associateBin, messageId }).lean();
+  if (!receipt) {
+    // Expired and removed between our insert and lookup; try once more.
+    return claimMessageId(associateBin, messageId);
+  }
+  if (receipt.expiresAt < new Date()) {
+    // The TTL monitor has not removed it yet, but the window is over.
+    await IngestReceipt.deleteOne({ _id: receipt._id, expiresAt: receipt.expiresAt });
+    return claimMessageId(associateBin, messageId);
+  }
+
+  const original = receipt.waste ? await Waste.findById(receipt.waste) : null;
+  return { claimed: false, original };
+}
+
+/**
+ * withIngestDedupe
+ * Runs `ingest` at most once per (bin, messageId) within the dedupe window.
+ * Without a messageId, `ingest` always runs.
+ *
+ * @param {ObjectId|string} associateBin – the Dustbin _id
+ * @param {string|null}     messageId    – normalised device message ID
+ * @param {Function}        ingest       – async () => Waste; performs every side effect
+ * @returns {Promise<{ record: Waste|null, duplicate: boolean, inFlight?: boolean }>}
+ *          – inFlight: a repeat of a message whose first delivery is still being ingested
+ *            (record is null)
+ */
+export async function withIngestDedupe(associateBin, messageId, ingest) {
+  if (!messageId) {
+    return { record: await ingest(), duplicate: false };
+  }
+
+  const { claimed, original } = await claimMessageId(associateBin, messageId);
+  if (!claimed) {
+    console.log(`🔁 [ingestDedupe] Ignoring repeat message ${messageId} for bin ${associateBin}`);
+    return { record: original, duplicate: true, inFlight: !original };
+  }
+
+  let record;
+  try {
+    record = await ingest();
+  } catch (err) {
+    // Release the claim so a redelivery (or dead-letter replay) can succeed later.
+    await IngestReceipt.deleteOne({ associateBin, messageId }).catch((releaseErr) =>
+      console.error('[ingestDedupe] Failed to release message claim:', releaseErr),
+    );
+    throw err;
+  }
+
+  await IngestReceipt.updateOne({ associateBin, messageId }, { $set: { waste: record._id } });
+  return { record, duplicate: false };
+}
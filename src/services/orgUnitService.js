@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import { OrgUnit } from '../models/orgUnit.model.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { User } from '../models/user.models.js';
+import { Invitation } from '../models/invitation.models.js';
+import { invalidateOrgUnitSubtrees, orgUnitSubtreeIds } from './accessScopeService.js';
+import { rebuildRollups } from './rollupService.js';
+
+// Hierarchy levels from top to bottom; a unit's parent must sit on a higher level.
+// Region is optional, so a City may hang directly off a Country.
+export const ORG_UNIT_TYPES = ['Company', 'Country', 'Region', 'City', 'Branch'];
+
+// BranchAddress field each level's name is derived from (see createOrgUnitsForBranchAddressService)
+const BRANCH_FIELDS = {
+  Country: 'country',
+  Region: 'subdivision',
+  City: 'city',
+  Branch: 'officeName',
+};
+
+/**
+ * validateParent
+ * Checks `parent` may hold `unit` (an existing unit or a new one's { type, company }):
+ * same company, a higher level in ORG_UNIT_TYPES, and not the unit itself or one of its
+ * descendants. `null` makes the unit a root, which only Company and Country units may be.
+ * @returns {Promise<{ parent: OrgUnit|null } | { error: string, status: number }>}
+ */
+export async function validateParent(unit, parentId) {
+  const rank = ORG_UNIT_TYPES.indexOf(unit.type);
+  if (rank === -1) {
+    return { status: 400, error: `type must be one of: ${ORG_UNIT_TYPES.join(', ')}` };
+  }
+  if (!parentId) {
+    if (rank > 1) return { status: 400, error: `A ${unit.type} must have a parent unit` };
+    return { parent: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return { status: 400, error: 'Invalid parent ID' };
+  }
+
+  const parent = await OrgUnit.findById(parentId).lean();
+  if (!parent) return { status: 404, error: 'Parent OrgUnit not found' };
+  if (!parent.company.equals(unit.company)) {
+    return { status: 400, error: 'Parent OrgUnit belongs to another company' };
+  }
+  if (ORG_UNIT_TYPES.indexOf(parent.type) >= rank) {
+    return { status: 400, error: `A ${parent.type} cannot contain a ${unit.type}` };
+  }
+  if (unit._id) {
+    const subtree = await orgUnitSubtreeIds(unit._id);
+    if (subtree.some((id) => id.equals(parent._id))) {
+      return { status: 400, error: 'A unit cannot be moved under itself or its descendants' };
+    }
+  }
+  return { parent };
+}
+
+/**
+ * findSibling
+ * Another unit of the same type and name under the same parent, i.e. what
+ * createOrgUnitsForBranchAddressService would treat as the same unit.
+ */
+export function findSibling({ _id, type, company }, name, parentId) {
+  return OrgUnit.findOne({
+    _id: { $ne: _id },
+    name,
+    type,
+    company,
+    parent: parentId || null,
+  }).lean();
+}
+
+/**
+ * syncBranchAddresses
+ * Copies the names of each branch's OrgUnit ancestors back onto its BranchAddress (country,
+ * subdivision, city, officeName), for every branch under `orgUnitId`. Analytics and new-branch
+ * provisioning match units to branches by these names, so they must agree after a rename,
+ * move or merge. Levels a branch has no ancestor for are left unchanged.
+ * @param {ObjectId} orgUnitId
+ * @param {ClientSession} [session] – to write inside a caller's transaction
+ * @returns {Promise<number>} – branches updated
+ */
+export async function syncBranchAddresses(orgUnitId, session = null) {
+  const branchUnits = await OrgUnit.aggregate([
+    {
+      $match: {
+        _id: { $in: await orgUnitSubtreeIds(orgUnitId, session) },
+        type: 'Branch',
+        branchAddress: { $ne: null },
+      },
+    },
+    {
+      $graphLookup: {
+        from: 'orgunits',
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+      },
+    },
+  ]).session(session);
+
+  const operations = branchUnits.map((branchUnit) => {
+    const $set = { officeName: branchUnit.name };
+    for (const ancestor of branchUnit.ancestors) {
+      const field = BRANCH_FIELDS[ancestor.type];
+      if (field) $set[field] = ancestor.name;
+    }
+    return { updateOne: { filter: { _id: branchUnit.branchAddress }, update: { $set } } };
+  });
+  if (operations.length > 0) await BranchAddress.bulkWrite(operations, { session });
+  return operations.length;
+}
+
+/**
+ * reassignMembers
+ * Moves the users and pending invitations assigned to `fromId` to `toId`.
+ * @param {ClientSession} [session] – to write inside a caller's transaction
+ * @returns {Promise<number>} – users reassigned
+ */
+export async function reassignMembers(fromId, toId, session = null) {
+  // One after the other: a transaction's operations cannot run in parallel
+  const users = await User.updateMany(
+    { OrgUnit: fromId },
+    { $set: { OrgUnit: toId } },
+    { session },
+  );
+  await Invitation.updateMany(
+    { OrgUnit: fromId, used: false },
+    { $set: { OrgUnit: toId } },
+    { session },
+  );
+  return users.modifiedCount;
+}
+
+/**
+ * inTransaction
+ * Runs `work(session)` in a MongoDB transaction: every write it makes through the session
+ * lands, or none does. The driver may retry `work` on a transient error, so it must start
+ * from scratch each time. Requires MongoDB to run as a replica set.
+ * @param {(session: ClientSession) => Promise<*>} work
+ * @returns {Promise<*>} – what `work` returned
+ */
+export async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  return result;
+}
+
+/**
+ * mergeInto
+ * Folds `source` into `target` (same type and company): children with a matching sibling
+ * under `target` are merged recursively, the rest are re-parented; members move to `target`
+ * and `source` is deleted. Branch units are never merged into each other, since each one
+ * stands for a different BranchAddress.
+ * @param {ClientSession} session – of the merge's transaction
+ * @returns {Promise<{ merged: number, moved: number, usersReassigned: number }>}
+ */
+async function mergeInto(source, target, session) {
+  const result = { merged: 1, moved: 0, usersReassigned: 0 };
+  const children = await OrgUnit.find({ parent: source._id }).session(session).lean();
+
+  for (const child of children) {
+    const match =
+      child.type !== 'Branch' &&
+      (await OrgUnit.findOne({
+        parent: target._id,
+        type: child.type,
+        name: child.name,
+        company: target.company,
+      })
+        .session(session)
+        .lean());
+    if (match) {
+      const nested = await mergeInto(child, match, session);
+      result.merged += nested.merged;
+      result.moved += nested.moved;
+      result.usersReassigned += nested.usersReassigned;
+    } else {
+      await OrgUnit.updateOne({ _id: child._id }, { $set: { parent: target._id } }, { session });
+      result.moved += 1;
+    }
+  }
+
+  result.usersReassigned += await reassignMembers(source._id, target._id, session);
+  await OrgUnit.deleteOne({ _id: source._id }, { session });
+  return result;
+}
+
+/**
+ * mergeOrgUnits
+ * Merges a duplicate unit into another one of the same type and company and brings the
+ * affected branches' address fields in line, in one transaction, then invalidates cached
+ * subtrees. OrgUnit analytics rollups are rebuilt in the background.
+ * @returns {Promise<{ merged: number, moved: number, usersReassigned: number }>}
+ */
+export async function mergeOrgUnits(source, target) {
+  const result = await inTransaction(async (session) => {
+    const merge = await mergeInto(source, target, session);
+    await syncBranchAddresses(target._id, session);
+    return merge;
+  });
+  await invalidateOrgUnitSubtrees();
+  rebuildRollups({ scopes: ['orgUnit'] }).catch((err) =>
+    console.error('❌ Rollup rebuild failed:', err),
+  );
+  console.log(
+    `🔀 [mergeOrgUnits] Merged ${source._id} into ${target._id}: ${result.merged} unit(s) merged, ${result.moved} moved, ${result.usersReassigned} user(s) reassigned`,
+  );
+  return result;
+}
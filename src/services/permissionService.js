@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import { Role } from '../models/role.models.js';
+
+/**
+ * Permission catalog.
+ * `platform` permissions act across companies and are reserved for the built-in SuperAdmin
+ * preset; company-defined roles may only be composed from the others.
+ */
+export const PERMISSIONS = {
+  'analytics:read': { description: 'View dashboards and analytics for the branches in scope' },
+  'analytics:export': { description: 'Export analytics data' },
+  'bins:manage': { description: 'Add, edit, relocate and decommission bins' },
+  'readings:write': { description: 'Record waste readings manually' },
+  'readings:review': { description: 'Approve or reject quarantined readings' },
+  'wasteStreams:manage': { description: "Edit the company's waste stream catalog" },
+  'users:invite': { description: 'Invite users into the company' },
+  'roles:manage': { description: "Create and edit the company's custom roles" },
+  'analytics:platform': { description: 'View analytics across all companies', platform: true },
+  'companies:manage': { description: 'Create, edit and delete companies', platform: true },
+  'branches:manage': { description: 'Create, edit and delete branches', platform: true },
+  'orgUnits:manage': { description: 'Create OrgUnits and branch hierarchies', platform: true },
+  'users:manage': { description: 'Register, edit and delete any user', platform: true },
+  'cleaners:manage': { description: 'Manage the cleaner directory', platform: true },
+  'devices:manage': { description: 'Provision and manage devices', platform: true },
+  'deadLetters:manage': { description: 'Inspect and replay failed messages', platform: true },
+  'readings:archive': { description: 'Download archived raw readings', platform: true },
+  'emissionFactors:manage': {
+    description: 'Publish emission factor sets for CO2e reporting',
+    platform: true,
+  },
+};
+
+const LOCAL_ADMIN = ['analytics:read', 'analytics:export', 'readings:review', 'users:invite'];
+
+/**
+ * Built-in role presets: what each of the original `User.role` values may do.
+ * Users with a `customRole` get that role's permissions instead.
+ */
+export const ROLE_PRESETS = {
+  SuperAdmin: Object.keys(PERMISSIONS),
+  RegionalAdmin: LOCAL_ADMIN,
+  CountryAdmin: LOCAL_ADMIN,
+  CityAdmin: LOCAL_ADMIN,
+  OfficeAdmin: ['analytics:read', 'analytics:export', 'readings:review'],
+  EmployeeDashboardUser: [],
+  BinDisplayUser: [],
+};
+
+/**
+ * validatePermissions
+ * Checks a custom role's permission list from an API request.
+ * @param {string[]} input
+ * @returns {{ permissions: string[] } | { error: string }}
+ */
+export function validatePermissions(input) {
+  if (!Array.isArray(input) || input.some((permission) => typeof permission !== 'string')) {
+    return { error: 'permissions must be an array of permission names' };
+  }
+  const unknown = input.filter((permission) => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+  }
+  const platform = input.filter((permission) => PERMISSIONS[permission].platform);
+  if (platform.length > 0) {
+    return { error: `Permission(s) not available to custom roles: ${platform.join(', ')}` };
+  }
+  return { permissions: [...new Set(input)].sort() };
+}
+
+/**
+ * rolePermissions
+ * Permissions granted by a built-in role name and/or a custom role.
+ * A custom role that is missing, deleted or belongs to another company grants nothing.
+ * @param {string}               role         – built-in role (User.role)
+ * @param {ObjectId|string|null} customRoleId
+ * @param {ObjectId|string}      companyId    – company the user belongs to
+ * @returns {Promise<Set<string>>}
+ */
+export async function rolePermissions(role, customRoleId, companyId) {
+  if (!customRoleId) return new Set(ROLE_PRESETS[role] || []);
+
+  const customRole = await Role.findOne({
+    _id: customRoleId,
+    company: companyId,
+    isdeleted: { $ne: true },
+  })
+    .select('permissions')
+    .lean();
+  return new Set(customRole?.permissions || []);
+}
+
+// user object → its permissions, so several guards on one request share a lookup
+const resolved = new WeakMap();
+
+/**
+ * resolvePermissions
+ * The user's effective permissions, cached per user object (i.e. per request).
+ * @param {User} user
+ * @returns {Promise<Set<string>>}
+ */
+export async function resolvePermissions(user) {
+  if (!resolved.has(user)) {
+    const customRoleId = user.customRole?._id ?? user.customRole;
+    resolved.set(user, await rolePermissions(user.role, customRoleId, user.company));
+  }
+  return resolved.get(user);
+}
+
+/**
+ * checkGrant
+ * Checks that `granter` may give a user the role `role` / `customRoleId` in `companyId`:
+ * the custom role must belong to that company, and the granted permissions must be a
+ * subset of the granter's own, so nobody can hand out more access than they have.
+ * @returns {Promise<{ error?: string, status?: number }>} – empty when allowed
+ */
+export async function checkGrant(granter, { role, customRoleId, companyId }) {
+  if (!ROLE_PRESETS[role]) {
+    return { status: 400, error: `role must be one of: ${Object.keys(ROLE_PRESETS).join(', ')}` };
+  }
+  if (customRoleId) {
+    // SuperAdmin is unrestricted by company, so it cannot be narrowed by a company role
+    if (role === 'SuperAdmin') {
+      return { status: 400, error: 'A custom role cannot be combined with the SuperAdmin role' };
+    }
+    if (!mongoose.Types.ObjectId.isValid(customRoleId)) {
+      return { status: 400, error: 'Invalid customRole ID' };
+    }
+    const exists = await Role.exists({
+      _id: customRoleId,
+      company: companyId,
+      isdeleted: { $ne: true },
+    });
+    if (!exists) return { status: 404, error: 'Custom role not found for this company' };
+  }
+
+  const [own, granted] = await Promise.all([
+    resolvePermissions(granter),
+    rolePermissions(role, customRoleId, companyId),
+  ]);
+  const missing = [...granted].filter((permission) => !own.has(permission));
+  if (missing.length > 0) {
+    return {
+      status: 403,
+      error: `You cannot grant permissions you do not have: ${missing.join(', ')}`,
+    };
+  }
+  return {};
+}
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+import { hotWindowStart } from './readingRetentionService.js';
+import { densityByStream, fullWeightKg } from './binFillService.js';
+
+dotenv.config({ path: './.env' });
+
+// Raw readings this far below the bin's tare (kg) are treated as negative weights.
+const TARE_TOLERANCE_KG = Number(process.env.READING_TARE_TOLERANCE_KG) || 1;
+// Net weights above a full bin's weight × this factor are physically implausible.
+const MAX_CAPACITY_FACTOR = Number(process.env.READING_MAX_CAPACITY_FACTOR) || 1.5;
+// A change of more than this fraction of a full bin's weight between consecutive disposal
+// readings…
+const SPIKE_FRACTION = Number(process.env.READING_SPIKE_FRACTION) || 0.5;
+// …within this many seconds is a spike.
+const SPIKE_WINDOW_SECONDS = Number(process.env.READING_SPIKE_WINDOW_SECONDS) || 300;
+// This many identical raw readings in a row, spanning at least this many hours, is a stuck sensor.
+const FLATLINE_COUNT = Number(process.env.READING_FLATLINE_COUNT) || 20;
+const FLATLINE_HOURS = Number(process.env.READING_FLATLINE_HOURS) || 72;
+
+/**
+ * assessReading
+ * Compares a reading with the bin's capacity, tare and recent (counted) history and
+ * returns the reasons it looks like a sensor fault. An empty array means it is plausible.
+ * binCapacity is a volume (litres), so weights are compared with the weight of a full bin of
+ * the bin's waste stream, as the fill level is (see services/binFillService.js).
+ *
+ * A reading measured before the hot window of readings kept in Waste (WASTE_HOT_DAYS) is
+ * flagged only as 'late': it could not be counted without re-deriving the disposals of the
+ * settled readings after it, so it is rejected rather than quarantined.
+ *
+ * Flags:
+ *   - negative_weight: raw weight below zero or below the tare (beyond tolerance)
+ *   - over_capacity:   net weight well above that of a full bin
+ *   - spike:           sudden jump or drop versus the previous disposal reading
+ *   - flatline:        the sensor has reported exactly the same raw weight for too long
+ *   - late:            measured before the hot window (see services/readingRetentionService.js)
+ *
+ * @param {Object} bin          – Dustbin (needs _id, tareWeight, binCapacity, wasteStream)
+ * @param {number} rawWeight    – scale reading, kg
+ * @param {string} eventType    – "disposal" or "cleaning"
+ * @param {Date}   measuredAt   – when the reading was taken
+ * @returns {Promise<string[]>}
+ */
+export async function assessReading({ bin, rawWeight, eventType, measuredAt }) {
+  if (measuredAt < hotWindowStart()) return ['late'];
+
+  const flags = [];
+  const tare = bin.tareWeight ?? 0;
+
+  if (rawWeight < 0 || (eventType === 'disposal' && rawWeight < tare - TARE_TOLERANCE_KG)) {
+    flags.push('negative_weight');
+  }
+  // A cleaning reading is the empty bin, so it only needs the sign check above.
+  if (eventType === 'cleaning') return flags;
+
+  const netWeight = Math.max(0, rawWeight - tare);
+  const densities = await densityByStream([bin.wasteStream]);
+  const fullWeight = fullWeightKg(bin.binCapacity, densities.get(bin.wasteStream?.toString()));
+  if (fullWeight && netWeight > fullWeight * MAX_CAPACITY_FACTOR) {
+    flags.push('over_capacity');
+  }
+
+  const history = await Waste.find({
+    associateBin: bin._id,
+    measuredAt: { $lte: measuredAt },
+    ...COUNTED_READINGS,
+  })
+    .sort({ measuredAt: -1 })
+    .limit(FLATLINE_COUNT - 1)
+    .select('currentWeight rawWeight eventType measuredAt')
+    .lean();
+
+  const previous = history[0];
+  if (previous && fullWeight) {
+    const previousNet = previous.eventType === 'cleaning' ? 0 : previous.currentWeight;
+    const elapsedSeconds = (measuredAt - previous.measuredAt) / 1000;
+    if (
+      elapsedSeconds <= SPIKE_WINDOW_SECONDS &&
+      Math.abs(netWeight - previousNet) > fullWeight * SPIKE_FRACTION
+    ) {
+      flags.push('spike');
+    }
+  }
+
+  if (
+    history.length === FLATLINE_COUNT - 1 &&
+    history.every((r) => r.eventType === 'disposal' && r.rawWeight === rawWeight) &&
+    measuredAt - history[history.length - 1].measuredAt >= FLATLINE_HOURS * 60 * 60 * 1000
+  ) {
+    flags.push('flatline');
+  }
+
+  return flags;
+}
@@ -0,0 +1,376 @@
+import dotenv from 'dotenv';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+import redisClient from '../utils/redisClient.js';
+import { Waste, COUNTED_READINGS } from '../models/waste.models.js';
+import { WasteReading, HourlyReading } from '../models/wasteReading.models.js';
+import { ReadingArchive } from '../models/readingArchive.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+
+dotenv.config({ path: './.env' });
+
+/**
+ * Reading retention tiers.
+ *
+ *   1. Waste keeps the readings of the last WASTE_HOT_DAYS: these can still be reviewed,
+ *      re-derived by disposal accounting and checked against by the plausibility checks and
+ *      the collection monitor, so the window must cover READING_FLATLINE_HOURS and the
+ *      longest gap between collection days.
+ *   2. Older readings are moved, unchanged, into the WasteReading time-series collection,
+ *      keyed by bin with the branch, company and waste stream as metadata.
+ *   3. After READING_RAW_RETENTION_DAYS each company's UTC day of raw readings is downsampled
+ *      to one HourlyReading per bin and hour, exported to READING_ARCHIVE_DIR/<company>
+ *      (gzipped NDJSON, unless READING_ARCHIVE_ENABLED=false) and deleted. Archives never mix
+ *      companies, so each can be handed to or deleted for its own tenant.
+ *   4. HourlyReadings are kept for READING_HOURLY_RETENTION_DAYS, or for good when unset.
+ *
+ * Moving the readings already in Waste is the migration to the time-series collection: the
+ * first runs work through the backlog in batches. Analytics totals do not depend on any of
+ * this (see services/rollupService.js). Time-series deletes by time need MongoDB 7.0 or later.
+ *
+ * Settled readings are never re-derived, so readings measured before the hot window are
+ * rejected on arrival (quality flag 'late') and quarantined ones can no longer be approved
+ * once they fall out of it. Quarantined readings stay in Waste until they are reviewed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const HOT_DAYS = Number(process.env.WASTE_HOT_DAYS) || 14;
+const RAW_RETENTION_DAYS = Math.max(Number(process.env.READING_RAW_RETENTION_DAYS) || 90, HOT_DAYS);
+// 0 keeps hourly readings for good
+const HOURLY_RETENTION_DAYS = Number(process.env.READING_HOURLY_RETENTION_DAYS) || 0;
+const ARCHIVE_ENABLED = process.env.READING_ARCHIVE_ENABLED !== 'false';
+export const ARCHIVE_DIR = path.resolve(process.env.READING_ARCHIVE_DIR || 'archives/readings');
+// How often the retention job runs (default hourly).
+const RUN_INTERVAL_MINUTES = Number(process.env.READING_RETENTION_INTERVAL_MINUTES) || 60;
+// Readings moved out of Waste per batch.
+const SETTLE_BATCH = 1000;
+
+// One instance runs the job at a time. The lock is renewed after every batch, and a run that
+// finds it lost stops; a run that dies mid-way lets it expire after LOCK_SECONDS.
+const LOCK_KEY = 'readingRetention:lock';
+const LOCK_SECONDS = 15 * 60;
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('EXPIRE', KEYS[1], ARGV[2]) end
+return 0
+`;
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
+
+const startOfUtcDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+/**
+ * hotWindowStart
+ * The oldest measuredAt still kept in Waste: readings before it are settled.
+ */
+export const hotWindowStart = (now = new Date()) => new Date(now.getTime() - HOT_DAYS * DAY_MS);
+
+/**
+ * latestSettledReading
+ * The last counted reading of a bin before `before` that has left Waste: the raw reading if
+ * it is still kept, else the last hour it was downsampled into.
+ * @returns {Promise<{ currentWeight: number, disposalBaseline?: number }|null>}
+ */
+export async function latestSettledReading(associateBin, before) {
+  const reading = await WasteReading.findOne({
+    'meta.associateBin': associateBin,
+    measuredAt: { $lt: before },
+    ...COUNTED_READINGS,
+  })
+    .sort({ measuredAt: -1 })
+    .select('currentWeight disposalBaseline')
+    .lean();
+  if (reading) return reading;
+
+  const hour = await HourlyReading.findOne({
+    'meta.associateBin': associateBin,
+    hour: { $lt: before },
+  })
+    .sort({ hour: -1 })
+    .select('lastWeight lastBaseline')
+    .lean();
+  return hour ? { currentWeight: hour.lastWeight, disposalBaseline: hour.lastBaseline } : null;
+}
+
+/**
+ * settledReadingsStage
+ * A $unionWith stage adding the settled raw readings matching `match` (a Waste condition) to
+ * a Waste aggregation, shaped like Waste records.
+ */
+export const settledReadingsStage = (match) => ({
+  $unionWith: {
+    coll: WasteReading.collection.name,
+    pipeline: [
+      {
+        $addFields: {
+          associateBin: '$meta.associateBin',
+          branchAddress: '$meta.branchAddress',
+          createdAt: '$receivedAt',
+        },
+      },
+      { $project: { meta: 0, receivedAt: 0 } },
+      { $match: match },
+    ],
+  },
+});
+
+/**
+ * settleReadings
+ * Moves readings older than the hot window from Waste into WasteReading. Counted readings
+ * wait for their disposal accounting (disposalBaseline) before they move, and quarantined
+ * readings stay in Waste until they are reviewed (the review endpoints only read Waste).
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {() => Promise} [options.renewLock] – called after every batch (see runReadingRetention)
+ * @returns {Promise<number>} – readings moved
+ */
+export async function settleReadings(now = new Date(), { renewLock = async () => {} } = {}) {
+  const settled = {
+    measuredAt: { $lt: hotWindowStart(now) },
+    $or: [{ disposalBaseline: { $exists: true } }, { qualityStatus: 'rejected' }],
+  };
+
+  let moved = 0;
+  for (;;) {
+    const batch = await Waste.find(settled)
+      .sort({ measuredAt: 1, _id: 1 })
+      .limit(SETTLE_BATCH)
+      .lean();
+    if (batch.length === 0) break;
+
+    const binIds = [...new Set(batch.map((reading) => reading.associateBin.toString()))];
+    const branchIds = [
+      ...new Set(batch.map((reading) => reading.branchAddress?.toString()).filter(Boolean)),
+    ];
+    const [bins, branches] = await Promise.all([
+      Dustbin.find({ _id: { $in: binIds } })
+        .select('wasteStream')
+        .lean(),
+      BranchAddress.find({ _id: { $in: branchIds } })
+        .select('associatedCompany')
+        .lean(),
+    ]);
+    const streamOfBin = new Map(bins.map((bin) => [bin._id.toString(), bin.wasteStream]));
+    const companyOfBranch = new Map(
+      branches.map((branch) => [branch._id.toString(), branch.associatedCompany]),
+    );
+
+    const documents = batch.map(
+      ({ associateBin, branchAddress, createdAt, updatedAt, __v, ...fields }) => ({
+        ...fields,
+        meta: {
+          associateBin,
+          branchAddress,
+          company: companyOfBranch.get(branchAddress?.toString()),
+          wasteStream: streamOfBin.get(associateBin.toString()),
+        },
+        receivedAt: createdAt,
+      }),
+    );
+    const ids = batch.map((reading) => reading._id);
+    // A batch an interrupted run already copied is copied again, not twice
+    await WasteReading.deleteMany({
+      _id: { $in: ids },
+      measuredAt: { $gte: batch[0].measuredAt, $lte: batch[batch.length - 1].measuredAt },
+    });
+    await WasteReading.insertMany(documents, { ordered: false });
+    await Waste.deleteMany({ _id: { $in: ids } });
+    moved += batch.length;
+    await renewLock();
+  }
+  return moved;
+}
+
+/**
+ * writeArchive
+ * Exports the raw readings in `range` to a gzipped NDJSON file for `archive`, in the
+ * directory of its company ('unassigned' for readings of branches without one).
+ * @returns {Promise<{ file: string, bytes: number }>}
+ */
+async function writeArchive(archive, range) {
+  const file = path.posix.join(
+    String(archive.company ?? 'unassigned'),
+    `readings-${archive.day}-${archive._id}.ndjson.gz`,
+  );
+  const target = path.join(ARCHIVE_DIR, file);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  const cursor = WasteReading.find(range).sort({ measuredAt: 1 }).lean().cursor();
+  const lines = async function* () {
+    for await (const reading of cursor) yield `${JSON.stringify(reading)}\n`;
+  };
+  try {
+    await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(target));
+  } finally {
+    await cursor.close();
+  }
+  const { size } = await fs.promises.stat(target);
+  return { file, bytes: size };
+}
+
+/**
+ * discardPendingArchives
+ * Undoes expiries an interrupted run left half-done: their HourlyReadings and exports are
+ * removed, and the raw readings (never deleted before completion) are expired again.
+ */
+async function discardPendingArchives() {
+  const pending = await ReadingArchive.find({ status: 'pending' }).lean();
+  for (const archive of pending) {
+    const dayStart = new Date(`${archive.day}T00:00:00.000Z`);
+    await HourlyReading.deleteMany({
+      archive: archive._id,
+      hour: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+    });
+    if (archive.file) {
+      await fs.promises.rm(path.join(ARCHIVE_DIR, archive.file), { force: true });
+    }
+    await ReadingArchive.deleteOne({ _id: archive._id });
+  }
+}
+
+/**
+ * expireDay
+ * Downsamples, exports and deletes one company's raw readings of one UTC day (up to `end`).
+ * @param {ObjectId|null} company – null for readings of branches without a company
+ * @returns {Promise<number>} – readings deleted
+ */
+async function expireDay(company, dayStart, end) {
+  const range = { 'meta.company': company, measuredAt: { $gte: dayStart, $lt: end } };
+  const archive = await ReadingArchive.create({
+    company,
+    day: dayStart.toISOString().slice(0, 10),
+  });
+
+  const hours = await WasteReading.aggregate(
+    [
+      { $match: { ...range, ...COUNTED_READINGS } },
+      { $sort: { measuredAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: {
+            bin: '$meta.associateBin',
+            hour: { $dateTrunc: { date: '$measuredAt', unit: 'hour' } },
+          },
+          meta: { $last: '$meta' },
+          readings: { $sum: 1 },
+          cleanings: { $sum: { $cond: [{ $eq: ['$eventType', 'cleaning'] }, 1, 0] } },
+          minWeight: { $min: '$currentWeight' },
+          maxWeight: { $max: '$currentWeight' },
+          avgWeight: { $avg: '$currentWeight' },
+          lastWeight: { $last: '$currentWeight' },
+          lastBaseline: { $last: '$disposalBaseline' },
+        },
+      },
+      { $addFields: { hour: '$_id.hour', archive: archive._id } },
+      { $project: { _id: 0 } },
+    ],
+    { allowDiskUse: true },
+  );
+  if (hours.length > 0) await HourlyReading.insertMany(hours, { ordered: false });
+
+  const exported = ARCHIVE_ENABLED ? await writeArchive(archive, range) : {};
+  const { deletedCount } = await WasteReading.deleteMany(range);
+  await ReadingArchive.updateOne(
+    { _id: archive._id },
+    { $set: { ...exported, readings: deletedCount, status: 'complete' } },
+  );
+  return deletedCount;
+}
+
+/**
+ * expireRawReadings
+ * Expires every company's UTC days of raw readings older than READING_RAW_RETENTION_DAYS,
+ * oldest first.
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {() => Promise} [options.renewLock] – called after every day expired
+ * @returns {Promise<number>} – readings deleted
+ */
+export async function expireRawReadings(now = new Date(), { renewLock = async () => {} } = {}) {
+  await discardPendingArchives();
+  const cutoff = startOfUtcDay(new Date(now.getTime() - RAW_RETENTION_DAYS * DAY_MS));
+
+  let expired = 0;
+  for (;;) {
+    const oldest = await WasteReading.findOne({ measuredAt: { $lt: cutoff } })
+      .sort({ measuredAt: 1 })
+      .select('measuredAt meta.company')
+      .lean();
+    if (!oldest) break;
+    const dayStart = startOfUtcDay(oldest.measuredAt);
+    const dayEnd = new Date(Math.min(dayStart.getTime() + DAY_MS, cutoff.getTime()));
+    expired += await expireDay(oldest.meta?.company ?? null, dayStart, dayEnd);
+    await renewLock();
+  }
+  return expired;
+}
+
+/**
+ * runReadingRetention
+ * One pass of the retention job: settle, expire raw readings, then trim hourly readings.
+ * Skipped while another instance holds the lock. The lock is renewed after every batch; a
+ * run that finds it lost (another instance may have taken over) stops with an error.
+ */
+export async function runReadingRetention(now = new Date()) {
+  const token = `${process.pid}:${Date.now()}`;
+  const locked = await redisClient.set(LOCK_KEY, token, 'EX', LOCK_SECONDS, 'NX');
+  if (!locked) return;
+  const renewLock = async () => {
+    if (!(await redisClient.eval(RENEW_LOCK_SCRIPT, 1, LOCK_KEY, token, LOCK_SECONDS))) {
+      throw new Error('Lost the reading retention lock; stopping this run');
+    }
+  };
+
+  try {
+    const moved = await settleReadings(now, { renewLock });
+    const expired = await expireRawReadings(now, { renewLock });
+    let trimmed = 0;
+    if (HOURLY_RETENTION_DAYS > 0) {
+      ({ deletedCount: trimmed } = await HourlyReading.deleteMany({
+        hour: { $lt: new Date(now.getTime() - HOURLY_RETENTION_DAYS * DAY_MS) },
+      }));
+    }
+    if (moved || expired || trimmed) {
+      console.log(
+        `🗄️ [readingRetention] Moved ${moved} reading(s) to the time-series collection, expired ${expired} raw reading(s), trimmed ${trimmed} hourly reading(s)`,
+      );
+    }
+  } finally {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, LOCK_KEY, token);
+  }
+}
+
+/**
+ * startReadingRetention
+ * Creates the time-series collections, then runs runReadingRetention every
+ * READING_RETENTION_INTERVAL_MINUTES.
+ */
+export function startReadingRetention() {
+  let running = false;
+  const run = () => {
+    if (running) return;
+    running = true;
+    runReadingRetention()
+      .catch((err) => console.error('❌ [readingRetention] Run failed:', err))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  Promise.all([WasteReading.init(), HourlyReading.init()])
+    .then(() => {
+      run();
+      setInterval(run, RUN_INTERVAL_MINUTES * 60 * 1000);
+      console.log(
+        `🗄️ [startReadingRetention] Keeping ${HOT_DAYS} day(s) in Waste and ${RAW_RETENTION_DAYS} day(s) of raw readings; checking every ${RUN_INTERVAL_MINUTES} minute(s)`,
+      );
+    })
+    .catch((err) =>
+      console.error('❌ [startReadingRetention] Time-series collections unavailable:', err),
+    );
+}
@@ -0,0 +1,334 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import redisClient from '../utils/redisClient.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { OrgUnit } from '../models/orgUnit.model.js';
+import { WasteStream } from '../models/wasteStream.models.js';
+import {
+  canAccessBranch,
+  canAccessCompany,
+  canAccessOrgUnit,
+  subtreeVersion,
+} from './accessScopeService.js';
+
+dotenv.config({ path: './.env' });
+
+// How long a branch's room list is cached in memory (default 5 minutes).
+const ROOM_CACHE_SECONDS = Number(process.env.REALTIME_ROOM_CACHE_SECONDS) || 5 * 60;
+// How long events stay in the Redis stream for reconnecting clients (default 10 minutes).
+const REPLAY_WINDOW_SECONDS = Number(process.env.REALTIME_REPLAY_WINDOW_SECONDS) || 10 * 60;
+// Most events replayed to one subscription; past this the client should refetch.
+const REPLAY_MAX_EVENTS = Number(process.env.REALTIME_REPLAY_MAX_EVENTS) || 1000;
+const TOTALS_PREFIX = 'rolling-totals:';
+const TOTALS_BINS_KEY = `${TOTALS_PREFIX}bins`;
+
+const roomCache = new Map();
+
+// Redis stream every realtime event is appended to; the Socket.io relay consumes it.
+export const EVENT_STREAM = 'waste-events';
+
+// Socket.io room names. Branch rooms stay the bare branch ID for existing clients.
+export const orgUnitRoom = (orgUnitId) => `orgUnit:${orgUnitId}`;
+export const companyRoom = (companyId) => `company:${companyId}`;
+
+/**
+ * branchRooms
+ * Every room a branch's events are delivered to: the branch itself, its Branch OrgUnit and
+ * each ancestor OrgUnit, and its company.
+ * Cached lists are dropped when the OrgUnit tree version changes.
+ * @param {ObjectId|string} branchId
+ * @returns {Promise<string[]>}
+ */
+export async function branchRooms(branchId) {
+  const key = branchId.toString();
+  const version = await subtreeVersion();
+  const cached = roomCache.get(key);
+  if (cached && cached.version === version && cached.expiresAt > Date.now()) return cached.rooms;
+
+  const [branch, [branchUnit]] = await Promise.all([
+    BranchAddress.findById(branchId).select('associatedCompany').lean(),
+    OrgUnit.aggregate([
+      { $match: { branchAddress: new mongoose.Types.ObjectId(key), type: 'Branch' } },
+      { $limit: 1 },
+      {
+        $graphLookup: {
+          from: 'orgunits',
+          startWith: '$parent',
+          connectFromField: 'parent',
+          connectToField: '_id',
+          as: 'ancestors',
+        },
+      },
+      { $project: { ancestorIds: '$ancestors._id' } },
+    ]),
+  ]);
+
+  const rooms = [key];
+  if (branchUnit) {
+    rooms.push(orgUnitRoom(branchUnit._id));
+    rooms.push(...branchUnit.ancestorIds.map(orgUnitRoom));
+  }
+  if (branch) rooms.push(companyRoom(branch.associatedCompany));
+
+  roomCache.set(key, { rooms, version, expiresAt: Date.now() + ROOM_CACHE_SECONDS * 1000 });
+  return rooms;
+}
+
+/**
+ * resolveSubscription
+ * Maps a realtime subscription request (Socket.io or SSE) to a room and checks the user may see it:
+ *   - { branchId }  – branch inside the user's company and OrgUnit subtree
+ *   - { orgUnitId } – OrgUnit inside the user's subtree (events for every branch below it)
+ *   - { companyId } – whole company (SuperAdmins and company-level users)
+ * @returns {Promise<{ room: string, allowed: boolean }|null>} – null for an empty request
+ */
+export async function resolveSubscription(user, { branchId, orgUnitId, companyId } = {}) {
+  if (branchId) {
+    return { room: branchId.toString(), allowed: await canAccessBranch(user, branchId) };
+  }
+  if (orgUnitId) {
+    return { room: orgUnitRoom(orgUnitId), allowed: await canAccessOrgUnit(user, orgUnitId) };
+  }
+  if (companyId) {
+    return { room: companyRoom(companyId), allowed: await canAccessCompany(user, companyId) };
+  }
+  return null;
+}
+
+/**
+ * appendEvent
+ * Adds an event to the Redis stream, trimming entries older than the replay window.
+ * @param {{ rooms: string[], event: string, payload: Object, branchId?: string }} message
+ * @returns {Promise<string>} – the stream entry ID (also the event ID clients resume from)
+ */
+async function appendEvent(message) {
+  const minId = Date.now() - REPLAY_WINDOW_SECONDS * 1000;
+  return redisClient.xadd(EVENT_STREAM, 'MINID', '~', minId, '*', 'data', JSON.stringify(message));
+}
+
+/**
+ * parseEventEntry
+ * Turns a stream entry ([id, ['data', json]]) back into an event message.
+ * @returns {{ id: string, rooms: string[], event: string, payload: Object }}
+ */
+export function parseEventEntry([id, fields]) {
+  const data = fields[fields.indexOf('data') + 1];
+  const { branchId, rooms, event = 'wasteUpdate', payload } = JSON.parse(data);
+  return { id, rooms: rooms?.length ? rooms : branchId ? [branchId] : [], event, payload };
+}
+
+const eventIdParts = (id) => id.split('-').map(BigInt);
+
+/**
+ * isEventAfter
+ * True if stream ID `a` is later than `b`.
+ */
+export function isEventAfter(a, b) {
+  const [aMs, aSeq] = eventIdParts(a);
+  const [bMs, bSeq = 0n] = eventIdParts(b);
+  return aMs > bMs || (aMs === bMs && aSeq > bSeq);
+}
+
+/**
+ * readEventsSince
+ * Events for a room published after `lastEventId`, oldest first.
+ * `complete` is false when the gap may be larger than what is returned: the last seen event
+ * has already been trimmed from the stream, or more than REPLAY_MAX_EVENTS matched.
+ *
+ * @param {string} lastEventId – stream ID of the last event the client received
+ * @param {string} room
+ * @returns {Promise<{ events: Object[], complete: boolean }>}
+ */
+export async function readEventsSince(lastEventId, room) {
+  if (!/^\d+(-\d+)?$/.test(String(lastEventId))) {
+    return { events: [], complete: false };
+  }
+
+  const [oldest] = await redisClient.xrange(EVENT_STREAM, '-', '+', 'COUNT', 1);
+  let complete = !oldest || !isEventAfter(oldest[0], lastEventId);
+
+  const events = [];
+  let start = `(${lastEventId}`;
+  for (;;) {
+    const entries = await redisClient.xrange(EVENT_STREAM, start, '+', 'COUNT', 500);
+    for (const entry of entries) {
+      const message = parseEventEntry(entry);
+      if (message.rooms.includes(room)) events.push(message);
+    }
+    if (events.length > REPLAY_MAX_EVENTS) {
+      events.length = REPLAY_MAX_EVENTS;
+      complete = false;
+      break;
+    }
+    if (entries.length < 500) break;
+    start = `(${entries[entries.length - 1][0]}`;
+  }
+  return { events, complete };
+}
+
+/**
+ * publishBranchEvent
+ * Appends an event to the Redis event stream for delivery to the branch room and every
+ * OrgUnit/company room above it. `branchId` is added to the payload so
+ * subtree dashboards can tell branches apart. Never throws; failures are logged.
+ *
+ * @param {ObjectId|string} branchId
+ * @param {string}          event   – Socket.io event name, e.g. 'wasteUpdate', 'binAlert'
+ * @param {Object}          payload
+ */
+export async function publishBranchEvent(branchId, event, payload) {
+  const id = branchId.toString();
+  try {
+    const rooms = await branchRooms(id);
+    await appendEvent({ branchId: id, rooms, event, payload: { ...payload, branchId: id } });
+    console.log(
+      `✔️ [publishBranchEvent] Published ${event} for branch ${id} (${rooms.length} rooms)`,
+    );
+  } catch (err) {
+    console.error(`❌ [publishBranchEvent] Failed to publish ${event} for branch ${id}:`, err);
+  }
+}
+
+// Atomically replaces a bin's contribution to its rooms' totals.
+// KEYS[1] = bins hash; ARGV = binId, weight (negative removes the bin), diverted (0/1),
+// rooms (JSON array), key prefix. Returns [room, totalWeightKg, divertedWeightKg, bins, ...]
+// for every room touched.
+const UPDATE_TOTALS_SCRIPT = `
+local binId = ARGV[1]
+local weight = tonumber(ARGV[2])
+local diverted = tonumber(ARGV[3])
+local rooms = cjson.decode(ARGV[4])
+local prefix = ARGV[5]
+local touched, order = {}, {}
+local function touch(room)
+  if not touched[room] then touched[room] = true; table.insert(order, room) end
+end
+local previous = redis.call('HGET', KEYS[1], binId)
+if previous then
+  previous = cjson.decode(previous)
+  for _, room in ipairs(previous.rooms) do
+    local key = prefix .. room
+    redis.call('HINCRBYFLOAT', key, 'totalWeightKg', -previous.weight)
+    if previous.diverted == 1 then
+      redis.call('HINCRBYFLOAT', key, 'divertedWeightKg', -previous.weight)
+    end
+    redis.call('HINCRBY', key, 'bins', -1)
+    touch(room)
+  end
+end
+if weight < 0 then
+  redis.call('HDEL', KEYS[1], binId)
+else
+  redis.call('HSET', KEYS[1], binId,
+    cjson.encode({ weight = weight, diverted = diverted, rooms = rooms }))
+  for _, room in ipairs(rooms) do
+    local key = prefix .. room
+    redis.call('HINCRBYFLOAT', key, 'totalWeightKg', weight)
+    if diverted == 1 then redis.call('HINCRBYFLOAT', key, 'divertedWeightKg', weight) end
+    redis.call('HINCRBY', key, 'bins', 1)
+    touch(room)
+  end
+end
+local result = {}
+for _, room in ipairs(order) do
+  local values = redis.call('HMGET', prefix .. room, 'totalWeightKg', 'divertedWeightKg', 'bins')
+  table.insert(result, room)
+  table.insert(result, values[1] or '0')
+  table.insert(result, values[2] or '0')
+  table.insert(result, values[3] or '0')
+end
+return result
+`;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * totalsPayload
+ * The 'rollingTotals' event payload from a room's raw hash values.
+ */
+function totalsPayload(room, { totalWeightKg, divertedWeightKg, bins }) {
+  const total = round2(totalWeightKg || 0);
+  const diverted = round2(divertedWeightKg || 0);
+  return {
+    room,
+    totalWeightKg: total,
+    divertedWeightKg: diverted,
+    diversionPercent: total > 0 ? round2((diverted / total) * 100) : 0,
+    bins: Number(bins || 0),
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * applyBinTotals
+ * Runs the totals script and publishes a 'rollingTotals' event to each room whose totals
+ * changed.
+ */
+async function applyBinTotals(binId, weight, diverted, rooms) {
+  const result = await redisClient.eval(
+    UPDATE_TOTALS_SCRIPT,
+    1,
+    TOTALS_BINS_KEY,
+    binId.toString(),
+    weight,
+    diverted ? 1 : 0,
+    JSON.stringify(rooms),
+    TOTALS_PREFIX,
+  );
+
+  for (let i = 0; i < result.length; i += 4) {
+    const room = result[i];
+    const payload = totalsPayload(room, {
+      totalWeightKg: result[i + 1],
+      divertedWeightKg: result[i + 2],
+      bins: result[i + 3],
+    });
+    await appendEvent({ rooms: [room], event: 'rollingTotals', payload });
+  }
+}
+
+/**
+ * updateRollingTotals
+ * Records a bin's latest net weight in the live totals of every room above its branch
+ * (sum of each bin's latest weight, and the diverted share) and pushes the new totals.
+ * Handles relocation and stream changes: the bin's previous contribution is replaced.
+ * Never throws; failures are logged.
+ *
+ * @param {Object} bin    – Dustbin (needs _id, branchAddress, wasteStream)
+ * @param {number} weight – the bin's latest net weight (kg)
+ */
+export async function updateRollingTotals(bin, weight) {
+  try {
+    const [rooms, stream] = await Promise.all([
+      branchRooms(bin.branchAddress),
+      bin.wasteStream
+        ? WasteStream.findById(bin.wasteStream).select('isDiverted').lean()
+        : Promise.resolve(null),
+    ]);
+    await applyBinTotals(bin._id, Math.max(0, weight || 0), Boolean(stream?.isDiverted), rooms);
+  } catch (err) {
+    console.error(`❌ [updateRollingTotals] Failed for bin ${bin._id}:`, err);
+  }
+}
+
+/**
+ * removeFromRollingTotals
+ * Drops a bin from the live totals, e.g. when it is decommissioned. Never throws.
+ * @param {ObjectId|string} binId
+ */
+export async function removeFromRollingTotals(binId) {
+  try {
+    await applyBinTotals(binId, -1, false, []);
+  } catch (err) {
+    console.error(`❌ [removeFromRollingTotals] Failed for bin ${binId}:`, err);
+  }
+}
+
+/**
+ * getRollingTotals
+ * Current live totals for a room (sent to dashboards when they subscribe).
+ * @param {string} room
+ */
+export async function getRollingTotals(room) {
+  return totalsPayload(room, await redisClient.hgetall(`${TOTALS_PREFIX}${room}`));
+}
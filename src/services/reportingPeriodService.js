@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { Company } from '../models/company.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+import { parsePeriod } from '../utils/dateRange.js';
+
+// Used when a request is not tied to one company (e.g. platform-wide SuperAdmin views)
+const DEFAULT_FINANCIAL_YEAR_START_MONTH = 7;
+
+/**
+ * financialYearStartMonth
+ * The month a company's financial year starts in, found from the company or one of its
+ * branches; the platform default when neither is given or found.
+ * @param {{ companyId?: ObjectId|string, branchId?: ObjectId|string }} context
+ * @returns {Promise<number>} – 1–12
+ */
+export async function financialYearStartMonth({ companyId, branchId } = {}) {
+  let company = companyId;
+  if (!company && branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+    const branch = await BranchAddress.findById(branchId).select('associatedCompany').lean();
+    company = branch?.associatedCompany;
+  }
+  if (!company || !mongoose.Types.ObjectId.isValid(company)) {
+    return DEFAULT_FINANCIAL_YEAR_START_MONTH;
+  }
+  const record = await Company.findById(company).select('financialYearStartMonth').lean();
+  return record?.financialYearStartMonth || DEFAULT_FINANCIAL_YEAR_START_MONTH;
+}
+
+/**
+ * periodFromQuery
+ * Parses an analytics request's period (filter, from/to, fy/quarter, granularity; see
+ * utils/dateRange.js parsePeriod) using the financial year of the company in context.
+ * @param {Object} query – req.query
+ * @param {{ companyId?, branchId?, defaultFilter?: string }} context
+ * @returns {Promise<{ period: Object } | { error: string }>}
+ */
+export async function periodFromQuery(query, { companyId, branchId, defaultFilter } = {}) {
+  return parsePeriod(query, {
+    defaultFilter,
+    financialYearStartMonth: await financialYearStartMonth({ companyId, branchId }),
+  });
+}
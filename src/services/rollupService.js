@@ -0,0 +1,292 @@
+import { Dustbin } from '../models/dustbin.models.js';
+import { WasteStream } from '../models/wasteStream.models.js';
+import { OrgUnit } from '../models/orgUnit.model.js';
+import { DisposalEvent } from '../models/disposalEvent.models.js';
+import { DailyRollup, HourlyRollup } from '../models/wasteRollup.models.js';
+import { branchZones } from './branchTimeService.js';
+import { streamTreatment } from './emissionsService.js';
+import { zonedParts } from '../utils/timezone.js';
+
+/**
+ * Analytics rollups.
+ *
+ * Every change to the DisposalEvents (see services/disposalService.js) is applied as an
+ * increment to the daily and hourly totals of the bin, its branch and each OrgUnit above the
+ * branch. Totals are keyed by the branch's local day and hour, and keep the waste stream (with
+ * its material and treatment) and time zone the waste was disposed under, as recorded on its
+ * DisposalEvent, so later changes to a bin's stream, a stream or a branch's time zone leave
+ * past totals, and rebuilds of them, as they were.
+ *
+ * Reads resolve a period per time zone (a company-wide "today" covers each branch's own local
+ * today) and bucket the local days into the period's granularity:
+ *   - hourly buckets are local hours of the day (0–23), so hour 9 sums 9–10am at every branch;
+ *   - daily buckets are local dates ('YYYY-MM-DD');
+ *   - weekly ('YYYY-Www', ISO weeks) and monthly ('YYYY-MM') buckets group those local days.
+ *
+ * rebuildRollups recomputes the totals from the DisposalEvents; it runs on startup while the
+ * rollups are empty, after OrgUnits are moved or merged (OrgUnit scope only), and on request.
+ */
+
+export const ROLLUP_SCOPES = ['bin', 'branch', 'orgUnit'];
+// DisposalEvents applied per batch during a rebuild.
+const REBUILD_BATCH = 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * branchOrgUnits
+ * The OrgUnits each branch rolls up into: its Branch unit and every unit above it.
+ * @param {ObjectId[]} branchIds
+ * @returns {Promise<Map<string, ObjectId[]>>} – keyed by branch ID
+ */
+async function branchOrgUnits(branchIds) {
+  const units = await OrgUnit.aggregate([
+    { $match: { type: 'Branch', branchAddress: { $in: branchIds } } },
+    {
+      $graphLookup: {
+        from: 'orgunits',
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+      },
+    },
+    { $project: { branchAddress: 1, ancestorIds: '$ancestors._id' } },
+  ]);
+  const byBranch = new Map();
+  for (const unit of units) {
+    const key = unit.branchAddress.toString();
+    byBranch.set(key, [...(byBranch.get(key) || []), unit._id, ...unit.ancestorIds]);
+  }
+  return byBranch;
+}
+
+/**
+ * binStreams
+ * What waste put into each bin is recorded under now: the bin's stream, with the stream's
+ * name as its material and its treatment (see emissionsService.js streamTreatment).
+ * @param {(ObjectId|string)[]} binIds
+ * @returns {Promise<Map<string, { wasteStream: ObjectId|null, material: string|null,
+ *                                 treatment: string }>>} – keyed by bin ID
+ */
+export async function binStreams(binIds) {
+  const bins = await Dustbin.find({ _id: { $in: binIds } })
+    .select('wasteStream')
+    .lean();
+  const streamIds = bins.map((bin) => bin.wasteStream).filter(Boolean);
+  const streams =
+    streamIds.length > 0
+      ? await WasteStream.find({ _id: { $in: streamIds } })
+          .select('name treatment isDiverted')
+          .lean()
+      : [];
+  const binById = new Map(bins.map((bin) => [bin._id.toString(), bin]));
+  const streamById = new Map(streams.map((stream) => [stream._id.toString(), stream]));
+  return new Map(
+    binIds.map((binId) => {
+      const wasteStream = binById.get(binId.toString())?.wasteStream ?? null;
+      const stream = streamById.get(wasteStream?.toString());
+      return [
+        binId.toString(),
+        { wasteStream, material: stream?.name ?? null, treatment: streamTreatment(stream) },
+      ];
+    }),
+  );
+}
+
+// Adds a change to the total kept for `key` (a rollup document's identifying fields)
+const addTo = (totals, key, { weight, disposals }) => {
+  const id = JSON.stringify(key);
+  const total = totals.get(id) || { key, weight: 0, disposals: 0 };
+  total.weight += weight;
+  total.disposals += disposals;
+  totals.set(id, total);
+};
+
+const writeTotals = async (Rollup, totals) => {
+  if (totals.size === 0) return;
+  await Rollup.bulkWrite(
+    [...totals.values()].map(({ key, weight, disposals }) => ({
+      updateOne: { filter: key, update: { $inc: { weight, disposals } }, upsert: true },
+    })),
+    { ordered: false },
+  );
+};
+
+/**
+ * applyDisposalChanges
+ * Adds changes in disposed waste to the rollups.
+ * @param {{ associateBin, branchAddress, measuredAt: Date, wasteStream?, material?: string,
+ *           treatment?: string, timezone?: string, weight: number, disposals: number }[]} changes
+ *        – weight and disposals are differences (negative when a disposal is reduced or removed);
+ *          changes without a time zone (events derived before the stream and time zone were
+ *          recorded) take the bin's and branch's current ones
+ * @param {Object} [options]
+ * @param {string[]} [options.scopes] – rollup scopes to update (default: all)
+ */
+export async function applyDisposalChanges(changes, { scopes = ROLLUP_SCOPES } = {}) {
+  const live = changes.filter(({ weight, disposals }) => weight !== 0 || disposals !== 0);
+  if (live.length === 0) return;
+
+  const unrecorded = live.filter((change) => !change.timezone);
+  const binIds = [...new Set(unrecorded.map((change) => change.associateBin.toString()))];
+  const branchesOf = (list) => [
+    ...new Map(
+      list
+        .filter((change) => change.branchAddress)
+        .map((change) => [change.branchAddress.toString(), change.branchAddress]),
+    ).values(),
+  ];
+  const branchIds = branchesOf(live);
+  const [streamOfBin, zones, orgUnits] = await Promise.all([
+    binIds.length > 0 ? binStreams(binIds) : new Map(),
+    unrecorded.length > 0 ? branchZones(branchesOf(unrecorded)) : [],
+    scopes.includes('orgUnit') ? branchOrgUnits(branchIds) : new Map(),
+  ]);
+  const zoneOfBranch = new Map();
+  for (const { timezone, branchIds: ids } of zones) {
+    for (const id of ids) zoneOfBranch.set(id.toString(), timezone);
+  }
+
+  const daily = new Map();
+  const hourly = new Map();
+  for (const change of live) {
+    const branch = change.branchAddress?.toString();
+    const timezone = change.timezone || zoneOfBranch.get(branch) || 'UTC';
+    const local = zonedParts(change.measuredAt, timezone);
+    const day = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+    const { wasteStream, material, treatment } = change.timezone
+      ? {
+          wasteStream: change.wasteStream ?? null,
+          material: change.material ?? null,
+          treatment: change.treatment ?? null,
+        }
+      : streamOfBin.get(change.associateBin.toString());
+
+    const targets = [];
+    if (scopes.includes('bin')) {
+      targets.push({
+        scope: 'bin',
+        scopeId: change.associateBin,
+        branchAddress: change.branchAddress ?? null,
+      });
+    }
+    if (scopes.includes('branch') && change.branchAddress) {
+      targets.push({
+        scope: 'branch',
+        scopeId: change.branchAddress,
+        branchAddress: change.branchAddress,
+      });
+    }
+    for (const orgUnitId of orgUnits.get(branch) || []) {
+      targets.push({ scope: 'orgUnit', scopeId: orgUnitId, branchAddress: null });
+    }
+
+    for (const target of targets) {
+      const key = { ...target, wasteStream, material, treatment, timezone, day };
+      addTo(daily, key, change);
+      addTo(hourly, { ...key, hour: local.hour }, change);
+    }
+  }
+  await Promise.all([writeTotals(DailyRollup, daily), writeTotals(HourlyRollup, hourly)]);
+}
+
+/**
+ * rebuildRollups
+ * Recomputes the rollups from the DisposalEvents, each under the stream and time zone it
+ * records. Disposals derived while a rebuild runs may be counted twice or missed, so run it
+ * when ingestion is quiet.
+ * @param {Object} [options]
+ * @param {string[]} [options.scopes] – rollup scopes to rebuild (default: all)
+ * @returns {Promise<{ events: number }>} – DisposalEvents rolled up
+ */
+export async function rebuildRollups({ scopes = ROLLUP_SCOPES } = {}) {
+  const filter = { scope: { $in: scopes } };
+  await Promise.all([DailyRollup.deleteMany(filter), HourlyRollup.deleteMany(filter)]);
+
+  const cursor = DisposalEvent.find()
+    .sort({ _id: 1 })
+    .select('associateBin branchAddress measuredAt wasteStream material treatment timezone weight')
+    .lean()
+    .cursor();
+  let batch = [];
+  let events = 0;
+  try {
+    for await (const event of cursor) {
+      batch.push({ ...event, disposals: 1 });
+      if (batch.length >= REBUILD_BATCH) {
+        await applyDisposalChanges(batch, { scopes });
+        events += batch.length;
+        batch = [];
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+  await applyDisposalChanges(batch, { scopes });
+  events += batch.length;
+
+  console.log(`📊 [rebuildRollups] Rolled up ${events} disposal(s) (${scopes.join(', ')})`);
+  return { events };
+}
+
+/**
+ * backfillRollups
+ * One-off migration for disposals derived before rollups existed: rebuilds the rollups
+ * while they are empty. Safe to run on every startup.
+ */
+export async function backfillRollups() {
+  // Drops the older unique indexes, whose keys had no material and treatment
+  await Promise.all([DailyRollup.syncIndexes(), HourlyRollup.syncIndexes()]);
+  if (await DailyRollup.exists({})) return;
+  if (!(await DisposalEvent.exists({}))) return;
+  await rebuildRollups();
+}
+
+/**
+ * rollupModel
+ * The rollup collection a chart of the given granularity reads: hourly for hour buckets,
+ * daily otherwise.
+ */
+export const rollupModel = (granularity) => (granularity === 'hour' ? HourlyRollup : DailyRollup);
+
+/**
+ * rollupMatch
+ * A $match condition selecting rollups over a period, resolved per time zone.
+ * @param {Object} filter – which rollups, e.g. { scope: 'branch', scopeId: { $in: branchIds } }
+ * @param {(timeZone: string) => { startDay: string, endDay: string }} resolveDays
+ *        – e.g. (tz) => getPeriodDays(period, now, tz)
+ * @returns {Promise<Object>}
+ */
+export async function rollupMatch(filter, resolveDays) {
+  const timezones = await DailyRollup.distinct('timezone', filter);
+  // No rollups at all: the filter alone matches nothing
+  if (timezones.length === 0) return filter;
+  return {
+    ...filter,
+    $or: timezones.map((timezone) => {
+      const { startDay, endDay } = resolveDays(timezone);
+      return { timezone, day: { $gte: startDay, $lte: endDay } };
+    }),
+  };
+}
+
+/**
+ * rollupBucketExpr
+ * Aggregation expression for the chart point a rollup document falls into: the local hour
+ * (0–23), 'YYYY-MM-DD', 'YYYY-Www' or 'YYYY-MM' for granularity hour, day, week or month.
+ */
+export const rollupBucketExpr = (granularity) => {
+  switch (granularity) {
+    case 'hour':
+      return '$hour';
+    case 'week':
+      return {
+        $dateToString: { format: '%G-W%V', date: { $dateFromString: { dateString: '$day' } } },
+      };
+    case 'month':
+      return { $substrBytes: ['$day', 0, 7] };
+    default:
+      return '$day';
+  }
+};
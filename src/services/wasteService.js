@@ -1,55 +1,359 @@
-import redisClient from '../utils/redisClient.js';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
 import { Waste } from '../models/waste.models.js';
 import { Dustbin } from '../models/dustbin.models.js';
+import { Cleaner } from '../models/cleaner.models.js';
+import { normaliseMessageId, withIngestDedupe } from './ingestDedupeService.js';
+import { assessReading } from './readingQualityService.js';
+import { densityByStream, estimateFillPercent, evaluateFillAlerts } from './binFillService.js';
+import { resolveMissedCollections } from './collectionMonitorService.js';
+import { deriveDisposals } from './disposalService.js';
+import { publishBranchEvent, updateRollingTotals } from './realtimeService.js';
+
+dotenv.config({ path: './.env' });
+
+// Readings whose device clock differs from receipt time by more than this are flagged.
+const CLOCK_SKEW_TOLERANCE_MS = (Number(process.env.CLOCK_SKEW_TOLERANCE_SECONDS) || 300) * 1000;
+
+const EVENT_TYPES = ['disposal', 'cleaning'];
 
 /**
- * ingestWaste
- * @param {ObjectId} associateBin   – the Dustbin _id
- * @param {number}   currentWeight  – measured weight
- * @param {string}   eventType      – "disposal" or "cleaning"
- * @param {boolean}  isCleaned      – true for cleaning events
- * @returns {Promise<Waste>}        – the created Waste document
- */
-export async function ingestWaste(
-  associateBin,
-  currentWeight,
-  eventType = 'disposal',
-  isCleaned = false,
-) {
-  // 1) Create the waste entry
-  const record = await Waste.create({
+ * parseMeasuredAt
+ * Parses a device-side timestamp: an ISO-8601 string or an epoch number
+ * (seconds or milliseconds).
+ * @param {string|number} value
+ * @returns {Date|null|undefined} – null when not supplied, undefined when unparseable
+ */
+export function parseMeasuredAt(value) {
+  if (value == null || value === '') return null;
+  let date;
+  if (typeof value === 'number') date = new Date(value < 1e12 ? value * 1000 : value);
+  else if (typeof value === 'string') date = new Date(value);
+  return date && !isNaN(date) ? date : undefined;
+}
+
+/**
+ * resolveReadingTime
+ * Works out the time a reading is attributed to and its clock skew.
+ * Late readings (e.g., buffered during an outage) keep their device time and are flagged
+ * when beyond tolerance; readings from a device clock that runs ahead are flagged and
+ * fall back to the receipt time, since a reading cannot come from the future.
+ * @param {Date|null} measuredAt  – parsed device timestamp, if any
+ * @param {Date}      receivedAt  – server receipt time
+ * @returns {{ measuredAt: Date, clockSkewMs: number, clockSkewFlagged: boolean }}
+ */
+export function resolveReadingTime(measuredAt, receivedAt = new Date()) {
+  if (!measuredAt) {
+    return { measuredAt: receivedAt, clockSkewMs: 0, clockSkewFlagged: false };
+  }
+  const clockSkewMs = receivedAt.getTime() - measuredAt.getTime();
+  const clockSkewFlagged = Math.abs(clockSkewMs) > CLOCK_SKEW_TOLERANCE_MS;
+  return {
+    measuredAt: clockSkewFlagged && clockSkewMs < 0 ? receivedAt : measuredAt,
+    clockSkewMs,
+    clockSkewFlagged,
+  };
+}
+
+/**
+ * backfillMeasuredAt
+ * One-off migration for readings stored before measuredAt existed: their receipt
+ * time is the best available measurement time. Safe to run on every startup.
+ */
+export async function backfillMeasuredAt() {
+  const { modifiedCount } = await Waste.updateMany({ measuredAt: { $exists: false } }, [
+    { $set: { measuredAt: '$createdAt', clockSkewMs: 0, clockSkewFlagged: false } },
+  ]);
+  if (modifiedCount > 0) {
+    console.log(`🕒 [backfillMeasuredAt] Set measuredAt on ${modifiedCount} Waste record(s)`);
+  }
+}
+
+/**
+ * validateReading
+ * Checks and normalises a weight reading, whatever transport it arrived on.
+ * @param {Object} input – { associateBin, currentWeight, eventType?, isCleaned?, cleanedBy?,
+ *                           cleanerName?, messageId? | seq?, measuredAt? }
+ * @returns {{ reading?: Object, error?: string }}
+ *          – `reading` is ready for ingestWaste, `error` explains why it was rejected
+ */
+export function validateReading(input) {
+  const {
     associateBin,
     currentWeight,
-    eventType,
-    isCleaned,
-  });
+    eventType = 'disposal',
+    isCleaned = false,
+    cleanedBy = null,
+    cleanerName = null,
+    messageId = null,
+    seq = null,
+    measuredAt = null,
+  } = input || {};
 
-  console.log(`✅ [ingestWaste] Created Waste _id=${record._id}`);
+  if (
+    typeof associateBin !== 'string' ||
+    !mongoose.Types.ObjectId.isValid(associateBin) ||
+    typeof currentWeight !== 'number' ||
+    !Number.isFinite(currentWeight) ||
+    typeof eventType !== 'string'
+  ) {
+    return {
+      error: 'associateBin (ObjectId), currentWeight (Number) and eventType (String) are required',
+    };
+  }
+  if (!EVENT_TYPES.includes(eventType)) {
+    return { error: `eventType must be one of: ${EVENT_TYPES.join(', ')}` };
+  }
+  if (eventType === 'cleaning') {
+    if (!isCleaned) {
+      return { error: "'isCleaned' must be true for cleaning events" };
+    }
+    if (!cleanedBy && !cleanerName) {
+      return { error: "Cleaning events require 'cleanedBy' (Cleaner ID) or 'cleanerName'" };
+    }
+  }
 
-  // 2) Look up branchAddress from Dustbin
-  const dustbin = await Dustbin.findById(associateBin).select('branchAddress').lean();
-  if (!dustbin) {
-    console.warn(`⚠️ [ingestWaste] Dustbin ${associateBin} not found—skipping publish`);
-    return record;
+  const parsedMeasuredAt = parseMeasuredAt(measuredAt);
+  if (parsedMeasuredAt === undefined) {
+    return { error: 'measuredAt must be an ISO-8601 string or an epoch timestamp' };
   }
-  const branchId = dustbin.branchAddress.toString();
 
-  // 3) Publish to Redis for real‐time dashboards
-  const payload = {
-    _id: record._id,
-    associateBin: record.associateBin,
-    currentWeight: record.currentWeight,
-    eventType: record.eventType,
-    isCleaned: record.isCleaned,
-    createdAt: record.createdAt,
+  return {
+    reading: {
+      associateBin,
+      currentWeight,
+      eventType,
+      isCleaned: Boolean(isCleaned),
+      cleanedBy,
+      cleanerName,
+      messageId: normaliseMessageId(messageId ?? seq),
+      measuredAt: parsedMeasuredAt,
+    },
   };
+}
 
-  redisClient
-    .publish('waste-updates', JSON.stringify({ branchId, payload }))
-    .then(() => console.log(`✔️ [ingestWaste] Published to waste-updates for branch ${branchId}`))
-    .catch((err) =>
-      console.error(`❌ [ingestWaste] Failed to publish for branch ${branchId}:`, err),
+/**
+ * resolveCleaner
+ * Finds the Cleaner for a cleaning event, by ID or else by (case-insensitive) name.
+ * @throws {ApiError} 404 when no matching Cleaner exists
+ * @returns {Promise<Cleaner>}
+ */
+export async function resolveCleaner({ cleanedBy, cleanerName }) {
+  let cleaner = null;
+  if (cleanedBy) {
+    if (mongoose.Types.ObjectId.isValid(cleanedBy)) {
+      cleaner = await Cleaner.findById(cleanedBy).lean();
+    }
+    if (!cleaner) throw new ApiError(404, `Cleaner ${cleanedBy} not found.`);
+  } else {
+    cleaner = await Cleaner.findOne({ name: String(cleanerName).trim() })
+      .collation({ locale: 'en', strength: 2 })
+      .lean();
+    if (!cleaner) throw new ApiError(404, `Cleaner named "${cleanerName}" not found.`);
+  }
+  return cleaner;
+}
+
+/**
+ * backfillBranchAddress
+ * One-off migration for readings stored before Waste carried its own branch: copies the
+ * bin's branch onto them. Safe to run on every startup.
+ */
+export async function backfillBranchAddress() {
+  const pending = await Waste.countDocuments({ branchAddress: { $exists: false } });
+  if (pending === 0) return;
+
+  await Waste.aggregate([
+    { $match: { branchAddress: { $exists: false } } },
+    {
+      $lookup: {
+        from: 'dustbins',
+        localField: 'associateBin',
+        foreignField: '_id',
+        as: 'bin',
+      },
+    },
+    { $project: { branchAddress: { $arrayElemAt: ['$bin.branchAddress', 0] } } },
+    { $match: { branchAddress: { $ne: null } } },
+    { $merge: { into: 'wastes', on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } },
+  ]);
+  console.log(`🏢 [backfillBranchAddress] Set branchAddress on up to ${pending} Waste record(s)`);
+}
+
+/**
+ * ingestWaste
+ * The single ingestion pipeline used by MQTT, the HTTP routes and dead-letter replay:
+ *  1. Load the Dustbin (rejecting decommissioned bins) and, for device calls, check the bin
+ *     is within the device's scope
+ *  2. Skip repeats of an already-ingested messageId (returns the original record, or none
+ *     with inFlight set while the first delivery is still being ingested)
+ *  3. Check plausibility against the bin and its recent history; implausible readings are
+ *     stored as "quarantined" (kept for review, excluded from analytics, not published);
+ *     readings measured before the hot window are stored as "rejected" (flag 'late')
+ *  4. For cleaning events, resolve the Cleaner and (unless held back) set the bin's
+ *     tareWeight to the raw reading
+ *  5. Compute net waste = rawWeight − tareWeight (clamped ≥ 0)
+ *  6. Create the Waste record
+ *  7. Derive the waste disposed since the previous reading (services/disposalService.js)
+ *  8. Update the bin's current weight and estimated fill level; raise/resolve fill alerts
+ *  9. Publish to Redis for real-time dashboards
+ *
+ * @param {Object} reading – output of validateReading (currentWeight is the raw scale weight)
+ * @param {Object} [options]
+ * @param {Device} [options.device] – the calling device, when authenticated by API key
+ * @throws {ApiError} 404 for an unknown bin or cleaner, 403 for a bin outside the device's
+ *                    scope, 409 for a decommissioned bin
+ * @returns {Promise<{ record: Waste|null, duplicate: boolean, inFlight?: boolean }>}
+ */
+export async function ingestWaste(reading, { device = null } = {}) {
+  const { associateBin, currentWeight: rawWeight, eventType, isCleaned, messageId } = reading;
+
+  // 1) Load the Dustbin (for tareWeight and branchAddress)
+  const bin = await Dustbin.findById(associateBin)
+    .select('tareWeight binCapacity branchAddress isDecommissioned wasteStream')
+    .lean();
+  if (!bin) {
+    throw new ApiError(404, `Dustbin ${associateBin} not found.`);
+  }
+  if (bin.isDecommissioned) {
+    throw new ApiError(409, `Dustbin ${associateBin} is decommissioned.`);
+  }
+  if (device && !device.canReportFor(bin)) {
+    throw new ApiError(403, `Device is not authorised to report for dustbin ${associateBin}.`);
+  }
+
+  // 2) Repeats of an already-ingested device message return the original record untouched
+  return withIngestDedupe(associateBin, messageId, async () => {
+    // 3) Plausibility check
+    const readingTime = resolveReadingTime(reading.measuredAt);
+    const qualityFlags = await assessReading({
+      bin,
+      rawWeight,
+      eventType,
+      measuredAt: readingTime.measuredAt,
+    });
+    let qualityStatus = 'accepted';
+    if (qualityFlags.includes('late')) qualityStatus = 'rejected';
+    else if (qualityFlags.length > 0) qualityStatus = 'quarantined';
+    const heldBack = qualityStatus !== 'accepted';
+
+    // 4) Cleaning: the scale now weighs only the empty bin, which becomes the new tare
+    let tareWeight = bin.tareWeight ?? 0;
+    let cleaner = null;
+    if (eventType === 'cleaning') {
+      cleaner = await resolveCleaner(reading);
+      tareWeight = rawWeight;
+      if (!heldBack) {
+        await Dustbin.updateOne({ _id: associateBin }, { $set: { tareWeight } });
+      }
+    }
+
+    // 5) Net waste weight (never below zero)
+    const netWeight = Math.max(0, rawWeight - tareWeight);
+
+    // 6) Persist the Waste record
+    const created = await Waste.create({
+      associateBin,
+      branchAddress: bin.branchAddress,
+      currentWeight: netWeight,
+      rawWeight,
+      eventType,
+      isCleaned,
+      cleanedBy: cleaner?._id,
+      ...readingTime,
+      qualityStatus,
+      qualityFlags: heldBack ? qualityFlags : undefined,
+      messageId: messageId || undefined,
+    });
+
+    if (heldBack) {
+      console.warn(
+        `🚧 [ingestWaste] Stored Waste _id=${created._id} as ${qualityStatus} (${qualityFlags.join(', ')})`,
+      );
+      return created;
+    }
+    console.log(`✅ [ingestWaste] Created Waste _id=${created._id} (netWeight=${netWeight}kg)`);
+
+    // 7) Disposal accounting; a failure leaves the reading without a baseline, which the
+    //    next derivation (or the startup backfill) picks up
+    await deriveDisposals(created).catch((err) =>
+      console.error(`❌ [ingestWaste] Disposal accounting failed for Waste ${created._id}:`, err),
+    );
+
+    // 8) Update the bin's live weight / fill level (unless a newer reading already has)
+    //    (and live subtree totals), raise or resolve fill alerts; a cleaning closes
+    //    missed-collection alerts
+    const densities = await densityByStream([bin.wasteStream]);
+    const fillPercent = estimateFillPercent(
+      netWeight,
+      bin.binCapacity,
+      densities.get(bin.wasteStream?.toString()),
     );
+    const { matchedCount } = await Dustbin.updateOne(
+      {
+        _id: associateBin,
+        $or: [
+          { lastReadingAt: { $exists: false } },
+          { lastReadingAt: { $lte: created.measuredAt } },
+        ],
+      },
+      { $set: { currentWeight: netWeight, fillPercent, lastReadingAt: created.measuredAt } },
+    );
+    if (matchedCount > 0) {
+      updateRollingTotals(bin, netWeight);
+      await evaluateFillAlerts(bin, fillPercent).catch((err) =>
+        console.error(`❌ [ingestWaste] Fill alert check failed for bin ${associateBin}:`, err),
+      );
+    }
+    if (eventType === 'cleaning') {
+      await resolveMissedCollections(associateBin, created.measuredAt).catch((err) =>
+        console.error(
+          `❌ [ingestWaste] Missed-collection resolve failed for bin ${associateBin}:`,
+          err,
+        ),
+      );
+    }
+
+    // 9) Publish to Redis → Socket.io (branch, OrgUnit and company rooms)
+    const payload = {
+      _id: created._id,
+      associateBin: created.associateBin,
+      currentWeight: created.currentWeight,
+      fillPercent,
+      eventType: created.eventType,
+      isCleaned: created.isCleaned,
+      cleanedBy: created.cleanedBy,
+      measuredAt: created.measuredAt,
+      clockSkewFlagged: created.clockSkewFlagged,
+      createdAt: created.createdAt,
+    };
 
-  return record;
+    // Non-blocking: delivery is best effort and never fails the ingest
+    publishBranchEvent(bin.branchAddress, 'wasteUpdate', payload);
+
+    return created;
+  });
+}
+
+/**
+ * parseWasteMessage
+ * Parses and validates a raw MQTT weight message.
+ * @param {Buffer|string} raw – the message payload
+ * @returns {{ reading?: Object, error?: { reason: string, detail: string } }}
+ *          – `reading` is ready for ingestWaste, `error` explains why it was rejected
+ */
+export function parseWasteMessage(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch (e) {
+    return { error: { reason: 'invalid_json', detail: e.message } };
+  }
+
+  const { reading, error } = validateReading(msg);
+  if (error) {
+    return { error: { reason: 'invalid_fields', detail: error } };
+  }
+  return { reading };
 }
@@ -0,0 +1,194 @@
+import { WasteStream } from '../models/wasteStream.models.js';
+import { Dustbin } from '../models/dustbin.models.js';
+import { BranchAddress } from '../models/branchAddress.models.js';
+
+/**
+ * Streams every company starts with; these match the bin types used before streams
+ * were configurable, so existing bins map onto them one-to-one.
+ * treatment picks the stream's factor in emissions reports (see emissionsService.js);
+ * densityKgPerLitre is a typical bulk density.
+ */
+export const DEFAULT_WASTE_STREAMS = [
+  {
+    name: 'General Waste',
+    colour: '#E53935',
+    isDiverted: false,
+    treatment: 'landfill',
+    densityKgPerLitre: 0.15,
+  },
+  {
+    name: 'Commingled',
+    colour: '#FDD835',
+    isDiverted: true,
+    treatment: 'recycling',
+    densityKgPerLitre: 0.06,
+  },
+  {
+    name: 'Organic',
+    colour: '#43A047',
+    isDiverted: true,
+    treatment: 'composting',
+    densityKgPerLitre: 0.5,
+  },
+  {
+    name: 'Paper & Cardboard',
+    colour: '#1E88E5',
+    isDiverted: true,
+    treatment: 'recycling',
+    densityKgPerLitre: 0.08,
+  },
+  {
+    name: 'Glass',
+    colour: '#8E24AA',
+    isDiverted: true,
+    treatment: 'recycling',
+    densityKgPerLitre: 0.3,
+  },
+];
+
+/**
+ * ensureDefaultStreams
+ * Seeds the default catalog for a company that has no streams yet.
+ * @returns {Promise<WasteStream[]>} – the company's streams
+ */
+export async function ensureDefaultStreams(companyId) {
+  const existing = await WasteStream.find({ company: companyId }).lean();
+  if (existing.length > 0) return existing;
+
+  try {
+    await WasteStream.insertMany(
+      DEFAULT_WASTE_STREAMS.map((stream) => ({ ...stream, company: companyId })),
+      { ordered: false },
+    );
+  } catch (err) {
+    // Another request seeded the same company concurrently
+    if (err.code !== 11000) throw err;
+  }
+  return WasteStream.find({ company: companyId }).lean();
+}
+
+/**
+ * findStreamByName
+ * Case-insensitive lookup of a company's stream by name.
+ */
+export function findStreamByName(companyId, name) {
+  return WasteStream.findOne({ company: companyId, name: String(name).trim() })
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
+}
+
+/**
+ * resolveStreams
+ * Maps stream IDs or names (case-insensitive) to a company's WasteStreams,
+ * seeding the default catalog first if the company has none.
+ * @param {ObjectId|string} companyId
+ * @param {string[]}        refs – WasteStream IDs and/or names
+ * @returns {Promise<{ streams: WasteStream[], invalid: string[], catalog: WasteStream[] }>}
+ */
+export async function resolveStreams(companyId, refs) {
+  const catalog = await ensureDefaultStreams(companyId);
+  const streams = [];
+  const invalid = [];
+  for (const ref of refs) {
+    const key = String(ref).trim();
+    const stream = catalog.find(
+      (s) => s._id.toString() === key || s.name.toLowerCase() === key.toLowerCase(),
+    );
+    if (stream) streams.push(stream);
+    else invalid.push(key);
+  }
+  return { streams, invalid, catalog };
+}
+
+/**
+ * backfillWasteStreams
+ * One-off migration for bins created before streams existed: seeds each company's default
+ * catalog and links bins to the stream matching their dustbinType (creating a
+ * non-diverted stream for any unknown type). Safe to run on every startup.
+ */
+export async function backfillWasteStreams() {
+  const bins = await Dustbin.find({ wasteStream: { $exists: false } })
+    .select('dustbinType branchAddress')
+    .lean();
+  if (bins.length === 0) return;
+
+  const branchIds = [...new Set(bins.map((bin) => bin.branchAddress.toString()))];
+  const branches = await BranchAddress.find({ _id: { $in: branchIds } })
+    .select('associatedCompany')
+    .lean();
+  const companyByBranch = new Map(
+    branches.map((branch) => [branch._id.toString(), branch.associatedCompany]),
+  );
+
+  let linked = 0;
+  for (const bin of bins) {
+    const companyId = companyByBranch.get(bin.branchAddress.toString());
+    if (!companyId) continue;
+
+    await ensureDefaultStreams(companyId);
+    let stream = await findStreamByName(companyId, bin.dustbinType);
+    if (!stream) {
+      stream = await WasteStream.findOneAndUpdate(
+        { company: companyId, name: bin.dustbinType },
+        { $setOnInsert: { isDiverted: false } },
+        { upsert: true, new: true },
+      ).lean();
+    }
+    await Dustbin.updateOne(
+      { _id: bin._id },
+      { $set: { wasteStream: stream._id, dustbinType: stream.name } },
+    );
+    linked += 1;
+  }
+  console.log(`🗂️ [backfillWasteStreams] Linked ${linked} bin(s) to waste streams`);
+}
+
+/**
+ * backfillStreamTreatments
+ * One-off migration for streams created before treatments existed: default streams get their
+ * default treatment, others recycling if diverted and landfill if not. Safe to run on every
+ * startup.
+ */
+export async function backfillStreamTreatments() {
+  const streams = await WasteStream.find({ treatment: { $exists: false } })
+    .select('name isDiverted')
+    .lean();
+  if (streams.length === 0) return;
+
+  await WasteStream.bulkWrite(
+    streams.map((stream) => {
+      const preset = DEFAULT_WASTE_STREAMS.find(
+        (defaults) => defaults.name.toLowerCase() === stream.name.toLowerCase(),
+      );
+      let treatment = stream.isDiverted ? 'recycling' : 'landfill';
+      // A default stream keeps its default treatment unless its diversion was changed
+      if (preset && preset.isDiverted === stream.isDiverted) treatment = preset.treatment;
+      return { updateOne: { filter: { _id: stream._id }, update: { $set: { treatment } } } };
+    }),
+    { ordered: false },
+  );
+  console.log(`🗂️ [backfillStreamTreatments] Set the treatment of ${streams.length} stream(s)`);
+}
+
+/**
+ * streamDiversionStages
+ * Aggregation stages that add `isDiverted` (from the referenced WasteStream) to each
+ * document. Bins without a stream count as not diverted.
+ * @param {string} wasteStreamField – path to the WasteStream id, e.g. 'binDetails.wasteStream'
+ */
+export const streamDiversionStages = (wasteStreamField) => [
+  {
+    $lookup: {
+      from: 'wastestreams',
+      localField: wasteStreamField,
+      foreignField: '_id',
+      as: 'streamDetails',
+    },
+  },
+  {
+    $addFields: {
+      isDiverted: { $ifNull: [{ $arrayElemAt: ['$streamDetails.isDiverted', 0] }, false] },
+    },
+  },
+  { $project: { streamDetails: 0 } },
+];
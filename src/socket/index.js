@@ -0,0 +1,216 @@
+import os from 'os';
+import { Server as IOServer } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
+import cookieParser from 'cookie-parser';
+import redisClient from '../utils/redisClient.js';
+import { extractAccessToken, findUserByAccessToken } from '../middlewares/auth.middleware.js';
+import {
+  EVENT_STREAM,
+  companyRoom,
+  getRollingTotals,
+  orgUnitRoom,
+  parseEventEntry,
+  readEventsSince,
+  resolveSubscription,
+} from '../services/realtimeService.js';
+
+const RELAY_GROUP = 'socket-relay';
+const RELAY_CONSUMER = `${os.hostname()}-${process.pid}`;
+const RELAY_CLAIM_IDLE_MS = 60 * 1000;
+
+/**
+ * authenticateSocket
+ * Socket.io middleware: resolves the user from the handshake the same way verifyJWT does
+ * (accessToken cookie or "Bearer" Authorization header), or from `auth.token` for
+ * clients that cannot set headers. Unauthenticated connections are refused.
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const token = extractAccessToken(socket.request) || socket.handshake.auth?.token;
+    socket.data.user = await findUserByAccessToken(token);
+    next();
+  } catch (err) {
+    console.warn('[WS] handshake rejected:', socket.id, err.message);
+    next(new Error(err.statusCode === 401 ? err.message : 'Authentication failed'));
+  }
+}
+
+/**
+ * subscribe
+ * Joins the socket to the requested room if the user may see it; otherwise emits
+ * 'subscriptionRejected'. OrgUnit and company subscribers also get the current
+ * 'rollingTotals' straight away.
+ *
+ * With `lastEventId` (the `eventId` of the last event the client saw), events published
+ * to the room since then are re-emitted to this socket. The room is joined first, so an
+ * event may arrive twice; clients should ignore repeated eventIds. `replayComplete: false`
+ * means part of the gap is no longer stored and the client should refetch its data.
+ * @returns {Promise<{ ok: boolean, room?: string, replayed?: number, replayComplete?: boolean, error?: string }>}
+ */
+async function subscribe(socket, request) {
+  const { user } = socket.data;
+  let subscription = null;
+  try {
+    subscription = await resolveSubscription(user, request);
+  } catch (err) {
+    console.error('[WS] scope check failed:', socket.id, err);
+  }
+
+  if (!subscription?.allowed) {
+    const result = { ok: false, ...request, error: 'You do not have access to this room' };
+    console.warn(`[WS] rejected subscription: user=${user._id}`, request);
+    socket.emit('subscriptionRejected', result);
+    return result;
+  }
+
+  const { room } = subscription;
+  socket.join(room);
+  console.log(`[WS] ${socket.id} joined room ${room}`);
+  if (!request.branchId) {
+    getRollingTotals(room)
+      .then((totals) => socket.emit('rollingTotals', totals))
+      .catch((err) => console.error('[WS] rolling totals lookup failed:', err));
+  }
+
+  if (request.lastEventId) {
+    try {
+      const { events, complete } = await readEventsSince(request.lastEventId, room);
+      for (const { id, event, payload } of events) {
+        socket.emit(event, { ...payload, eventId: id });
+      }
+      return { ok: true, room, replayed: events.length, replayComplete: complete };
+    } catch (err) {
+      console.error('[WS] replay failed:', socket.id, err);
+      return { ok: true, room, replayed: 0, replayComplete: false };
+    }
+  }
+  return { ok: true, room };
+}
+
+/**
+ * createSocketServer
+ * Attaches Socket.io to the HTTP server. Clients subscribe with the 'subscribe' event
+ * ({ branchId } / { orgUnitId } / { companyId }, optional lastEventId and ack) or, as
+ * before, `?branchId=` (and optional `&lastEventId=`) in the handshake.
+ * @param {http.Server} server
+ * @returns {IOServer}
+ */
+export function createSocketServer(server) {
+  const io = new IOServer(server, {
+    cors: { origin: process.env.CORS_ORIGIN, credentials: true },
+    path: '/socket.io',
+    transports: ['polling', 'websocket'],
+  });
+
+  // Share rooms and broadcasts across API instances
+  io.adapter(createAdapter(redisClient.duplicate(), redisClient.duplicate()));
+
+  // Parse cookies on the handshake request so the accessToken cookie can be read
+  io.engine.use(cookieParser());
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { branchId, lastEventId } = socket.handshake.query;
+    console.log('[WS] client connected:', socket.id, 'user=', socket.data.user._id);
+    if (branchId) subscribe(socket, { branchId, lastEventId });
+
+    socket.on('subscribe', async (data, ack) => {
+      const result = await subscribe(socket, data || {});
+      if (typeof ack === 'function') ack(result);
+    });
+
+    socket.on('unsubscribe', (data, ack) => {
+      const { branchId: leaveBranch, orgUnitId, companyId } = data || {};
+      let room = null;
+      if (leaveBranch) room = leaveBranch.toString();
+      else if (orgUnitId) room = orgUnitRoom(orgUnitId);
+      else if (companyId) room = companyRoom(companyId);
+      if (room) socket.leave(room);
+      if (typeof ack === 'function') ack({ ok: true, room });
+    });
+
+    socket.on('disconnect', (reason) => {
+      console.log('[WS] client disconnected:', socket.id, 'reason=', reason);
+    });
+  });
+
+  return io;
+}
+
+/**
+ * startEventRelay
+ * Consumes the Redis event stream through a consumer group, so each event is taken by
+ * exactly one API instance, and emits it to its rooms. The Redis adapter delivers the emit
+ * to sockets on every instance. Entries left unacknowledged by a crashed instance are
+ * claimed after RELAY_CLAIM_IDLE_MS.
+ * @param {IOServer} io
+ */
+export function startEventRelay(io) {
+  const reader = redisClient.duplicate();
+  reader.on('error', (err) => console.error('[EventRelay] reader error', err));
+
+  const deliver = async (entries) => {
+    for (const entry of entries) {
+      try {
+        const { id, rooms, event, payload } = parseEventEntry(entry);
+        if (rooms.length > 0 && payload) {
+          // One emit across all rooms, so a socket in several of them gets the event once
+          io.to(rooms).emit(event, { ...payload, eventId: id });
+          console.log(`🔁 [EventRelay] emitted ${event} ${id} to rooms ${rooms.join(', ')}`);
+        }
+      } catch (err) {
+        console.warn('[EventRelay] invalid event entry:', entry[0], err);
+      }
+      await reader.xack(EVENT_STREAM, RELAY_GROUP, entry[0]);
+    }
+  };
+
+  const run = async () => {
+    try {
+      await reader.xgroup('CREATE', EVENT_STREAM, RELAY_GROUP, '$', 'MKSTREAM');
+    } catch (err) {
+      if (!err.message.includes('BUSYGROUP')) throw err;
+    }
+    console.log(`✅ [EventRelay] consuming "${EVENT_STREAM}" as ${RELAY_CONSUMER}`);
+
+    let lastClaimAt = 0;
+    for (;;) {
+      try {
+        if (Date.now() - lastClaimAt > RELAY_CLAIM_IDLE_MS) {
+          lastClaimAt = Date.now();
+          const [, claimed] = await reader.xautoclaim(
+            EVENT_STREAM,
+            RELAY_GROUP,
+            RELAY_CONSUMER,
+            RELAY_CLAIM_IDLE_MS,
+            '0-0',
+            'COUNT',
+            100,
+          );
+          await deliver(claimed.filter(Boolean));
+        }
+
+        const result = await reader.xreadgroup(
+          'GROUP',
+          RELAY_GROUP,
+          RELAY_CONSUMER,
+          'COUNT',
+          100,
+          'BLOCK',
+          5000,
+          'STREAMS',
+          EVENT_STREAM,
+          '>',
+        );
+        for (const [, entries] of result || []) {
+          await deliver(entries);
+        }
+      } catch (err) {
+        console.error('[EventRelay] read failed, retrying:', err);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+  };
+
+  run().catch((err) => console.error('❌ [EventRelay] failed to start:', err));
+}
@@ -0,0 +1,152 @@
+import dotenv from 'dotenv';
+import redisClient from '../utils/redisClient.js';
+import {
+  EVENT_STREAM,
+  isEventAfter,
+  parseEventEntry,
+  readEventsSince,
+} from '../services/realtimeService.js';
+
+dotenv.config({ path: './.env' });
+
+// Interval between heartbeat comments, which keep proxies from closing idle streams.
+const HEARTBEAT_SECONDS = Number(process.env.SSE_HEARTBEAT_SECONDS) || 25;
+
+// room → Set of connected SSE clients on this instance
+const clientsByRoom = new Map();
+let tail = null;
+
+/**
+ * writeEvent
+ * Sends one event in SSE framing; the stream ID doubles as the SSE event ID, so the
+ * browser sends it back as Last-Event-ID when it reconnects.
+ */
+function writeEvent(client, { id, event, payload }) {
+  if (client.lastId && !isEventAfter(id, client.lastId)) return;
+  client.lastId = id;
+  client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * dispatch
+ * Hands a stream entry to the SSE clients of each of its rooms. Clients still replaying
+ * missed events buffer it until their replay is done.
+ */
+function dispatch(entry) {
+  const message = parseEventEntry(entry);
+  for (const room of message.rooms) {
+    for (const client of clientsByRoom.get(room) || []) {
+      if (client.pending) client.pending.push(message);
+      else writeEvent(client, message);
+    }
+  }
+}
+
+/**
+ * startTail
+ * Follows the event stream (plain XREAD, not the Socket.io consumer group: every instance
+ * needs every event for its own SSE clients) while any client is connected.
+ * Resolves once the starting position is fixed, so replays can pick up from there.
+ */
+async function startTail() {
+  const reader = redisClient.duplicate();
+  reader.on('error', (err) => console.error('[SSE] reader error', err));
+
+  const [latest] = await reader.xrevrange(EVENT_STREAM, '+', '-', 'COUNT', 1);
+  let lastId = latest ? latest[0] : '0-0';
+
+  (async () => {
+    // The first client registers while the first read is blocking
+    do {
+      try {
+        const result = await reader.xread(
+          'COUNT',
+          100,
+          'BLOCK',
+          5000,
+          'STREAMS',
+          EVENT_STREAM,
+          lastId,
+        );
+        for (const [, entries] of result || []) {
+          for (const entry of entries) {
+            lastId = entry[0];
+            try {
+              dispatch(entry);
+            } catch (err) {
+              console.warn('[SSE] invalid event entry:', entry[0], err);
+            }
+          }
+        }
+      } catch (err) {
+        console.error('[SSE] read failed, retrying:', err);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    } while (clientsByRoom.size > 0);
+    tail = null;
+    reader.disconnect();
+    console.log('[SSE] no clients left, stopped following the event stream');
+  })();
+}
+
+/**
+ * openEventStream
+ * Turns an HTTP response into an SSE stream of the room's realtime events
+ * (wasteUpdate, binAlert, rollingTotals – the same payloads Socket.io clients get).
+ *
+ * With `lastEventId` (the Last-Event-ID header on reconnect), missed events are replayed
+ * first. If the gap is no longer fully stored, a 'resync' event tells the client to
+ * refetch its data. A comment line is sent every SSE_HEARTBEAT_SECONDS.
+ *
+ * @param {Request}  req
+ * @param {Response} res
+ * @param {string}   room        – room from resolveSubscription
+ * @param {string}   [lastEventId]
+ */
+export async function openEventStream(req, res, room, lastEventId) {
+  if (!tail) {
+    tail = startTail().catch((err) => {
+      tail = null;
+      throw err;
+    });
+  }
+  await tail;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: 5000\n\n`);
+
+  const client = { res, lastId: null, pending: lastEventId ? [] : null };
+  if (!clientsByRoom.has(room)) clientsByRoom.set(room, new Set());
+  clientsByRoom.get(room).add(client);
+  console.log(`[SSE] client connected to room ${room}`);
+
+  const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_SECONDS * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = clientsByRoom.get(room);
+    clients?.delete(client);
+    if (clients?.size === 0) clientsByRoom.delete(room);
+    console.log(`[SSE] client disconnected from room ${room}`);
+  });
+
+  if (lastEventId) {
+    try {
+      const { events, complete } = await readEventsSince(lastEventId, room);
+      for (const message of events) writeEvent(client, message);
+      if (!complete) {
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'gap_not_stored' })}\n\n`);
+      }
+    } catch (err) {
+      console.error('[SSE] replay failed:', err);
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'replay_failed' })}\n\n`);
+    }
+    const buffered = client.pending;
+    client.pending = null;
+    for (const message of buffered) writeEvent(client, message);
+  }
+}
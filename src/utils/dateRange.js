@@ -0,0 +1,310 @@
+/**
+ * Analytics date ranges, resolved on a time zone's local calendar.
+ *
+ * Every range starts and ends on local midnight of the given zone (see utils/timezone.js), so
+ * "today" for a Sydney branch runs from 00:00 to 23:59:59.999 Sydney time. Ranges that run up
+ * to the present end at `now` rather than at the end of the day.
+ *
+ * A reporting period is parsed once from the query (parsePeriod) and then resolved per time
+ * zone (getPeriodRange / getPreviousPeriodRange), since "this month" starts at a different
+ * instant in Sydney than in London.
+ */
+import { zonedParts, zonedTimeToUtc } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * calendarDay
+ * Normalises a year / month (1-based) / day triple, so day 0 or 32 and month 0 or 13 roll
+ * over into the neighbouring month or year.
+ * @returns {{ year: number, month: number, day: number }}
+ */
+const calendarDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const shiftDays = ({ year, month, day }, days) => calendarDay(year, month, day + days);
+
+// Whole days from calendar day `a` to `b`
+const daysBetween = (a, b) =>
+  Math.round(
+    (Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS,
+  );
+
+const startOfLocalDay = ({ year, month, day }, timeZone) =>
+  zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+
+const endOfLocalDay = (day, timeZone) =>
+  new Date(startOfLocalDay(shiftDays(day, 1), timeZone).getTime() - 1);
+
+// 'YYYY-MM-DD'
+const formatDay = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * localDate
+ * The calendar day an instant falls on in a time zone.
+ * @returns {{ year: number, month: number, day: number }}
+ */
+export const localDate = (date, timeZone = 'UTC') => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return { year, month, day };
+};
+
+/**
+ * parseCalendarDate
+ * The calendar day named by a query value such as '2025-03-14' (any Date-parsable value is
+ * taken on its UTC date), or null if it cannot be parsed.
+ */
+export const parseCalendarDate = (input) => {
+  const date = new Date(input);
+  return isNaN(date) ? null : localDate(date, 'UTC');
+};
+
+/**
+ * getLocalDayRange
+ * Start and end of a calendar day in a time zone.
+ * @param {{ year: number, month: number, day: number }} day
+ */
+export const getLocalDayRange = (day, timeZone = 'UTC') => ({
+  startDate: startOfLocalDay(day, timeZone),
+  endDate: endOfLocalDay(day, timeZone),
+});
+
+/**
+ * getDayRange
+ * Start and end of the local day `date` falls on in a time zone.
+ */
+export const getDayRange = (date, timeZone = 'UTC') =>
+  getLocalDayRange(localDate(date, timeZone), timeZone);
+
+/* ---------------------------------------------------------------
+   Calendar units. Weeks start on Monday; quarters and years follow
+   the financial year, which starts on the 1st of `fyStartMonth`
+   (with 1, quarters and years are calendar ones).
+   --------------------------------------------------------------- */
+
+const unitStart = (day, unit, fyStartMonth) => {
+  switch (unit) {
+    case 'week': {
+      const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+      return shiftDays(day, weekday === 0 ? -6 : 1 - weekday);
+    }
+    case 'month':
+      return calendarDay(day.year, day.month, 1);
+    case 'quarter': {
+      const monthsIntoYear = (day.month - fyStartMonth + 12) % 12;
+      return calendarDay(day.year, day.month - (monthsIntoYear % 3), 1);
+    }
+    case 'year': {
+      const year = day.month >= fyStartMonth ? day.year : day.year - 1;
+      return calendarDay(year, fyStartMonth, 1);
+    }
+    default:
+      return day;
+  }
+};
+
+// Moves the start of a unit by `count` units
+const addUnits = (start, unit, count) => {
+  const months = { month: 1, quarter: 3, year: 12 }[unit];
+  if (months) return calendarDay(start.year, start.month + months * count, 1);
+  return shiftDays(start, (unit === 'week' ? 7 : 1) * count);
+};
+
+const unitEnd = (start, unit) => shiftDays(addUnits(start, unit, 1), -1);
+
+// Preset filters: [unit, offset from the current unit, runs up to now]
+const PRESETS = {
+  today: ['day', 0, false],
+  yesterday: ['day', -1, false],
+  thisWeek: ['week', 0, true],
+  lastWeek: ['week', -1, false],
+  thisMonth: ['month', 0, true],
+  lastMonth: ['month', -1, false],
+  thisQuarter: ['quarter', 0, true],
+  lastQuarter: ['quarter', -1, false],
+  thisFinancialYear: ['year', 0, true],
+  lastFinancialYear: ['year', -1, false],
+};
+
+export const FILTERS = [...Object.keys(PRESETS), 'last<N>Days'];
+export const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const ROLLING_FILTER = /^last(\d+)Days$/;
+const MAX_ROLLING_DAYS = 3660;
+
+/**
+ * periodDays
+ * A period as local calendar days, given the zone's current date.
+ * @returns {{ start, end, unit?: string, toDate?: boolean }} – calendar days; `unit` is set for
+ *          periods that line up with a calendar unit, `toDate` when they run up to now
+ */
+const periodDays = (period, today) => {
+  const fyStartMonth = period.financialYearStartMonth || 1;
+  if (period.from) return { start: period.from, end: period.to || today };
+  if (period.days) return { start: shiftDays(today, 1 - period.days), end: today };
+  if (period.fy) {
+    const yearStart = calendarDay(fyStartMonth === 1 ? period.fy : period.fy - 1, fyStartMonth, 1);
+    const unit = period.quarter ? 'quarter' : 'year';
+    const start = period.quarter ? addUnits(yearStart, 'quarter', period.quarter - 1) : yearStart;
+    return { start, end: unitEnd(start, unit), unit };
+  }
+
+  const [unit, offset, toDate] = PRESETS[period.filter] || PRESETS.today;
+  const start = addUnits(unitStart(today, unit, fyStartMonth), unit, offset);
+  return { start, end: toDate ? today : unitEnd(start, unit), unit, toDate };
+};
+
+/**
+ * previousPeriodDays
+ * The period a period is compared against, as local calendar days:
+ *   - a unit to date (thisWeek, thisMonth, …) → the same number of days into the previous unit,
+ *     e.g. thisMonth on the 14th → the 1st–14th of last month
+ *   - a whole unit (today, lastMonth, fy + quarter, …) → the unit before it
+ *   - a rolling window or from/to range → the same number of days just before it
+ */
+const previousPeriodDays = (period, today) => {
+  const { start, end, unit, toDate } = periodDays(period, today);
+  if (!unit) {
+    const length = daysBetween(start, end) + 1;
+    return { start: shiftDays(start, -length), end: shiftDays(start, -1) };
+  }
+  const previousStart = addUnits(start, unit, -1);
+  const previousEnd = unitEnd(previousStart, unit);
+  if (!toDate) return { start: previousStart, end: previousEnd };
+  const sameDay = shiftDays(previousStart, daysBetween(start, today));
+  return {
+    start: previousStart,
+    end: daysBetween(sameDay, previousEnd) < 0 ? previousEnd : sameDay,
+  };
+};
+
+/**
+ * defaultGranularity
+ * Bucket size for a period of `days` calendar days, keeping charts to a readable number of points.
+ */
+const defaultGranularity = (days) => {
+  if (days <= 1) return 'hour';
+  if (days <= 92) return 'day';
+  if (days <= 732) return 'week';
+  return 'month';
+};
+
+/**
+ * parsePeriod
+ * Reads a reporting period from query parameters. Exactly one way of choosing it may be used:
+ *   - filter:   today, yesterday, thisWeek, lastWeek, thisMonth, lastMonth, thisQuarter,
+ *               lastQuarter, thisFinancialYear, lastFinancialYear, or last<N>Days (e.g.
+ *               last30Days: the last N local days including today)
+ *   - from/to:  local calendar dates, both inclusive ('YYYY-MM-DD'); `to` defaults to today
+ *   - fy:       a financial year, named by the calendar year it ends in (FY2025 = July 2024 –
+ *               June 2025 with a July start), optionally narrowed to `quarter` 1–4
+ * `granularity` (hour, day, week, month) overrides the bucket size, which is otherwise picked
+ * from the period's length; hourly buckets are only available for single-day periods.
+ *
+ * @param {Object} query
+ * @param {Object} [options]
+ * @param {string} [options.defaultFilter='today'] – used when no period is given
+ * @param {number} [options.financialYearStartMonth=1] – 1–12
+ * @param {Date}   [options.now]
+ * @returns {{ period: Object } | { error: string }}
+ */
+export const parsePeriod = (
+  query = {},
+  { defaultFilter = 'today', financialYearStartMonth = 1, now = new Date() } = {},
+) => {
+  const { filter, from, to, fy, quarter, granularity } = query;
+  const ways = [filter, from || to, fy].filter((value) => value !== undefined && value !== '');
+  if (ways.length > 1) {
+    return { error: 'Use only one of filter, from/to or fy to choose the period' };
+  }
+
+  const period = { financialYearStartMonth };
+  if (from || to) {
+    if (!from) return { error: 'from is required when to is given' };
+    period.from = parseCalendarDate(from);
+    period.to = to ? parseCalendarDate(to) : null;
+    if (!period.from || (to && !period.to)) {
+      return { error: 'from and to must be dates, e.g. 2025-07-01' };
+    }
+    if (period.to && daysBetween(period.from, period.to) < 0) {
+      return { error: 'from must not be after to' };
+    }
+  } else if (fy) {
+    period.fy = Number(fy);
+    if (!Number.isInteger(period.fy) || period.fy < 2000 || period.fy > 2100) {
+      return { error: 'fy must be a year, e.g. 2025' };
+    }
+    if (quarter !== undefined) {
+      period.quarter = Number(quarter);
+      if (![1, 2, 3, 4].includes(period.quarter)) return { error: 'quarter must be 1–4' };
+    }
+  } else {
+    const name = filter || defaultFilter;
+    const rolling = ROLLING_FILTER.exec(name);
+    if (rolling) {
+      period.days = Number(rolling[1]);
+      if (period.days < 1 || period.days > MAX_ROLLING_DAYS) {
+        return { error: `Rolling windows must be 1–${MAX_ROLLING_DAYS} days` };
+      }
+    } else if (PRESETS[name]) {
+      period.filter = name;
+    } else {
+      return { error: `filter must be one of: ${FILTERS.join(', ')}` };
+    }
+  }
+  if (quarter !== undefined && !fy) return { error: 'quarter is only valid with fy' };
+
+  // Bucket size is chosen on the UTC calendar so every time zone shares it
+  const { start, end } = periodDays(period, localDate(now, 'UTC'));
+  const length = daysBetween(start, end) + 1;
+  period.granularity = granularity || defaultGranularity(length);
+  if (!GRANULARITIES.includes(period.granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+  if (period.granularity === 'hour' && length > 1) {
+    return { error: 'Hourly buckets are only available for a single day' };
+  }
+  return { period };
+};
+
+/**
+ * getPeriodRange
+ * Start and end dates of a parsed period in a time zone.
+ */
+export const getPeriodRange = (period, now = new Date(), timeZone = 'UTC') => {
+  const { start, end, toDate } = periodDays(period, localDate(now, timeZone));
+  return {
+    startDate: startOfLocalDay(start, timeZone),
+    endDate: toDate ? now : endOfLocalDay(end, timeZone),
+  };
+};
+
+/**
+ * getPreviousPeriodRange
+ * Start and end dates of the period a parsed period is compared against (see previousPeriodDays).
+ */
+export const getPreviousPeriodRange = (period, now = new Date(), timeZone = 'UTC') => {
+  const { start, end } = previousPeriodDays(period, localDate(now, timeZone));
+  return { startDate: startOfLocalDay(start, timeZone), endDate: endOfLocalDay(end, timeZone) };
+};
+
+/**
+ * getPeriodDays
+ * First and last local dates ('YYYY-MM-DD') of a parsed period in a time zone, for data kept
+ * per local day (see services/rollupService.js).
+ */
+export const getPeriodDays = (period, now = new Date(), timeZone = 'UTC') => {
+  const { start, end } = periodDays(period, localDate(now, timeZone));
+  return { startDay: formatDay(start), endDay: formatDay(end) };
+};
+
+/**
+ * getPreviousPeriodDays
+ * First and last local dates of the period a parsed period is compared against.
+ */
+export const getPreviousPeriodDays = (period, now = new Date(), timeZone = 'UTC') => {
+  const { start, end } = previousPeriodDays(period, localDate(now, timeZone));
+  return { startDay: formatDay(start), endDay: formatDay(end) };
+};
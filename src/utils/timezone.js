@@ -0,0 +1,83 @@
+/**
+ * Time-zone helpers built on Intl, so branch-local times can be worked out without
+ * another date library.
+ */
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * isValidTimeZone
+ * True for IANA zone names the runtime knows, e.g. 'Australia/Sydney' or 'UTC'.
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * zonedParts
+ * The wall-clock date and time of an instant in a time zone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *          – month is 1-based
+ */
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * zoneOffsetMs
+ * How far the zone's wall clock is ahead of UTC at the given instant.
+ */
+function zoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * zonedTimeToUtc
+ * The instant at which a time zone's wall clock shows the given local date and time.
+ * @param {number} year
+ * @param {number} month  – 1-based
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  // Re-check once in case the guess landed on the other side of a DST change
+  const offset = zoneOffsetMs(new Date(instant), timeZone);
+  instant = wallClock - offset;
+  return new Date(instant);
+}
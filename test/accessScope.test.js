@@ -0,0 +1,253 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isInScope, resolveAccessScope } from '../src/services/accessScopeService.js';
+import { authorizeScope } from '../src/middlewares/scope.middleware.js';
+import { getCompanyById } from '../src/controllers/company.controllers.js';
+import { getDustbin, listDustbins } from '../src/controllers/dustbin.controllers.js';
+import { Company } from '../src/models/company.models.js';
+import { silenceConsole } from './helpers/console.js';
+import {
+  acme,
+  bins,
+  branches,
+  id,
+  organisation,
+  otherCo,
+  units,
+  users,
+} from './helpers/organisation.js';
+
+// Runs authorizeScope and resolves with the error it passed on (undefined when allowed)
+const runAuthorizeScope = (user, { query = {}, body = {}, params = {} }, paramKinds = {}) =>
+  new Promise((resolve) => {
+    const req = { user, query, body, params };
+    authorizeScope(paramKinds)(req, {}, resolve);
+  });
+
+// Every way a scoped ID reaches authorizeScope: query, body or a route param
+const placements = {
+  query: (field, kind, value) => [{ query: { [field]: value } }, {}],
+  body: (field, kind, value) => [{ body: { [field]: value } }, {}],
+  params: (field, kind, value) => [{ params: { id: value } }, { id: kind }],
+};
+const fields = { companyId: 'company', orgUnitId: 'orgUnit', branchId: 'branch', binId: 'bin' };
+
+const crossTenant = {
+  'from another company': {
+    user: 'otherCoAdmin',
+    ids: {
+      companyId: acme,
+      orgUnitId: units.sydney._id,
+      branchId: branches.sydney._id,
+      binId: bins.sydney._id,
+    },
+  },
+  'from another subtree of the same company': {
+    user: 'sydneyAdmin',
+    ids: {
+      companyId: otherCo,
+      orgUnitId: units.melbourne._id,
+      branchId: branches.melbourne._id,
+      binId: bins.melbourne._id,
+    },
+  },
+  'above their own OrgUnit': {
+    user: 'sydneyAdmin',
+    ids: { orgUnitId: units.australia._id },
+  },
+};
+
+for (const [attempt, { user, ids }] of Object.entries(crossTenant)) {
+  for (const [placement, place] of Object.entries(placements)) {
+    for (const [field, value] of Object.entries(ids)) {
+      test(`authorizeScope rejects ${field} in ${placement} ${attempt}`, async (t) => {
+        silenceConsole(t);
+        organisation(t);
+        const [request, paramKinds] = place(field, fields[field], value.toString());
+        const error = await runAuthorizeScope(users[user], request, paramKinds);
+        assert.equal(error?.statusCode, 403);
+      });
+    }
+  }
+}
+
+for (const [placement, place] of Object.entries(placements)) {
+  test(`authorizeScope allows the user's own IDs in ${placement}`, async (t) => {
+    silenceConsole(t);
+    organisation(t);
+    const own = {
+      companyId: acme,
+      orgUnitId: units.sydney._id,
+      branchId: branches.sydney._id,
+      binId: bins.sydney._id,
+    };
+    for (const [field, value] of Object.entries(own)) {
+      const [request, paramKinds] = place(field, fields[field], value.toString());
+      const req = { user: users.sydneyAdmin, ...request };
+      const error = await new Promise((resolve) => authorizeScope(paramKinds)(req, {}, resolve));
+      assert.equal(error, undefined, field);
+      assert.equal(req.accessScope.unrestricted, false);
+    }
+  });
+}
+
+test('authorizeScope checks every ID of a list and rejects unknown IDs', async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const mixed = { query: { branchId: [branches.sydney._id, branches.melbourne._id] } };
+  assert.equal((await runAuthorizeScope(users.sydneyAdmin, mixed))?.statusCode, 403);
+  const unknown = { body: { binId: id().toString() } };
+  assert.equal((await runAuthorizeScope(users.sydneyAdmin, unknown))?.statusCode, 403);
+  const malformed = { query: { companyId: 'not-an-id' } };
+  assert.equal((await runAuthorizeScope(users.acmeAdmin, malformed))?.statusCode, 403);
+});
+
+test('authorizeScope checks the branch address forms by their own field names', async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const otherBranch = { body: { addressId: branches.melbourne._id.toString() } };
+  assert.equal((await runAuthorizeScope(users.sydneyAdmin, otherBranch))?.statusCode, 403);
+  const otherCompany = { body: { associatedCompany: otherCo.toString() } };
+  assert.equal((await runAuthorizeScope(users.acmeAdmin, otherCompany))?.statusCode, 403);
+  const own = { body: { addressId: branches.sydney._id, associatedCompany: acme } };
+  assert.equal(await runAuthorizeScope(users.sydneyAdmin, own), undefined);
+});
+
+test('authorizeScope lets SuperAdmins reach any company', async (t) => {
+  organisation(t);
+  const request = { query: { companyId: otherCo.toString(), branchId: branches.sydney._id } };
+  assert.equal(await runAuthorizeScope(users.superAdmin, request), undefined);
+});
+
+test('resolveAccessScope limits an OrgUnit user to the branches under their unit', async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const city = await resolveAccessScope(users.sydneyAdmin);
+  assert.deepEqual(city.branchIds.map(String), [branches.sydney._id.toString()]);
+  assert.deepEqual(
+    city.orgUnitIds.map(String).sort(),
+    [units.sydney._id, units.sydneyBranch._id].map(String).sort(),
+  );
+
+  const company = await resolveAccessScope(users.acmeAdmin);
+  assert.equal(company.orgUnitIds, null);
+  assert.deepEqual(
+    company.branchIds.map(String).sort(),
+    [branches.sydney._id, branches.melbourne._id].map(String).sort(),
+  );
+});
+
+test('resolveAccessScope gives no branches to a user without a unit of their own company', async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const unassigned = [null, id(), units.auckland._id];
+  for (const OrgUnit of unassigned) {
+    const scope = await resolveAccessScope({ ...users.acmeAdmin, OrgUnit });
+    assert.deepEqual(scope.branchIds, [], String(OrgUnit));
+    assert.deepEqual(scope.orgUnitIds, []);
+    assert.equal(await isInScope(scope, 'branch', branches.sydney._id), false);
+    assert.equal(await isInScope(scope, 'orgUnit', units.australia._id), false);
+    assert.equal(await isInScope(scope, 'bin', bins.sydney._id), false);
+  }
+});
+
+test('isInScope checks each kind of ID against a company-level scope', async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const scope = await resolveAccessScope(users.acmeAdmin);
+  assert.equal(await isInScope(scope, 'company', acme), true);
+  assert.equal(await isInScope(scope, 'company', otherCo), false);
+  assert.equal(await isInScope(scope, 'orgUnit', units.melbourne._id), true);
+  assert.equal(await isInScope(scope, 'orgUnit', units.auckland._id), false);
+  // Analytics endpoints accept a branch ID as orgUnitId
+  assert.equal(await isInScope(scope, 'orgUnit', branches.melbourne._id), true);
+  assert.equal(await isInScope(scope, 'orgUnit', branches.auckland._id), false);
+  assert.equal(await isInScope(scope, 'branch', branches.melbourne._id), true);
+  assert.equal(await isInScope(scope, 'branch', branches.auckland._id), false);
+  assert.equal(await isInScope(scope, 'bin', bins.melbourne._id), true);
+  assert.equal(await isInScope(scope, 'bin', bins.auckland._id), false);
+  assert.equal(await isInScope(scope, 'bin', id()), false);
+  assert.equal(await isInScope(scope, 'device', acme), false);
+  assert.equal(await isInScope(scope, 'branch', 'not-an-id'), false);
+});
+
+test('isInScope confines an OrgUnit scope to its subtree', async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const scope = await resolveAccessScope(users.sydneyAdmin);
+  assert.equal(await isInScope(scope, 'company', acme), true);
+  assert.equal(await isInScope(scope, 'orgUnit', units.sydneyBranch._id), true);
+  assert.equal(await isInScope(scope, 'orgUnit', units.australia._id), false);
+  assert.equal(await isInScope(scope, 'orgUnit', units.melbourne._id), false);
+  assert.equal(await isInScope(scope, 'branch', branches.sydney._id), true);
+  assert.equal(await isInScope(scope, 'branch', branches.melbourne._id), false);
+  assert.equal(await isInScope(scope, 'bin', bins.sydney._id), true);
+  assert.equal(await isInScope(scope, 'bin', bins.melbourne._id), false);
+});
+
+test("getCompanyById lists only the users under the caller's OrgUnit", async (t) => {
+  silenceConsole(t);
+  const staff = [
+    { _id: id(), fullName: 'Sydney cleaner', company: acme, OrgUnit: units.sydneyBranch._id },
+    { _id: id(), fullName: 'Melbourne cleaner', company: acme, OrgUnit: units.melbourne._id },
+    { _id: id(), fullName: 'Acme admin', company: acme, OrgUnit: units.acme._id },
+  ];
+  organisation(t, {
+    'Company.findOne': Company.hydrate({ _id: acme, CompanyName: 'Acme' }),
+    'BranchAddress.find': [],
+    'User.find': ({ filter }) =>
+      staff.filter(
+        (user) =>
+          String(user.company) === String(filter.company) &&
+          (!filter.OrgUnit || filter.OrgUnit.$in.some((unit) => unit.equals(user.OrgUnit))),
+      ),
+  });
+  const visibleTo = async (user) => {
+    const req = { params: { id: acme.toString() }, accessScope: await resolveAccessScope(user) };
+    const { body } = await new Promise((resolve, reject) => {
+      const res = { status: (status) => ({ json: (json) => resolve({ status, body: json }) }) };
+      getCompanyById(req, res, reject);
+    });
+    return body.data.users.map((user) => user.fullName).sort();
+  };
+
+  assert.deepEqual(await visibleTo(users.sydneyAdmin), ['Sydney cleaner']);
+  assert.deepEqual(await visibleTo(users.acmeAdmin), [
+    'Acme admin',
+    'Melbourne cleaner',
+    'Sydney cleaner',
+  ]);
+  assert.deepEqual(await visibleTo({ ...users.acmeAdmin, OrgUnit: null }), []);
+});
+
+test("the dustbin endpoints keep a user to their OrgUnit's branches", async (t) => {
+  silenceConsole(t);
+  organisation(t, {
+    'Dustbin.find': ({ filter }) =>
+      Object.values(bins).filter(
+        (bin) => String(bin.branchAddress) === String(filter.branchAddress),
+      ),
+    'Dustbin.findOne': ({ filter }) => {
+      const bin = Object.values(bins).find((candidate) => candidate._id.equals(filter._id));
+      return bin && { ...bin, branchAddress: { _id: bin.branchAddress } };
+    },
+  });
+  // Runs a dustbin controller and resolves with its status
+  const statusOf = async (handler, user, { query = {}, params = {} }) => {
+    const req = { user, query, params, accessScope: await resolveAccessScope(user) };
+    return new Promise((resolve) => {
+      const res = { status: (status) => ({ json: () => resolve(status) }) };
+      handler(req, res, (err) => resolve(err?.statusCode ?? 500));
+    });
+  };
+  const list = (user, branch) => statusOf(listDustbins, user, { query: { branchId: branch._id } });
+  const get = (user, bin) => statusOf(getDustbin, user, { params: { id: bin._id.toString() } });
+
+  // Same company, another subtree
+  assert.equal(await list(users.sydneyAdmin, branches.melbourne), 403);
+  assert.equal(await get(users.sydneyAdmin, bins.melbourne), 403);
+  assert.equal(await list(users.sydneyAdmin, branches.sydney), 200);
+  assert.equal(await get(users.sydneyAdmin, bins.sydney), 200);
+  assert.equal(await list(users.acmeAdmin, branches.melbourne), 200);
+  assert.equal(await get(users.otherCoAdmin, bins.sydney), 403);
+});
@@ -0,0 +1,216 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import redisClient from '../src/utils/redisClient.js';
+import { bulkUploadBranches } from '../src/controllers/branchAddress.controllers.js';
+import { parseBranchSheet } from '../src/services/branchImportService.js';
+import { fakeDb, fakeTransactions } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const acme = id();
+const streams = [
+  { _id: id(), company: acme, name: 'General Waste' },
+  { _id: id(), company: acme, name: 'Organic' },
+];
+
+const HEADER = 'officeName,address,city,subdivision,postalCode,country,timezone,bins,binCapacity';
+const csv = (...rows) => Buffer.from([HEADER, ...rows].join('\n'));
+const darwin =
+  'Darwin,1 Smith St,Darwin,NT,0800,Australia,Australia/Darwin,General Waste;organic,50';
+const hobart = 'Hobart,2 Elizabeth St,Hobart,TAS,7000,Australia,,,';
+
+/**
+ * database
+ * A fakeDb that keeps the branches, OrgUnits and bins an import creates, and rolls them
+ * back with a failed transaction. `existing` office names are already taken; adding bins
+ * to the branch named `failAt` fails.
+ */
+function database(t, { existing = [], failAt = null } = {}) {
+  const created = { BranchAddress: [], OrgUnit: [], Dustbin: [] };
+  const { sessions } = fakeTransactions(t, () => {
+    const sizes = Object.fromEntries(
+      Object.entries(created).map(([name, docs]) => [name, docs.length]),
+    );
+    return () => {
+      for (const [name, size] of Object.entries(sizes)) created[name].length = size;
+    };
+  });
+  const save =
+    (model) =>
+    ({ doc }) =>
+      created[model].push(doc);
+  const { calls } = fakeDb(t, {
+    'Company.findOne': { _id: acme, CompanyName: 'Acme' },
+    'WasteStream.find': streams,
+    'BranchAddress.distinct': existing,
+    'BranchAddress.save': save('BranchAddress'),
+    'OrgUnit.save': save('OrgUnit'),
+    'Dustbin.insertMany': ({ ops }) => {
+      const branch = created.BranchAddress.find(({ _id }) => _id.equals(ops[0].branchAddress));
+      if (branch.officeName === failAt) throw new Error('write conflict');
+      created.Dustbin.push(...ops);
+      return ops;
+    },
+  });
+  return { created, calls, sessions };
+}
+
+// Uploads a sheet and resolves with the response status, data and message
+const upload = (buffer, { commit = false, filename = 'branches.csv' } = {}) =>
+  new Promise((resolve) => {
+    const req = {
+      body: { associatedCompany: acme.toString(), commit: String(commit) },
+      file: { buffer, originalname: filename },
+    };
+    const res = {
+      status: (status) => ({ json: ({ data, message }) => resolve({ status, data, message }) }),
+    };
+    bulkUploadBranches(req, res, (err) =>
+      resolve({ status: err?.statusCode ?? 500, message: err?.message }),
+    );
+  });
+
+test('a dry run previews every row with all of its errors and saves nothing', async (t) => {
+  silenceConsole(t);
+  const { calls, sessions } = database(t, { existing: ['Perth'] });
+
+  const { status, data } = await upload(
+    csv(
+      darwin,
+      'Perth,3 Hay St,Perth,WA,6000,Australia,,,',
+      'Darwin,4 Mitchell St,Darwin,NT,0800,Australia,Mars/Olympus,Glass;Organic,60',
+      ',5 Main St,,VIC,3000,Australia,,,',
+    ),
+  );
+
+  assert.equal(status, 200);
+  assert.deepEqual([data.total, data.valid, data.invalid], [4, 1, 3]);
+  const [first, existing, repeated, incomplete] = data.rows;
+  assert.equal(first.postalCode, '0800');
+  assert.equal(first.timezone, 'Australia/Darwin');
+  assert.deepEqual(first.bins, [
+    { dustbinType: 'General Waste', binCapacity: 50 },
+    { dustbinType: 'Organic', binCapacity: 50 },
+  ]);
+  assert.deepEqual(existing.errors, ['A branch with this officeName already exists']);
+  assert.deepEqual(repeated.errors, [
+    'officeName repeats row 2',
+    'timezone must be an IANA time zone, e.g. "Australia/Sydney"',
+    'binCapacity must be one of 25, 50, 75 when bins are given',
+    'Unknown bin type(s): Glass',
+  ]);
+  assert.deepEqual(incomplete.errors, ['officeName is required', 'city is required']);
+
+  assert.equal(sessions.length, 0);
+  const writes = calls.filter(({ op }) => ['save', 'insertMany', 'bulkWrite'].includes(op));
+  assert.deepEqual(writes, []);
+});
+
+test('a commit with any invalid row imports nothing', async (t) => {
+  silenceConsole(t);
+  const { created, sessions } = database(t, { existing: ['Hobart'] });
+
+  const { status, data, message } = await upload(csv(darwin, hobart), { commit: true });
+  assert.equal(status, 422);
+  assert.equal(message, '1 row(s) have errors; nothing was imported');
+  assert.equal(data.valid, 1);
+  assert.equal(sessions.length, 0);
+  assert.deepEqual(
+    Object.values(created).map((docs) => docs.length),
+    [0, 0, 0],
+  );
+});
+
+test('a commit creates the branches, their OrgUnits and bins in one transaction', async (t) => {
+  silenceConsole(t);
+  const { created, calls, sessions } = database(t);
+
+  const { status, data } = await upload(csv(darwin, hobart), { commit: true });
+  assert.equal(status, 201);
+  assert.equal(data.binsCreated, 2);
+  assert.deepEqual(
+    created.BranchAddress.map((branch) => branch.officeName),
+    ['Darwin', 'Hobart'],
+  );
+  assert.deepEqual(
+    created.OrgUnit.map(({ type, name }) => `${type} ${name}`),
+    [
+      'Country Australia',
+      'Region NT',
+      'City Darwin',
+      'Branch Darwin',
+      'Country Australia',
+      'Region TAS',
+      'City Hobart',
+      'Branch Hobart',
+    ],
+  );
+  assert.deepEqual(
+    created.Dustbin.map((bin) => [String(bin.branchAddress), bin.dustbinType]),
+    [
+      [String(created.BranchAddress[0]._id), 'General Waste'],
+      [String(created.BranchAddress[0]._id), 'Organic'],
+    ],
+  );
+
+  const [session] = sessions;
+  assert.equal(session.committed && session.ended, true);
+  const inTransaction = calls.filter(
+    ({ model, op }) => (model === 'OrgUnit' && op === 'findOne') || op === 'insertMany',
+  );
+  assert.ok(inTransaction.length > 0);
+  for (const call of inTransaction) assert.equal(call.options.session, session);
+});
+
+test('a failure part-way through a commit rolls every row back', async (t) => {
+  silenceConsole(t);
+  let invalidations = 0;
+  t.mock.method(redisClient, 'incr', async () => {
+    invalidations += 1;
+  });
+  const lateFailure = csv(
+    darwin,
+    hobart,
+    'Broome,6 Dampier Tce,Broome,WA,6725,Australia,,Organic,25',
+  );
+  // Darwin and Hobart are written before Broome's bins fail
+  const { created, calls, sessions } = database(t, { failAt: 'Broome' });
+
+  const { status, message } = await upload(lateFailure, { commit: true });
+  assert.equal(status, 500);
+  assert.equal(message, 'write conflict');
+  assert.equal(
+    calls.filter(({ model, op }) => model === 'BranchAddress' && op === 'save').length,
+    3,
+  );
+  assert.deepEqual(
+    Object.values(created).map((docs) => docs.length),
+    [0, 0, 0],
+  );
+  const [session] = sessions;
+  assert.equal(session.aborted && session.ended, true);
+  assert.equal(invalidations, 0);
+});
+
+test('parseBranchSheet needs the required columns and at least one branch', async (t) => {
+  silenceConsole(t);
+  assert.deepEqual(await parseBranchSheet(Buffer.from('officeName,city\nDarwin,Darwin'), 'a.csv'), {
+    error: 'Missing column(s): address, subdivision, postalCode, country',
+  });
+  assert.deepEqual(await parseBranchSheet(Buffer.from(HEADER), 'a.csv'), {
+    error: 'The sheet needs a header row and at least one branch',
+  });
+  assert.deepEqual(await parseBranchSheet(Buffer.from('not a workbook'), 'a.xlsx'), {
+    error: 'The file could not be read as CSV or XLSX',
+  });
+  // Header names match whatever their case; blank rows are skipped
+  const { rows } = await parseBranchSheet(
+    Buffer.from(`${HEADER.toUpperCase()}\n\n${hobart}`),
+    'a.csv',
+  );
+  assert.deepEqual(
+    rows.map(({ rowNumber, values }) => [rowNumber, values.officeName, values.postalCode]),
+    [[3, 'Hobart', '7000']],
+  );
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  checkMissedCollections,
+  lastCollectionWindow,
+  resolveMissedCollections,
+  validateCollectionSchedule,
+} from '../src/services/collectionMonitorService.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+// Mondays and Thursdays by 10:00 branch time
+const schedule = { days: [1, 4], deadline: '10:00' };
+const sydney = (now) => lastCollectionWindow(schedule, 'Australia/Sydney', new Date(now));
+const iso = (window) => window && [window.windowStart.toISOString(), window.dueAt.toISOString()];
+
+test('the collection window runs from the deadline before the last one up to it', () => {
+  // Thursday 12 March, 11:30 in Sydney (UTC+11): Monday's and Thursday's deadlines
+  assert.deepEqual(iso(sydney('2026-03-12T00:30:00Z')), [
+    '2026-03-08T23:00:00.000Z',
+    '2026-03-11T23:00:00.000Z',
+  ]);
+  // A deadline is due from the minute it passes
+  assert.deepEqual(iso(sydney('2026-03-11T23:00:00Z')), [
+    '2026-03-08T23:00:00.000Z',
+    '2026-03-11T23:00:00.000Z',
+  ]);
+  assert.deepEqual(iso(sydney('2026-03-11T22:59:00Z')), [
+    '2026-03-04T23:00:00.000Z',
+    '2026-03-08T23:00:00.000Z',
+  ]);
+});
+
+test('collection deadlines stay at branch time across a daylight saving change', () => {
+  // Sydney leaves daylight saving on Sunday 5 April: 10:00 is 23:00Z before, 00:00Z after
+  assert.deepEqual(iso(sydney('2026-04-06T00:30:00Z')), [
+    '2026-04-01T23:00:00.000Z',
+    '2026-04-06T00:00:00.000Z',
+  ]);
+  const london = lastCollectionWindow(
+    { days: [0, 1, 2, 3, 4, 5, 6], deadline: '09:00' },
+    'Europe/London',
+    new Date('2026-03-29T12:00:00Z'),
+  );
+  // London enters summer time on Sunday 29 March
+  assert.deepEqual(iso(london), ['2026-03-28T09:00:00.000Z', '2026-03-29T08:00:00.000Z']);
+});
+
+test('there is no collection window without a schedule', () => {
+  const now = new Date('2026-03-12T00:30:00Z');
+  assert.equal(lastCollectionWindow(null, 'UTC', now), null);
+  assert.equal(lastCollectionWindow({ days: [], deadline: '10:00' }, 'UTC', now), null);
+  assert.equal(lastCollectionWindow({ days: [1] }, 'UTC', now), null);
+});
+
+test('validateCollectionSchedule sorts the days and checks the deadline', () => {
+  assert.deepEqual(validateCollectionSchedule({ days: [4, 1, 4], deadline: '07:30' }), {
+    schedule: { days: [1, 4], deadline: '07:30' },
+  });
+  assert.deepEqual(validateCollectionSchedule(null), { schedule: null });
+  const errors = [
+    [[1], 'collectionSchedule must be an object'],
+    [{ days: [], deadline: '07:30' }, 'collectionSchedule.days must be'],
+    [{ days: [7], deadline: '07:30' }, 'collectionSchedule.days must be'],
+    [{ days: [1], deadline: '7:30' }, 'collectionSchedule.deadline must be'],
+    [{ days: [1], deadline: '24:00' }, 'collectionSchedule.deadline must be'],
+  ];
+  for (const [input, message] of errors) {
+    assert.ok(validateCollectionSchedule(input).error?.startsWith(message), message);
+  }
+});
+
+test('bins not cleaned in their window get one missed-collection alert per deadline', async (t) => {
+  silenceConsole(t);
+  const branch = { _id: id(), timezone: 'Australia/Sydney', collectionSchedule: schedule };
+  const [cleaned, recorded, missed, raced] = [id(), id(), id(), id()];
+  const { calls } = fakeDb(t, {
+    'BranchAddress.find': [branch],
+    'Dustbin.find': [cleaned, recorded, missed, raced].map((_id) => ({ _id })),
+    'Waste.distinct': [cleaned],
+    'BinAlert.distinct': [recorded],
+    'BinAlert.save': ({ doc }) => {
+      if (doc.bin.equals(raced)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    },
+  });
+
+  assert.equal(await checkMissedCollections(new Date('2026-03-12T00:30:00Z')), 1);
+
+  const windowStart = new Date('2026-03-08T23:00:00Z');
+  const dueAt = new Date('2026-03-11T23:00:00Z');
+  const [bins] = calls.filter((c) => c.model === 'Dustbin' && c.op === 'find');
+  assert.deepEqual(bins.filter.createdAt, { $lte: windowStart });
+  const [cleanings] = calls.filter((c) => c.model === 'Waste' && c.op === 'distinct');
+  assert.deepEqual(cleanings.filter.measuredAt, { $gt: windowStart, $lte: dueAt });
+  assert.equal(cleanings.filter.eventType, 'cleaning');
+  const alerts = calls.filter((c) => c.model === 'BinAlert' && c.op === 'save');
+  assert.deepEqual(
+    alerts.map(({ doc }) => [String(doc.bin), doc.type, doc.windowStart, doc.dueAt]),
+    [
+      [String(missed), 'missedCollection', windowStart, dueAt],
+      [String(raced), 'missedCollection', windowStart, dueAt],
+    ],
+  );
+});
+
+test('a cleaning closes only the misses whose window started before it', async (t) => {
+  const binId = id();
+  const cleanedAt = new Date('2026-03-10T02:00:00Z');
+  const { calls } = fakeDb(t);
+  await resolveMissedCollections(binId, cleanedAt);
+  const [{ filter, update }] = calls;
+  assert.deepEqual(filter, {
+    bin: binId,
+    type: 'missedCollection',
+    status: 'open',
+    windowStart: { $lt: cleanedAt },
+  });
+  assert.equal(update.$set.status, 'resolved');
+});
@@ -0,0 +1,177 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDayRange,
+  getPeriodDays,
+  getPeriodRange,
+  getPreviousPeriodDays,
+  getPreviousPeriodRange,
+  parsePeriod,
+} from '../src/utils/dateRange.js';
+import { localRangeMatch } from '../src/services/branchTimeService.js';
+
+// Saturday 14 March 2026, 3pm in London (GMT) and 2am on Sunday the 15th in Sydney (AEDT)
+const now = new Date('2026-03-14T15:00:00Z');
+
+const period = (query, options = {}) => {
+  const result = parsePeriod(query, { now, ...options });
+  assert.equal(result.error, undefined, result.error);
+  return result.period;
+};
+const range = ({ startDate, endDate }) => [startDate.toISOString(), endDate.toISOString()];
+const days = ({ startDay, endDay }) => [startDay, endDay];
+
+test("today runs from midnight to midnight on each zone's own calendar", () => {
+  const today = period({ filter: 'today' });
+  assert.deepEqual(range(getPeriodRange(today, now, 'Australia/Sydney')), [
+    '2026-03-14T13:00:00.000Z',
+    '2026-03-15T12:59:59.999Z',
+  ]);
+  assert.deepEqual(range(getPeriodRange(today, now, 'Europe/London')), [
+    '2026-03-14T00:00:00.000Z',
+    '2026-03-14T23:59:59.999Z',
+  ]);
+  assert.deepEqual(days(getPeriodDays(today, now, 'Australia/Sydney')), [
+    '2026-03-15',
+    '2026-03-15',
+  ]);
+  assert.deepEqual(days(getPeriodDays(today, now, 'UTC')), ['2026-03-14', '2026-03-14']);
+});
+
+test('a local day spans 25 hours when daylight saving ends', () => {
+  // Sydney clocks go back from 3am to 2am on 5 April 2026
+  const { startDate, endDate } = getDayRange(new Date('2026-04-05T01:00:00Z'), 'Australia/Sydney');
+  assert.equal(startDate.toISOString(), '2026-04-04T13:00:00.000Z');
+  assert.equal(endDate.toISOString(), '2026-04-05T13:59:59.999Z');
+  assert.equal(endDate - startDate + 1, 25 * 60 * 60 * 1000);
+});
+
+test('periods running up to the present end at now', () => {
+  const thisMonth = period({ filter: 'thisMonth' });
+  assert.deepEqual(range(getPeriodRange(thisMonth, now, 'Australia/Sydney')), [
+    '2026-02-28T13:00:00.000Z',
+    now.toISOString(),
+  ]);
+  assert.deepEqual(days(getPeriodDays(thisMonth, now, 'Australia/Sydney')), [
+    '2026-03-01',
+    '2026-03-15',
+  ]);
+});
+
+test('a unit to date is compared with as many days into the previous unit', () => {
+  const thisMonth = period({ filter: 'thisMonth' });
+  assert.deepEqual(days(getPreviousPeriodDays(thisMonth, now, 'UTC')), [
+    '2026-02-01',
+    '2026-02-14',
+  ]);
+  // Shorter previous months are not overrun
+  const endOfMarch = new Date('2026-03-31T12:00:00Z');
+  assert.deepEqual(days(getPreviousPeriodDays(thisMonth, endOfMarch, 'UTC')), [
+    '2026-02-01',
+    '2026-02-28',
+  ]);
+  const yesterday = period({ filter: 'yesterday' });
+  assert.deepEqual(range(getPreviousPeriodRange(yesterday, now, 'Europe/London')), [
+    '2026-03-12T00:00:00.000Z',
+    '2026-03-12T23:59:59.999Z',
+  ]);
+});
+
+test('custom ranges are local calendar dates, both inclusive', () => {
+  const custom = period({ from: '2026-01-10', to: '2026-01-12' });
+  assert.equal(custom.granularity, 'day');
+  assert.deepEqual(range(getPeriodRange(custom, now, 'Australia/Sydney')), [
+    '2026-01-09T13:00:00.000Z',
+    '2026-01-12T12:59:59.999Z',
+  ]);
+  assert.deepEqual(days(getPreviousPeriodDays(custom, now, 'Australia/Sydney')), [
+    '2026-01-07',
+    '2026-01-09',
+  ]);
+  const openEnded = period({ from: '2026-03-01' });
+  assert.deepEqual(days(getPeriodDays(openEnded, now, 'UTC')), ['2026-03-01', '2026-03-14']);
+});
+
+test('rolling windows count back from today, including it', () => {
+  const last30Days = period({ filter: 'last30Days' });
+  assert.deepEqual(days(getPeriodDays(last30Days, now, 'UTC')), ['2026-02-13', '2026-03-14']);
+  assert.deepEqual(days(getPreviousPeriodDays(last30Days, now, 'UTC')), [
+    '2026-01-14',
+    '2026-02-12',
+  ]);
+});
+
+test('financial years and quarters follow the financial year start month', () => {
+  const july = { financialYearStartMonth: 7 };
+  const fy2025 = period({ fy: '2025' }, july);
+  assert.deepEqual(days(getPeriodDays(fy2025, now)), ['2024-07-01', '2025-06-30']);
+  assert.equal(fy2025.granularity, 'week');
+
+  const firstQuarter = period({ fy: '2025', quarter: '1' }, july);
+  assert.deepEqual(days(getPeriodDays(firstQuarter, now)), ['2024-07-01', '2024-09-30']);
+  assert.deepEqual(days(getPreviousPeriodDays(firstQuarter, now)), ['2024-04-01', '2024-06-30']);
+  assert.equal(firstQuarter.granularity, 'day');
+
+  assert.deepEqual(days(getPeriodDays(period({ fy: '2026' }), now)), ['2026-01-01', '2026-12-31']);
+  const thisFinancialYear = period({ filter: 'thisFinancialYear' }, july);
+  assert.deepEqual(days(getPeriodDays(thisFinancialYear, now)), ['2025-07-01', '2026-03-14']);
+  const lastQuarter = period({ filter: 'lastQuarter' }, { financialYearStartMonth: 2 });
+  assert.deepEqual(days(getPeriodDays(lastQuarter, now)), ['2025-11-01', '2026-01-31']);
+});
+
+test('granularity follows the period length unless asked for', () => {
+  assert.equal(period({ filter: 'today' }).granularity, 'hour');
+  assert.equal(period({ filter: 'thisWeek' }).granularity, 'day');
+  assert.equal(period({ filter: 'last400Days' }).granularity, 'week');
+  assert.equal(period({ filter: 'last1000Days' }).granularity, 'month');
+  assert.equal(period({ filter: 'thisMonth', granularity: 'week' }).granularity, 'week');
+  assert.equal(period({}, { defaultFilter: 'lastMonth' }).filter, 'lastMonth');
+});
+
+test('parsePeriod rejects ambiguous or malformed periods', () => {
+  const errors = [
+    [{ filter: 'today', from: '2026-03-01' }, 'Use only one of filter, from/to or fy'],
+    [{ fy: '2025', to: '2026-03-01' }, 'Use only one of filter, from/to or fy'],
+    [{ to: '2026-03-01' }, 'from is required when to is given'],
+    [{ from: 'soon' }, 'from and to must be dates'],
+    [{ from: '2026-03-01', to: 'later' }, 'from and to must be dates'],
+    [{ from: '2026-03-02', to: '2026-03-01' }, 'from must not be after to'],
+    [{ fy: 'last' }, 'fy must be a year'],
+    [{ fy: '1999' }, 'fy must be a year'],
+    [{ fy: '2025', quarter: '5' }, 'quarter must be 1–4'],
+    [{ filter: 'thisMonth', quarter: '1' }, 'quarter is only valid with fy'],
+    [{ filter: 'last0Days' }, 'Rolling windows must be 1–3660 days'],
+    [{ filter: 'last3661Days' }, 'Rolling windows must be 1–3660 days'],
+    [{ filter: 'sometime' }, 'filter must be one of'],
+    [{ filter: 'thisMonth', granularity: 'minute' }, 'granularity must be one of'],
+    [{ filter: 'thisWeek', granularity: 'hour' }, 'Hourly buckets are only available'],
+  ];
+  for (const [query, message] of errors) {
+    const { error } = parsePeriod(query, { now });
+    assert.ok(error?.startsWith(message), `${JSON.stringify(query)}: ${error}`);
+  }
+});
+
+test('localRangeMatch selects each zone over its own local range', () => {
+  const sydney = { timezone: 'Australia/Sydney', branchIds: ['s1'] };
+  const london = { timezone: 'Europe/London', branchIds: ['l1', 'l2'] };
+  const today = period({ filter: 'today' });
+  const resolve = (timeZone) => getPeriodRange(today, now, timeZone);
+
+  assert.deepEqual(localRangeMatch([sydney], resolve), {
+    branchAddress: { $in: ['s1'] },
+    measuredAt: {
+      $gte: new Date('2026-03-14T13:00:00Z'),
+      $lte: new Date('2026-03-15T12:59:59.999Z'),
+    },
+  });
+  assert.deepEqual(localRangeMatch([], resolve), { branchAddress: { $in: [] } });
+  const { $or } = localRangeMatch([sydney, london], resolve);
+  assert.deepEqual(
+    $or.map((condition) => [condition.branchAddress.$in, condition.measuredAt.$gte.toISOString()]),
+    [
+      [['s1'], '2026-03-14T13:00:00.000Z'],
+      [['l1', 'l2'], '2026-03-14T00:00:00.000Z'],
+    ],
+  );
+});
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Device } from '../src/models/device.models.js';
+import { verifyServiceKey } from '../src/middlewares/verifyServiceKey.js';
+import { rotateDeviceKey } from '../src/controllers/device.controllers.js';
+import { addWaste, cleanBinsBulk } from '../src/controllers/waste.controllers.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2026-03-14T12:00:00Z');
+const branchId = id();
+const ownBin = { _id: id(), branchAddress: branchId, tareWeight: 0, binCapacity: 120 };
+const otherBin = { _id: id(), branchAddress: id(), tareWeight: 0, binCapacity: 120 };
+
+// A device registry in memory: lookups by key (or previous key in its grace period) or by ID
+function registry(t, devices) {
+  const store = new Map(devices.map((device) => [device._id.toString(), device]));
+  const matches = (device, filter) => {
+    if (filter.isRevoked === false && device.isRevoked) return false;
+    if (filter._id) return device._id.toString() === filter._id.toString();
+    return filter.$or.some(
+      ({ keyHash, previousKeyHash, previousKeyExpiresAt }) =>
+        (keyHash && device.keyHash === keyHash) ||
+        (previousKeyHash &&
+          device.previousKeyHash === previousKeyHash &&
+          device.previousKeyExpiresAt > previousKeyExpiresAt.$gt),
+    );
+  };
+  return fakeDb(t, {
+    'Device.findOne': ({ filter }) => {
+      const device = [...store.values()].find((candidate) => matches(candidate, filter));
+      return device ? Device.hydrate(device) : null;
+    },
+    'Device.save': ({ doc }) => store.set(doc._id.toString(), doc),
+    'Dustbin.findOne': ({ filter }) =>
+      [ownBin, otherBin].find((bin) => bin._id.toString() === filter._id.toString()),
+    'Dustbin.find': [otherBin],
+  });
+}
+
+const device = (key, fields = {}) => ({
+  _id: id(),
+  name: 'Dock scale',
+  branchAddress: branchId,
+  allowedBins: [],
+  keyHash: Device.hashKey(key),
+  isRevoked: false,
+  ...fields,
+});
+
+// Runs a request through verifyServiceKey, then the handler if the key is accepted
+function call(handler, key, body = {}) {
+  return new Promise((resolve) => {
+    const req = { body, ip: '10.0.0.9', get: () => `ApiKey ${key}` };
+    const res = { status: (status) => ({ json: (response) => resolve({ status, response }) }) };
+    verifyServiceKey(req, res, (error) => {
+      if (error) return resolve({ status: error.statusCode ?? 500 });
+      if (!handler) return resolve({ status: 'accepted', device: req.device });
+      handler(req, res, (err) =>
+        resolve({ status: err?.statusCode ?? 500, message: err?.message }),
+      );
+    });
+  });
+}
+
+function withEnv(t, values) {
+  const saved = Object.fromEntries(Object.keys(values).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+}
+
+test('a device key is accepted until it is rotated, then only through the grace period', async (t) => {
+  silenceConsole(t);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const scale = device('eco_first');
+  registry(t, [scale]);
+  const rotate = (graceMinutes) =>
+    new Promise((resolve, reject) => {
+      const req = { params: { id: scale._id.toString() }, body: { graceMinutes } };
+      const res = { status: () => ({ json: ({ data }) => resolve(data.apiKey) }) };
+      rotateDeviceKey(req, res, reject);
+    });
+
+  const accepted = await call(null, 'eco_first');
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(accepted.device._id.toString(), scale._id.toString());
+  assert.equal((await call(null, 'eco_unknown')).status, 401);
+
+  const second = await rotate(10);
+  assert.equal((await call(null, second)).status, 'accepted');
+  assert.equal((await call(null, 'eco_first')).status, 'accepted');
+  t.mock.timers.setTime(now.getTime() + 11 * MINUTE_MS);
+  assert.equal((await call(null, 'eco_first')).status, 401);
+  assert.equal((await call(null, second)).status, 'accepted');
+
+  // Without a grace period the old key stops at once
+  const third = await rotate(0);
+  assert.equal((await call(null, second)).status, 401);
+  assert.equal((await call(null, third)).status, 'accepted');
+});
+
+test('a revoked device is refused, whichever of its keys it uses', async (t) => {
+  silenceConsole(t);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  registry(t, [
+    device('eco_current', {
+      isRevoked: true,
+      previousKeyHash: Device.hashKey('eco_previous'),
+      previousKeyExpiresAt: new Date(now.getTime() + 10 * MINUTE_MS),
+    }),
+  ]);
+  assert.equal((await call(null, 'eco_current')).status, 401);
+  assert.equal((await call(null, 'eco_previous')).status, 401);
+});
+
+test('the shared key writes only as its configured device, and only until its cut-off', async (t) => {
+  silenceConsole(t);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const gateway = device('eco_gateway');
+  registry(t, [gateway]);
+
+  // Not bound to a device, or no cut-off date: refused
+  withEnv(t, { WASTE_INGEST_API_KEY: 'shared-secret' });
+  assert.equal((await call(null, 'shared-secret')).status, 401);
+  withEnv(t, { WASTE_INGEST_LEGACY_DEVICE_ID: gateway._id.toString() });
+  assert.equal((await call(null, 'shared-secret')).status, 401);
+
+  withEnv(t, { WASTE_INGEST_API_KEY_EXPIRES_AT: '2026-04-01T00:00:00Z' });
+  const reading = (bin) => ({ associateBin: bin._id.toString(), currentWeight: 5 });
+  const denied = await call(addWaste, 'shared-secret', reading(otherBin));
+  assert.equal(denied.status, 403);
+  assert.match(denied.message, /not authorised to report for dustbin/);
+  const cleaning = { bins: [{ associateBin: otherBin._id.toString(), rawWeight: 0 }] };
+  assert.equal(
+    (await call(cleanBinsBulk, 'shared-secret', { ...cleaning, cleanerName: 'sam' })).status,
+    403,
+  );
+  const own = await call(null, 'shared-secret');
+  assert.equal(own.device._id.toString(), gateway._id.toString());
+  assert.equal(own.device.canReportFor(ownBin), true);
+
+  t.mock.timers.setTime(new Date('2026-04-01T00:00:01Z').getTime());
+  assert.equal((await call(null, 'shared-secret')).status, 401);
+});
@@ -0,0 +1,302 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import redisClient from '../src/utils/redisClient.js';
+import { Waste } from '../src/models/waste.models.js';
+import { DailyRollup, HourlyRollup } from '../src/models/wasteRollup.models.js';
+import {
+  backfillDisposalAccounting,
+  deriveDisposals,
+  disposalStep,
+} from '../src/services/disposalService.js';
+import { assessReading } from '../src/services/readingQualityService.js';
+import { ingestWaste } from '../src/services/wasteService.js';
+import { resolveAccessScope } from '../src/services/accessScopeService.js';
+import { approveReading } from '../src/controllers/waste.controllers.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const binId = id();
+const branchId = id();
+const bin = {
+  _id: binId,
+  tareWeight: 0,
+  binCapacity: 120,
+  branchAddress: branchId,
+  isDecommissioned: false,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-14T12:00:00Z');
+
+const reading = (minutes, currentWeight, fields = {}) => ({
+  _id: id(),
+  associateBin: binId,
+  branchAddress: branchId,
+  eventType: 'disposal',
+  currentWeight,
+  measuredAt: new Date(now.getTime() + minutes * 60 * 1000),
+  ...fields,
+});
+
+// Stands in for Redis locks: SET NX / PX, and the release and renew scripts
+function fakeLocks(t) {
+  const held = new Map();
+  const log = [];
+  t.mock.method(redisClient, 'set', async (key, token) => {
+    if (held.has(key)) return null;
+    held.set(key, token);
+    log.push(['acquire', key]);
+    return 'OK';
+  });
+  t.mock.method(redisClient, 'eval', async (script, keys, key, token) => {
+    if (held.get(key) !== token) return 0;
+    if (script.includes("'DEL'")) {
+      held.delete(key);
+      log.push(['release', key]);
+    }
+    return 1;
+  });
+  return { held, log };
+}
+
+test('disposalStep counts rises, follows drops and ignores scale noise', () => {
+  assert.deepEqual(disposalStep(10, { currentWeight: 14, eventType: 'disposal' }), {
+    baseline: 14,
+    weight: 4,
+  });
+  assert.deepEqual(disposalStep(10, { currentWeight: 6, eventType: 'disposal' }), {
+    baseline: 6,
+    weight: 0,
+  });
+  assert.deepEqual(disposalStep(10, { currentWeight: 10.04, eventType: 'disposal' }), {
+    baseline: 10,
+    weight: 0,
+  });
+  assert.deepEqual(disposalStep(10, { currentWeight: 0.5, eventType: 'cleaning' }), {
+    baseline: 0.5,
+    weight: 0,
+  });
+});
+
+test('a late reading re-derives the readings after it until the baseline matches', async (t) => {
+  silenceConsole(t);
+  fakeLocks(t);
+  // A and B were counted from a baseline of 10; the late reading R now sits between them
+  const late = reading(0, 14);
+  const a = reading(10, 14.02, { disposalBaseline: 14.02 });
+  const b = reading(20, 20, { disposalBaseline: 20 });
+  const later = reading(30, 25, { disposalBaseline: 25 });
+  const { calls } = fakeDb(t, {
+    'Waste.findOne': { currentWeight: 10, disposalBaseline: 10 },
+    'Waste.cursor': [late, a, b, later],
+    'DisposalEvent.find': [
+      { reading: a._id, weight: 4.02 },
+      { reading: b._id, weight: 5.98 },
+    ],
+  });
+
+  assert.deepEqual(await deriveDisposals(late), { readings: 3, disposals: 2 });
+
+  const [readingOps] = calls.filter((c) => c.model === 'Waste' && c.op === 'bulkWrite');
+  assert.deepEqual(
+    readingOps.ops.map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set]),
+    [
+      [late._id, { disposalBaseline: 14 }],
+      [a._id, { disposalBaseline: 14 }],
+      [b._id, { disposalBaseline: 20 }],
+    ],
+  );
+  const [eventOps] = calls.filter((c) => c.model === 'DisposalEvent' && c.op === 'bulkWrite');
+  assert.deepEqual(eventOps.ops[0].updateOne.update.$set.weight, 4);
+  assert.deepEqual(eventOps.ops[1], { deleteOne: { filter: { reading: a._id } } });
+  assert.deepEqual(eventOps.ops[2].updateOne.update.$set.weight, 6);
+});
+
+test('a re-derived disposal stays under the stream and time zone it was recorded with', async (t) => {
+  silenceConsole(t);
+  fakeLocks(t);
+  const streamId = id();
+  const formerStream = id();
+  // A was counted from 10 while the bin was in another stream and the branch in London
+  const late = reading(0, 14);
+  const a = reading(10, 20, { disposalBaseline: 20 });
+  const { calls } = fakeDb(t, {
+    'Waste.findOne': { currentWeight: 10, disposalBaseline: 10 },
+    'Waste.cursor': [late, a],
+    'DisposalEvent.find': [
+      {
+        reading: a._id,
+        weight: 10,
+        wasteStream: formerStream,
+        material: 'Mixed Recycling',
+        treatment: 'recycling',
+        timezone: 'Europe/London',
+      },
+    ],
+    'Dustbin.find': [{ _id: binId, wasteStream: streamId }],
+    'WasteStream.find': [{ _id: streamId, name: 'Organic', treatment: 'composting' }],
+    'BranchAddress.findOne': { _id: branchId, timezone: 'Australia/Sydney' },
+  });
+
+  await deriveDisposals(late);
+
+  const [eventOps] = calls.filter((c) => c.model === 'DisposalEvent' && c.op === 'bulkWrite');
+  const recorded = eventOps.ops.map(({ updateOne: { update } }) => {
+    const { weight, wasteStream, material, treatment, timezone } = update.$set;
+    return [weight, String(wasteStream), material, treatment, timezone];
+  });
+  assert.deepEqual(recorded, [
+    [4, String(streamId), 'Organic', 'composting', 'Australia/Sydney'],
+    [6, String(formerStream), 'Mixed Recycling', 'recycling', 'Europe/London'],
+  ]);
+  const branchTotals = calls
+    .filter((c) => c.model === 'DailyRollup' && c.op === 'bulkWrite')
+    .flatMap((c) => c.ops)
+    .filter(({ updateOne: { filter } }) => filter.scope === 'branch')
+    .map(({ updateOne: { filter, update } }) => [
+      String(filter.wasteStream),
+      filter.material,
+      filter.timezone,
+      filter.day,
+      update.$inc,
+    ]);
+  assert.deepEqual(branchTotals, [
+    [String(streamId), 'Organic', 'Australia/Sydney', '2026-03-14', { weight: 4, disposals: 1 }],
+    [
+      String(formerStream),
+      'Mixed Recycling',
+      'Europe/London',
+      '2026-03-14',
+      { weight: -4, disposals: 0 },
+    ],
+  ]);
+});
+
+test('derivations of the same bin run one at a time', async (t) => {
+  silenceConsole(t);
+  const { held, log } = fakeLocks(t);
+  const first = reading(0, 14);
+  const second = reading(10, 18);
+  const { calls } = fakeDb(t, {
+    'Waste.findOne': { currentWeight: 10, disposalBaseline: 10 },
+    'Waste.cursor': ({ filter }) => [
+      [first, second].find((r) => r._id.equals(filter.$or[1]._id.$gte)),
+    ],
+  });
+
+  await Promise.all([deriveDisposals(first), deriveDisposals(second)]);
+
+  const wasteOps = calls.filter((c) => c.model === 'Waste').map((c) => c.op);
+  assert.deepEqual(wasteOps, ['findOne', 'cursor', 'bulkWrite', 'findOne', 'cursor', 'bulkWrite']);
+  assert.deepEqual(
+    log.map(([step]) => step),
+    ['acquire', 'release', 'acquire', 'release'],
+  );
+  assert.equal(held.size, 0);
+});
+
+test('a failed derivation releases the bin for the next one', async (t) => {
+  silenceConsole(t);
+  const { held } = fakeLocks(t);
+  let failures = 1;
+  fakeDb(t, {
+    'Waste.cursor': () => [reading(0, 14)],
+    'Waste.bulkWrite': () => {
+      if (failures-- > 0) throw new Error('write failed');
+      return {};
+    },
+  });
+
+  await assert.rejects(deriveDisposals(reading(0, 14)), /write failed/);
+  assert.equal(held.size, 0);
+  assert.deepEqual(await deriveDisposals(reading(0, 14)), { readings: 1, disposals: 1 });
+});
+
+test('instances starting together backfill the rollups once, one after the other', async (t) => {
+  silenceConsole(t);
+  const { held, log } = fakeLocks(t);
+  for (const Rollup of [DailyRollup, HourlyRollup]) {
+    t.mock.method(Rollup, 'syncIndexes', async () => []);
+  }
+  let rebuilt = false;
+  const { calls } = fakeDb(t, {
+    'DailyRollup.findOne': () => (rebuilt ? { _id: id() } : null),
+    'DisposalEvent.findOne': { _id: id() },
+    'DisposalEvent.cursor': [
+      {
+        associateBin: binId,
+        branchAddress: branchId,
+        measuredAt: now,
+        timezone: 'UTC',
+        weight: 4,
+      },
+    ],
+    'DailyRollup.bulkWrite': () => {
+      rebuilt = true;
+      return {};
+    },
+  });
+
+  await Promise.all([backfillDisposalAccounting(), backfillDisposalAccounting()]);
+
+  const rebuilds = calls.filter((c) => c.model === 'DailyRollup' && c.op === 'deleteMany');
+  assert.equal(rebuilds.length, 1);
+  assert.deepEqual(
+    log.map(([step]) => step),
+    ['acquire', 'release', 'acquire', 'release'],
+  );
+  assert.equal(held.size, 0);
+});
+
+test('readings measured before the hot window are rejected as late', async (t) => {
+  silenceConsole(t);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const { log } = fakeLocks(t);
+  const { calls } = fakeDb(t, { 'Dustbin.findOne': bin });
+  const measuredAt = new Date(now.getTime() - 15 * DAY_MS);
+
+  assert.deepEqual(
+    await assessReading({ bin, rawWeight: 500, eventType: 'disposal', measuredAt }),
+    ['late'],
+  );
+
+  const { record } = await ingestWaste({
+    associateBin: binId.toString(),
+    currentWeight: 12,
+    eventType: 'disposal',
+    measuredAt,
+  });
+  assert.equal(record.qualityStatus, 'rejected');
+  assert.deepEqual([...record.qualityFlags], ['late']);
+  // Never counted: no derivation, and the bin's live weight is left alone
+  assert.equal(log.length, 0);
+  assert.equal(calls.filter((c) => c.model === 'Dustbin' && c.op === 'updateOne').length, 0);
+
+  const recent = new Date(now.getTime() - 13 * DAY_MS);
+  assert.deepEqual(
+    await assessReading({ bin, rawWeight: 12, eventType: 'disposal', measuredAt: recent }),
+    [],
+  );
+});
+
+test('quarantined readings cannot be approved once they leave the hot window', async (t) => {
+  silenceConsole(t);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const stale = Waste.hydrate({
+    ...reading(-15 * 24 * 60, 40),
+    qualityStatus: 'quarantined',
+    qualityFlags: ['spike'],
+  });
+  const { calls } = fakeDb(t, { 'Waste.findOne': stale, 'Dustbin.findOne': bin });
+  const req = {
+    params: { id: stale._id.toString() },
+    user: { role: 'SuperAdmin' },
+    accessScope: await resolveAccessScope({ role: 'SuperAdmin' }),
+  };
+
+  const error = await new Promise((resolve) => approveReading(req, {}, resolve));
+  assert.equal(error?.statusCode, 409);
+  assert.equal(stale.qualityStatus, 'quarantined');
+  assert.equal(calls.filter((c) => c.op === 'save').length, 0);
+});
@@ -0,0 +1,202 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  DEFAULT_FACTOR_SET,
+  addEmissions,
+  factorFor,
+  factorSetFromQuery,
+  sumEmissions,
+  validateFactorSet,
+} from '../src/services/emissionsService.js';
+import { fakeDb } from './helpers/fakeDb.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const factorSet = {
+  version: 3,
+  factors: [
+    { material: '*', treatment: 'landfill', kgCO2ePerKg: 0.5 },
+    { material: '*', treatment: 'recycling', kgCO2ePerKg: 0.02 },
+    { material: '*', treatment: 'composting', kgCO2ePerKg: 0.01 },
+    { material: 'Organic', treatment: 'landfill', kgCO2ePerKg: 0.7 },
+    { material: '*', treatment: 'landfill', country: 'Australia', kgCO2ePerKg: 0.6 },
+    {
+      material: '*',
+      treatment: 'landfill',
+      country: 'Australia',
+      region: 'NSW',
+      kgCO2ePerKg: 0.65,
+    },
+    { material: 'Organic', treatment: 'landfill', country: 'Australia', kgCO2ePerKg: 0.8 },
+  ],
+};
+
+test('factorFor picks the most specific factor', () => {
+  const landfill = (where) => factorFor(factorSet, { treatment: 'landfill', ...where });
+  assert.equal(landfill({ material: 'Glass' }), 0.5);
+  assert.equal(landfill({ material: 'organic' }), 0.7);
+  assert.equal(landfill({ material: 'Glass', country: 'australia' }), 0.6);
+  assert.equal(landfill({ material: 'Glass', country: 'Australia', region: 'NSW' }), 0.65);
+  // A material factor beats a regional one
+  assert.equal(landfill({ material: 'Organic', country: 'Australia', region: 'NSW' }), 0.8);
+  // A regional factor needs its country too
+  assert.equal(landfill({ material: 'Glass', region: 'NSW' }), 0.5);
+  assert.equal(factorFor(factorSet, { material: 'Glass', treatment: 'recycling' }), 0.02);
+  assert.equal(factorFor({ factors: [] }, { treatment: 'landfill' }), 0);
+});
+
+test('validateFactorSet needs a catch-all factor for every treatment', () => {
+  const { factorSet: checked, error } = validateFactorSet({
+    label: 'FY2026',
+    effectiveFrom: '2025-07-01',
+    factors: [
+      ...DEFAULT_FACTOR_SET.factors,
+      { material: ' Metal ', treatment: 'recycling', country: 'Australia', kgCO2ePerKg: 0.03 },
+    ],
+  });
+  assert.equal(error, undefined);
+  assert.equal(checked.effectiveFrom.toISOString(), '2025-07-01T00:00:00.000Z');
+  assert.deepEqual(checked.factors.at(-1), {
+    material: 'Metal',
+    treatment: 'recycling',
+    country: 'Australia',
+    region: null,
+    kgCO2ePerKg: 0.03,
+  });
+
+  const valid = { label: 'Set', factors: DEFAULT_FACTOR_SET.factors };
+  const errors = [
+    [{ ...valid, label: '' }, 'label is required'],
+    [{ ...valid, effectiveFrom: 'next July' }, 'effectiveFrom must be a date'],
+    [{ ...valid, factors: [] }, 'factors must be a non-empty array'],
+    [
+      { ...valid, factors: [{ treatment: 'burning', kgCO2ePerKg: 1 }] },
+      "Each factor's treatment must be one of",
+    ],
+    [
+      { ...valid, factors: [{ treatment: 'landfill', kgCO2ePerKg: -1 }] },
+      "Each factor's kgCO2ePerKg must be a number of at least 0",
+    ],
+    [
+      { ...valid, factors: [{ treatment: 'landfill', kgCO2ePerKg: 1, country: 61 }] },
+      "Each factor's country and region must be names",
+    ],
+    [
+      {
+        ...valid,
+        factors: valid.factors.filter(({ treatment }) => treatment !== 'composting'),
+      },
+      "A factor for material '*' in any country is required for: composting",
+    ],
+  ];
+  for (const [input, message] of errors) {
+    const result = validateFactorSet(input);
+    assert.ok(result.error?.startsWith(message), result.error);
+  }
+});
+
+test('addEmissions prices each row where and how its waste was disposed', async (t) => {
+  const sydney = id();
+  const auckland = id();
+  const organic = id();
+  const recycled = id();
+  fakeDb(t, {
+    'BranchAddress.find': [
+      { _id: sydney, country: 'Australia', subdivision: 'NSW' },
+      { _id: auckland, country: 'New Zealand', subdivision: 'Auckland' },
+    ],
+    'WasteStream.find': [
+      { _id: organic, name: 'Organic', treatment: 'composting', isDiverted: true },
+      { _id: recycled, name: 'Mixed Recycling', isDiverted: true },
+    ],
+  });
+
+  const rows = await addEmissions(
+    [
+      { branch: sydney, wasteStream: organic, weight: 10 },
+      { branch: auckland, wasteStream: recycled, weight: 100 },
+      // No stream: landfilled
+      { branch: sydney, wasteStream: null, weight: 2 },
+    ],
+    factorSet,
+  );
+
+  const figures = rows.map(({ emissions, landfillEmissions, avoidedEmissions }) =>
+    [emissions, landfillEmissions, avoidedEmissions].map((value) => Number(value.toFixed(3))),
+  );
+  assert.deepEqual(figures, [
+    [0.1, 8, 7.9],
+    [2, 50, 48],
+    [1.3, 1.3, 0],
+  ]);
+  assert.deepEqual(sumEmissions(rows), {
+    weight: 112,
+    emissions: 3.4,
+    landfillEmissions: 59.3,
+    avoidedEmissions: 55.9,
+  });
+  const byBranch = sumEmissions(rows, (row) => row.branch);
+  assert.deepEqual(byBranch.get(sydney.toString()), {
+    weight: 12,
+    emissions: 1.4,
+    landfillEmissions: 9.3,
+    avoidedEmissions: 7.9,
+  });
+  assert.equal(sumEmissions([]).weight, 0);
+});
+
+test('addEmissions prices waste by the material and treatment it was disposed under', async (t) => {
+  const sydney = id();
+  const organic = id();
+  // The stream has since been moved from landfill to composting
+  const { calls } = fakeDb(t, {
+    'BranchAddress.find': [{ _id: sydney, country: 'Australia', subdivision: 'NSW' }],
+    'WasteStream.find': [{ _id: organic, name: 'Organic', treatment: 'composting' }],
+  });
+
+  const rows = await addEmissions(
+    [
+      {
+        branch: sydney,
+        wasteStream: organic,
+        material: 'Organic',
+        treatment: 'landfill',
+        weight: 10,
+      },
+      // Rolled up before material and treatment were recorded: the stream's current ones
+      { branch: sydney, wasteStream: organic, material: null, treatment: null, weight: 10 },
+    ],
+    factorSet,
+  );
+
+  assert.deepEqual(
+    rows.map(({ emissions }) => Number(emissions.toFixed(3))),
+    [8, 0.1],
+  );
+  const [streamLookup] = calls.filter((c) => c.model === 'WasteStream');
+  assert.deepEqual(streamLookup.filter._id.$in, [organic.toString()]);
+});
+
+test('reports use the requested factor set or the one in effect at the end of the period', async (t) => {
+  const { calls } = fakeDb(t, {
+    'EmissionFactorSet.findOne': ({ filter }) =>
+      filter.version === 9 ? null : { version: filter.version ?? 2 },
+  });
+  const period = { filter: 'lastMonth', financialYearStartMonth: 1 };
+  const now = new Date('2026-03-14T12:00:00Z');
+
+  assert.deepEqual(await factorSetFromQuery({}, period, now), { factorSet: { version: 2 } });
+  assert.deepEqual(calls[0].filter, {
+    effectiveFrom: { $lte: new Date('2026-02-28T23:59:59.999Z') },
+  });
+  assert.deepEqual(await factorSetFromQuery({ factorVersion: '1' }, period, now), {
+    factorSet: { version: 1 },
+  });
+  assert.deepEqual(await factorSetFromQuery({ factorVersion: '9' }, period, now), {
+    error: 'Emission factor set version 9 does not exist',
+  });
+  assert.deepEqual(await factorSetFromQuery({ factorVersion: '1.5' }, period, now), {
+    error: 'factorVersion must be a positive integer',
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * silenceConsole
+ * Mutes console output for the rest of a test: the services log every step, and failures
+ * expected in tests (no Redis, no realtime delivery) would otherwise flood the report.
+ * @param {TestContext} t
+ */
+export function silenceConsole(t) {
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    t.mock.method(console, level, () => {});
+  }
+}
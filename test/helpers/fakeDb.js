@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+/**
+ * fakeDb
+ * Answers a test's Mongoose calls from handlers instead of a MongoDB server. Queries,
+ * cursors, aggregations, saves (including Model.create) and bulk writes are routed to
+ * `handlers['<Model>.<operation>']` – a value, or a function of the call – and recorded in
+ * `calls`. Operations without a handler find nothing and change nothing.
+ * The stubs are restored when the test ends.
+ *
+ * @param {TestContext} t
+ * @param {Object<string, *>} [handlers] – e.g. { 'Dustbin.findOne': bin, 'Waste.find': [] }
+ * @returns {{ calls: { model: string, op: string, filter?, update?, pipeline?, doc?, ops?,
+ *            options? }[] }}
+ *
+ * Operation names are Mongoose's: findById is 'findOne', exists is 'findOne', create is
+ * 'save', Query#cursor is 'cursor' and Model.aggregate is 'aggregate'.
+ */
+export function fakeDb(t, handlers = {}) {
+  const calls = [];
+  const answer = (model, op, details) => {
+    const call = { model, op, ...details };
+    calls.push(call);
+    const handler = handlers[`${model}.${op}`];
+    if (handler === undefined) return EMPTY[op] ?? null;
+    return typeof handler === 'function' ? handler(call) : handler;
+  };
+
+  t.mock.method(mongoose.Query.prototype, 'exec', async function () {
+    return answer(this.model.modelName, this.op, {
+      filter: this.getFilter(),
+      update: this.getUpdate(),
+      options: this.getOptions(),
+    });
+  });
+  t.mock.method(mongoose.Query.prototype, 'cursor', function () {
+    const rows = answer(this.model.modelName, 'cursor', {
+      filter: this.getFilter(),
+      options: this.getOptions(),
+    });
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* rows ?? [];
+      },
+      close: async () => {},
+    };
+  });
+  t.mock.method(mongoose.Aggregate.prototype, 'exec', async function () {
+    return answer(this._model.modelName, 'aggregate', {
+      pipeline: this.pipeline(),
+      options: this.options,
+    });
+  });
+  const save = async function () {
+    answer(this.constructor.modelName, 'save', { doc: this.toObject() });
+    return this;
+  };
+  t.mock.method(mongoose.Model.prototype, 'save', save);
+  t.mock.method(mongoose.Model.prototype, '$save', save);
+  for (const op of ['bulkWrite', 'insertMany']) {
+    t.mock.method(mongoose.Model, op, async function (docs, options) {
+      return answer(this.modelName, op, { ops: docs, options });
+    });
+  }
+  return { calls };
+}
+
+/**
+ * fakeTransactions
+ * Stands in for mongoose.startSession. Each session runs its transaction's work once; if the
+ * work fails, the rollback returned by `begin` undoes what the test's handlers applied.
+ * Calls made in a transaction carry its session in their options.
+ *
+ * @param {TestContext} t
+ * @param {() => (() => void)} [begin] – called as a transaction starts; returns its rollback
+ * @returns {{ sessions: { committed: boolean, aborted: boolean, ended: boolean }[] }}
+ */
+export function fakeTransactions(t, begin = () => () => {}) {
+  const sessions = [];
+  t.mock.method(mongoose, 'startSession', async () => {
+    const session = new FakeSession(begin);
+    sessions.push(session);
+    return session;
+  });
+  return { sessions };
+}
+
+// A class rather than a plain object, which Mongoose would copy into each query's options
+class FakeSession {
+  constructor(begin) {
+    this.begin = begin;
+    this.committed = false;
+    this.aborted = false;
+    this.ended = false;
+  }
+
+  async withTransaction(work) {
+    const rollback = this.begin();
+    try {
+      await work(this);
+      this.committed = true;
+    } catch (err) {
+      rollback();
+      this.aborted = true;
+      throw err;
+    }
+  }
+
+  async endSession() {
+    this.ended = true;
+  }
+}
+
+// What an operation returns when a test gives no handler for it
+const NO_WRITE = { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+const EMPTY = {
+  find: [],
+  cursor: [],
+  aggregate: [],
+  distinct: [],
+  countDocuments: 0,
+  estimatedDocumentCount: 0,
+  updateOne: NO_WRITE,
+  updateMany: NO_WRITE,
+  deleteOne: { acknowledged: true, deletedCount: 0 },
+  deleteMany: { acknowledged: true, deletedCount: 0 },
+  bulkWrite: {},
+  insertMany: [],
+};
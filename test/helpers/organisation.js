@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { fakeDb } from './fakeDb.js';
+
+/*
+ * Two companies for access scope tests. Acme: Australia > Sydney > Sydney branch, and
+ * Australia > Melbourne > Melbourne branch, with a bin at each branch. Other Co: Auckland >
+ * Auckland branch, with a bin.
+ */
+
+export const id = () => new mongoose.Types.ObjectId();
+
+export const acme = id();
+export const otherCo = id();
+export const branches = {
+  sydney: { _id: id(), associatedCompany: acme },
+  melbourne: { _id: id(), associatedCompany: acme },
+  auckland: { _id: id(), associatedCompany: otherCo },
+};
+export const units = {};
+const addUnit = (name, type, company, parent, branchAddress = null) => {
+  units[name] = { _id: id(), type, company, parent: parent ? units[parent]._id : null };
+  units[name].branchAddress = branchAddress;
+};
+addUnit('acme', 'Company', acme, null);
+addUnit('australia', 'Country', acme, 'acme');
+addUnit('sydney', 'City', acme, 'australia');
+addUnit('sydneyBranch', 'Branch', acme, 'sydney', branches.sydney._id);
+addUnit('melbourne', 'City', acme, 'australia');
+addUnit('melbourneBranch', 'Branch', acme, 'melbourne', branches.melbourne._id);
+addUnit('otherCo', 'Company', otherCo, null);
+addUnit('auckland', 'City', otherCo, 'otherCo');
+addUnit('aucklandBranch', 'Branch', otherCo, 'auckland', branches.auckland._id);
+export const bins = {
+  sydney: { _id: id(), branchAddress: branches.sydney._id },
+  melbourne: { _id: id(), branchAddress: branches.melbourne._id },
+  auckland: { _id: id(), branchAddress: branches.auckland._id },
+};
+
+export const users = {
+  superAdmin: { _id: id(), role: 'SuperAdmin' },
+  sydneyAdmin: { _id: id(), role: 'CityAdmin', company: acme, OrgUnit: units.sydney._id },
+  acmeAdmin: { _id: id(), role: 'CountryAdmin', company: acme, OrgUnit: units.acme._id },
+  otherCoAdmin: { _id: id(), role: 'CountryAdmin', company: otherCo, OrgUnit: units.otherCo._id },
+};
+
+const same = (a, b) => String(a) === String(b);
+const inList = (list, value) => list.some((item) => same(item, value));
+const byId = (records, filter) =>
+  Object.values(records).find((record) => same(record._id, filter._id)) ?? null;
+
+/**
+ * organisation
+ * A fakeDb that answers the access scope lookups (OrgUnits, branches, bins) from the two
+ * companies above, plus any extra handlers.
+ * @param {TestContext} t
+ * @param {Object<string, *>} [handlers]
+ * @returns {{ calls: Object[] }}
+ */
+export function organisation(t, handlers = {}) {
+  return fakeDb(t, {
+    'OrgUnit.findOne': ({ filter }) => byId(units, filter),
+    'OrgUnit.aggregate': ({ pipeline }) => {
+      const root = byId(units, pipeline[0].$match);
+      if (!root) return [];
+      const descendantIds = [];
+      const walk = (parentId) => {
+        for (const unit of Object.values(units)) {
+          if (unit.parent && same(unit.parent, parentId)) {
+            descendantIds.push(unit._id);
+            walk(unit._id);
+          }
+        }
+      };
+      walk(root._id);
+      return [{ _id: root._id, descendantIds }];
+    },
+    'OrgUnit.find': ({ filter }) =>
+      Object.values(units).filter(
+        (unit) => unit.type === filter.type && inList(filter._id.$in, unit._id),
+      ),
+    'BranchAddress.findOne': ({ filter }) => byId(branches, filter),
+    'BranchAddress.find': ({ filter }) =>
+      Object.values(branches).filter(
+        (branch) =>
+          same(branch.associatedCompany, filter.associatedCompany) &&
+          (!filter._id || inList(filter._id.$in, branch._id)),
+      ),
+    'Dustbin.findOne': ({ filter }) => byId(bins, filter),
+    ...handlers,
+  });
+}
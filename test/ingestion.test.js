@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { ingestWaste, parseWasteMessage, validateReading } from '../src/services/wasteService.js';
+import { assessReading } from '../src/services/readingQualityService.js';
+import { estimateFillPercent } from '../src/services/binFillService.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const binId = new mongoose.Types.ObjectId();
+const branchId = new mongoose.Types.ObjectId();
+const cleanerId = new mongoose.Types.ObjectId();
+const bin = {
+  _id: binId,
+  tareWeight: 2,
+  binCapacity: 120,
+  branchAddress: branchId,
+  wasteStream: new mongoose.Types.ObjectId(),
+  isDecommissioned: false,
+};
+
+// Ingests a reading against one bin and returns the Waste document stored for it
+async function storedWaste(calls, reading) {
+  calls.length = 0;
+  const { record, duplicate } = await ingestWaste(reading);
+  assert.equal(duplicate, false);
+  const saved = calls.filter((call) => call.model === 'Waste' && call.op === 'save');
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].doc._id.toString(), record._id.toString());
+  // The ID is the only field allowed to differ between two ingestions
+  const { _id, ...doc } = saved[0].doc;
+  return doc;
+}
+
+// Each payload, and fields of the Waste document it must produce (tare weight is 2kg)
+const cases = {
+  disposal: {
+    payload: {
+      associateBin: binId.toString(),
+      currentWeight: 14.5,
+      eventType: 'disposal',
+      messageId: 'gw-1:881',
+      measuredAt: '2025-03-14T09:30:00Z',
+    },
+    expected: {
+      currentWeight: 12.5,
+      rawWeight: 14.5,
+      eventType: 'disposal',
+      messageId: 'gw-1:881',
+      measuredAt: new Date('2025-03-14T09:30:00Z'),
+    },
+  },
+  'cleaning by cleaner name, with a seq number and epoch seconds': {
+    payload: {
+      associateBin: binId.toString(),
+      currentWeight: 2.4,
+      eventType: 'cleaning',
+      isCleaned: true,
+      cleanerName: 'sam',
+      seq: 882,
+      measuredAt: 1741944600,
+    },
+    expected: {
+      currentWeight: 0,
+      eventType: 'cleaning',
+      isCleaned: true,
+      cleanedBy: cleanerId,
+      messageId: '882',
+      measuredAt: new Date('2025-03-14T09:30:00Z'),
+    },
+  },
+  'disposal without a device timestamp': {
+    payload: { associateBin: binId.toString(), currentWeight: 3 },
+    expected: { currentWeight: 1, measuredAt: new Date('2025-03-14T09:31:00Z'), clockSkewMs: 0 },
+  },
+};
+
+for (const [name, { payload, expected }] of Object.entries(cases)) {
+  test(`MQTT and HTTP ingestion store the same Waste document: ${name}`, async (t) => {
+    silenceConsole(t);
+    // Same receipt time for both, so readings without measuredAt get the same time too
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-14T09:31:00Z') });
+
+    const mqtt = parseWasteMessage(Buffer.from(JSON.stringify(payload)));
+    const http = validateReading(payload);
+    assert.equal(mqtt.error, undefined);
+    assert.equal(http.error, undefined);
+    assert.deepEqual(mqtt.reading, http.reading);
+
+    const { calls } = fakeDb(t, {
+      'Dustbin.findOne': bin,
+      'Cleaner.findOne': { _id: cleanerId, name: 'Sam' },
+    });
+    const fromMqtt = await storedWaste(calls, mqtt.reading);
+    const fromHttp = await storedWaste(calls, http.reading);
+    assert.deepEqual(fromMqtt, fromHttp);
+    assert.equal(fromMqtt.associateBin.toString(), binId.toString());
+    assert.equal(fromMqtt.branchAddress.toString(), branchId.toString());
+    assert.equal(fromMqtt.qualityStatus, 'accepted');
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(fromMqtt[field], value, field);
+    }
+  });
+}
+
+test('a reading is over capacity by the same full-bin weight its fill level uses', async (t) => {
+  // 75 litres of general waste at 0.15 kg/L is about 11 kg when full; glass is far denser
+  const general = new mongoose.Types.ObjectId();
+  const glass = new mongoose.Types.ObjectId();
+  fakeDb(t, {
+    'WasteStream.find': ({ filter }) =>
+      [
+        { _id: general, densityKgPerLitre: 0.15 },
+        { _id: glass, densityKgPerLitre: 0.4 },
+      ].filter((stream) => filter._id.$in.some((id) => id.equals(stream._id))),
+  });
+  const smallBin = { ...bin, tareWeight: 0, binCapacity: 75, wasteStream: general };
+  const flags = (rawWeight, wasteStream = general) =>
+    assessReading({
+      bin: { ...smallBin, wasteStream },
+      rawWeight,
+      eventType: 'disposal',
+      measuredAt: new Date(),
+    });
+
+  assert.equal(estimateFillPercent(11, 75, 0.15), 97.8);
+  assert.deepEqual(await flags(11), []);
+  assert.equal(estimateFillPercent(40, 75, 0.15), 355.6);
+  assert.deepEqual(await flags(40), ['over_capacity']);
+  assert.deepEqual(await flags(40, glass), []);
+});
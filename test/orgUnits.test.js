@@ -0,0 +1,274 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import redisClient from '../src/utils/redisClient.js';
+import { mergeOrgUnit, moveOrgUnit } from '../src/controllers/orgUnit.controllers.js';
+import { fakeDb, fakeTransactions } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const acme = id();
+const otherCo = id();
+const same = (a, b) => String(a) === String(b);
+
+/*
+ * Acme: Australia > NSW > Sydney > Sydney CBD, and a duplicate Australia (from branch
+ * provisioning) > NSW > Newcastle > Newcastle branch. Other Co: New Zealand.
+ */
+function organisation() {
+  const units = new Map();
+  const add = (key, name, type, parent, fields = {}) => {
+    const unit = {
+      _id: id(),
+      name,
+      type,
+      company: acme,
+      parent: parent ? units.get(parent)._id : null,
+      branchAddress: null,
+      ...fields,
+    };
+    units.set(key, unit);
+    return unit;
+  };
+  add('acme', 'Acme', 'Company', null);
+  add('australia', 'Australia', 'Country', 'acme');
+  add('nsw', 'NSW', 'Region', 'australia');
+  add('sydney', 'Sydney', 'City', 'nsw');
+  add('sydneyBranch', 'Sydney CBD', 'Branch', 'sydney', { branchAddress: id() });
+  add('duplicate', 'Australia', 'Country', 'acme');
+  add('duplicateNsw', 'NSW', 'Region', 'duplicate');
+  add('newcastle', 'Newcastle', 'City', 'duplicateNsw');
+  add('newcastleBranch', 'Newcastle', 'Branch', 'newcastle', { branchAddress: id() });
+  add('newZealand', 'New Zealand', 'Country', null, { company: otherCo });
+  return units;
+}
+
+// Enough of MongoDB's query language for the OrgUnit lookups
+const matches = (record, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = record[field] ?? null;
+    if (condition?.$ne !== undefined) return !same(value, condition.$ne);
+    if (condition?.$in) return condition.$in.some((item) => same(item, value));
+    return same(value, condition);
+  });
+
+/**
+ * tree
+ * A fakeDb over an in-memory organisation whose transactions roll back when they fail.
+ * @returns {{ units: Map, users: Object[], branches: Map, calls: Object[], sessions: Object[] }}
+ */
+function tree(t, handlers = {}) {
+  const units = organisation();
+  const users = [
+    { _id: id(), OrgUnit: units.get('duplicate')._id },
+    { _id: id(), OrgUnit: units.get('duplicateNsw')._id },
+    { _id: id(), OrgUnit: units.get('sydney')._id },
+  ];
+  const branches = new Map();
+  const find = (filter) => [...units.values()].filter((unit) => matches(unit, filter));
+  const parentOf = (unit) => [...units.values()].find((other) => same(other._id, unit.parent));
+  const ancestors = (unit) => {
+    const chain = [];
+    for (let above = parentOf(unit); above; above = parentOf(above)) chain.push(above);
+    return chain;
+  };
+  const subtree = (root) => [root, ...find({ parent: root._id }).flatMap(subtree)];
+  const update = ({ filter, update: { $set } }) => {
+    const [unit] = find(filter);
+    if (unit) Object.assign(unit, $set);
+    return unit ?? null;
+  };
+
+  const { sessions } = fakeTransactions(t, () => {
+    const saved = {
+      units: [...units].map(([key, unit]) => [key, { ...unit }]),
+      users: users.map((user) => ({ ...user })),
+      branches: new Map(branches),
+    };
+    return () => {
+      units.clear();
+      for (const [key, unit] of saved.units) units.set(key, unit);
+      users.splice(0, users.length, ...saved.users);
+      branches.clear();
+      for (const [key, fields] of saved.branches) branches.set(key, fields);
+    };
+  });
+  const { calls } = fakeDb(t, {
+    'OrgUnit.findOne': ({ filter }) => find(filter)[0] ?? null,
+    'OrgUnit.find': ({ filter }) => find(filter),
+    'OrgUnit.aggregate': ({ pipeline }) => {
+      const [{ $match }, { $graphLookup }] = pipeline;
+      if ($graphLookup.connectToField === 'parent') {
+        const [root] = find($match);
+        if (!root) return [];
+        const [, ...descendants] = subtree(root);
+        return [{ _id: root._id, descendantIds: descendants.map((unit) => unit._id) }];
+      }
+      return find($match).map((unit) => ({ ...unit, ancestors: ancestors(unit) }));
+    },
+    'OrgUnit.updateOne': (call) => update(call),
+    'OrgUnit.findOneAndUpdate': (call) => update(call),
+    'OrgUnit.deleteOne': ({ filter }) => {
+      for (const [key, unit] of units) if (matches(unit, filter)) units.delete(key);
+    },
+    'User.updateMany': ({ filter, update: { $set } }) => {
+      const moved = users.filter((user) => matches(user, filter));
+      for (const user of moved) Object.assign(user, $set);
+      return { modifiedCount: moved.length };
+    },
+    'BranchAddress.bulkWrite': ({ ops }) => {
+      for (const { updateOne } of ops) {
+        branches.set(String(updateOne.filter._id), updateOne.update.$set);
+      }
+      return {};
+    },
+    ...handlers,
+  });
+  return { units, users, branches, calls, sessions };
+}
+
+// Runs an OrgUnit controller and resolves with its response or the error it passed on
+const call = (handler, params, body) =>
+  new Promise((resolve) => {
+    const res = {
+      status: (status) => ({ json: ({ data }) => resolve({ status, data }) }),
+    };
+    handler({ params, body }, res, (err) =>
+      resolve({ status: err?.statusCode ?? 500, message: err?.message }),
+    );
+  });
+
+const move = (unit, parent) =>
+  call(moveOrgUnit, { id: unit._id.toString() }, { parent: parent?._id.toString() ?? null });
+const merge = (source, target) =>
+  call(mergeOrgUnit, { id: source._id.toString() }, { into: target._id.toString() });
+
+// The calls that wrote to MongoDB
+const writes = (calls) =>
+  calls.filter(({ op }) =>
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'bulkWrite'].includes(op),
+  );
+
+test('a unit only moves under a higher level of its own company, outside its subtree', async (t) => {
+  silenceConsole(t);
+  const { units } = tree(t);
+  // A Region left under a City by data that predates the level checks
+  const legacy = { _id: id(), name: 'Inner West', type: 'Region', company: acme };
+  units.set('legacy', { ...legacy, parent: units.get('sydney')._id, branchAddress: null });
+
+  const refused = [
+    [units.get('australia'), units.get('sydney'), 400, 'A City cannot contain a Country'],
+    [units.get('nsw'), units.get('nsw'), 400, 'A Region cannot contain a Region'],
+    [units.get('sydney'), legacy, 400, 'A unit cannot be moved under itself or its descendants'],
+    [units.get('nsw'), units.get('newZealand'), 400, 'Parent OrgUnit belongs to another company'],
+    [units.get('nsw'), null, 400, 'A Region must have a parent unit'],
+    [units.get('duplicateNsw'), units.get('australia'), 409, 'A Region named "NSW" already'],
+  ];
+  for (const [unit, parent, status, message] of refused) {
+    const response = await move(unit, parent);
+    assert.equal(response.status, status, message);
+    assert.ok(response.message.startsWith(message), response.message);
+  }
+  assert.equal(units.get('sydney').parent, units.get('nsw')._id);
+});
+
+test("a moved unit's branches take the names of their new ancestors, in one transaction", async (t) => {
+  silenceConsole(t);
+  const { units, branches, calls, sessions } = tree(t);
+  const newcastle = units.get('newcastle');
+
+  const response = await move(newcastle, units.get('nsw'));
+  assert.equal(response.status, 200);
+  assert.equal(response.data.branchesUpdated, 1);
+  assert.equal(String(newcastle.parent), String(units.get('nsw')._id));
+  assert.deepEqual(branches.get(String(units.get('newcastleBranch').branchAddress)), {
+    officeName: 'Newcastle',
+    city: 'Newcastle',
+    subdivision: 'NSW',
+    country: 'Australia',
+  });
+  const [session] = sessions;
+  assert.equal(session.committed && session.ended, true);
+  for (const write of writes(calls)) {
+    assert.equal(write.options.session, session, `${write.model}.${write.op}`);
+  }
+});
+
+test('only units of the same type and company merge, never into their own subtree', async (t) => {
+  silenceConsole(t);
+  const { units, sessions } = tree(t);
+  // A City left under a City by data that predates the level checks
+  const legacy = { _id: id(), name: 'Sydney', type: 'City', company: acme };
+  units.set('legacy', { ...legacy, parent: units.get('sydney')._id, branchAddress: null });
+
+  const refused = [
+    [units.get('nsw'), units.get('nsw'), 'Cannot merge a unit into itself'],
+    [units.get('duplicateNsw'), units.get('australia'), 'Only units of the same type'],
+    [units.get('australia'), units.get('newZealand'), 'Only units of the same type'],
+    [units.get('sydneyBranch'), units.get('newcastleBranch'), 'Branch units stand for'],
+    [units.get('sydney'), legacy, 'Cannot merge a unit into one of its descendants'],
+  ];
+  for (const [source, target, message] of refused) {
+    const response = await merge(source, target);
+    assert.equal(response.status, 400, message);
+    assert.ok(response.message.startsWith(message), response.message);
+  }
+  assert.equal(sessions.length, 0);
+});
+
+test('a merge folds matching children together, moves the rest and its members', async (t) => {
+  silenceConsole(t);
+  const { units, users, branches, calls, sessions } = tree(t);
+  const [duplicate, australia] = [units.get('duplicate'), units.get('australia')];
+
+  const response = await merge(duplicate, australia);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data, {
+    into: australia._id,
+    merged: 2,
+    moved: 1,
+    usersReassigned: 2,
+  });
+  assert.equal(units.has('duplicate') || units.has('duplicateNsw'), false);
+  assert.equal(String(units.get('newcastle').parent), String(units.get('nsw')._id));
+  assert.deepEqual(
+    users.map((user) => String(user.OrgUnit)),
+    [australia._id, units.get('nsw')._id, units.get('sydney')._id].map(String),
+  );
+  assert.equal(branches.get(String(units.get('newcastleBranch').branchAddress)).city, 'Newcastle');
+
+  const [session] = sessions;
+  assert.equal(session.committed && session.ended, true);
+  for (const write of writes(calls)) {
+    assert.equal(write.options.session, session, `${write.model}.${write.op}`);
+  }
+});
+
+test('a merge that fails part-way leaves the tree, members and branches as they were', async (t) => {
+  silenceConsole(t);
+  let invalidations = 0;
+  t.mock.method(redisClient, 'incr', async () => {
+    invalidations += 1;
+  });
+  const { units, users, branches, sessions } = tree(t, {
+    'BranchAddress.bulkWrite': () => {
+      throw new Error('write conflict');
+    },
+  });
+  const before = { units: [...units.keys()], members: users.map((user) => user.OrgUnit) };
+  const newcastleParent = units.get('newcastle').parent;
+
+  const response = await merge(units.get('duplicate'), units.get('australia'));
+  assert.equal(response.status, 500);
+  assert.equal(response.message, 'write conflict');
+  assert.deepEqual([...units.keys()], before.units);
+  assert.equal(units.get('newcastle').parent, newcastleParent);
+  assert.deepEqual(
+    users.map((user) => user.OrgUnit),
+    before.members,
+  );
+  assert.equal(branches.size, 0);
+  const [session] = sessions;
+  assert.equal(session.aborted && session.ended, true);
+  assert.equal(invalidations, 0);
+});
@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  checkGrant,
+  resolvePermissions,
+  validatePermissions,
+} from '../src/services/permissionService.js';
+import { requirePermission } from '../src/middlewares/auth.middleware.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const acme = id();
+const otherCo = id();
+
+const roles = {
+  analyst: {
+    _id: id(),
+    company: acme,
+    permissions: ['analytics:export', 'analytics:read'],
+  },
+  roleAdmin: { _id: id(), company: acme, permissions: ['analytics:read', 'roles:manage'] },
+  retired: { _id: id(), company: acme, permissions: ['analytics:read'], isdeleted: true },
+  otherCoAnalyst: { _id: id(), company: otherCo, permissions: ['analytics:read'] },
+};
+
+// Custom roles, looked up the way permissionService does: by ID, company and not deleted
+const customRoles = (t) =>
+  fakeDb(t, {
+    'Role.findOne': ({ filter }) =>
+      Object.values(roles).find(
+        (role) =>
+          role._id.equals(filter._id) && role.company.equals(filter.company) && !role.isdeleted,
+      ) ?? null,
+  });
+
+const user = (role, fields = {}) => ({ _id: id(), role, company: acme, ...fields });
+
+test('custom roles are built from known, non-platform permissions', () => {
+  assert.deepEqual(validatePermissions(['bins:manage', 'analytics:read', 'bins:manage']), {
+    permissions: ['analytics:read', 'bins:manage'],
+  });
+  assert.deepEqual(validatePermissions([]), { permissions: [] });
+  assert.equal(
+    validatePermissions('analytics:read').error,
+    'permissions must be an array of permission names',
+  );
+  assert.equal(
+    validatePermissions(['analytics:read', 'analytics:everything']).error,
+    'Unknown permission(s): analytics:everything',
+  );
+  assert.equal(
+    validatePermissions(['users:manage', 'analytics:read', 'devices:manage']).error,
+    'Permission(s) not available to custom roles: users:manage, devices:manage',
+  );
+});
+
+test('a user can grant a role only if they hold all its permissions', async (t) => {
+  customRoles(t);
+  const grant = (granter, role, customRoleId = null) =>
+    checkGrant(granter, { role, customRoleId, companyId: acme });
+
+  // The same or fewer permissions
+  assert.deepEqual(await grant(user('CityAdmin'), 'CountryAdmin'), {});
+  assert.deepEqual(await grant(user('CityAdmin'), 'OfficeAdmin'), {});
+  assert.deepEqual(await grant(user('CityAdmin'), 'EmployeeDashboardUser', roles.analyst._id), {});
+  // More than the granter has
+  assert.deepEqual(await grant(user('OfficeAdmin'), 'CityAdmin'), {
+    status: 403,
+    error: 'You cannot grant permissions you do not have: users:invite',
+  });
+  const superAdmin = await grant(user('CountryAdmin'), 'SuperAdmin');
+  assert.equal(superAdmin.status, 403);
+  assert.match(superAdmin.error, /companies:manage/);
+  assert.deepEqual(await grant(user('CityAdmin'), 'OfficeAdmin', roles.roleAdmin._id), {
+    status: 403,
+    error: 'You cannot grant permissions you do not have: roles:manage',
+  });
+  // A granter with a custom role has that role's permissions, not their preset's
+  const analyst = user('CityAdmin', { customRole: roles.analyst._id });
+  assert.deepEqual(await grant(analyst, 'OfficeAdmin'), {
+    status: 403,
+    error: 'You cannot grant permissions you do not have: readings:review',
+  });
+  assert.deepEqual(await grant(user('SuperAdmin'), 'SuperAdmin'), {});
+});
+
+test('a granted custom role must be a live role of the same company', async (t) => {
+  customRoles(t);
+  const admin = user('SuperAdmin');
+  const grant = (fields) => checkGrant(admin, { role: 'OfficeAdmin', companyId: acme, ...fields });
+
+  assert.deepEqual(await grant({ role: 'Janitor' }), {
+    status: 400,
+    error:
+      'role must be one of: SuperAdmin, RegionalAdmin, CountryAdmin, CityAdmin, OfficeAdmin, ' +
+      'EmployeeDashboardUser, BinDisplayUser',
+  });
+  assert.deepEqual(await grant({ role: 'SuperAdmin', customRoleId: roles.analyst._id }), {
+    status: 400,
+    error: 'A custom role cannot be combined with the SuperAdmin role',
+  });
+  assert.deepEqual(await grant({ customRoleId: 'analyst' }), {
+    status: 400,
+    error: 'Invalid customRole ID',
+  });
+  for (const role of [roles.otherCoAnalyst, roles.retired]) {
+    assert.deepEqual(await grant({ customRoleId: role._id }), {
+      status: 404,
+      error: 'Custom role not found for this company',
+    });
+  }
+  assert.deepEqual(await grant({ customRoleId: roles.analyst._id }), {});
+});
+
+test('permissions come from the custom role when a user has one', async (t) => {
+  const { calls } = customRoles(t);
+  const analyst = user('CityAdmin', { customRole: roles.analyst._id });
+  assert.deepEqual([...(await resolvePermissions(analyst))], roles.analyst.permissions);
+  // Resolved once per user object, however many guards a request passes
+  await resolvePermissions(analyst);
+  assert.equal(calls.length, 1);
+
+  // A custom role from another company, or since deleted, grants nothing
+  for (const role of [roles.otherCoAnalyst, roles.retired]) {
+    const stale = user('CityAdmin', { customRole: { _id: role._id } });
+    assert.equal((await resolvePermissions(stale)).size, 0);
+  }
+  assert.deepEqual(
+    [...(await resolvePermissions(user('OfficeAdmin')))],
+    ['analytics:read', 'analytics:export', 'readings:review'],
+  );
+});
+
+test('requirePermission lets a request through only with every listed permission', async (t) => {
+  silenceConsole(t);
+  customRoles(t);
+  const guard = (caller, ...permissions) =>
+    new Promise((resolve) => {
+      requirePermission(...permissions)({ user: caller }, {}, (err) => resolve(err?.statusCode));
+    });
+  const analyst = user('EmployeeDashboardUser', { customRole: roles.analyst._id });
+
+  assert.equal(await guard(analyst, 'analytics:read', 'analytics:export'), undefined);
+  assert.equal(await guard(analyst, 'analytics:read', 'users:invite'), 403);
+  assert.equal(await guard(user('EmployeeDashboardUser'), 'analytics:read'), 403);
+  assert.equal(await guard(user('SuperAdmin'), 'emissionFactors:manage'), undefined);
+});
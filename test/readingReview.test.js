@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Waste } from '../src/models/waste.models.js';
+import { BinAlert } from '../src/models/binAlert.models.js';
+import { resolveAccessScope } from '../src/services/accessScopeService.js';
+import { listQuarantinedReadings, rejectReading } from '../src/controllers/waste.controllers.js';
+import { acknowledgeBinAlert } from '../src/controllers/binAlert.controllers.js';
+import { silenceConsole } from './helpers/console.js';
+import { bins, branches, id, organisation, users } from './helpers/organisation.js';
+
+// Runs a controller as the given user; resolves with { status, body } or { error }
+const call = async (controller, user, { params = {}, query = {} } = {}) => {
+  const req = { user, params, query, body: {}, accessScope: await resolveAccessScope(user) };
+  return new Promise((resolve) => {
+    const res = {
+      status(status) {
+        return { json: (body) => resolve({ status, body }) };
+      },
+    };
+    controller(req, res, (error) => resolve({ error }));
+  });
+};
+
+const quarantinedReading = (bin) =>
+  Waste.hydrate({
+    _id: id(),
+    associateBin: bin._id,
+    eventType: 'disposal',
+    currentWeight: 40,
+    measuredAt: new Date('2026-03-02T10:00:00Z'),
+    qualityStatus: 'quarantined',
+  });
+
+const openAlert = (bin) =>
+  BinAlert.hydrate({
+    _id: id(),
+    bin: bin._id,
+    branchAddress: bin.branchAddress,
+    type: 'fillLevel',
+    status: 'open',
+  });
+
+test("reviewers cannot reject readings outside their OrgUnit's branches", async (t) => {
+  silenceConsole(t);
+  const melbourneReading = quarantinedReading(bins.melbourne);
+  const { calls } = organisation(t, { 'Waste.findOne': melbourneReading });
+
+  const { error } = await call(rejectReading, users.sydneyAdmin, {
+    params: { id: melbourneReading._id.toString() },
+  });
+  assert.equal(error?.statusCode, 403);
+  assert.equal(melbourneReading.qualityStatus, 'quarantined');
+  assert.equal(calls.filter((c) => c.model === 'Waste' && c.op === 'save').length, 0);
+});
+
+test('reviewers can reject readings at branches under their OrgUnit', async (t) => {
+  silenceConsole(t);
+  const sydneyReading = quarantinedReading(bins.sydney);
+  const { calls } = organisation(t, { 'Waste.findOne': sydneyReading });
+
+  const { status } = await call(rejectReading, users.sydneyAdmin, {
+    params: { id: sydneyReading._id.toString() },
+  });
+  assert.equal(status, 200);
+  assert.equal(sydneyReading.qualityStatus, 'rejected');
+  assert.equal(calls.filter((c) => c.model === 'Waste' && c.op === 'save').length, 1);
+});
+
+test("the quarantine list is limited to the reviewer's branches", async (t) => {
+  silenceConsole(t);
+  organisation(t);
+  const melbourne = await call(listQuarantinedReadings, users.sydneyAdmin, {
+    query: { branchId: branches.melbourne._id.toString() },
+  });
+  assert.equal(melbourne.error?.statusCode, 403);
+  const auckland = await call(listQuarantinedReadings, users.acmeAdmin, {
+    query: { branchId: branches.auckland._id.toString() },
+  });
+  assert.equal(auckland.error?.statusCode, 403);
+  const sydney = await call(listQuarantinedReadings, users.sydneyAdmin, {
+    query: { branchId: branches.sydney._id.toString() },
+  });
+  assert.equal(sydney.status, 200);
+});
+
+test("bin alerts can only be acknowledged within the caller's branches", async (t) => {
+  silenceConsole(t);
+  const melbourneAlert = openAlert(bins.melbourne);
+  const sydneyAlert = openAlert(bins.sydney);
+  organisation(t, {
+    'BinAlert.findOne': ({ filter }) =>
+      [melbourneAlert, sydneyAlert].find((alert) => String(alert._id) === String(filter._id)),
+  });
+
+  const denied = await call(acknowledgeBinAlert, users.sydneyAdmin, {
+    params: { id: melbourneAlert._id.toString() },
+  });
+  assert.equal(denied.error?.statusCode, 403);
+  assert.equal(melbourneAlert.acknowledgedBy, undefined);
+
+  const acknowledged = await call(acknowledgeBinAlert, users.sydneyAdmin, {
+    params: { id: sydneyAlert._id.toString() },
+  });
+  assert.equal(acknowledged.status, 200);
+  assert.equal(String(sydneyAlert.acknowledgedBy), String(users.sydneyAdmin._id));
+});
@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import zlib from 'node:zlib';
+import mongoose from 'mongoose';
+import redisClient from '../src/utils/redisClient.js';
+import {
+  ARCHIVE_DIR,
+  expireRawReadings,
+  hotWindowStart,
+  runReadingRetention,
+  settleReadings,
+} from '../src/services/readingRetentionService.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-14T12:00:00Z');
+const binId = id();
+const branchId = id();
+const companyId = id();
+const streamId = id();
+
+// Enough of MongoDB's query language for the settle filter
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((branch) => matches(doc, branch));
+    const value = doc[field];
+    if (condition?.$lt !== undefined) return value < condition.$lt;
+    if (condition?.$exists !== undefined) return (value !== undefined) === condition.$exists;
+    return value === condition;
+  });
+
+const reading = (daysAgo, fields) => ({
+  _id: id(),
+  associateBin: binId,
+  branchAddress: branchId,
+  currentWeight: 5,
+  measuredAt: new Date(now.getTime() - daysAgo * DAY_MS),
+  createdAt: new Date(now.getTime() - daysAgo * DAY_MS),
+  ...fields,
+});
+
+test('settleReadings keeps quarantined readings in Waste until they are reviewed', async (t) => {
+  const readings = {
+    counted: reading(20, { qualityStatus: 'accepted', disposalBaseline: 5 }),
+    approved: reading(19, { qualityStatus: 'accepted', reviewedAt: now, disposalBaseline: 5 }),
+    rejected: reading(18, { qualityStatus: 'rejected', qualityFlags: ['spike'] }),
+    late: reading(17, { qualityStatus: 'rejected', qualityFlags: ['late'] }),
+    quarantined: reading(16, { qualityStatus: 'quarantined', qualityFlags: ['spike'] }),
+    notYetDerived: reading(16, { qualityStatus: 'accepted' }),
+    hot: reading(2, { qualityStatus: 'accepted', disposalBaseline: 5 }),
+  };
+  const waste = new Map(Object.values(readings).map((doc) => [doc._id.toString(), doc]));
+  const { calls } = fakeDb(t, {
+    'Waste.find': ({ filter }) => [...waste.values()].filter((doc) => matches(doc, filter)),
+    'Waste.deleteMany': ({ filter }) => {
+      for (const _id of filter._id.$in) waste.delete(_id.toString());
+      return { deletedCount: filter._id.$in.length };
+    },
+    'Dustbin.find': [{ _id: binId, wasteStream: streamId }],
+    'BranchAddress.find': [{ _id: branchId, associatedCompany: companyId }],
+  });
+
+  assert.equal(await settleReadings(now), 4);
+  assert.deepEqual(
+    [...waste.values()].map((doc) => doc._id),
+    [readings.quarantined._id, readings.notYetDerived._id, readings.hot._id],
+  );
+
+  const [{ ops: moved }] = calls.filter((c) => c.model === 'WasteReading' && c.op === 'insertMany');
+  assert.deepEqual(
+    moved.map((doc) => doc._id),
+    [readings.counted._id, readings.approved._id, readings.rejected._id, readings.late._id],
+  );
+  assert.deepEqual(moved[0].meta, {
+    associateBin: binId,
+    branchAddress: branchId,
+    company: companyId,
+    wasteStream: streamId,
+  });
+  assert.equal(moved[0].receivedAt, readings.counted.createdAt);
+});
+
+test('a retention run renews its lock after every batch and stops once it is lost', async (t) => {
+  silenceConsole(t);
+  // The lock expires after the second batch and another instance takes it
+  let renewals = 0;
+  t.mock.method(redisClient, 'set', async () => 'OK');
+  t.mock.method(redisClient, 'eval', async (script) => {
+    if (script.includes("'DEL'")) return 0;
+    renewals += 1;
+    return renewals <= 2 ? 1 : 0;
+  });
+  const { calls } = fakeDb(t, {
+    // A backlog that never runs out
+    'Waste.find': () => [reading(20, { qualityStatus: 'accepted', disposalBaseline: 5 })],
+  });
+
+  await assert.rejects(runReadingRetention(now), /Lost the reading retention lock/);
+  assert.equal(renewals, 3);
+  assert.equal(calls.filter((c) => c.model === 'Waste' && c.op === 'find').length, 3);
+  // Nothing after the lost lock: no raw readings expired
+  assert.equal(calls.filter((c) => c.model === 'WasteReading' && c.op === 'findOne').length, 0);
+});
+
+test('the hot window covers the last WASTE_HOT_DAYS (14 by default)', () => {
+  assert.equal(hotWindowStart(now).toISOString(), '2026-02-28T12:00:00.000Z');
+});
+
+test('expired raw readings are archived per company and day', async (t) => {
+  silenceConsole(t);
+  const otherCompany = id();
+  const raw = [
+    [companyId, '2025-12-01T10:00:00Z'],
+    [otherCompany, '2025-12-01T11:00:00Z'],
+    [companyId, '2025-12-02T09:00:00Z'],
+    [null, '2025-12-02T10:00:00Z'],
+  ].map(([company, measuredAt]) => ({
+    _id: id(),
+    meta: { associateBin: binId, company },
+    measuredAt: new Date(measuredAt),
+    currentWeight: 5,
+  }));
+  let stored = [...raw];
+  const inRange = (filter) => (doc) =>
+    String(doc.meta.company) === String(filter['meta.company']) &&
+    doc.measuredAt >= filter.measuredAt.$gte &&
+    doc.measuredAt < filter.measuredAt.$lt;
+
+  const exports = new Map();
+  t.mock.method(fs.promises, 'mkdir', async () => {});
+  t.mock.method(fs.promises, 'stat', async () => ({ size: 1 }));
+  t.mock.method(fs, 'createWriteStream', (target) => {
+    const chunks = [];
+    exports.set(path.relative(ARCHIVE_DIR, target), chunks);
+    return new Writable({
+      write(chunk, encoding, done) {
+        chunks.push(chunk);
+        done();
+      },
+    });
+  });
+  const { calls } = fakeDb(t, {
+    'WasteReading.findOne': ({ filter }) =>
+      stored
+        .filter((doc) => doc.measuredAt < filter.measuredAt.$lt)
+        .sort((a, b) => a.measuredAt - b.measuredAt)[0] ?? null,
+    'WasteReading.cursor': ({ filter }) => stored.filter(inRange(filter)),
+    'WasteReading.deleteMany': ({ filter }) => {
+      const before = stored.length;
+      stored = stored.filter((doc) => !inRange(filter)(doc));
+      return { deletedCount: before - stored.length };
+    },
+  });
+
+  assert.equal(await expireRawReadings(now), 4);
+  const archives = calls
+    .filter((c) => c.model === 'ReadingArchive' && c.op === 'save')
+    .map(({ doc }) => [String(doc.company), doc.day]);
+  assert.deepEqual(archives, [
+    [String(companyId), '2025-12-01'],
+    [String(otherCompany), '2025-12-01'],
+    [String(companyId), '2025-12-02'],
+    ['null', '2025-12-02'],
+  ]);
+
+  // Each export holds one company's readings, in that company's directory
+  for (const [file, chunks] of exports) {
+    const lines = zlib.gunzipSync(Buffer.concat(chunks)).toString().trim().split('\n');
+    const companies = new Set(lines.map((line) => String(JSON.parse(line).meta.company)));
+    assert.deepEqual([...companies], [file.split(path.sep)[0].replace('unassigned', 'null')]);
+  }
+  assert.equal(exports.size, 4);
+});
@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  applyDisposalChanges,
+  rebuildRollups,
+  rollupBucketExpr,
+  rollupMatch,
+  rollupModel,
+} from '../src/services/rollupService.js';
+import { DailyRollup, HourlyRollup } from '../src/models/wasteRollup.models.js';
+import { getPeriodDays, parsePeriod } from '../src/utils/dateRange.js';
+import { fakeDb } from './helpers/fakeDb.js';
+import { silenceConsole } from './helpers/console.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const binId = id();
+const branchId = id();
+const streamId = id();
+// The branch's Branch unit, then the units above it
+const branchUnit = id();
+const ancestors = [id(), id()];
+
+// A Sydney branch with one bin, under three OrgUnits
+const sydneyBranch = (t, extra = {}) =>
+  fakeDb(t, {
+    'Dustbin.find': [{ _id: binId, wasteStream: streamId }],
+    'BranchAddress.find': [{ _id: branchId, timezone: 'Australia/Sydney' }],
+    'OrgUnit.aggregate': [{ _id: branchUnit, branchAddress: branchId, ancestorIds: ancestors }],
+    ...extra,
+  });
+
+const change = (measuredAt, weight, disposals) => ({
+  associateBin: binId,
+  branchAddress: branchId,
+  measuredAt: new Date(measuredAt),
+  weight,
+  disposals,
+});
+
+// The $inc of each rollup upsert, keyed by scope, scope ID and local day (and hour)
+const increments = (calls, Rollup) =>
+  Object.fromEntries(
+    calls
+      .filter((call) => call.model === Rollup.modelName && call.op === 'bulkWrite')
+      .flatMap((call) => call.ops)
+      .map(({ updateOne: { filter, update, upsert } }) => {
+        assert.equal(upsert, true);
+        assert.equal(filter.timezone, 'Australia/Sydney');
+        assert.equal(String(filter.wasteStream), String(streamId));
+        const hour = filter.hour === undefined ? '' : ` ${filter.hour}h`;
+        return [`${filter.scope} ${filter.scopeId} ${filter.day}${hour}`, update.$inc];
+      }),
+  );
+
+test("disposal changes are added to each scope on the branch's local day and hour", async (t) => {
+  const { calls } = sydneyBranch(t);
+
+  await applyDisposalChanges([
+    // 00:30 and 00:50 on 15 March in Sydney: the second reduces the first disposal
+    change('2026-03-14T13:30:00Z', 4, 1),
+    change('2026-03-14T13:50:00Z', -1.5, 0),
+    // 23:45 on 14 March in Sydney
+    change('2026-03-14T12:45:00Z', 2, 1),
+    // Nothing changed: not written
+    change('2026-03-10T00:00:00Z', 0, 0),
+  ]);
+
+  const expected = {};
+  for (const [scope, scopeId] of [
+    ['bin', binId],
+    ['branch', branchId],
+    ['orgUnit', branchUnit],
+    ['orgUnit', ancestors[0]],
+    ['orgUnit', ancestors[1]],
+  ]) {
+    expected[`${scope} ${scopeId} 2026-03-15`] = { weight: 2.5, disposals: 1 };
+    expected[`${scope} ${scopeId} 2026-03-14`] = { weight: 2, disposals: 1 };
+  }
+  assert.deepEqual(increments(calls, DailyRollup), expected);
+
+  const hourly = increments(calls, HourlyRollup);
+  assert.deepEqual(hourly[`branch ${branchId} 2026-03-15 0h`], { weight: 2.5, disposals: 1 });
+  assert.deepEqual(hourly[`branch ${branchId} 2026-03-14 23h`], { weight: 2, disposals: 1 });
+  assert.equal(Object.keys(hourly).length, 10);
+});
+
+test('only the requested rollup scopes are updated', async (t) => {
+  const { calls } = sydneyBranch(t);
+  await applyDisposalChanges([change('2026-03-14T13:30:00Z', 4, 1)], { scopes: ['orgUnit'] });
+  assert.deepEqual(
+    Object.keys(increments(calls, DailyRollup)).sort(),
+    [
+      `orgUnit ${ancestors[0]} 2026-03-15`,
+      `orgUnit ${ancestors[1]} 2026-03-15`,
+      `orgUnit ${branchUnit} 2026-03-15`,
+    ].sort(),
+  );
+
+  calls.length = 0;
+  await applyDisposalChanges([change('2026-03-14T13:30:00Z', 0, 0)]);
+  assert.deepEqual(calls, []);
+});
+
+test('rebuildRollups recomputes the scopes it rebuilds from the DisposalEvents', async (t) => {
+  silenceConsole(t);
+  const events = [
+    {
+      associateBin: binId,
+      branchAddress: branchId,
+      measuredAt: new Date('2026-03-14T13:30:00Z'),
+      weight: 4,
+    },
+    {
+      associateBin: binId,
+      branchAddress: branchId,
+      measuredAt: new Date('2026-03-14T13:40:00Z'),
+      weight: 3,
+    },
+  ];
+  const { calls } = sydneyBranch(t, { 'DisposalEvent.cursor': events });
+
+  assert.deepEqual(await rebuildRollups({ scopes: ['branch'] }), { events: 2 });
+  const cleared = calls.filter((call) => call.op === 'deleteMany');
+  assert.deepEqual(
+    cleared.map((call) => [call.model, call.filter]),
+    [
+      ['DailyRollup', { scope: { $in: ['branch'] } }],
+      ['HourlyRollup', { scope: { $in: ['branch'] } }],
+    ],
+  );
+  assert.deepEqual(increments(calls, DailyRollup), {
+    [`branch ${branchId} 2026-03-15`]: { weight: 7, disposals: 2 },
+  });
+});
+
+test('rebuilt totals keep the stream and time zone each DisposalEvent recorded', async (t) => {
+  silenceConsole(t);
+  const formerStream = id();
+  const events = [
+    // Recorded while the bin was in another stream and the branch kept London time
+    {
+      associateBin: binId,
+      branchAddress: branchId,
+      measuredAt: new Date('2026-03-14T13:30:00Z'),
+      wasteStream: formerStream,
+      timezone: 'Europe/London',
+      weight: 4,
+    },
+    // Recorded before streams and zones were kept: the current ones
+    {
+      associateBin: binId,
+      branchAddress: branchId,
+      measuredAt: new Date('2026-03-14T13:40:00Z'),
+      weight: 3,
+    },
+  ];
+  const { calls } = sydneyBranch(t, { 'DisposalEvent.cursor': events });
+
+  await rebuildRollups({ scopes: ['branch'] });
+  const totals = calls
+    .filter((call) => call.model === 'DailyRollup' && call.op === 'bulkWrite')
+    .flatMap((call) => call.ops)
+    .map(({ updateOne: { filter, update } }) => [
+      String(filter.wasteStream),
+      filter.timezone,
+      filter.day,
+      update.$inc.weight,
+    ]);
+  assert.deepEqual(totals, [
+    [String(formerStream), 'Europe/London', '2026-03-14', 4],
+    [String(streamId), 'Australia/Sydney', '2026-03-15', 3],
+  ]);
+});
+
+test("rollupMatch selects each time zone's own local days", async (t) => {
+  const now = new Date('2026-03-14T15:00:00Z');
+  const { period } = parsePeriod({ filter: 'today' }, { now });
+  const filter = { scope: 'branch', scopeId: { $in: [branchId] } };
+  const resolveDays = (timeZone) => getPeriodDays(period, now, timeZone);
+
+  fakeDb(t, { 'DailyRollup.distinct': ['Australia/Sydney', 'Europe/London'] });
+  assert.deepEqual(await rollupMatch(filter, resolveDays), {
+    ...filter,
+    $or: [
+      { timezone: 'Australia/Sydney', day: { $gte: '2026-03-15', $lte: '2026-03-15' } },
+      { timezone: 'Europe/London', day: { $gte: '2026-03-14', $lte: '2026-03-14' } },
+    ],
+  });
+});
+
+test('rollupMatch with no rollups is the filter alone', async (t) => {
+  fakeDb(t);
+  const filter = { scope: 'bin', scopeId: binId };
+  assert.deepEqual(await rollupMatch(filter, () => assert.fail('no zone to resolve')), filter);
+});
+
+test('chart buckets read the hourly rollups only for hour granularity', () => {
+  assert.equal(rollupModel('hour'), HourlyRollup);
+  assert.equal(rollupModel('day'), DailyRollup);
+  assert.equal(rollupModel('month'), DailyRollup);
+  assert.equal(rollupBucketExpr('hour'), '$hour');
+  assert.equal(rollupBucketExpr('day'), '$day');
+  assert.deepEqual(rollupBucketExpr('month'), { $substrBytes: ['$day', 0, 7] });
+  assert.equal(rollupBucketExpr('week').$dateToString.format, '%G-W%V');
+});
@@ -0,0 +1,10 @@
+/**
+ * Loaded before every test file (see the `test` script). The tests run without MongoDB or
+ * Redis: Mongoose fails fast instead of buffering commands, and the shared Redis client is
+ * closed so cache and realtime calls fail at once (every caller already falls back or logs).
+ */
+import mongoose from 'mongoose';
+import redisClient from '../src/utils/redisClient.js';
+
+mongoose.set('bufferCommands', false);
+redisClient.disconnect();